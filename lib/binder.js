@@ -0,0 +1,906 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * The 'sdcadm binder ...' CLI commands: status of the zookeeper (ZK)
+ * ensemble run by the binder instances, and incremental changes to it, one
+ * instance at a time.
+ *
+ * The ensemble members are the "ZK_SERVERS" of the sdc application, and the
+ * status of each one comes from the ZK "srvr" command. Changing the ensemble
+ * (see `BinderCLI.prototype._changeEnsemble`) takes a backup of the ZK data
+ * directory of a member kept running, seeds new instances with it, and
+ * reconfigures the binder instances one at a time, checking after each one
+ * that the ensemble still has a quorum. `sdcadm post-setup ha-binder` is the
+ * all-at-once alternative to create a 1, 3 or 5 members ensemble.
+ */
+
+var util = require('util');
+
+var assert = require('assert-plus');
+var cmdln = require('cmdln');
+var Cmdln = cmdln.Cmdln;
+var tabula = require('tabula');
+var vasync = require('vasync');
+
+var common = require('./common');
+var errors = require('./errors');
+var shared = require('./procedures/shared');
+var steps = require('./steps');
+var svcadm = require('./svcadm');
+
+
+// --- globals
+
+var format = util.format;
+
+// ZK modes of the members which count for the quorum.
+var UP_MODES = ['leader', 'follower', 'standalone'];
+
+
+// --- exported functions
+
+/**
+ * Get the ZK ensemble members.
+ *
+ * @param opts {Object} Required.
+ *      - zkServers {Array} Required. The "ZK_SERVERS" metadata of the sdc
+ *        application: `{host, port, num}` objects.
+ *      - insts {Array} Required. The binder instances, as from
+ *        `SdcAdm.listInsts`.
+ * @returns {Array} of members, in ensemble order, with `zk_id`, `ip`,
+ *      `instance`, `alias`, `server` and `hostname` fields (the latter
+ *      null if no binder instance has the member's IP).
+ */
+function ensembleMembers(opts) {
+    assert.object(opts, 'opts');
+    assert.arrayOfObject(opts.zkServers, 'opts.zkServers');
+    assert.arrayOfObject(opts.insts, 'opts.insts');
+
+    return opts.zkServers.map(function (zkServer) {
+        var inst = opts.insts.filter(function (i) {
+            return (i.ip === zkServer.host);
+        })[0] || {};
+        return {
+            zk_id: (zkServer.num === undefined ? null : zkServer.num),
+            ip: zkServer.host,
+            instance: inst.instance || null,
+            alias: inst.alias || null,
+            server: inst.server || null,
+            hostname: inst.hostname || null
+        };
+    });
+}
+
+
+/**
+ * Find an ensemble member (see `ensembleMembers`) by instance UUID, short
+ * UUID, alias or IP.
+ */
+function findMember(members, id) {
+    assert.arrayOfObject(members, 'members');
+    assert.string(id, 'id');
+
+    var found = members.filter(function (m) {
+        return (m.instance === id || m.alias === id || m.ip === id ||
+            (m.instance && common.shortId(m.instance) === id));
+    });
+    if (found.length === 0) {
+        throw new errors.UsageError(format('no binder ensemble member "%s"',
+            id));
+    } else if (found.length > 1) {
+        throw new errors.UsageError(format(
+            'ambiguous binder ensemble member "%s"', id));
+    }
+    return found[0];
+}
+
+
+/**
+ * Check that adding and/or removing an ensemble member preserves the
+ * quorum, i.e. that enough members are up to have a quorum of the new
+ * ensemble before the new member joins it. A removed member is deleted
+ * before the remaining ones are reconfigured, so the members left up must
+ * also be a quorum of the current ensemble.
+ *
+ * @param opts {Object} Required.
+ *      - members {Array} Required. As from `ensembleMembers`, with the
+ *        `mode` of each member (as from `steps.zookeeper.getZkMembersStatus`).
+ *      - add {Boolean} Optional. Whether a member is added.
+ *      - remove {Object} Optional. The member removed.
+ * @returns {Object} `{size, quorum, warnings}`, the size and quorum size of
+ *      the new ensemble and warnings about the change.
+ * @throws {UsageError} If the change would lose the quorum.
+ */
+function checkEnsembleChange(opts) {
+    assert.object(opts, 'opts');
+    assert.arrayOfObject(opts.members, 'opts.members');
+    assert.optionalBool(opts.add, 'opts.add');
+    assert.optionalObject(opts.remove, 'opts.remove');
+
+    var members = opts.members;
+    if (!steps.zookeeper.zkHasQuorum(members)) {
+        throw new errors.UsageError('the binder ZK ensemble has no quorum: ' +
+            'the ensemble cannot be changed');
+    }
+    var remaining = members.filter(function (m) {
+        return (m !== opts.remove);
+    });
+    var size = remaining.length + (opts.add ? 1 : 0);
+    if (size === 0) {
+        throw new errors.UsageError('cannot remove the last binder ' +
+            'ensemble member');
+    }
+    var up = remaining.filter(function (m) {
+        return (UP_MODES.indexOf(m.mode) !== -1);
+    }).length;
+    var quorum = steps.zookeeper.zkQuorumSize(size);
+    if (up + (opts.add ? 1 : 0) < quorum) {
+        throw new errors.UsageError(format('the change would lose the ' +
+            'binder ZK ensemble quorum: %d of the %d members of the new ' +
+            'ensemble would be up, %d are needed', up + (opts.add ? 1 : 0),
+            size, quorum));
+    }
+    var oldQuorum = steps.zookeeper.zkQuorumSize(members.length);
+    if (opts.remove && up < oldQuorum) {
+        throw new errors.UsageError(format('the change would lose the ' +
+            'binder ZK ensemble quorum: %d of the %d members of the ' +
+            'current ensemble would be up after removing %s (%s), before ' +
+            'the ensemble is reconfigured, %d are needed', up,
+            members.length, opts.remove.alias || '-', opts.remove.ip,
+            oldQuorum));
+    }
+
+    var warnings = [];
+    if (size % 2 === 0) {
+        warnings.push(format('the binder ZK ensemble will have an even ' +
+            'number of members (%d), which tolerates no more failures than ' +
+            '%d members', size, size - 1));
+    }
+    members.forEach(function (m) {
+        if (m !== opts.remove && UP_MODES.indexOf(m.mode) === -1) {
+            warnings.push(format('binder ensemble member %s (%s) is %s',
+                m.alias || '-', m.ip, m.mode));
+        }
+    });
+    return {size: size, quorum: quorum, warnings: warnings};
+}
+
+
+/**
+ * The ZK id for a new ensemble member: one more than the highest of the
+ * current ones (the ZK_ID metadata of the binder SAPI instances, the first
+ * binder instance having an implicit id 1).
+ *
+ * @param opts {Object} Required.
+ *      - members {Array} Required. As from `ensembleMembers`.
+ *      - sapiInsts {Array} Required. The binder SAPI instances.
+ */
+function nextZkId(opts) {
+    assert.object(opts, 'opts');
+    assert.arrayOfObject(opts.members, 'opts.members');
+    assert.arrayOfObject(opts.sapiInsts, 'opts.sapiInsts');
+
+    var ids = opts.members.map(function (m) {
+        return Number(m.zk_id);
+    }).concat(opts.sapiInsts.map(function (inst) {
+        return Number(inst.metadata && inst.metadata.ZK_ID);
+    })).filter(function (id) {
+        return (!isNaN(id));
+    });
+    return Math.max.apply(null, ids.concat([1])) + 1;
+}
+
+
+/**
+ * Get the binder ZK ensemble status.
+ *
+ * @param opts {Object} Required.
+ *      - sdcadm {SdcAdm} Required.
+ * @param cb {Function} `function (err, ensemble)` where ensemble has the
+ *      `members` (see `ensembleMembers`) with their status (see
+ *      `steps.zookeeper.getZkMembersStatus`), `insts` (the binder
+ *      instances), `quorum` (the quorum size), `hasQuorum` and `leader`
+ *      (the leader member, if any).
+ */
+function getEnsemble(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.sdcadm, 'opts.sdcadm');
+    assert.func(cb, 'cb');
+
+    var sdcadm = opts.sdcadm;
+    var ensemble = {};
+
+    vasync.pipeline({funcs: [
+        function ensureSdcApp(_, next) {
+            sdcadm.ensureSdcApp({}, next);
+        },
+        function getInsts(_, next) {
+            sdcadm.listInsts({types: ['vm'], svcs: ['binder']},
+                    function (err, insts) {
+                ensemble.insts = insts;
+                next(err);
+            });
+        },
+        function getMembers(_, next) {
+            var zkServers = sdcadm.sdcApp.metadata.ZK_SERVERS || [];
+            if (zkServers.length === 0) {
+                next(new errors.InternalError({
+                    message: 'no "ZK_SERVERS" in the sdc application metadata'
+                }));
+                return;
+            }
+            ensemble.members = ensembleMembers({
+                zkServers: zkServers,
+                insts: ensemble.insts
+            });
+            next();
+        },
+        function getMembersStatus(_, next) {
+            steps.zookeeper.getZkMembersStatus({
+                ips: ensemble.members.map(function (m) {
+                    return m.ip;
+                }),
+                log: sdcadm.log
+            }, function (err, statuses) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                ensemble.members.forEach(function (m, idx) {
+                    var st = statuses[idx];
+                    m.mode = st.mode;
+                    m.zxid = st.zxid;
+                    m.lag = st.lag;
+                    m.latency = st.latency || null;
+                    m.outstanding = st.outstanding;
+                });
+                next();
+            });
+        }
+    ]}, function (err) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        ensemble.quorum = steps.zookeeper.zkQuorumSize(
+            ensemble.members.length);
+        ensemble.hasQuorum = steps.zookeeper.zkHasQuorum(ensemble.members);
+        ensemble.leader = ensemble.members.filter(function (m) {
+            return (m.mode === 'leader' || m.mode === 'standalone');
+        })[0] || null;
+        cb(null, ensemble);
+    });
+}
+
+
+// --- Binder CLI class
+
+function BinderCLI(top) {
+    this.top = top;
+    Cmdln.call(this, {
+        name: 'sdcadm binder',
+        desc: 'Binder zookeeper (ZK) ensemble status and management.\n' +
+              '\n' +
+              'These change the ensemble one binder instance at a time,\n' +
+              'checking that it keeps a quorum throughout. See also\n' +
+              '"sdcadm post-setup ha-binder".',
+        helpOpts: {
+            minHelpCol: 24 /* line up with option help */
+        }
+    });
+}
+util.inherits(BinderCLI, Cmdln);
+
+BinderCLI.prototype.init = function init(_opts, _args, _callback) {
+    this.sdcadm = this.top.sdcadm;
+    this.progress = this.top.progress;
+    this.log = this.top.log;
+
+    Cmdln.prototype.init.apply(this, arguments);
+};
+
+/*
+ * Add a binder instance to the ensemble and/or remove one from it.
+ *
+ * @param opts {Object} Required.
+ *      - server {String} Optional. The server (UUID or hostname) to add a
+ *        binder instance on.
+ *      - remove {String} Optional. The ensemble member to remove.
+ *      - yes {Boolean} Optional. Do not ask for confirmation.
+ */
+BinderCLI.prototype._changeEnsemble = function _changeEnsemble(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.server, 'opts.server');
+    assert.optionalString(opts.remove, 'opts.remove');
+    assert.optionalBool(opts.yes, 'opts.yes');
+    assert.func(cb, 'cb');
+
+    var self = this;
+    var sdcadm = self.sdcadm;
+    var commonOpts = {
+        sdcadm: sdcadm,
+        progress: self.progress,
+        log: self.log
+    };
+    var ctx = {};
+    var removed = null;
+    var frozen = false;
+    var reconfigured = false;
+
+    vasync.pipeline({arg: ctx, funcs: [
+        function getTheEnsemble(_, next) {
+            getEnsemble({sdcadm: sdcadm}, function (err, ensemble) {
+                ctx.ensemble = ensemble;
+                next(err);
+            });
+        },
+        function findRemovedMember(_, next) {
+            if (!opts.remove) {
+                next();
+                return;
+            }
+            try {
+                removed = findMember(ctx.ensemble.members, opts.remove);
+            } catch (findErr) {
+                next(findErr);
+                return;
+            }
+            next();
+        },
+        function findServer(_, next) {
+            if (!opts.server) {
+                next();
+                return;
+            }
+            sdcadm.cnapi.listServers({
+                setup: true
+            }, function (err, servers) {
+                if (err) {
+                    next(new errors.SDCClientError(err, 'cnapi'));
+                    return;
+                }
+                ctx.server = servers.filter(function (s) {
+                    return (s.uuid === opts.server ||
+                        s.hostname === opts.server);
+                })[0];
+                if (!ctx.server) {
+                    next(new errors.UsageError(format(
+                        '"%s" is not a setup server', opts.server)));
+                    return;
+                }
+                var onServer = ctx.ensemble.members.filter(function (m) {
+                    return (m.server === ctx.server.uuid && m !== removed);
+                });
+                if (onServer.length) {
+                    next(new errors.UsageError(format('server %s already ' +
+                        'has binder ensemble member %s', ctx.server.hostname,
+                        onServer[0].alias)));
+                    return;
+                }
+                next();
+            });
+        },
+        function checkQuorum(_, next) {
+            try {
+                ctx.check = checkEnsembleChange({
+                    members: ctx.ensemble.members,
+                    add: Boolean(opts.server),
+                    remove: removed || undefined
+                });
+            } catch (checkErr) {
+                next(checkErr);
+                return;
+            }
+            ctx.check.warnings.forEach(function (w) {
+                self.progress('Warning: %s', w);
+            });
+            next();
+        },
+        function getBinderSvc(_, next) {
+            sdcadm.sapi.listServices({
+                name: 'binder',
+                application_uuid: sdcadm.sdcApp.uuid
+            }, function (err, svcs) {
+                if (err) {
+                    next(new errors.SDCClientError(err, 'sapi'));
+                    return;
+                } else if (!svcs.length) {
+                    next(new errors.InternalError({
+                        message: 'no "binder" service found in SAPI'
+                    }));
+                    return;
+                }
+                ctx.binderSvc = svcs[0];
+                next();
+            });
+        },
+        function getBinderInsts(_, next) {
+            sdcadm.sapi.listInstances({
+                service_uuid: ctx.binderSvc.uuid
+            }, function (err, insts) {
+                if (err) {
+                    next(new errors.SDCClientError(err, 'sapi'));
+                    return;
+                }
+                ctx.binderInsts = insts;
+                next();
+            });
+        },
+        function getBinderVms(_, next) {
+            sdcadm.vmapi.listVms({
+                'tag.smartdc_role': 'binder',
+                state: 'running',
+                sort: 'create_timestamp.asc',
+                owner_uuid: sdcadm.config.ufds_admin_uuid
+            }, function (err, vms) {
+                if (err) {
+                    next(new errors.SDCClientError(err, 'vmapi'));
+                    return;
+                }
+                ctx.binderVms = vms;
+                ctx.binderIps = vms.map(function (vm) {
+                    return (vm.nics[0].ip);
+                });
+                // Back up the ZK data from a member which is up, preferably
+                // a follower, and which is not being removed.
+                var source = ctx.ensemble.members.filter(function (m) {
+                    return (m !== removed && m.mode === 'follower');
+                })[0] || ctx.ensemble.members.filter(function (m) {
+                    return (m !== removed && UP_MODES.indexOf(m.mode) !== -1);
+                })[0];
+                ctx.backupVm = vms.filter(function (vm) {
+                    return (source && vm.uuid === source.instance);
+                })[0];
+                if (!ctx.backupVm) {
+                    next(new errors.InternalError({
+                        message: 'cannot find a running binder instance to ' +
+                            'back up zookeeper data from'
+                    }));
+                    return;
+                }
+                next();
+            });
+        },
+        function getImage(_, next) {
+            if (!opts.server) {
+                next();
+                return;
+            }
+            sdcadm.imgapi.getImage(ctx.backupVm.image_uuid, {},
+                    function (err, img) {
+                if (err) {
+                    next(new errors.SDCClientError(err, 'imgapi'));
+                    return;
+                }
+                ctx.img = img;
+                ctx.alias = 'binder' + shared.getNextInstAliasOrdinal({
+                    instances: ctx.binderInsts,
+                    change: {service: ctx.binderSvc}
+                }).nextId;
+                ctx.zkId = nextZkId({
+                    members: ctx.ensemble.members,
+                    sapiInsts: ctx.binderInsts
+                });
+                next();
+            });
+        },
+        function getCoreZooKeeperConfig(_, next) {
+            steps.zookeeper.getCoreZkConfig(commonOpts,
+                    function (err, zkCtx) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                Object.assign(ctx, zkCtx);
+                next();
+            });
+        },
+        function confirm(_, next) {
+            var changes = [];
+            if (opts.server) {
+                changes.push(format('Add binder instance "%s" (ZK id %d) ' +
+                    'on server %s', ctx.alias, ctx.zkId,
+                    ctx.server.hostname));
+            }
+            if (removed) {
+                changes.push(format('Remove binder instance "%s" (%s) on ' +
+                    'server %s', removed.alias, removed.instance,
+                    removed.hostname));
+            }
+            changes.push(format('Reconfigure the ZK ensemble (%d members, ' +
+                'quorum %d) one binder instance at a time',
+                ctx.check.size, ctx.check.quorum));
+            changes.push('Update core VMs resolvers');
+            console.log('This will make the following changes:\n%s\n',
+                common.indent(changes.join('\n')));
+            common.confirm(opts, 'Would you like to continue?',
+                    function (yes) {
+                if (!yes) {
+                    cb();
+                    return;
+                }
+                next();
+            });
+        },
+        function freezeManatee(_, next) {
+            self.progress('Freezing manatee shard');
+            common.manateeFreeze({
+                vm: ctx.manateeVms[0].uuid,
+                server: ctx.manateeVms[0].server_uuid,
+                reason: 'sdcadm binder ensemble change',
+                log: self.log
+            }, function (err) {
+                frozen = !err;
+                next(err);
+            });
+        },
+        function createZkBackup(_, next) {
+            steps.zookeeper.backupZKData(Object.assign({
+                ctx: ctx,
+                vm: ctx.backupVm,
+                keepRunning: true
+            }, commonOpts), function (err, stamp) {
+                ctx.stamp = stamp;
+                next(err);
+            });
+        },
+        function createBinderInstance(_, next) {
+            if (!opts.server) {
+                next();
+                return;
+            }
+            shared.createInstance({
+                opts: commonOpts,
+                server: ctx.server.uuid,
+                img: ctx.img,
+                alias: ctx.alias,
+                change: {
+                    image: ctx.img,
+                    type: 'add-instance',
+                    service: ctx.binderSvc,
+                    server: ctx.server.uuid
+                },
+                metadata: {
+                    ZK_ID: String(ctx.zkId)
+                }
+            }, next);
+        },
+        function removeBinderInstance(_, next) {
+            if (!removed) {
+                next();
+                return;
+            }
+            self.progress('Removing "%s" (%s) instance in server %s',
+                removed.alias, removed.instance, removed.server);
+            sdcadm.sapi.deleteInstance(removed.instance, function (err) {
+                if (err) {
+                    next(new errors.SDCClientError(err, 'sapi'));
+                    return;
+                }
+                next();
+            });
+        },
+        function hupHermes(_, next) {
+            svcadm.restartHermes(commonOpts, next);
+        },
+        function getBinderInstsAfterChange(_, next) {
+            sdcadm.sapi.listInstances({
+                service_uuid: ctx.binderSvc.uuid
+            }, function (err, insts) {
+                if (err) {
+                    next(new errors.SDCClientError(err, 'sapi'));
+                    return;
+                }
+                ctx.binderInsts = insts;
+                next();
+            });
+        },
+        function getBinderVmsAfterChange(_, next) {
+            sdcadm.vmapi.listVms({
+                'tag.smartdc_role': 'binder',
+                state: 'running',
+                sort: 'create_timestamp.asc',
+                owner_uuid: sdcadm.config.ufds_admin_uuid
+            }, function (err, vms) {
+                if (err) {
+                    next(new errors.SDCClientError(err, 'vmapi'));
+                    return;
+                }
+                ctx.newVm = vms.filter(function (vm) {
+                    return (vm.alias === ctx.alias);
+                })[0];
+                ctx.binderVms = vms.filter(function (vm) {
+                    return (!removed || vm.uuid !== removed.instance);
+                });
+                ctx.binderIps = ctx.binderVms.map(function (vm) {
+                    return (vm.nics[0].ip);
+                });
+                next();
+            });
+        },
+        function replaceZkDataIntoNewInst(_, next) {
+            if (!ctx.newVm) {
+                next();
+                return;
+            }
+            steps.zookeeper.replaceZKData(Object.assign({
+                vm: ctx.newVm,
+                stamp: ctx.stamp
+            }, commonOpts), next);
+        },
+        function reconfigureZkCoreCfg(_, next) {
+            steps.zookeeper.updateCoreZkConfig(Object.assign({
+                ctx: ctx,
+                rolling: true
+            }, commonOpts), function (err) {
+                reconfigured = !err;
+                next(err);
+            });
+        },
+        function clearDataBackupFromBinderVm(_, next) {
+            steps.zookeeper.clearZKBackup({
+                progress: self.progress,
+                vm: ctx.backupVm,
+                stamp: ctx.stamp,
+                log: self.log
+            }, next);
+        },
+        function updateAdminNetworkResolvers(_, next) {
+            steps.binder.updateAdminNetworkResolvers(Object.assign({
+                ctx: ctx
+            }, commonOpts), next);
+        },
+        function updateCoreVmsResolvers(_, next) {
+            steps.binder.updateAllCoreVmsResolvers(Object.assign({
+                ctx: ctx
+            }, commonOpts), next);
+        },
+        function verifyEnsemble(_, next) {
+            self.progress('Verifying the binder ZK ensemble');
+            getEnsemble({sdcadm: sdcadm}, function (err, ensemble) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                var down = ensemble.members.filter(function (m) {
+                    return (UP_MODES.indexOf(m.mode) === -1);
+                });
+                if (!ensemble.hasQuorum || down.length) {
+                    next(new errors.InternalError({
+                        message: format('binder ZK ensemble is not healthy ' +
+                            'after the change: %s', ensemble.members.map(
+                                function (m) {
+                            return format('%s (%s) %s', m.alias || '-', m.ip,
+                                m.mode);
+                        }).join(', '))
+                    }));
+                    return;
+                }
+                self.progress('Binder ZK ensemble has %d members, leader ' +
+                    '%s (%s)', ensemble.members.length,
+                    ensemble.leader.alias, ensemble.leader.ip);
+                next();
+            });
+        }
+    ]}, function (err) {
+        if (err && frozen && !reconfigured) {
+            self.progress('Warning: the manatee shard is still frozen, run ' +
+                '"sdcadm manatee unfreeze" once the error is fixed');
+        }
+        if (err && ctx.stamp) {
+            self.progress('The zookeeper data backup is in %s', ctx.wrkDir);
+        }
+        cb(err);
+    });
+};
+
+
+BinderCLI.prototype.do_status = function do_status(subcmd, opts, args, cb) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (args.length !== 0) {
+        cb(new errors.UsageError('too many args: ' + args));
+        return;
+    }
+
+    getEnsemble({sdcadm: self.sdcadm}, function (err, ensemble) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        if (opts.json) {
+            console.log(JSON.stringify({
+                quorum: ensemble.quorum,
+                hasQuorum: ensemble.hasQuorum,
+                members: ensemble.members
+            }, null, 4));
+            cb();
+            return;
+        }
+        console.log('ZK ensemble of %d members, quorum %d: %s',
+            ensemble.members.length, ensemble.quorum,
+            (ensemble.hasQuorum ? 'OK' : 'NO QUORUM'));
+        tabula(ensemble.members.map(function (m) {
+            return {
+                alias: m.alias || '-',
+                instance: common.shortId(m.instance),
+                hostname: m.hostname || '-',
+                ip: m.ip,
+                zk_id: (m.zk_id === null ? '-' : m.zk_id),
+                mode: m.mode,
+                lag: (m.lag === null ? '-' : m.lag),
+                latency: m.latency || '-'
+            };
+        }), {
+            columns: ['alias', 'instance', 'hostname', 'ip', 'zk_id', 'mode',
+                'lag', 'latency']
+        });
+        var others = ensemble.insts.filter(function (inst) {
+            return !ensemble.members.some(function (m) {
+                return (m.instance === inst.instance);
+            });
+        });
+        if (others.length) {
+            console.log('\nBinder instances not in the ensemble: %s',
+                others.map(function (inst) {
+                    return inst.alias;
+                }).join(', '));
+        }
+        cb();
+    });
+};
+
+BinderCLI.prototype.do_status.help = (
+    'Show the binder zookeeper (ZK) ensemble status.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} status [<options>]\n' +
+    '\n' +
+    '{{options}}' +
+    '\n' +
+    'Lists the ensemble members (the "ZK_SERVERS" of the sdc application)\n' +
+    'with their ZK id, mode ("leader", "follower", "standalone" or "down")\n' +
+    'and, for followers, how many transactions they are behind the leader\n' +
+    '(lag), and whether enough of them are up for a quorum.\n'
+);
+
+BinderCLI.prototype.do_status.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['json', 'j'],
+        type: 'bool',
+        help: 'JSON output'
+    }
+];
+
+
+BinderCLI.prototype.do_add = function do_add(subcmd, opts, args, cb) {
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (args.length !== 1) {
+        cb(new errors.UsageError('incorrect number of args: ' +
+            'the server to add a binder instance on is required'));
+        return;
+    }
+
+    this._changeEnsemble({
+        server: args[0],
+        remove: opts.replace,
+        yes: opts.yes
+    }, cb);
+};
+
+BinderCLI.prototype.do_add.help = (
+    'Add a binder instance to the zookeeper (ZK) ensemble.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} add [<options>] SERVER\n' +
+    '\n' +
+    '{{options}}' +
+    '\n' +
+    'Creates a binder instance on SERVER (a setup server UUID or hostname),\n' +
+    'seeds it with a backup of the ZK data of a running member, and\n' +
+    'reconfigures the ensemble and the core services using it. With\n' +
+    '"--replace MEMBER", MEMBER (instance UUID, short UUID, alias or IP) is\n' +
+    'removed from the ensemble at the same time: use it to move a member\n' +
+    'to another server or to replace a dead one.\n' +
+    '\n' +
+    'The change is refused if the new ensemble would not have a quorum.\n' +
+    'The manatee shard is frozen during the change.\n'
+);
+
+BinderCLI.prototype.do_add.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['replace', 'r'],
+        type: 'string',
+        help: 'The ensemble member the new instance replaces.',
+        helpArg: 'MEMBER'
+    },
+    {
+        names: ['yes', 'y'],
+        type: 'bool',
+        help: 'Answer yes to all confirmations.'
+    }
+];
+
+BinderCLI.prototype.do_add.logToFile = true;
+
+
+BinderCLI.prototype.do_remove = function do_remove(subcmd, opts, args, cb) {
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (args.length !== 1) {
+        cb(new errors.UsageError('incorrect number of args: ' +
+            'the ensemble member to remove is required'));
+        return;
+    }
+
+    this._changeEnsemble({
+        remove: args[0],
+        yes: opts.yes
+    }, cb);
+};
+
+BinderCLI.prototype.do_remove.help = (
+    'Remove a binder instance from the zookeeper (ZK) ensemble.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} remove [<options>] MEMBER\n' +
+    '\n' +
+    '{{options}}' +
+    '\n' +
+    'MEMBER is the instance UUID, short UUID, alias or IP of an ensemble\n' +
+    'member. Its binder instance is deleted, and the ensemble and the core\n' +
+    'services using it are reconfigured.\n' +
+    '\n' +
+    'The change is refused if the remaining ensemble would not have a\n' +
+    'quorum. The manatee shard is frozen during the change.\n'
+);
+
+BinderCLI.prototype.do_remove.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['yes', 'y'],
+        type: 'bool',
+        help: 'Answer yes to all confirmations.'
+    }
+];
+
+BinderCLI.prototype.do_remove.logToFile = true;
+
+
+// --- exports
+
+module.exports = {
+    ensembleMembers: ensembleMembers,
+    findMember: findMember,
+    checkEnsembleChange: checkEnsembleChange,
+    nextZkId: nextZkId,
+    getEnsemble: getEnsemble,
+    BinderCLI: BinderCLI
+};
@@ -0,0 +1,858 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Air-gapped update bundles, as created by `sdcadm export-bundle` and loaded
+ * by `sdcadm import-bundle`.
+ *
+ * A bundle is a (uncompressed, the image files already are) tarball of:
+ *
+ *      manifest.json               The bundle manifest, see below.
+ *      spec.json                   A DC spec (see lib/spec.js) for the
+ *                                  bundled service and agent images.
+ *      images/<uuid>.imgmanifest   The manifest of each bundled image.
+ *      images/<uuid>.file          The file of each core service or agent
+ *                                  image (and of their origin images).
+ *      <name>-<version>.<ext>      The file of each bundled platform,
+ *                                  agentsshar or gz-tools image.
+ *
+ * The bundle manifest is:
+ *
+ *      {
+ *          "v": 1,
+ *          "uuid": "<bundle uuid>",
+ *          "created": "<ISO date>",
+ *          "channel": "<updates channel, if any>",
+ *          "images": [
+ *              {
+ *                  "kind": "image|platform|agentsshar|gz-tools",
+ *                  "uuid": "<image uuid>",
+ *                  "name": "<image name>",
+ *                  "version": "<image version>",
+ *                  "manifest": "images/<uuid>.imgmanifest",
+ *                  "file": "<path of the image file>"
+ *              },
+ *              ...
+ *          ],
+ *          "checksums": {
+ *              "<path>": "<sha256 hex digest>",
+ *              ...
+ *          }
+ *      }
+ *
+ * where "images" has origin images before the images built on them, and
+ * "checksums" covers every other file in the bundle.
+ *
+ * Importing loads the "image" kind into the local IMGAPI and leaves the rest
+ * (and the spec) in "/usbkey/bundles/<bundle uuid>", from where they can be
+ * given to `sdcadm platform install`, `sdcadm experimental update-gz-tools`,
+ * `sdcadm experimental update-agents` and `sdcadm update -f`.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+
+var assert = require('assert-plus');
+var mkdirp = require('mkdirp');
+var vasync = require('vasync');
+
+var common = require('./common');
+var errors = require('./errors');
+var updateSources = require('./update-sources');
+
+
+// --- globals
+
+var BUNDLE_FORMAT_VER = 1;
+var BUNDLES_DIR = '/usbkey/bundles';
+var KINDS = ['image', 'platform', 'agentsshar', 'gz-tools'];
+var FILE_EXT_FROM_KIND = {
+    platform: '.tgz',
+    agentsshar: '.sh',
+    'gz-tools': '.tgz'
+};
+
+
+// --- internal support functions
+
+/*
+ * Latest (by `published_at`) of the given images, or null if none.
+ */
+function latestImage(imgs) {
+    if (!imgs || imgs.length === 0) {
+        return null;
+    }
+    imgs = imgs.slice();
+    common.sortArrayOfObjects(imgs, ['published_at']);
+    return imgs[imgs.length - 1];
+}
+
+
+function rmDir(dir, log, cb) {
+    common.execFilePlus({argv: ['rm', '-rf', dir], log: log}, cb);
+}
+
+
+function writeJsonFile(filePath, obj, cb) {
+    fs.writeFile(filePath, JSON.stringify(obj, null, 4) + '\n', 'utf8', cb);
+}
+
+
+// --- exported functions
+
+/**
+ * Get the bundle manifest entry for an image.
+ *
+ * @param kind {String} One of "image", "platform", "agentsshar" or
+ *      "gz-tools".
+ * @param img {Object} The image manifest.
+ * @returns {Object} The entry.
+ */
+function entryFromImage(kind, img) {
+    assert.ok(KINDS.indexOf(kind) !== -1, 'unknown kind: ' + kind);
+    assert.object(img, 'img');
+    assert.uuid(img.uuid, 'img.uuid');
+
+    return {
+        kind: kind,
+        uuid: img.uuid,
+        name: img.name,
+        version: img.version,
+        manifest: 'images/' + img.uuid + '.imgmanifest',
+        file: (kind === 'image' ?
+            'images/' + img.uuid + '.file' :
+            img.name + '-' + img.version + FILE_EXT_FROM_KIND[kind])
+    };
+}
+
+
+/**
+ * Validate a bundle manifest.
+ *
+ * @param manifest {Object}
+ * @returns {Error} A `ValidationError` (or `MultiError` of them), or null if
+ *      the manifest is valid.
+ */
+function validateManifest(manifest) {
+    var errs = [];
+
+    if (typeof (manifest) !== 'object' || manifest === null ||
+            Array.isArray(manifest)) {
+        return new errors.ValidationError('bundle manifest is not an object');
+    }
+    if (manifest.v !== BUNDLE_FORMAT_VER) {
+        return new errors.ValidationError(util.format(
+            'unsupported bundle format version: %j (expected %d)',
+            manifest.v, BUNDLE_FORMAT_VER));
+    }
+    if (typeof (manifest.uuid) !== 'string' ||
+            !common.UUID_RE.test(manifest.uuid)) {
+        errs.push(new errors.ValidationError(util.format(
+            'bundle "uuid" is not a UUID: %j', manifest.uuid)));
+    }
+    if (!Array.isArray(manifest.images)) {
+        errs.push(new errors.ValidationError(
+            'bundle "images" is not an array'));
+    }
+    if (typeof (manifest.checksums) !== 'object' ||
+            manifest.checksums === null) {
+        errs.push(new errors.ValidationError(
+            'bundle "checksums" is not an object'));
+    }
+    if (errs.length) {
+        return (errs.length === 1 ? errs[0] : new errors.MultiError(errs));
+    }
+
+    manifest.images.forEach(function (entry, i) {
+        var repr = util.format('bundle image %d', i);
+        if (typeof (entry) !== 'object' || entry === null) {
+            errs.push(new errors.ValidationError(repr + ' is not an object'));
+            return;
+        }
+        if (KINDS.indexOf(entry.kind) === -1) {
+            errs.push(new errors.ValidationError(util.format(
+                '%s has an unknown kind: %j', repr, entry.kind)));
+        }
+        if (typeof (entry.uuid) !== 'string' ||
+                !common.UUID_RE.test(entry.uuid)) {
+            errs.push(new errors.ValidationError(util.format(
+                '%s "uuid" is not a UUID: %j', repr, entry.uuid)));
+        }
+        ['manifest', 'file'].forEach(function (field) {
+            var p = entry[field];
+            if (typeof (p) !== 'string' || !p ||
+                    path.isAbsolute(p) || p.split('/').indexOf('..') !== -1) {
+                errs.push(new errors.ValidationError(util.format(
+                    '%s "%s" is not a relative path: %j', repr, field, p)));
+            } else if (!manifest.checksums.hasOwnProperty(p)) {
+                errs.push(new errors.ValidationError(util.format(
+                    '%s "%s" has no checksum: %s', repr, field, p)));
+            }
+        });
+    });
+
+    if (errs.length === 1) {
+        return errs[0];
+    } else if (errs.length > 1) {
+        return new errors.MultiError(errs);
+    }
+    return null;
+}
+
+
+/**
+ * Compute the SHA-256 checksums of the given files of a bundle directory.
+ *
+ * @param dir {String} The bundle directory.
+ * @param relPaths {Array} Paths, relative to `dir`.
+ * @param cb {Function} `function (err, checksums)` where `checksums` maps
+ *      each path to its hex digest.
+ */
+function computeChecksums(dir, relPaths, cb) {
+    assert.string(dir, 'dir');
+    assert.arrayOfString(relPaths, 'relPaths');
+    assert.func(cb, 'cb');
+
+    var checksums = {};
+    vasync.forEachPipeline({
+        inputs: relPaths,
+        func: function checksumFile(relPath, next) {
+            var filePath = path.join(dir, relPath);
+            updateSources.hashFile(filePath, function (err, hashes) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                checksums[relPath] = hashes.sha256;
+                next();
+            });
+        }
+    }, function (err) {
+        cb(err, checksums);
+    });
+}
+
+
+/**
+ * Verify the files of an extracted bundle against its manifest checksums.
+ *
+ * @param dir {String} The extracted bundle directory.
+ * @param manifest {Object} The (validated) bundle manifest.
+ * @param cb {Function} `function (err)` where `err` is a `ValidationError`
+ *      (or `MultiError` of them) for missing or corrupt files.
+ */
+function verifyChecksums(dir, manifest, cb) {
+    assert.string(dir, 'dir');
+    assert.object(manifest, 'manifest');
+    assert.func(cb, 'cb');
+
+    var errs = [];
+    var relPaths = Object.keys(manifest.checksums).sort();
+    vasync.forEachPipeline({
+        inputs: relPaths,
+        func: function verifyFile(relPath, next) {
+            var filePath = path.join(dir, relPath);
+            updateSources.hashFile(filePath, function (err, hashes) {
+                if (err) {
+                    errs.push(new errors.ValidationError(err,
+                        'bundle file is missing or unreadable: ' + relPath));
+                } else if (hashes.sha256 !== manifest.checksums[relPath]) {
+                    errs.push(new errors.ValidationError(util.format(
+                        'checksum mismatch for bundle file %s: expected %s, ' +
+                        'got %s', relPath, manifest.checksums[relPath],
+                        hashes.sha256)));
+                }
+                next();
+            });
+        }
+    }, function () {
+        if (errs.length === 1) {
+            cb(errs[0]);
+        } else if (errs.length > 1) {
+            cb(new errors.MultiError(errs));
+        } else {
+            cb();
+        }
+    });
+}
+
+
+/**
+ * Resolve the images to bundle: the given service and agent images (with
+ * their origin images), platforms, agentsshar and gz-tools.
+ *
+ * @param opts {Object}
+ *      - updates {Object} Required. The updates server IMGAPI client.
+ *      - spec {Object} Required. The (validated) DC spec for which to bundle
+ *        service and agent images and platforms.
+ *      - platform {String} Optional. An additional platform version, or
+ *        "latest".
+ *      - agentsshar {String} Optional. An agentsshar image UUID, or "latest".
+ *      - gzTools {String} Optional. A gz-tools image UUID, or "latest".
+ * @param cb {Function} `function (err, entries)` where `entries` are bundle
+ *      manifest entries each with an additional `image` field holding the
+ *      image manifest.
+ */
+function resolveImages(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.updates, 'opts.updates');
+    assert.object(opts.spec, 'opts.spec');
+    assert.optionalString(opts.platform, 'opts.platform');
+    assert.optionalString(opts.agentsshar, 'opts.agentsshar');
+    assert.optionalString(opts.gzTools, 'opts.gzTools');
+    assert.func(cb, 'cb');
+
+    var updates = opts.updates;
+    var entries = [];
+    var seen = {};
+
+    function addEntry(kind, img) {
+        if (!seen[img.uuid]) {
+            seen[img.uuid] = true;
+            var entry = entryFromImage(kind, img);
+            entry.image = img;
+            entries.push(entry);
+        }
+    }
+
+    function getImage(uuid, next) {
+        updates.getImage(uuid, function (err, img) {
+            if (err) {
+                next(new errors.SDCClientError(err, 'updates'));
+                return;
+            }
+            next(null, img);
+        });
+    }
+
+    function findLatest(filter, what, next) {
+        updates.listImages(filter, function (err, imgs) {
+            if (err) {
+                next(new errors.SDCClientError(err, 'updates'));
+                return;
+            }
+            var img = latestImage(imgs);
+            if (!img) {
+                next(new errors.UpdateError('no ' + what +
+                    ' image found in the updates server'));
+                return;
+            }
+            next(null, img);
+        });
+    }
+
+    /*
+     * Bundle an image after its origin chain, so an import can load them
+     * in order.
+     */
+    function addImageWithOrigins(uuid, next) {
+        var chain = [];
+        function getNext(imgUuid) {
+            if (seen[imgUuid]) {
+                finish();
+                return;
+            }
+            getImage(imgUuid, function (err, img) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                chain.unshift(img);
+                if (img.origin) {
+                    getNext(img.origin);
+                } else {
+                    finish();
+                }
+            });
+        }
+        function finish() {
+            chain.forEach(function (img) {
+                addEntry('image', img);
+            });
+            next();
+        }
+        getNext(uuid);
+    }
+
+    function addOther(kind, uuidOrLatest, next) {
+        if (!uuidOrLatest) {
+            next();
+            return;
+        }
+        function onImg(err, img) {
+            if (err) {
+                next(err);
+                return;
+            }
+            addEntry(kind, img);
+            next();
+        }
+        if (uuidOrLatest === 'latest') {
+            findLatest({name: kind}, kind, onImg);
+        } else {
+            getImage(uuidOrLatest, onImg);
+        }
+    }
+
+    var spec = opts.spec;
+    var imgUuids = [];
+    ['services', 'agents'].forEach(function (section) {
+        Object.keys(spec[section] || {}).sort().forEach(function (name) {
+            if (imgUuids.indexOf(spec[section][name]) === -1) {
+                imgUuids.push(spec[section][name]);
+            }
+        });
+    });
+
+    var platforms = [];
+    Object.keys(spec.platforms || {}).forEach(function (id) {
+        if (platforms.indexOf(spec.platforms[id]) === -1) {
+            platforms.push(spec.platforms[id]);
+        }
+    });
+    platforms.sort();
+    if (opts.platform && platforms.indexOf(opts.platform) === -1) {
+        platforms.push(opts.platform);
+    }
+
+    vasync.pipeline({funcs: [
+        function addServiceImages(_, next) {
+            vasync.forEachPipeline({
+                inputs: imgUuids,
+                func: addImageWithOrigins
+            }, next);
+        },
+        function addPlatforms(_, next) {
+            vasync.forEachPipeline({
+                inputs: platforms,
+                func: function addPlatform(version, nextPlatform) {
+                    var filter = {name: 'platform'};
+                    if (version !== 'latest') {
+                        filter.version = '~-' + version;
+                    }
+                    findLatest(filter, 'platform ' + version,
+                        function (err, img) {
+                            if (err) {
+                                nextPlatform(err);
+                                return;
+                            }
+                            addEntry('platform', img);
+                            nextPlatform();
+                        });
+                }
+            }, next);
+        },
+        function addAgentsshar(_, next) {
+            addOther('agentsshar', opts.agentsshar, next);
+        },
+        function addGzTools(_, next) {
+            addOther('gz-tools', opts.gzTools, next);
+        }
+    ]}, function (err) {
+        cb(err, entries);
+    });
+}
+
+
+/**
+ * Generate a DC spec with the latest image, in the updates server, for each
+ * of the given services and agents.
+ *
+ * @param opts {Object}
+ *      - updates {Object} Required. The updates server IMGAPI client.
+ *      - svcs {Array} Required. Services, as from `SdcAdm.getServices`.
+ *      - imgNameFromSvcName {Object} Required. As from the sdcadm config.
+ * @param cb {Function} `function (err, spec)`
+ */
+function latestSpec(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.updates, 'opts.updates');
+    assert.arrayOfObject(opts.svcs, 'opts.svcs');
+    assert.object(opts.imgNameFromSvcName, 'opts.imgNameFromSvcName');
+    assert.func(cb, 'cb');
+
+    var spec = {v: 1, services: {}, agents: {}};
+    var svcs = opts.svcs.filter(function (svc) {
+        return ((svc.type === 'vm' || svc.type === 'agent') &&
+            opts.imgNameFromSvcName[svc.name]);
+    });
+    common.sortArrayOfObjects(svcs, ['name']);
+
+    vasync.forEachPipeline({
+        inputs: svcs,
+        func: function latestForSvc(svc, next) {
+            var name = opts.imgNameFromSvcName[svc.name];
+            opts.updates.listImages({name: name}, function (err, imgs) {
+                if (err) {
+                    next(new errors.SDCClientError(err, 'updates'));
+                    return;
+                }
+                var img = latestImage(imgs.filter(function (i) {
+                    return (i.name === name);
+                }));
+                if (img) {
+                    spec[svc.type === 'vm' ? 'services' : 'agents'][svc.name] =
+                        img.uuid;
+                }
+                next();
+            });
+        }
+    }, function (err) {
+        cb(err, spec);
+    });
+}
+
+
+/**
+ * Download the resolved images into a bundle tarball.
+ *
+ * @param opts {Object}
+ *      - sdcadm {Object} Required.
+ *      - uuid {String} Required. The bundle UUID.
+ *      - spec {Object} Required. The DC spec to include in the bundle.
+ *      - entries {Array} Required. As from `resolveImages`.
+ *      - file {String} Required. The bundle tarball path to write.
+ *      - progress {Function} Required.
+ * @param cb {Function} `function (err, manifest)`
+ */
+function exportBundle(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.sdcadm, 'opts.sdcadm');
+    assert.uuid(opts.uuid, 'opts.uuid');
+    assert.object(opts.spec, 'opts.spec');
+    assert.arrayOfObject(opts.entries, 'opts.entries');
+    assert.string(opts.file, 'opts.file');
+    assert.func(opts.progress, 'opts.progress');
+    assert.func(cb, 'cb');
+
+    var sdcadm = opts.sdcadm;
+    var log = sdcadm.log;
+    var workDir = path.join(path.dirname(path.resolve(opts.file)),
+        '.sdcadm-bundle-' + opts.uuid);
+    var relPaths = [];
+    var manifest;
+
+    vasync.pipeline({funcs: [
+        function mkWorkDir(_, next) {
+            mkdirp(path.join(workDir, 'images'), next);
+        },
+        function writeSpec(_, next) {
+            relPaths.push('spec.json');
+            writeJsonFile(path.join(workDir, 'spec.json'), opts.spec, next);
+        },
+        function downloadImages(_, next) {
+            vasync.forEachPipeline({
+                inputs: opts.entries,
+                func: function downloadImage(entry, nextEntry) {
+                    var img = entry.image;
+                    var filePath = path.join(workDir, entry.file);
+                    opts.progress('Downloading %s %s (%s@%s)',
+                        entry.kind, entry.uuid, entry.name, entry.version);
+                    relPaths.push(entry.manifest, entry.file);
+                    vasync.pipeline({funcs: [
+                        function writeImgManifest(__, nextStep) {
+                            writeJsonFile(path.join(workDir, entry.manifest),
+                                img, nextStep);
+                        },
+                        function getFile(__, nextStep) {
+                            // This checks the file against `img`.
+                            sdcadm.updates.getImageFile(entry.uuid, filePath,
+                                errors.sdcClientErrWrap(nextStep, 'updates'));
+                        }
+                    ]}, nextEntry);
+                }
+            }, next);
+        },
+        function writeManifest(_, next) {
+            computeChecksums(workDir, relPaths, function (err, checksums) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                manifest = {
+                    v: BUNDLE_FORMAT_VER,
+                    uuid: opts.uuid,
+                    created: new Date().toISOString(),
+                    channel: sdcadm.updates.channel,
+                    images: opts.entries.map(function (entry) {
+                        var e = common.objCopy(entry);
+                        delete e.image;
+                        return e;
+                    }),
+                    checksums: checksums
+                };
+                writeJsonFile(path.join(workDir, 'manifest.json'), manifest,
+                    next);
+            });
+        },
+        function createTarball(_, next) {
+            opts.progress('Writing bundle %s', opts.file);
+            common.execFilePlus({
+                argv: ['/usr/bin/tar', '-cf', path.resolve(opts.file),
+                    '-C', workDir, 'manifest.json'].concat(relPaths),
+                log: log
+            }, next);
+        }
+    ]}, function (err) {
+        rmDir(workDir, log, function (rmErr) {
+            if (rmErr) {
+                log.warn({err: rmErr, dir: workDir},
+                    'could not remove bundle work dir');
+            }
+            cb(err, manifest);
+        });
+    });
+}
+
+
+/*
+ * Load a bundled core service or agent image into the local IMGAPI, unless
+ * it is already there. Calls back with whether it was imported.
+ */
+function importImage(opts, cb) {
+    var imgapi = opts.sdcadm.imgapi;
+    var dir = opts.dir;
+    var entry = opts.entry;
+    var img;
+    var localImg;
+
+    vasync.pipeline({funcs: [
+        function readImgManifest(_, next) {
+            fs.readFile(path.join(dir, entry.manifest), 'utf8',
+                function (err, data) {
+                    if (err) {
+                        next(err);
+                        return;
+                    }
+                    try {
+                        img = JSON.parse(data);
+                    } catch (parseErr) {
+                        next(new errors.ValidationError(parseErr,
+                            'invalid image manifest: ' + entry.manifest));
+                        return;
+                    }
+                    next();
+                });
+        },
+        function getLocalImage(_, next) {
+            imgapi.getImage(entry.uuid, function (err, local) {
+                if (err && err.body && err.body.code === 'ResourceNotFound') {
+                    next();
+                } else if (err) {
+                    next(new errors.SDCClientError(err, 'imgapi'));
+                } else {
+                    localImg = local;
+                    next();
+                }
+            });
+        },
+        function deleteUnactivated(_, next) {
+            if (!localImg || localImg.state !== 'unactivated') {
+                next();
+                return;
+            }
+            // Possibly stale, re-import it.
+            imgapi.deleteImage(entry.uuid,
+                errors.sdcClientErrWrap(next, 'imgapi'));
+        },
+        function importIt(_, next) {
+            if (localImg && localImg.state !== 'unactivated') {
+                next();
+                return;
+            }
+            updateSources.importImageFile({
+                imgapi: imgapi,
+                img: img,
+                file: path.join(dir, entry.file)
+            }, next);
+        }
+    ]}, function (err) {
+        cb(err, !err && !(localImg && localImg.state !== 'unactivated'));
+    });
+}
+
+
+/**
+ * Import a bundle tarball: verify it, load its core service and agent
+ * images into the local IMGAPI and keep the rest in
+ * "/usbkey/bundles/<bundle uuid>".
+ *
+ * @param opts {Object}
+ *      - sdcadm {Object} Required.
+ *      - uuid {String} Required. The run UUID, to name the work dir.
+ *      - file {String} Required. The bundle tarball path.
+ *      - progress {Function} Required.
+ * @param cb {Function} `function (err, res)` where `res` is
+ *      `{dir: <bundle dir>, manifest: <bundle manifest>,
+ *      imported: <number of images imported into IMGAPI>}`.
+ */
+function importBundle(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.sdcadm, 'opts.sdcadm');
+    assert.uuid(opts.uuid, 'opts.uuid');
+    assert.string(opts.file, 'opts.file');
+    assert.func(opts.progress, 'opts.progress');
+    assert.func(cb, 'cb');
+
+    var log = opts.sdcadm.log;
+    var workDir = path.join(BUNDLES_DIR, '.import-' + opts.uuid);
+    var bundleDir;
+    var manifest;
+    var imported = 0;
+
+    vasync.pipeline({funcs: [
+        function mkWorkDir(_, next) {
+            mkdirp(workDir, next);
+        },
+        function extract(_, next) {
+            opts.progress('Extracting bundle %s', opts.file);
+            common.execFilePlus({
+                argv: ['/usr/bin/tar', '-xf', path.resolve(opts.file),
+                    '-C', workDir],
+                log: log
+            }, next);
+        },
+        function readManifest(_, next) {
+            fs.readFile(path.join(workDir, 'manifest.json'), 'utf8',
+                function (err, data) {
+                    if (err) {
+                        next(new errors.UsageError(err, opts.file +
+                            ' is not an sdcadm bundle (no manifest.json)'));
+                        return;
+                    }
+                    try {
+                        manifest = JSON.parse(data);
+                    } catch (parseErr) {
+                        next(new errors.UsageError(parseErr,
+                            'invalid bundle manifest.json'));
+                        return;
+                    }
+                    var manifestErr = validateManifest(manifest);
+                    if (manifestErr) {
+                        next(new errors.UsageError(manifestErr,
+                            'invalid bundle manifest.json'));
+                        return;
+                    }
+                    bundleDir = path.join(BUNDLES_DIR, manifest.uuid);
+                    next();
+                });
+        },
+        function verify(_, next) {
+            opts.progress('Verifying checksums of %d bundle files',
+                Object.keys(manifest.checksums).length);
+            verifyChecksums(workDir, manifest, next);
+        },
+        function importImages(_, next) {
+            vasync.forEachPipeline({
+                inputs: manifest.images.filter(function (entry) {
+                    return (entry.kind === 'image');
+                }),
+                func: function importEntry(entry, nextEntry) {
+                    importImage({
+                        sdcadm: opts.sdcadm,
+                        dir: workDir,
+                        entry: entry
+                    }, function (err, wasImported) {
+                        if (err) {
+                            nextEntry(err);
+                            return;
+                        }
+                        if (wasImported) {
+                            imported++;
+                            opts.progress('Imported image %s (%s@%s)',
+                                entry.uuid, entry.name, entry.version);
+                        } else {
+                            opts.progress('Image %s (%s@%s) already ' +
+                                'imported', entry.uuid, entry.name,
+                                entry.version);
+                        }
+                        // IMGAPI has its own copy now.
+                        fs.unlink(path.join(workDir, entry.file),
+                            function (unlinkErr) {
+                                nextEntry(unlinkErr);
+                            });
+                    });
+                }
+            }, next);
+        },
+        function removeOldBundleDir(_, next) {
+            rmDir(bundleDir, log, next);
+        },
+        function moveToBundleDir(_, next) {
+            fs.rename(workDir, bundleDir, next);
+        }
+    ]}, function (err) {
+        if (err) {
+            rmDir(workDir, log, function (rmErr) {
+                if (rmErr) {
+                    log.warn({err: rmErr, dir: workDir},
+                        'could not remove bundle import dir');
+                }
+                cb(err);
+            });
+            return;
+        }
+        cb(null, {dir: bundleDir, manifest: manifest, imported: imported});
+    });
+}
+
+
+/**
+ * Get the commands with which to use an imported bundle.
+ *
+ * @param dir {String} The imported bundle directory.
+ * @param manifest {Object} The bundle manifest.
+ * @returns {Array} Command lines.
+ */
+function nextSteps(dir, manifest) {
+    assert.string(dir, 'dir');
+    assert.object(manifest, 'manifest');
+
+    var cmds = [];
+    manifest.images.forEach(function (entry) {
+        var filePath = path.join(dir, entry.file);
+        switch (entry.kind) {
+        case 'platform':
+            cmds.push('sdcadm platform install ' + filePath);
+            break;
+        case 'gz-tools':
+            cmds.push('sdcadm experimental update-gz-tools ' + filePath);
+            break;
+        case 'agentsshar':
+            cmds.push('sdcadm experimental update-agents ' + filePath);
+            break;
+        default:
+            break;
+        }
+    });
+    if (manifest.images.some(function (entry) {
+        return (entry.kind === 'image');
+    })) {
+        cmds.push('sdcadm update -f ' + path.join(dir, 'spec.json'));
+    }
+    return cmds;
+}
+
+
+// --- exports
+
+module.exports = {
+    BUNDLES_DIR: BUNDLES_DIR,
+    entryFromImage: entryFromImage,
+    validateManifest: validateManifest,
+    computeChecksums: computeChecksums,
+    verifyChecksums: verifyChecksums,
+    resolveImages: resolveImages,
+    latestSpec: latestSpec,
+    exportBundle: exportBundle,
+    importBundle: importBundle,
+    nextSteps: nextSteps
+};
@@ -0,0 +1,211 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Image changelogs: the commits and tickets which an update image brings,
+ * as shown by `sdcadm avail --changes`.
+ *
+ * The changelog of an image is taken from:
+ * - the "changelog" tag of the image manifest, a string or an array of
+ *   strings; and
+ * - a changelog file attached to the image. Only "dir" update sources
+ *   support these: "images/<uuid>.changelog", next to the image file.
+ *
+ * Both have one change per line, optionally starting with the commit, e.g.:
+ *
+ *      4f0c2a1 TRITON-1234 cnapi should not crash on empty sysinfo
+ *      TRITON-1240 Update node to v6.17.1
+ *
+ * Blank lines and lines starting with "#" are ignored. Tickets (e.g.
+ * "TRITON-1234") are picked from the summary.
+ *
+ * An image changelog can list all the changes in the image's history or only
+ * the ones since the previous image: the changes between a deployed image
+ * and a candidate one are those in the changelogs of all the images published
+ * after the deployed one up to the candidate, less those already in the
+ * changelog of the deployed image.
+ */
+
+var assert = require('assert-plus');
+
+
+// --- globals
+
+var COMMIT_RE = /^([0-9a-f]{7,40})\s+(.*)$/;
+var TICKET_RE = /\b[A-Z][A-Z0-9]*-[0-9]+\b/g;
+
+
+// --- internal support functions
+
+function entryKey(entry) {
+    return (entry.commit || entry.summary);
+}
+
+
+// --- exported functions
+
+/**
+ * Parse changelog text into change entries.
+ *
+ * @param text {String}
+ * @returns {Array} of `{commit: <String or null>, tickets: <Array>,
+ *      summary: <String>}`.
+ */
+function parseChangelog(text) {
+    assert.string(text, 'text');
+
+    var entries = [];
+    text.split(/\r?\n/).forEach(function (line) {
+        line = line.trim();
+        if (!line || line[0] === '#') {
+            return;
+        }
+        var commit = null;
+        var match = COMMIT_RE.exec(line);
+        if (match) {
+            commit = match[1];
+            line = match[2];
+        }
+        entries.push({
+            commit: commit,
+            tickets: line.match(TICKET_RE) || [],
+            summary: line
+        });
+    });
+    return entries;
+}
+
+
+/**
+ * Get the change entries of an image, from its "changelog" tag and, if
+ * given, its changelog file.
+ *
+ * @param img {Object} The image manifest.
+ * @param fileText {String} Optional. The changelog file attached to the
+ *      image, if any.
+ * @returns {Array} Change entries (see `parseChangelog`), or null if the
+ *      image has no changelog at all.
+ */
+function changelogFromImage(img, fileText) {
+    assert.object(img, 'img');
+    assert.optionalString(fileText, 'fileText');
+
+    var texts = [];
+    var tag = img.tags && img.tags.changelog;
+    if (Array.isArray(tag)) {
+        texts = texts.concat(tag.map(String));
+    } else if (tag !== undefined && tag !== null) {
+        texts.push(String(tag));
+    }
+    if (fileText !== undefined && fileText !== null) {
+        texts.push(fileText);
+    }
+    if (texts.length === 0) {
+        return null;
+    }
+
+    var seen = {};
+    var entries = [];
+    texts.forEach(function (text) {
+        parseChangelog(text).forEach(function (entry) {
+            var key = entryKey(entry);
+            if (!seen[key]) {
+                seen[key] = true;
+                entries.push(entry);
+            }
+        });
+    });
+    return entries;
+}
+
+
+/**
+ * Get the changes from one image to another of the same name.
+ *
+ * @param opts {Object}
+ *      - from {Object} Optional. The deployed image. If not given, the
+ *        changes are those of the `to` image alone.
+ *      - to {Object} Required. The candidate image.
+ *      - images {Array} Required. Images with that name, including those
+ *        published in between `from` and `to`.
+ *      - changelogFromUuid {Object} Required. The change entries of each
+ *        image (see `changelogFromImage`) by UUID.
+ * @returns {Array} Change entries, most recent image first, or null if
+ *      none of the images involved has a changelog.
+ */
+function changesBetween(opts) {
+    assert.object(opts, 'opts');
+    assert.optionalObject(opts.from, 'opts.from');
+    assert.object(opts.to, 'opts.to');
+    assert.arrayOfObject(opts.images, 'opts.images');
+    assert.object(opts.changelogFromUuid, 'opts.changelogFromUuid');
+
+    var from = opts.from;
+    var to = opts.to;
+    var between;
+    if (from) {
+        between = opts.images.filter(function (img) {
+            return (img.published_at > from.published_at &&
+                img.published_at <= to.published_at);
+        });
+    } else {
+        between = [to];
+    }
+    between.sort(function (a, b) {
+        return (a.published_at < b.published_at ? 1 :
+            (a.published_at > b.published_at ? -1 : 0));
+    });
+
+    var logs = between.map(function (img) {
+        return (opts.changelogFromUuid[img.uuid]);
+    }).filter(function (log) {
+        return Boolean(log);
+    });
+    if (logs.length === 0) {
+        return null;
+    }
+
+    var seen = {};
+    (from && opts.changelogFromUuid[from.uuid] || []).forEach(
+        function (entry) {
+            seen[entryKey(entry)] = true;
+        });
+    var changes = [];
+    logs.forEach(function (log) {
+        log.forEach(function (entry) {
+            var key = entryKey(entry);
+            if (!seen[key]) {
+                seen[key] = true;
+                changes.push(entry);
+            }
+        });
+    });
+    return changes;
+}
+
+
+/**
+ * Format a change entry as a line of text.
+ */
+function formatChange(entry) {
+    assert.object(entry, 'entry');
+    return (entry.commit ? entry.commit.slice(0, 7) + ' ' : '') +
+        entry.summary;
+}
+
+
+// --- exports
+
+module.exports = {
+    parseChangelog: parseChangelog,
+    changelogFromImage: changelogFromImage,
+    changesBetween: changesBetween,
+    formatChange: formatChange
+};
@@ -13,18 +13,102 @@
  *
  * sdcadm commands for operations with update channels: provide a list
  * of available update channels, set/update the preferred channel instead
- * of fall back into remote updates server default.
+ * of fall back into remote updates server default, pin services to other
+ * channels and compare channels.
+ *
+ * Channel pins are saved as the "update_channel_pins" metadata key of the
+ * SAPI "sdc" application, mapping service names (or "agentsshar", for
+ * `sdcadm update-agents`) to channels, e.g.:
+ *
+ *      "update_channel_pins": {"cloudapi": "experimental"}
+ *
+ * See `SdcAdm.channelForService`.
  */
 
 var util = require('util');
 var tabula = require('tabula');
 
+var assert = require('assert-plus');
 var cmdln = require('cmdln');
 var Cmdln = cmdln.Cmdln;
 var vasync = require('vasync');
 
+var common = require('./common');
 var errors = require('./errors');
 
+
+// --- globals
+
+var format = util.format;
+
+// Pinnable names which are not services.
+var EXTRA_PIN_NAMES = ['agentsshar'];
+
+// Image names compared by `sdcadm channel diff` besides service images.
+var EXTRA_DIFF_IMG_NAMES = ['agentsshar', 'gz-tools', 'sdcadm'];
+
+
+// --- exported functions
+
+/**
+ * Return the latest (by `published_at`) of the given images for each image
+ * name.
+ *
+ * @param imgs {Array} Image manifests.
+ * @returns {Object} Image manifests by name.
+ */
+function latestImageFromName(imgs) {
+    assert.arrayOfObject(imgs, 'imgs');
+
+    var latest = {};
+    imgs.forEach(function (img) {
+        var curr = latest[img.name];
+        if (!curr || img.published_at > curr.published_at) {
+            latest[img.name] = img;
+        }
+    });
+    return latest;
+}
+
+
+/**
+ * Compare the latest images of two channels.
+ *
+ * @param opts {Object}
+ *      - imgNames {Array} Required. Image names to compare.
+ *      - svcNamesFromImgName {Object} Required. Service names by image name.
+ *      - a {Object} Required. Latest images by name in the first channel,
+ *        as from `latestImageFromName`.
+ *      - b {Object} Required. Same for the second channel.
+ * @returns {Array} of `{image, services, a, b, differs}` rows, sorted by
+ *      image name, where `a` and `b` are "<version> (<uuid>)" or null if the
+ *      channel has no such image.
+ */
+function diffChannels(opts) {
+    assert.object(opts, 'opts');
+    assert.arrayOfString(opts.imgNames, 'opts.imgNames');
+    assert.object(opts.svcNamesFromImgName, 'opts.svcNamesFromImgName');
+    assert.object(opts.a, 'opts.a');
+    assert.object(opts.b, 'opts.b');
+
+    function describe(img) {
+        return (img ? format('%s (%s)', img.version, img.uuid) : null);
+    }
+
+    return opts.imgNames.slice().sort().map(function (name) {
+        var a = opts.a[name];
+        var b = opts.b[name];
+        return {
+            image: name,
+            services: (opts.svcNamesFromImgName[name] || []).join(','),
+            a: describe(a),
+            b: describe(b),
+            differs: ((a && a.uuid) !== (b && b.uuid))
+        };
+    });
+}
+
+
 // --- Channel CLI class
 
 function ChannelCLI(top) {
@@ -331,8 +415,358 @@ ChannelCLI.prototype.do_get.options = [
     }
 ];
 
+ChannelCLI.prototype.do_pin = function do_pin(subcmd, opts, args, cb) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    }
+    if (args.length === 1) {
+        cb(new errors.UsageError('must specify a channel name'));
+        return;
+    } else if (args.length > 2) {
+        cb(new errors.UsageError('too many args: ' + args.join(' ')));
+        return;
+    }
+
+    var progress = self.progress;
+    var pins;
+
+    vasync.pipeline({funcs: [
+        function ensureSdcApp(_, next) {
+            self.sdcadm.ensureSdcApp({}, next);
+        },
+        function listPins(_, next) {
+            pins = common.objCopy(
+                self.sdcadm.sdcApp.metadata.update_channel_pins || {});
+            if (args.length) {
+                next();
+                return;
+            }
+            if (opts.json) {
+                console.log(JSON.stringify(pins, null, 4));
+            } else {
+                tabula(Object.keys(pins).sort().map(function (name) {
+                    return {service: name, channel: pins[name]};
+                }), {
+                    skipHeader: opts.H,
+                    columns: ['service', 'channel']
+                });
+            }
+            cb();
+        },
+        function validateService(_, next) {
+            var name = args[0];
+            if (!self.sdcadm.config.imgNameFromSvcName[name] &&
+                    EXTRA_PIN_NAMES.indexOf(name) === -1) {
+                next(new errors.UsageError(format('unknown service "%s"',
+                    name)));
+                return;
+            }
+            next();
+        },
+        function validateChannel(_, next) {
+            self.sdcadm.updates.listChannels({}, function (err, channels) {
+                if (err) {
+                    next(new errors.SDCClientError(err, 'imgapi'));
+                    return;
+                }
+                var names = channels.map(function (c) {
+                    return (c.name);
+                });
+                if (names.indexOf(args[1]) === -1) {
+                    next(new errors.UsageError(format('invalid channel ' +
+                        'name "%s", must be one of: %s', args[1],
+                        names.join(', '))));
+                    return;
+                }
+                next();
+            });
+        },
+        function setPin(_, next) {
+            pins[args[0]] = args[1];
+            self.sdcadm.sapi.updateApplication(self.sdcadm.sdcApp.uuid, {
+                metadata: {
+                    update_channel_pins: pins
+                }
+            }, function (err) {
+                if (err) {
+                    next(new errors.SDCClientError(err, 'sapi'));
+                    return;
+                }
+                progress('Pinned "%s" to update channel \'%s\'', args[0],
+                    args[1]);
+                next();
+            });
+        }
+    ]}, function pipeCb(pipeErr) {
+        cb(pipeErr);
+    });
+};
+
+ChannelCLI.prototype.do_pin.help = (
+    'Pin a service to an update channel other than the default one.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} pin SERVICE CHANNEL_NAME\n' +
+    '     {{name}} pin               # list pinned services\n' +
+    '\n' +
+    '{{options}}' +
+    '\n' +
+    'Images for a pinned service are looked for in the channel it is\n' +
+    'pinned to by "sdcadm avail" and "sdcadm update", unless a channel is\n' +
+    'given with "--channel". Pin "agentsshar" for "sdcadm update-agents".\n'
+);
+
+ChannelCLI.prototype.do_pin.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['json', 'j'],
+        type: 'bool',
+        help: 'JSON Output, when listing pinned services.'
+    },
+    {
+        names: ['H'],
+        type: 'bool',
+        help: 'Omit table header row, when listing pinned services.'
+    }
+];
+
+ChannelCLI.prototype.do_pin.logToFile = true;
+
+
+ChannelCLI.prototype.do_unpin = function do_unpin(subcmd, opts, args, cb) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    }
+    if (!args.length) {
+        cb(new errors.UsageError('must specify a service name'));
+        return;
+    }
+
+    var progress = self.progress;
+
+    vasync.pipeline({funcs: [
+        function ensureSdcApp(_, next) {
+            self.sdcadm.ensureSdcApp({}, next);
+        },
+        function unsetPins(_, next) {
+            var pins = common.objCopy(
+                self.sdcadm.sdcApp.metadata.update_channel_pins || {});
+            var notPinned = args.filter(function (name) {
+                return !pins.hasOwnProperty(name);
+            });
+            if (notPinned.length) {
+                next(new errors.UsageError(format('not pinned: %s',
+                    notPinned.join(', '))));
+                return;
+            }
+            args.forEach(function (name) {
+                delete pins[name];
+            });
+
+            var update = (Object.keys(pins).length ? {
+                metadata: {update_channel_pins: pins}
+            } : {
+                metadata: {update_channel_pins: true},
+                action: 'delete'
+            });
+            self.sdcadm.sapi.updateApplication(self.sdcadm.sdcApp.uuid,
+                    update, function (err) {
+                if (err) {
+                    next(new errors.SDCClientError(err, 'sapi'));
+                    return;
+                }
+                progress('Unpinned %s', args.join(', '));
+                next();
+            });
+        }
+    ]}, function pipeCb(pipeErr) {
+        cb(pipeErr);
+    });
+};
+
+ChannelCLI.prototype.do_unpin.help = (
+    'Unpin services, so that they use the default update channel.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} unpin SERVICE [SERVICE ...]\n' +
+    '\n' +
+    '{{options}}'
+);
+
+ChannelCLI.prototype.do_unpin.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    }
+];
+
+ChannelCLI.prototype.do_unpin.logToFile = true;
+
+
+ChannelCLI.prototype.do_diff = function do_diff(subcmd, opts, args, cb) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    }
+    if (args.length !== 2) {
+        cb(new errors.UsageError('must specify two channel names'));
+        return;
+    }
+
+    var svcNamesFromImgName = {};
+    var latest = {};
+    var rows;
+
+    vasync.pipeline({funcs: [
+        function ensureSdcApp(_, next) {
+            self.sdcadm.ensureSdcApp({}, next);
+        },
+        function getImgNames(_, next) {
+            var imgNameFromSvcName = self.sdcadm.config.imgNameFromSvcName;
+            Object.keys(imgNameFromSvcName).forEach(function (svcName) {
+                var imgName = imgNameFromSvcName[svcName];
+                if (!svcNamesFromImgName[imgName]) {
+                    svcNamesFromImgName[imgName] = [];
+                }
+                svcNamesFromImgName[imgName].push(svcName);
+            });
+            EXTRA_DIFF_IMG_NAMES.forEach(function (imgName) {
+                if (!svcNamesFromImgName[imgName]) {
+                    svcNamesFromImgName[imgName] = [];
+                }
+            });
+            next();
+        },
+        function getLatestImgs(_, next) {
+            vasync.forEachParallel({
+                inputs: args,
+                func: function getChannelImgs(channel, nextChannel) {
+                    latest[channel] = {};
+                    var queue = vasync.queue(function getImgs(name, nextImg) {
+                        self.sdcadm.updates.listImages({name: name}, {
+                            channel: channel
+                        }, function (err, imgs) {
+                            if (err) {
+                                nextImg(new errors.SDCClientError(err,
+                                    'updates'));
+                                return;
+                            }
+                            var img = latestImageFromName(imgs)[name];
+                            if (img) {
+                                latest[channel][name] = img;
+                            }
+                            nextImg();
+                        });
+                    }, 5);
+                    var errs = [];
+                    queue.on('end', function () {
+                        nextChannel(errs.length ? errs[0] : null);
+                    });
+                    Object.keys(svcNamesFromImgName).forEach(function (name) {
+                        queue.push(name, function (err) {
+                            if (err) {
+                                errs.push(err);
+                            }
+                        });
+                    });
+                    queue.close();
+                }
+            }, function (err) {
+                next(err);
+            });
+        },
+        function diffThem(_, next) {
+            rows = diffChannels({
+                imgNames: Object.keys(svcNamesFromImgName),
+                svcNamesFromImgName: svcNamesFromImgName,
+                a: latest[args[0]],
+                b: latest[args[1]]
+            });
+            if (!opts.all) {
+                rows = rows.filter(function (row) {
+                    return row.differs;
+                });
+            }
+            next();
+        }
+    ]}, function pipeCb(pipeErr) {
+        if (pipeErr) {
+            cb(pipeErr);
+            return;
+        }
+        if (opts.json) {
+            console.log(JSON.stringify(rows, null, 4));
+            cb();
+            return;
+        }
+        if (!rows.length) {
+            console.log('No differences between channels "%s" and "%s".',
+                args[0], args[1]);
+            cb();
+            return;
+        }
+        tabula(rows.map(function (row) {
+            var r = {image: row.image, services: row.services};
+            r[args[0]] = row.a || '-';
+            r[args[1]] = row.b || '-';
+            return r;
+        }), {
+            skipHeader: opts.H,
+            columns: ['image', 'services', args[0], args[1]]
+        });
+        cb();
+    });
+};
+
+ChannelCLI.prototype.do_diff.help = (
+    'Compare the latest images of each service in two update channels.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} diff [OPTIONS] CHANNEL_A CHANNEL_B\n' +
+    '\n' +
+    '{{options}}' +
+    '\n' +
+    'Only images which differ are shown, unless "--all" is given.\n'
+);
+
+ChannelCLI.prototype.do_diff.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['all', 'a'],
+        type: 'bool',
+        help: 'Also show images which are the same in both channels.'
+    },
+    {
+        names: ['json', 'j'],
+        type: 'bool',
+        help: 'JSON Output'
+    },
+    {
+        names: ['H'],
+        type: 'bool',
+        help: 'Omit table header row.'
+    }
+];
+
+
 // --- exports
 
 module.exports = {
+    latestImageFromName: latestImageFromName,
+    diffChannels: diffChannels,
     ChannelCLI: ChannelCLI
 };
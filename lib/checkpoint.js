@@ -0,0 +1,436 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Update plan execution checkpoints, used to resume a failed
+ * `sdcadm update` (`sdcadm update --resume RUN-UUID`).
+ *
+ * While executing an update plan, `SdcAdm.execUpdatePlan` keeps a
+ * "checkpoint.json" file in the update work dir (next to "plan.json"), noting
+ * the sdcadm run UUID, the instances (and their images) at the time the plan
+ * was generated, and which of the plan procedures have completed:
+ *
+ *      {
+ *          "v": 1,
+ *          "uuid": "<sdcadm run uuid>",
+ *          "state": "failed",     // one of "running", "succeeded", "failed"
+ *          "username": "root",
+ *          "sdcadmVersion": "1.51.0",
+ *          "started": "2019-06-11T18:30:01.123Z",
+ *          "finished": "2019-06-11T18:42:13.456Z",    // or null
+ *          "forceSameImage": false,
+ *          "curr": [ <instances, as from `SdcAdm.listInsts`> ],
+ *          "procs": [
+ *              {"name": "DownloadImages", "summary": "...", "state": "done"},
+ *              {"name": "UpdateMorayV2", "summary": "...",
+ *               "state": "failed", "error": "..."},
+ *              {"name": "UpdateManateeV2", "summary": "...",
+ *               "state": "pending"}    // or "running"
+ *          ],
+ *          "resumes": [ "<sdcadm run uuid>", ... ],
+ *          "rollbackOf": "/var/sdcadm/updates/<timestamp>"    // or null
+ *      }
+ *
+ * "rollbackOf" is the work dir of the update a rollback plan rolls back.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+var errors = require('./errors');
+
+
+// --- globals
+
+var CHECKPOINT_FORMAT_VER = 1;
+var CHECKPOINT_FILE = 'checkpoint.json';
+var UPDATES_DIR = '/var/sdcadm/updates';
+
+
+// --- UpdateCheckpoint class
+
+/**
+ * Create an UpdateCheckpoint.
+ *
+ * @param opts {Object}
+ *      - wrkDir {String} Required. The update work dir.
+ *      - uuid {String} Required. The sdcadm run UUID executing the plan.
+ *      - curr {Array} Required. The instances when the plan was generated.
+ *      - procs {Array} Required. The plan procedures.
+ *      - forceSameImage {Boolean} Optional.
+ *      - username {String} Optional. The user running the update.
+ *      - sdcadmVersion {String} Optional.
+ *      - rollbackOf {String} Optional. For a rollback plan, the work dir of
+ *        the update rolled back.
+ */
+function UpdateCheckpoint(opts) {
+    assert.object(opts, 'opts');
+    assert.string(opts.wrkDir, 'opts.wrkDir');
+    assert.uuid(opts.uuid, 'opts.uuid');
+    assert.arrayOfObject(opts.curr, 'opts.curr');
+    assert.arrayOfObject(opts.procs, 'opts.procs');
+    assert.optionalBool(opts.forceSameImage, 'opts.forceSameImage');
+    assert.optionalString(opts.username, 'opts.username');
+    assert.optionalString(opts.sdcadmVersion, 'opts.sdcadmVersion');
+    assert.optionalString(opts.rollbackOf, 'opts.rollbackOf');
+
+    this.wrkDir = opts.wrkDir;
+    this.v = CHECKPOINT_FORMAT_VER;
+    this.uuid = opts.uuid;
+    this.state = 'running';
+    this.username = opts.username || null;
+    this.sdcadmVersion = opts.sdcadmVersion || null;
+    this.started = new Date().toISOString();
+    this.finished = null;
+    this.forceSameImage = Boolean(opts.forceSameImage);
+    this.curr = opts.curr;
+    this.procs = opts.procs.map(function (proc) {
+        return {
+            name: proc.constructor.name,
+            summary: proc.summarize(),
+            state: 'pending'
+        };
+    });
+    this.resumes = [];
+    this.rollbackOf = opts.rollbackOf || null;
+}
+
+
+UpdateCheckpoint.prototype.serialize = function serialize() {
+    return JSON.stringify({
+        v: this.v,
+        uuid: this.uuid,
+        state: this.state,
+        username: this.username,
+        sdcadmVersion: this.sdcadmVersion,
+        started: this.started,
+        finished: this.finished,
+        forceSameImage: this.forceSameImage,
+        curr: this.curr,
+        procs: this.procs,
+        resumes: this.resumes,
+        rollbackOf: this.rollbackOf
+    }, null, 4);
+};
+
+
+UpdateCheckpoint.prototype.save = function save(cb) {
+    assert.func(cb, 'cb');
+
+    var cpFile = path.resolve(this.wrkDir, CHECKPOINT_FILE);
+    var tmpFile = cpFile + '.tmp';
+    var data = this.serialize();
+
+    vasync.pipeline({funcs: [
+        function writeTmp(_, next) {
+            fs.writeFile(tmpFile, data, 'utf8', next);
+        },
+        function mvTmp(_, next) {
+            fs.rename(tmpFile, cpFile, next);
+        }
+    ]}, function (err) {
+        if (err) {
+            cb(new errors.InternalError({
+                message: 'error saving update checkpoint: ' + cpFile,
+                cause: err
+            }));
+            return;
+        }
+        cb();
+    });
+};
+
+
+/**
+ * Mark the checkpoint procedure at `idx` as running, and save the checkpoint.
+ */
+UpdateCheckpoint.prototype.startProc = function startProc(idx, cb) {
+    assert.number(idx, 'idx');
+    assert.ok(this.procs[idx], 'no checkpoint proc ' + idx);
+    assert.func(cb, 'cb');
+
+    this.procs[idx].state = 'running';
+    this.save(cb);
+};
+
+
+/**
+ * Mark the checkpoint procedure at `idx` as done (if `err` is not given) or
+ * failed, and save the checkpoint.
+ */
+UpdateCheckpoint.prototype.finishProc = function finishProc(idx, err, cb) {
+    assert.number(idx, 'idx');
+    assert.ok(this.procs[idx], 'no checkpoint proc ' + idx);
+    assert.optionalObject(err, 'err');
+    assert.func(cb, 'cb');
+
+    var cpProc = this.procs[idx];
+    if (err) {
+        cpProc.state = 'failed';
+        cpProc.error = err.message;
+    } else {
+        cpProc.state = 'done';
+        delete cpProc.error;
+    }
+    this.save(cb);
+};
+
+
+/**
+ * Mark the whole plan execution as succeeded or failed (if `err` is given),
+ * and save the checkpoint.
+ */
+UpdateCheckpoint.prototype.finish = function finish(err, cb) {
+    assert.optionalObject(err, 'err');
+    assert.func(cb, 'cb');
+
+    this.state = (err ? 'failed' : 'succeeded');
+    this.finished = new Date().toISOString();
+    this.save(cb);
+};
+
+
+/**
+ * Given the procedures re-generated from the saved update plan, return those
+ * still to be executed, setting `proc._checkpointIdx` on each of them to the
+ * index of its checkpoint procedure.
+ *
+ * Procedures are matched to the checkpoint ones by name and summary. Those
+ * matching an already done checkpoint procedure are dropped. A procedure that
+ * failed part way through may have a different summary when re-generated
+ * (e.g. DownloadImages having fewer images to download), so a procedure
+ * without an exact match is matched to the first failed (or, if sdcadm
+ * crashed, still running) checkpoint procedure of the same name. If a
+ * procedure cannot be matched the plan has changed since it was checkpointed
+ * and an error is returned.
+ *
+ * @returns {Object} `{err: <Error>, procs: <Array>}`
+ */
+UpdateCheckpoint.prototype.pendingProcs = function pendingProcs(procs) {
+    assert.arrayOfObject(procs, 'procs');
+
+    var self = this;
+    var pending = [];
+    var unmatched = [];
+    var taken = {};
+
+    function findCpProc(name, summary) {
+        var i;
+        for (i = 0; i < self.procs.length; i++) {
+            if (!taken[i] && self.procs[i].name === name &&
+                self.procs[i].summary === summary) {
+                return i;
+            }
+        }
+        for (i = 0; i < self.procs.length; i++) {
+            if (!taken[i] && self.procs[i].name === name &&
+                (self.procs[i].state === 'failed' ||
+                self.procs[i].state === 'running')) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    procs.forEach(function (proc) {
+        var summary = proc.summarize();
+        var idx = findCpProc(proc.constructor.name, summary);
+        if (idx === -1) {
+            unmatched.push(summary);
+            return;
+        }
+        taken[idx] = true;
+        if (self.procs[idx].state !== 'done') {
+            proc._checkpointIdx = idx;
+            pending.push(proc);
+        }
+    });
+
+    if (unmatched.length) {
+        return {
+            err: new errors.UpdateError(util.format(
+                'update plan procedures differ from those checkpointed:\n%s',
+                unmatched.map(function (s) {
+                    return '    ' + s.split('\n').join('\n    ');
+                }).join('\n')))
+        };
+    }
+
+    // Procedures must run in their original order.
+    pending.sort(function (a, b) {
+        return (a._checkpointIdx - b._checkpointIdx);
+    });
+    return {procs: pending};
+};
+
+
+/**
+ * Return the instances in `insts` (as from `SdcAdm.listInsts`) that have
+ * diverged from the checkpoint: any instance which, when the plan was
+ * generated, existed and is now gone or is on an image other than either the
+ * one it was on or the plan target one (from `targ`).
+ *
+ * @returns {Array} of objects with `instance`, `alias`, `service`, `image`
+ *      (null if the instance is gone) and `expected` (array of image UUIDs)
+ *      fields.
+ */
+UpdateCheckpoint.prototype.divergedInsts = function divergedInsts(insts, targ) {
+    assert.arrayOfObject(insts, 'insts');
+    assert.arrayOfObject(targ, 'targ');
+
+    var instFromId = {};
+    insts.forEach(function (inst) {
+        instFromId[inst.instance] = inst;
+    });
+    var targFromId = {};
+    targ.forEach(function (inst) {
+        targFromId[inst.instance] = inst;
+    });
+
+    var diverged = [];
+    this.curr.forEach(function (currInst) {
+        if (!currInst.image) {
+            // Nothing we can compare against.
+            return;
+        }
+        var expected = [currInst.image];
+        var targInst = targFromId[currInst.instance];
+        if (targInst && targInst.image &&
+            expected.indexOf(targInst.image) === -1) {
+            expected.push(targInst.image);
+        }
+
+        var inst = instFromId[currInst.instance];
+        if (!inst || expected.indexOf(inst.image) === -1) {
+            diverged.push({
+                instance: currInst.instance,
+                alias: currInst.alias,
+                service: currInst.service,
+                image: (inst ? inst.image : null),
+                expected: expected
+            });
+        }
+    });
+    return diverged;
+};
+
+
+/**
+ * Load the checkpoint from the given update work dir.
+ *
+ * @param cb {Function} `function (err, checkpoint)`. `checkpoint` is null if
+ *      there is no checkpoint in the dir.
+ */
+UpdateCheckpoint.load = function load(wrkDir, cb) {
+    assert.string(wrkDir, 'wrkDir');
+    assert.func(cb, 'cb');
+
+    var cpFile = path.resolve(wrkDir, CHECKPOINT_FILE);
+    fs.readFile(cpFile, 'utf8', function (readErr, data) {
+        if (readErr && readErr.code === 'ENOENT') {
+            cb(null, null);
+            return;
+        } else if (readErr) {
+            cb(new errors.InternalError({
+                message: 'error reading update checkpoint: ' + cpFile,
+                cause: readErr
+            }));
+            return;
+        }
+
+        var obj;
+        try {
+            obj = JSON.parse(data);
+        } catch (parseErr) {
+            cb(new errors.InternalError({
+                message: 'invalid update checkpoint JSON: ' + cpFile,
+                cause: parseErr
+            }));
+            return;
+        }
+
+        var cp = Object.create(UpdateCheckpoint.prototype);
+        Object.keys(obj).forEach(function (k) {
+            cp[k] = obj[k];
+        });
+        cp.wrkDir = wrkDir;
+        cb(null, cp);
+    });
+};
+
+
+/**
+ * Find the checkpoint for the update run with the given sdcadm run UUID.
+ *
+ * @param opts {Object}
+ *      - uuid {String} Required. The sdcadm run UUID.
+ *      - dir {String} Optional. The updates dir. Default
+ *        "/var/sdcadm/updates".
+ * @param cb {Function} `function (err, checkpoint)`.
+ */
+UpdateCheckpoint.find = function find(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.string(opts.uuid, 'opts.uuid');
+    assert.optionalString(opts.dir, 'opts.dir');
+    assert.func(cb, 'cb');
+
+    var updatesDir = opts.dir || UPDATES_DIR;
+    var found = null;
+
+    fs.readdir(updatesDir, function (readdirErr, stamps) {
+        if (readdirErr && readdirErr.code !== 'ENOENT') {
+            cb(new errors.InternalError({
+                message: 'error reading updates dir: ' + updatesDir,
+                cause: readdirErr
+            }));
+            return;
+        }
+
+        // Most recent first: the one being looked for likely is.
+        stamps = (stamps || []).sort().reverse();
+        vasync.forEachPipeline({
+            inputs: stamps,
+            func: function loadOne(stamp, next) {
+                if (found) {
+                    next();
+                    return;
+                }
+                UpdateCheckpoint.load(path.resolve(updatesDir, stamp),
+                        function (err, cp) {
+                    // Ignore dirs with bogus or without checkpoints.
+                    if (!err && cp && cp.uuid === opts.uuid) {
+                        found = cp;
+                    }
+                    next();
+                });
+            }
+        }, function (err) {
+            if (err) {
+                cb(err);
+            } else if (!found) {
+                cb(new errors.UsageError(
+                    'no update checkpoint found for run ' + opts.uuid));
+            } else {
+                cb(null, found);
+            }
+        });
+    });
+};
+
+
+// --- exports
+
+module.exports = {
+    UpdateCheckpoint: UpdateCheckpoint
+};
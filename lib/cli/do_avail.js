@@ -16,6 +16,29 @@ var assert = require('assert-plus');
 var vasync = require('vasync');
 var tabula = require('tabula');
 
+var changelog = require('../changelog');
+var common = require('../common');
+
+// --- internal support functions
+
+/*
+ * The UUIDs of the images currently used by the instances of a change's
+ * service (or the image set on the service if it has no instances).
+ */
+function installedImgUuids(ch) {
+    var uuids = {};
+    (ch.insts || (ch.inst ? [ch.inst] : [])).forEach(function (inst) {
+        uuids[inst.image] = true;
+    });
+    uuids = Object.keys(uuids);
+    if (uuids.length === 0 && ch.service.params &&
+            ch.service.params.image_uuid) {
+        uuids.push(ch.service.params.image_uuid);
+    }
+    return uuids;
+}
+
+
 // --- Internal support stuff which can be shared between
 // 'sdcadm avail' and 'sdcadm experimental avail'
 
@@ -51,6 +74,7 @@ Available.prototype.execute = function cExecute(opts, args, cb) {
     }
 
     var changes;
+    var changelogFromUuid = {};
     var plan;
 
     // override to true list portolan/rabbit
@@ -95,13 +119,57 @@ Available.prototype.execute = function cExecute(opts, args, cb) {
                 updateAll: opts.all,
                 progress: self.progress,
                 uuid: self.uuid,
-                keepAllImages: opts.all_images,
+                // All images are needed to collect the changes up to the
+                // latest ones.
+                keepAllImages: opts.all_images || opts.changes,
                 noVerbose: true,
                 justAvailable: true
             }, function (err, plan_) {
                 plan = plan_;
                 next(err);
             });
+        },
+        function getChangelogs(_, next) {
+            if (!opts.changes) {
+                next();
+                return;
+            }
+            // Only "dir" sources have changelog files: without any, use the
+            // "changelog" tag of the images.
+            var lookup = self.sdcadm.updates.hasChangelogs();
+            var queue = vasync.queue(function getChangelog(img, nextImg) {
+                if (!lookup) {
+                    changelogFromUuid[img.uuid] =
+                        changelog.changelogFromImage(img);
+                    nextImg();
+                    return;
+                }
+                self.sdcadm.updates.getImageChangelog(img.uuid, {
+                    channel: self.sdcadm.channelForImageName(img.name)
+                }, function (err, text) {
+                    if (err) {
+                        // E.g. a deployed image no longer in the update
+                        // sources: fall back to its "changelog" tag.
+                        self.log.debug({err: err, image: img.uuid},
+                            'could not get image changelog file');
+                    }
+                    changelogFromUuid[img.uuid] =
+                        changelog.changelogFromImage(img, text || undefined);
+                    nextImg();
+                });
+            }, 5);
+            queue.on('end', function () {
+                next();
+            });
+            plan.changes.forEach(function (ch) {
+                (ch.images || [ch.image]).forEach(function (img) {
+                    if (!changelogFromUuid.hasOwnProperty(img.uuid)) {
+                        changelogFromUuid[img.uuid] = null;
+                        queue.push(img);
+                    }
+                });
+            });
+            queue.close();
         }
     ]}, function availCb(err) {
         if (err) {
@@ -112,6 +180,36 @@ Available.prototype.execute = function cExecute(opts, args, cb) {
         var rows = [];
         var chgs = plan.changes.slice();
         chgs.forEach(function (ch) {
+            // The service may be pinned to another channel.
+            var channel = self.sdcadm.channelForService(ch.service.name);
+            var candidates = (opts.all_images ? ch.images : undefined);
+
+            function addRow(img) {
+                var row = {
+                    service: ch.service.name,
+                    image: img.uuid,
+                    version: img.name + '@' + img.version,
+                    channel: channel
+                };
+                if (opts.changes) {
+                    // Changes since the earliest deployed image.
+                    var installed = installedImgUuids(ch);
+                    var from = (ch.images || []).filter(function (i) {
+                        return (installed.indexOf(i.uuid) !== -1);
+                    })[0];
+                    row.changes = {
+                        from: (from ? from.name + '@' + from.version : null),
+                        entries: changelog.changesBetween({
+                            from: from,
+                            to: img,
+                            images: ch.images || [img],
+                            changelogFromUuid: changelogFromUuid
+                        })
+                    };
+                }
+                rows.push(row);
+            }
+
             /*
              * Basically we want to show a row for each candidate image on
              * each "change" -- thats `ch.images` or `ch.image`.
@@ -126,7 +224,7 @@ Available.prototype.execute = function cExecute(opts, args, cb) {
              * then we keep all those images in the listing here. Arguably
              * the oldest of these images could be excluded. Meh.
              */
-            if (ch.images && ch.images.length > 1) {
+            if (candidates && candidates.length > 1) {
                 var installedImg;
                 if (ch.service.name === 'sdcadm') {
                     installedImg = null;
@@ -143,24 +241,15 @@ Available.prototype.execute = function cExecute(opts, args, cb) {
                     installedImg = ch.inst.image;
                 }
 
-                ch.images.forEach(function (i) {
+                candidates.forEach(function (i) {
                     // TOOLS-1237: Do not include current image for all insts:
                     if (installedImg !== i.uuid) {
-                        rows.push({
-                            service: ch.service.name,
-                            image: i.uuid,
-                            version: i.name + '@' + i.version
-                        });
+                        addRow(i);
                     }
                 });
 
             } else {
-                var img = ch.image;
-                rows.push({
-                    service: ch.service.name,
-                    image: img.uuid,
-                    version: img.name + '@' + img.version
-                });
+                addRow(ch.image);
             }
         });
 
@@ -188,6 +277,25 @@ Available.prototype.execute = function cExecute(opts, args, cb) {
             columns: columns,
             sort: sort
         });
+
+        if (opts.changes) {
+            common.sortArrayOfObjects(rows, sort);
+            rows.forEach(function (row) {
+                console.log('\n%s: %s%s', row.service, row.version,
+                    (row.changes.from ? ' (since ' + row.changes.from + ')' :
+                    ''));
+                var entries = row.changes.entries;
+                if (!entries) {
+                    console.log('    (no changelog)');
+                } else if (entries.length === 0) {
+                    console.log('    (no changes)');
+                } else {
+                    entries.forEach(function (entry) {
+                        console.log('    ' + changelog.formatChange(entry));
+                    });
+                }
+            });
+        }
         cb();
     });
 };
@@ -231,6 +339,14 @@ do_avail.options = [
         help: 'Display all the images available for updates, not only the ' +
             'latest image for each service.'
     },
+    {
+        names: ['changes', 'c'],
+        type: 'bool',
+        help: 'Show the changes (commits and tickets) from the currently ' +
+            'deployed image to each of the listed images, from their ' +
+            'changelogs. With "-j" or "-J" these are the "changes" of each ' +
+            'image.'
+    },
     {
         names: ['json', 'j'],
         type: 'bool',
@@ -250,7 +366,8 @@ do_avail.options = [
         names: ['o'],
         type: 'string',
         default: 'service,image,version',
-        help: 'Specify fields (columns) to output.',
+        help: 'Specify fields (columns) to output. Fields are "service", ' +
+            '"image", "version" and "channel".',
         helpArg: 'field1,...'
     },
     {
@@ -283,6 +400,9 @@ do_avail.help = (
     '     # Available images for all the services (the default):\n' +
     '     {{name}} avail\n' +
     '\n' +
+    '     # What is changing in the latest cnapi and vmapi images:\n' +
+    '     {{name}} avail -c cnapi vmapi\n' +
+    '\n' +
     '     # TODO: Single instance available/update\n' +
     '     # Display latest available image for binder0 instance\n' +
     '     {{name}} avail binder0\n' +
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2018, Joyent, Inc.
+ * Copyright 2019 Joyent, Inc.
  */
 
 var sprintf = require('extsprintf').sprintf;
@@ -15,11 +15,15 @@ var VError = require('verror').VError;
 
 var common = require('../common');
 var errors = require('../errors');
+var healthChecks = require('../health-checks');
+var metrics = require('../metrics');
 
 
 // --- globals
 
 var UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+var DEFAULT_WATCH_INTERVAL = 10 * 1000;
+var FORMATS = ['table', 'json', 'openmetrics'];
 
 /*
  * The 'sdcadm check-health (health)' CLI subcommand.
@@ -36,6 +40,54 @@ function do_check_health(subcmd, opts, args, callback) {
     var healthOpts = {};
     var typeArgs = [];
     var validTypes = ['vm', 'agent'];
+    var interval = null;
+    var timeout;
+
+    if (opts.format) {
+        if (FORMATS.indexOf(opts.format) === -1) {
+            callback(new errors.UsageError('invalid --format: ' +
+                opts.format + ' (must be one of: ' + FORMATS.join(', ') +
+                ')'));
+            return;
+        }
+        if (opts.format === 'json') {
+            opts.json = true;
+        } else if (opts.json) {
+            callback(new errors.UsageError(
+                'cannot use both --json and --format ' + opts.format));
+            return;
+        }
+    }
+    var openmetrics = (opts.format === 'openmetrics');
+
+    if (openmetrics && (opts.watch || opts.until_healthy)) {
+        callback(new errors.UsageError('cannot use --format openmetrics ' +
+            'with --watch or --until-healthy (see "sdcadm exporter")'));
+        return;
+    }
+    if (opts.watch) {
+        interval = common.msFromHumanDuration(opts.watch);
+        if (!interval) {
+            callback(new errors.UsageError(
+                'invalid --watch interval: ' + opts.watch));
+            return;
+        }
+    } else if (opts.until_healthy) {
+        interval = DEFAULT_WATCH_INTERVAL;
+    }
+    if (opts.timeout) {
+        if (!opts.until_healthy) {
+            callback(new errors.UsageError(
+                '--timeout requires --until-healthy'));
+            return;
+        }
+        timeout = common.msFromHumanDuration(opts.timeout);
+        if (!timeout) {
+            callback(new errors.UsageError(
+                'invalid --timeout: ' + opts.timeout));
+            return;
+        }
+    }
 
     if (opts.type) {
         healthOpts.type = opts.type;
@@ -172,7 +224,8 @@ function do_check_health(subcmd, opts, args, callback) {
                 'instance',
                 'alias',
                 'service',
-                'health_errors'
+                'health_errors',
+                'checks'
             ].forEach(function (field) {
                 if (status.hasOwnProperty(field)) {
                     obj[field] = status[field];
@@ -228,9 +281,120 @@ function do_check_health(subcmd, opts, args, callback) {
         return;
     }
 
+    /*
+     * One line describing a health transition, as from
+     * `healthChecks.watchHealth`.
+     */
+    function transitionRepr(tr) {
+        var r = tr.result;
+        var what;
+        if (r.type === 'triton') {
+            what = 'triton';
+        } else if (r.type === 'global') {
+            what = sprintf('global zone of %s', r.hostname);
+        } else if (r.type === 'health-check') {
+            what = sprintf('health checks file %s', r.instance);
+        } else {
+            what = sprintf('instance %s (%s) of service %s on %s',
+                r.instance, r.alias || '-', r.service, r.hostname);
+        }
+        var duration = (tr.since ? ' ' + sprintf('(%s for %s)',
+            (tr.prevHealthy ? 'healthy' : 'unhealthy'),
+            common.humanDurationFromMs(tr.time - tr.since)) : '');
+
+        var msg;
+        if (tr.healthy === null) {
+            msg = 'is no longer checked' + duration;
+        } else if (tr.healthy && tr.prevHealthy === null) {
+            msg = 'is new and healthy';
+        } else if (tr.healthy) {
+            msg = 'recovered' + duration;
+        } else {
+            msg = sprintf('%s%s: %s',
+                (tr.prevHealthy === null ? 'is unhealthy' : 'went unhealthy'),
+                duration, r.health_errors[0].message.trim());
+        }
+        return sprintf('%s %s %s', tr.time.toISOString(), what, msg);
+    }
+
+    function watchResults(hOpts) {
+        healthChecks.watchHealth({
+            sdcadm: self.sdcadm,
+            healthOpts: hOpts,
+            interval: interval,
+            untilHealthy: opts.until_healthy,
+            timeout: timeout,
+            onTransition: function (tr) {
+                if (opts.json) {
+                    console.log(JSON.stringify({
+                        time: tr.time,
+                        type: tr.result.type,
+                        instance: tr.result.instance,
+                        service: tr.result.service,
+                        alias: tr.result.alias,
+                        hostname: tr.result.hostname,
+                        healthy: tr.healthy,
+                        prevHealthy: tr.prevHealthy,
+                        since: tr.since,
+                        health_errors: tr.result.health_errors
+                    }));
+                } else if (!(tr.initial && tr.healthy)) {
+                    console.log(transitionRepr(tr));
+                }
+            },
+            onRun: function (results, n) {
+                if (n === 1 && !opts.json && !opts.quiet) {
+                    console.log('%s checked %d instances, %d unhealthy ' +
+                        '(checking every %s)', new Date().toISOString(),
+                        results.length,
+                        results.filter(healthChecks.isUnhealthy).length,
+                        common.humanDurationFromMs(interval));
+                }
+            }
+        }, function (err, results) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            if (!opts.json && !opts.quiet) {
+                console.log('%s all %d checked instances are healthy',
+                    new Date().toISOString(), results.length);
+            }
+            callback();
+        });
+    }
+
+    /*
+     * Unlike the other formats, this exits zero for unhealthy instances:
+     * health is part of the metrics.
+     */
+    function printMetrics(hOpts) {
+        metrics.collectMetrics({
+            sdcadm: self.sdcadm,
+            healthOpts: hOpts
+        }, function (err, families) {
+            if (err) {
+                callback(new errors.InternalError(err));
+                return;
+            }
+            process.stdout.write(metrics.formatMetrics(families));
+            callback();
+        });
+    }
+
+    function checkResults(hOpts) {
+        if (openmetrics) {
+            printMetrics(hOpts);
+        } else if (interval) {
+            watchResults(hOpts);
+        } else {
+            self.sdcadm.checkHealth(hOpts, displayResults);
+        }
+    }
+
 
     if (args.length === 0) {
-        self.sdcadm.checkHealth(healthOpts, displayResults);
+        checkResults(healthOpts);
         return;
     }
 
@@ -255,7 +419,7 @@ function do_check_health(subcmd, opts, args, callback) {
             return;
         }
 
-        self.sdcadm.checkHealth({ uuids: uuids }, displayResults);
+        checkResults({ uuids: uuids });
         return;
     });
 }
@@ -269,7 +433,14 @@ do_check_health.options = [
     {
         names: ['json', 'j'],
         type: 'bool',
-        help: 'JSON output'
+        help: 'JSON output. Same as "--format json".'
+    },
+    {
+        names: ['format'],
+        type: 'string',
+        helpArg: 'FORMAT',
+        help: 'Output format: "table" (the default), "json" or ' +
+            '"openmetrics".'
     },
     {
         names: ['quiet', 'q'],
@@ -286,6 +457,30 @@ do_check_health.options = [
         names: ['H'],
         type: 'bool',
         help: 'Omit table header row.'
+    },
+    {
+        group: 'Watch options'
+    },
+    {
+        names: ['watch', 'w'],
+        type: 'string',
+        helpArg: 'INTERVAL',
+        help: 'Re-run the checks every INTERVAL (e.g. "30s", "2m") and only ' +
+            'print health changes. With "--json", each change is printed ' +
+            'as one JSON object per line.'
+    },
+    {
+        names: ['until-healthy'],
+        type: 'bool',
+        help: 'Watch until all instances are healthy, then exit 0. ' +
+            'The interval is 10s unless "--watch" is given.'
+    },
+    {
+        names: ['timeout', 't'],
+        type: 'string',
+        helpArg: 'DURATION',
+        help: 'With "--until-healthy", fail if instances are still ' +
+            'unhealthy after DURATION (e.g. "10m").'
     }
 ];
 do_check_health.aliases = ['health'];
@@ -294,6 +489,11 @@ do_check_health.help = (
     '\n' +
     'Usage:\n' +
     '     {{name}} check-health [<options>] [<svc or inst>...]\n' +
+    '     {{name}} check-health --watch INTERVAL [<options>] ' +
+    '[<svc or inst>...]\n' +
+    '     {{name}} check-health --until-healthy [--timeout DURATION] ' +
+    '[<options>] ...\n' +
+    '     {{name}} check-health --format openmetrics [<options>] ...\n' +
     '\n' +
     '{{options}}' +
     '\n' +
@@ -302,7 +502,19 @@ do_check_health.help = (
     '    type=agent\n' +
     'and service or instance name:\n' +
     '    imgapi\n' +
-    '    cnapi cn-agent\n'
+    '    cnapi cn-agent\n' +
+    '\n' +
+    'Besides their SMF service state, instances of some services are\n' +
+    'checked by pinging them. More checks (http, tcp, cmd, zookeeper or\n' +
+    'manatee) can be declared in the "sdcadm_health_checks" metadata of a\n' +
+    'SAPI service, or in JSON files in the health checks dir\n' +
+    '(/var/sdcadm/health-checks by default). With "--json", the result of\n' +
+    'each check of an instance is given in its "checks" array.\n' +
+    '\n' +
+    'With "--format openmetrics", the health of each instance and check,\n' +
+    'the image and version of each instance and the platform of each\n' +
+    'server are printed as OpenMetrics (Prometheus) metrics, e.g. for the\n' +
+    'node_exporter textfile collector. See also "sdcadm exporter".\n'
 
 );
 
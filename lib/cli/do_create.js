@@ -136,6 +136,16 @@ CreateInstanceProcedure.prototype.summarize = function summarize() {
     return summaries.join('\n');
 };
 
+CreateInstanceProcedure.prototype.targets = function targets() {
+    return this.plan.procs.reduce(
+        (res, proc) => res.concat(proc.targets()), []);
+};
+
+CreateInstanceProcedure.prototype.causesDowntime = function causesDowntime() {
+    return this.plan.procs.some(
+        proc => proc.causesDowntime(proc.targets()));
+};
+
 CreateInstanceProcedure.prototype.execute = function execute(opts, cb) {
     assert.object(opts.sdcadm, 'opts.sdcadm');
     assert.object(opts.ui, 'opts.ui');
@@ -166,6 +176,10 @@ function do_create(subcmd, opts, args, cb) {
         cb(new errors.UsageError('too many arguments'));
         return;
     }
+    if (opts.json && !opts.dry_run) {
+        cb(new errors.UsageError('"--json" requires "--dry-run"'));
+        return;
+    }
 
     if (opts.servers && opts.server) {
         cb(new errors.UsageError(
@@ -198,6 +212,7 @@ function do_create(subcmd, opts, args, cb) {
         sdcadm: self.sdcadm,
         ui: self.ui,
         dryRun: opts.dry_run,
+        json: opts.json,
         skipConfirm: opts.yes
     }, function done(err) {
         cb(err);
@@ -216,6 +231,11 @@ do_create.options = [
         type: 'bool',
         help: 'Go through the motions without actually creating.'
     },
+    {
+        names: ['json'],
+        type: 'bool',
+        help: 'With "--dry-run", print the plan as JSON.'
+    },
     {
         names: ['yes', 'y'],
         type: 'bool',
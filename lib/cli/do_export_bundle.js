@@ -0,0 +1,229 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var fs = require('fs');
+
+var vasync = require('vasync');
+
+var bundle = require('../bundle');
+var common = require('../common');
+var errors = require('../errors');
+var dcSpec = require('../spec');
+
+/*
+ * The 'sdcadm export-bundle' CLI subcommand.
+ */
+
+function do_export_bundle(subcmd, opts, args, callback) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], callback);
+        return;
+    } else if (args.length === 0) {
+        callback(new errors.UsageError('missing BUNDLE-FILE argument'));
+        return;
+    } else if (args.length > 1) {
+        callback(new errors.UsageError('too many args: ' + args));
+        return;
+    }
+
+    var file = args[0];
+    var spec;
+    var entries;
+    var platform = opts.platform;
+    var agentsshar = opts.agentsshar;
+    var gzTools = opts.gz_tools;
+
+    // Without a spec, bundle the latest of everything.
+    if (!opts.file) {
+        platform = platform || 'latest';
+        agentsshar = agentsshar || 'latest';
+        gzTools = gzTools || 'latest';
+    }
+
+    vasync.pipeline({funcs: [
+        function readSpec(_, next) {
+            if (!opts.file) {
+                next();
+                return;
+            }
+            fs.readFile(opts.file, 'utf8', function (err, data) {
+                if (err) {
+                    next(new errors.UsageError(err,
+                        'could not read ' + opts.file));
+                    return;
+                }
+                var parsed;
+                try {
+                    parsed = JSON.parse(data);
+                } catch (ex) {
+                    next(new errors.UsageError(ex,
+                        opts.file + ' is not valid JSON'));
+                    return;
+                }
+                var specErr = dcSpec.validateSpec(parsed);
+                if (specErr) {
+                    next(new errors.UsageError(specErr,
+                        'invalid spec in ' + opts.file));
+                    return;
+                }
+                spec = parsed;
+                next();
+            });
+        },
+        function setChannel(_, next) {
+            if (opts.channel) {
+                self.sdcadm.updates.channel = opts.channel;
+            }
+            self.sdcadm.getDefaultChannel(function (err, channel) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                if (channel) {
+                    // Not to mark the default channel as given (see
+                    // `SdcAdm.channelForService`).
+                    if (channel !== self.sdcadm.updates.channel) {
+                        self.sdcadm.updates.channel = channel;
+                    }
+                    self.progress('Using channel %s', channel);
+                }
+                next();
+            });
+        },
+        function getLatestSpec(_, next) {
+            if (spec) {
+                next();
+                return;
+            }
+            self.progress('Finding latest images for DC services');
+            self.sdcadm.getServices({}, function (err, svcs) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                bundle.latestSpec({
+                    updates: self.sdcadm.updates,
+                    svcs: svcs,
+                    imgNameFromSvcName: self.sdcadm.config.imgNameFromSvcName
+                }, function (specErr, latest) {
+                    spec = latest;
+                    next(specErr);
+                });
+            });
+        },
+        function resolveImages(_, next) {
+            bundle.resolveImages({
+                updates: self.sdcadm.updates,
+                spec: spec,
+                platform: platform,
+                agentsshar: agentsshar,
+                gzTools: gzTools
+            }, function (err, entries_) {
+                entries = entries_;
+                next(err);
+            });
+        },
+        function exportIt(_, next) {
+            if (entries.length === 0) {
+                next(new errors.UsageError('nothing to bundle'));
+                return;
+            }
+            self.progress('Bundling %d image%s', entries.length,
+                (entries.length === 1 ? '' : 's'));
+            entries.forEach(function (entry) {
+                self.progress(common.indent(entry.kind + ' ' + entry.uuid +
+                    ' (' + entry.name + '@' + entry.version + ')'));
+            });
+            bundle.exportBundle({
+                sdcadm: self.sdcadm,
+                uuid: self.uuid,
+                spec: spec,
+                entries: entries,
+                file: file,
+                progress: self.progress
+            }, next);
+        }
+    ]}, function (err) {
+        if (!err) {
+            self.progress('Wrote bundle %s', file);
+        }
+        callback(err);
+    });
+}
+do_export_bundle.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['file', 'f'],
+        type: 'string',
+        helpArg: 'SPEC-FILE',
+        help: 'Bundle the service and agent images and the platforms of ' +
+            'the given DC spec, as from "sdcadm export-spec". By default ' +
+            'the latest images, platform, agentsshar and gz-tools are ' +
+            'bundled.'
+    },
+    {
+        names: ['channel', 'C'],
+        type: 'string',
+        helpArg: 'CHANNEL',
+        help: 'Use the given channel to fetch the images, even if it is ' +
+            'not the default one.'
+    },
+    {
+        names: ['platform'],
+        type: 'string',
+        helpArg: 'VERSION',
+        help: 'Also bundle the given platform version, or "latest".'
+    },
+    {
+        names: ['agentsshar'],
+        type: 'string',
+        helpArg: 'UUID',
+        help: 'Also bundle the given agentsshar image, or "latest".'
+    },
+    {
+        names: ['gz-tools'],
+        type: 'string',
+        helpArg: 'UUID',
+        help: 'Also bundle the given gz-tools image, or "latest".'
+    }
+];
+do_export_bundle.help = (
+    'Bundle update images for a DC without access to the updates server.\n'
+    + '\n'
+    + 'Usage:\n'
+    + '     {{name}} export-bundle [<options>] BUNDLE-FILE\n'
+    + '\n'
+    + '{{options}}'
+    + '\n'
+    + 'This downloads the images (and their origin images) for the core\n'
+    + 'services and agents, platforms, agentsshar and gz-tools into a\n'
+    + 'single tarball, with a manifest and checksums of its files. Load it\n'
+    + 'into the air-gapped DC with "sdcadm import-bundle".\n'
+    + '\n'
+    + 'Examples:\n'
+    + '     # Bundle the latest of everything for this DC\'s services.\n'
+    + '     {{name}} export-bundle /var/tmp/bundle.tar\n'
+    + '\n'
+    + '     # Bundle what an air-gapped DC needs to converge to a spec,\n'
+    + '     # e.g. one exported there with "sdcadm export-spec" and edited.\n'
+    + '     {{name}} export-bundle -f dc-spec.json --gz-tools latest \\\n'
+    + '         /var/tmp/bundle.tar\n'
+);
+
+// --- exports
+
+module.exports = {
+    do_export_bundle: do_export_bundle
+};
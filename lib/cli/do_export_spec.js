@@ -0,0 +1,102 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var fs = require('fs');
+
+var errors = require('../errors');
+var dcSpec = require('../spec');
+
+/*
+ * The 'sdcadm export-spec' CLI subcommand.
+ */
+
+function do_export_spec(subcmd, opts, args, callback) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], callback);
+        return;
+    } else if (args.length !== 0) {
+        callback(new errors.UsageError('too many args: ' + args));
+        return;
+    }
+
+    self.sdcadm.listInsts(function (instsErr, insts) {
+        if (instsErr) {
+            callback(instsErr);
+            return;
+        }
+        self.sdcadm.cnapi.listServers({}, function (err, servers) {
+            if (err) {
+                callback(new errors.SDCClientError(err, 'cnapi'));
+                return;
+            }
+
+            var spec = dcSpec.specFromDc({insts: insts, servers: servers});
+            var data = dcSpec.formatSpec(spec, {
+                yaml: Boolean(opts.yaml ||
+                    (opts.file && dcSpec.isYamlFile(opts.file)))
+            });
+            if (!opts.file) {
+                process.stdout.write(data);
+                callback();
+                return;
+            }
+            fs.writeFile(opts.file, data, 'utf8', function (writeErr) {
+                if (writeErr) {
+                    callback(new errors.UsageError(writeErr,
+                        'could not write ' + opts.file));
+                    return;
+                }
+                self.progress('Wrote DC spec to %s', opts.file);
+                callback();
+            });
+        });
+    });
+}
+do_export_spec.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['file', 'f'],
+        type: 'string',
+        help: 'Write the spec to the given file instead of stdout.',
+        helpArg: 'FILE'
+    },
+    {
+        names: ['yaml'],
+        type: 'bool',
+        help: 'Write the spec as YAML instead of JSON. This is the default ' +
+            'if FILE ends in ".yaml" or ".yml".'
+    }
+];
+do_export_spec.help = (
+    'Export the current DC state as a spec for "sdcadm update -f".\n'
+    + '\n'
+    + 'Usage:\n'
+    + '     {{name}} export-spec [<options>]\n'
+    + '\n'
+    + '{{options}}'
+    + '\n'
+    + 'The spec gives the image UUID of each core service and agent, and\n'
+    + 'the boot platform of each server. A service with instances on\n'
+    + 'different images gets an array of image UUIDs, which must be edited\n'
+    + 'down to one before using the spec to update. Specs from different\n'
+    + 'DCs can be diffed to compare them. "sdcadm update -f" reads YAML\n'
+    + 'specs from files named "*.yaml" or "*.yml".\n'
+);
+
+// --- exports
+
+module.exports = {
+    do_export_spec: do_export_spec
+};
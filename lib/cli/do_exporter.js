@@ -0,0 +1,169 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var http = require('http');
+
+var common = require('../common');
+var errors = require('../errors');
+var metrics = require('../metrics');
+
+
+// --- globals
+
+var DEFAULT_PORT = 9163;
+var DEFAULT_INTERVAL = 60 * 1000;
+
+/*
+ * The 'sdcadm exporter' CLI subcommand.
+ *
+ * Metrics are collected in the background every INTERVAL, rather than on
+ * each scrape, because health checking the whole DC can take longer than a
+ * Prometheus scrape timeout.
+ */
+
+function do_exporter(subcmd, opts, args, callback) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], callback);
+        return;
+    } else if (args.length !== 0) {
+        callback(new errors.UsageError('too many args: ' + args));
+        return;
+    }
+
+    var interval = DEFAULT_INTERVAL;
+    if (opts.interval) {
+        interval = common.msFromHumanDuration(opts.interval);
+        if (!interval) {
+            callback(new errors.UsageError(
+                'invalid --interval: ' + opts.interval));
+            return;
+        }
+    }
+    var port = (opts.port === undefined ? DEFAULT_PORT : opts.port);
+    if (port > 65535) {
+        callback(new errors.UsageError('invalid --port: ' + port));
+        return;
+    }
+    var address = opts.bind || self.sdcadm.config.admin_ip;
+
+    var log = self.log;
+    var latest = null;
+    var timer = null;
+    var stopped = false;
+
+    function collect() {
+        metrics.collectMetrics({sdcadm: self.sdcadm}, function (err, fams) {
+            if (err) {
+                log.error({err: err}, 'could not collect metrics');
+            } else {
+                latest = metrics.formatMetrics(fams);
+            }
+            if (!stopped) {
+                timer = setTimeout(collect, interval);
+            }
+        });
+    }
+
+    var server = http.createServer(function onRequest(req, res) {
+        var urlPath = req.url.split('?')[0];
+        log.debug({method: req.method, url: req.url}, 'exporter request');
+
+        if (urlPath !== '/metrics') {
+            res.writeHead(404, {'Content-Type': 'text/plain'});
+            res.end('not found (see /metrics)\n');
+        } else if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, {'Content-Type': 'text/plain', Allow: 'GET'});
+            res.end('method not allowed\n');
+        } else if (latest === null) {
+            res.writeHead(503, {'Content-Type': 'text/plain'});
+            res.end('metrics have not been collected yet\n');
+        } else {
+            res.writeHead(200, {'Content-Type': metrics.CONTENT_TYPE});
+            res.end(req.method === 'HEAD' ? undefined : latest);
+        }
+    });
+
+    function stop() {
+        process.removeListener('SIGINT', stop);
+        process.removeListener('SIGTERM', stop);
+        stopped = true;
+        clearTimeout(timer);
+        server.close();
+        self.progress('Stopped exporter');
+        callback();
+    }
+
+    server.once('error', function onError(err) {
+        callback(new errors.InternalError({
+            message: 'could not serve metrics on ' + address + ':' + port,
+            cause: err
+        }));
+    });
+
+    server.listen(port, address, function onListening() {
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+        self.progress('Serving metrics on http://%s:%d/metrics ' +
+            '(collected every %s)', address, port,
+            common.humanDurationFromMs(interval));
+        collect();
+    });
+}
+
+do_exporter.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['bind', 'b'],
+        type: 'string',
+        helpArg: 'ADDRESS',
+        help: 'The address on which to listen. Defaults to the headnode ' +
+            'admin IP.'
+    },
+    {
+        names: ['port', 'p'],
+        type: 'positiveInteger',
+        helpArg: 'PORT',
+        help: 'The port on which to listen. Defaults to ' + DEFAULT_PORT + '.'
+    },
+    {
+        names: ['interval', 'i'],
+        type: 'string',
+        helpArg: 'INTERVAL',
+        help: 'How often to collect metrics (e.g. "30s", "5m"). Defaults ' +
+            'to 1m.'
+    }
+];
+do_exporter.help = (
+    'Serve sdcadm\'s view of the DC as OpenMetrics (Prometheus) metrics.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} exporter [<options>]\n' +
+    '\n' +
+    '{{options}}' +
+    '\n' +
+    'This runs until interrupted, serving at "/metrics" the same metrics\n' +
+    'as "sdcadm check-health --format openmetrics": the health of each\n' +
+    'core instance and of each of its health checks, the image, version\n' +
+    'and image age of each instance and the platform of each server.\n' +
+    'Metrics are collected in the background every INTERVAL, a scrape\n' +
+    'gets the latest collected ones.\n'
+);
+
+
+// --- exports
+
+module.exports = {
+    do_exporter: do_exporter
+};
@@ -0,0 +1,95 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var fs = require('fs');
+
+var bundle = require('../bundle');
+var common = require('../common');
+var errors = require('../errors');
+
+/*
+ * The 'sdcadm import-bundle' CLI subcommand.
+ */
+
+function do_import_bundle(subcmd, opts, args, callback) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], callback);
+        return;
+    } else if (args.length === 0) {
+        callback(new errors.UsageError('missing BUNDLE-FILE argument'));
+        return;
+    } else if (args.length > 1) {
+        callback(new errors.UsageError('too many args: ' + args));
+        return;
+    }
+
+    var file = args[0];
+    if (!fs.existsSync(file)) {
+        callback(new errors.UsageError('bundle file does not exist: ' + file));
+        return;
+    }
+
+    bundle.importBundle({
+        sdcadm: self.sdcadm,
+        uuid: self.uuid,
+        file: file,
+        progress: self.progress
+    }, function (err, res) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        self.progress('Imported bundle %s (created %s) to %s',
+            res.manifest.uuid, res.manifest.created, res.dir);
+        self.progress(common.indent(res.imported + ' new image' +
+            (res.imported === 1 ? '' : 's') + ' in IMGAPI'));
+
+        var cmds = bundle.nextSteps(res.dir, res.manifest);
+        if (cmds.length) {
+            self.progress('\nUse the bundle with:');
+            cmds.forEach(function (cmd) {
+                self.progress(common.indent(cmd));
+            });
+        }
+        callback();
+    });
+}
+do_import_bundle.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    }
+];
+do_import_bundle.help = (
+    'Import a bundle of update images from "sdcadm export-bundle".\n'
+    + '\n'
+    + 'Usage:\n'
+    + '     {{name}} import-bundle [<options>] BUNDLE-FILE\n'
+    + '\n'
+    + '{{options}}'
+    + '\n'
+    + 'This verifies the checksums of the bundle files, imports the core\n'
+    + 'service and agent images into the local IMGAPI and keeps the\n'
+    + 'platform, agentsshar and gz-tools files and the bundle DC spec in\n'
+    + '"' + bundle.BUNDLES_DIR + '/<bundle uuid>". It then prints the\n'
+    + '"sdcadm platform install", "sdcadm experimental update-gz-tools",\n'
+    + '"sdcadm experimental update-agents" and "sdcadm update -f" commands\n'
+    + 'with which to apply them, none of which then need the updates\n'
+    + 'server. Importing a bundle again is safe: images already in IMGAPI\n'
+    + 'are skipped.\n'
+);
+
+// --- exports
+
+module.exports = {
+    do_import_bundle: do_import_bundle
+};
@@ -13,6 +13,7 @@
  * Analytics (CA) service from TritonDC.
  */
 
+var errors = require('../errors');
 var RemoveServicesProcedure = require('../procedures/remove-services')
     .RemoveServicesProcedure;
 var runProcs = require('../procedures').runProcs;
@@ -24,6 +25,10 @@ function do_remove_ca(subcmd, opts, _args, cb) {
         this.do_help('help', {}, [subcmd], cb);
         return;
     }
+    if (opts.json && !opts.dry_run) {
+        cb(new errors.UsageError('"--json" requires "--dry-run"'));
+        return;
+    }
 
     var procs = [
         new RemoveServicesProcedure({
@@ -38,6 +43,7 @@ function do_remove_ca(subcmd, opts, _args, cb) {
         sdcadm: self.sdcadm,
         ui: self.ui,
         dryRun: opts.dry_run,
+        json: opts.json,
         skipConfirm: opts.yes
     }, function done(err) {
         cb(err);
@@ -60,6 +66,11 @@ do_remove_ca.options = [
         type: 'bool',
         help: 'Do a dry-run.'
     },
+    {
+        names: ['json'],
+        type: 'bool',
+        help: 'With "--dry-run", print the plan as JSON.'
+    },
     {
         group: 'Server selection (by default agents on all setup servers ' +
             'are removed)'
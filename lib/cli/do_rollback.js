@@ -12,15 +12,62 @@ var p = console.log;
 var fs = require('fs');
 var path = require('path');
 
+var tabula = require('tabula');
 var vasync = require('vasync');
 
 var common = require('../common');
 var errors = require('../errors');
+var describeProcs = require('../procedures').describeProcs;
+var rollbackLib = require('../rollback');
 
 /*
  * The 'sdcadm rollback' CLI subcommand.
  */
 
+/*
+ * `sdcadm rollback --list`: the saved updates which can be rolled back.
+ */
+function listRollbackCandidates(opts, cb) {
+    rollbackLib.listUpdates({}, function (err, updates) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        var rows = updates.map(function (update) {
+            return {
+                uuid: update.uuid,
+                time: update.started || path.basename(update.wrkDir),
+                state: update.state,
+                rolledBack: update.rolledBack,
+                user: update.username,
+                services: update.changes.map(function (change) {
+                    return change.service;
+                }).join(','),
+                wrkDir: update.wrkDir,
+                changes: update.changes
+            };
+        });
+        if (opts.json) {
+            rows.forEach(function (row) {
+                delete row.services;
+            });
+            console.log(JSON.stringify(rows, null, 4));
+        } else if (rows.length === 0) {
+            p('No updates to rollback in %s', rollbackLib.UPDATES_DIR);
+        } else {
+            rows.forEach(function (row) {
+                if (row.rolledBack) {
+                    row.state += ' (rolled back)';
+                }
+            });
+            tabula(rows, {
+                columns: ['uuid', 'time', 'state', 'user', 'services']
+            });
+        }
+        cb();
+    });
+}
+
 function do_rollback(subcmd, opts, _args, cb) {
     var self = this;
     if (opts.help) {
@@ -28,28 +75,69 @@ function do_rollback(subcmd, opts, _args, cb) {
         return;
     }
 
-    // TODO: When no file is given, read latest from /var/sdcadm/updates
-    // (or maybe just add '--latest' option, like for platform cmd)
-    if (!opts.file) {
-        cb(new errors.UsageError('File including update plan ' +
-                    'to rollback must be specified'));
+    if (opts.list) {
+        listRollbackCandidates(opts, cb);
+        return;
+    }
+
+    var nPlanOpts = [opts.file, opts.latest, opts.run].filter(
+        Boolean).length;
+    if (nPlanOpts === 0) {
+        cb(new errors.UsageError('The update plan to rollback must be ' +
+            'specified: use "--latest", "--run RUN-UUID" or "-f FILE_PATH"'));
+        return;
+    } else if (nPlanOpts > 1) {
+        cb(new errors.UsageError(
+            'only one of "--latest", "--run" and "-f" may be given'));
+        return;
+    }
+    if (opts.run && !common.UUID_RE.test(opts.run)) {
+        cb(new errors.UsageError('"--run" is not a UUID: ' + opts.run));
         return;
     }
 
-    if (!opts.force) {
-        cb(new errors.UsageError('Migrations and version ' +
-            'dependencies not implemented. Use "--force" to rollback ' +
-            '(warning: you know what you are doing w.r.t. migrations).'));
+    if (opts.json && !opts.dry_run) {
+        cb(new errors.UsageError('"--json" requires "--dry-run"'));
         return;
     }
+    if (opts.json) {
+        // Keep stdout for the JSON plan.
+        self.ui.useStderr();
+    }
 
     var upPlan;
+    var upDir;
     var plan;
     var unlock;
     var execStart;
 
     vasync.pipeline({funcs: [
+        function getSavedUpdate(_, next) {
+            if (opts.file) {
+                next();
+                return;
+            }
+            rollbackLib.findUpdate({
+                uuid: opts.run,
+                latest: opts.latest
+            }, function (err, update) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                self.progress('Rolling back update %s (%s)',
+                    update.uuid || '(unknown run)', update.wrkDir);
+                upPlan = update.plan;
+                upDir = update.wrkDir;
+                next();
+            });
+        },
         function getSpecFromFile(_, next) {
+            if (!opts.file) {
+                next();
+                return;
+            }
+            upDir = path.dirname(opts.file);
             fs.readFile(opts.file, {
                 encoding: 'utf8'
             }, function rfCb(err, data) {
@@ -71,7 +159,9 @@ function do_rollback(subcmd, opts, _args, cb) {
         },
         function genRbPlan(_, next) {
             self.sdcadm.genRollbackPlan({
-                updatePlan: upPlan
+                updatePlan: upPlan,
+                force: opts.force,
+                progress: self.progress
             }, function (err, _plan) {
                 if (err) {
                     next(err);
@@ -83,6 +173,12 @@ function do_rollback(subcmd, opts, _args, cb) {
         },
 
         function confirm(_, next) {
+            if (opts.json) {
+                console.log(JSON.stringify(describeProcs(plan.procs),
+                    null, 4));
+                next();
+                return;
+            }
             if (plan.procs.length === 0) {
                 next();
                 return;
@@ -114,7 +210,9 @@ function do_rollback(subcmd, opts, _args, cb) {
                 return;
             }
             if (opts.dry_run) {
-                p('[dry-run] done');
+                if (!opts.json) {
+                    p('[dry-run] done');
+                }
                 next();
                 return;
             }
@@ -124,7 +222,7 @@ function do_rollback(subcmd, opts, _args, cb) {
                 ui: self.ui,
                 dryRun: opts.dry_run,
                 uuid: self.uuid,
-                upDir: path.dirname(opts.file)
+                upDir: upDir
             }, next);
         }
     ]
@@ -147,6 +245,10 @@ function do_rollback(subcmd, opts, _args, cb) {
                 cb(err || finishRbErr);
                 return;
             }
+            if (opts.json) {
+                cb();
+                return;
+            }
 
             if (plan.procs.length === 0) {
                 p('Nothing to rollback');
@@ -171,6 +273,12 @@ do_rollback.options = [
         type: 'bool',
         help: 'Go through the motions without actually rolling back.'
     },
+    {
+        names: ['json'],
+        type: 'bool',
+        help: 'With "--dry-run", print the rollback plan as JSON. With ' +
+            '"--list", list the updates as JSON.'
+    },
     {
         names: ['yes', 'y'],
         type: 'bool',
@@ -179,7 +287,26 @@ do_rollback.options = [
     {
         names: ['force'],
         type: 'bool',
-        help: 'Do the rollback despite of migrations and version dependencies'
+        help: 'Do the rollback even if a service would be rolled back to ' +
+            'an image which cannot work with its migrated data.'
+    },
+    {
+        names: ['list', 'l'],
+        type: 'bool',
+        help: 'List the updates which can be rolled back, most recent first.'
+    },
+    {
+        names: ['latest'],
+        type: 'bool',
+        help: 'Rollback the most recent update which succeeded and has ' +
+            'not been rolled back.'
+    },
+    {
+        names: ['run'],
+        type: 'string',
+        help: 'Rollback the update run with the given sdcadm run UUID (see ' +
+            '"--list").',
+        helpArg: 'RUN-UUID'
     },
     {
         names: ['file', 'f'],
@@ -194,8 +321,17 @@ do_rollback.help = (
     'Rollback SDC services and instances.\n' +
     '\n' +
     'Usage:\n' +
+    '     {{name}} rollback --list [--json]\n' +
+    '     {{name}} rollback [<options>] --latest\n' +
+    '     {{name}} rollback [<options>] --run RUN-UUID\n' +
     '     {{name}} rollback [<options>] -f <./local-upgrade-file.json> ...\n' +
     '\n' +
+    'Executed update plans are saved in /var/sdcadm/updates. A rollback\n' +
+    'moves the instances of the services changed by an update back to the\n' +
+    'images they were on, provided they are all still on the images the\n' +
+    'update moved them to, and that services are not rolled back to\n' +
+    'images which cannot work with their migrated data (see "--force").\n' +
+    '\n' +
     '{{options}}'
 );
 
@@ -47,6 +47,9 @@ function do_self_update(subcmd, opts, args, cb) {
             if (opts.channel) {
                 self.sdcadm.updates.channel = opts.channel;
             }
+            if (opts.allow_unsigned) {
+                self.sdcadm.updates.allowUnsigned = true;
+            }
             next();
         },
         function doSelfUpdate(_, next) {
@@ -85,6 +88,13 @@ do_self_update.options = [
         help: 'Use the given channel to fetch the image, even if it is ' +
             'not the default one.'
     },
+    {
+        names: ['allow-unsigned'],
+        type: 'bool',
+        help: 'Allow images which are not signed by a trusted key (see ' +
+            'the "trustedImageKeys" config var), which are otherwise ' +
+            'refused.'
+    },
     {
         names: ['latest'],
         type: 'bool',
@@ -13,12 +13,39 @@
  */
 
 var p = console.log;
+var fs = require('fs');
+var util = require('util');
 
 var assert = require('assert-plus');
+var sprintf = require('extsprintf').sprintf;
 var vasync = require('vasync');
 
 var errors = require('../errors');
 var common = require('../common');
+var dcSpec = require('../spec');
+var describeProcs = require('../procedures').describeProcs;
+var Platform = require('../platform').Platform;
+var preflight = require('../preflight');
+
+
+// --- globals
+
+var DEFAULT_MAINT_MESSAGE = 'SmartDataCenter is being upgraded';
+
+
+/*
+ * Print pre-flight check results, one per line (and more for multi-line
+ * messages).
+ */
+function printPreflightResults(results, print) {
+    results.forEach(function (r) {
+        var lines = r.message.split('\n');
+        print(sprintf('%-4s  %-16s  %s', r.status, r.name, lines[0]));
+        lines.slice(1).forEach(function (line) {
+            print(sprintf('%24s%s', '', line));
+        });
+    });
+}
 
 // --- Internal support stuff which can be shared between
 // 'sdcadm up' and 'sdcadm experimental up'
@@ -52,8 +79,54 @@ Update.prototype.execute = function cExecute(opts, args, cb) {
     var unlock;
     var changes;
     var plan;
+    var checkpoint;
+    var spec;
+    var assignments = [];
+    var preflightResults;
+    var maintStarted = false;
+    var maintStartFailed = false;
     var execStart;
 
+    if (opts.resume && (args.length !== 0 || opts.all)) {
+        cb(new errors.UsageError(
+            '--resume cannot be used with --all or update arguments'));
+        return;
+    }
+    if (opts.file && (args.length !== 0 || opts.all || opts.resume)) {
+        cb(new errors.UsageError('-f|--file cannot be used with --all, ' +
+            '--resume or update arguments'));
+        return;
+    }
+
+    if (opts.json && !opts.dry_run && !opts.preflight_only) {
+        cb(new errors.UsageError(
+            '"--json" requires "--dry-run" or "--preflight-only"'));
+        return;
+    }
+    if ((opts.maint_message || opts.maint_eta) && !opts.maint) {
+        cb(new errors.UsageError(
+            '--maint-message and --maint-eta require --maint'));
+        return;
+    }
+    if (opts.maint_eta && opts.maint_eta <= new Date()) {
+        cb(new errors.UsageError(
+            '--maint-eta must be set to any time in the future'));
+        return;
+    }
+    if (opts.preflight_only && opts.skip_preflight) {
+        cb(new errors.UsageError(
+            '--preflight-only cannot be used with --skip-preflight'));
+        return;
+    }
+    if (opts.json) {
+        // Keep stdout for the JSON plan.
+        self.ui.useStderr();
+    }
+
+    function nothingToDo() {
+        return (plan.procs.length === 0 && assignments.length === 0);
+    }
+
     vasync.pipeline({funcs: [
         function ensureSdcApp(_, next) {
             self.sdcadm.ensureSdcApp({}, function (err) {
@@ -65,6 +138,9 @@ Update.prototype.execute = function cExecute(opts, args, cb) {
                 if (opts.channel) {
                     self.sdcadm.updates.channel = opts.channel;
                 }
+                if (opts.allow_unsigned) {
+                    self.sdcadm.updates.allowUnsigned = true;
+                }
                 next();
             });
         },
@@ -77,7 +153,8 @@ Update.prototype.execute = function cExecute(opts, args, cb) {
          *      sdcadm update <inst> ...
          *      sdcadm update <inst>@<image> ...
          *      sdcadm update <inst>@<version> ...
-         *      sdcadm -f <upgrade-spec-file.json>
+         *      sdcadm update -f <upgrade-spec-file.json>
+         *      sdcadm update -f <dc-spec-file.json>
          *      echo <upgrade-spec-file.json> | sdcadm update
          *      sdcadm update -a|--all
          *
@@ -91,9 +168,44 @@ Update.prototype.execute = function cExecute(opts, args, cb) {
          *          {"service": "cn-agent", "image": "<uuid-or-local-path>"},
          *          ...
          *      ]
+         *
+         * A "-f" file holds either such an array of changes or a DC spec
+         * (see lib/spec.js), as generated by `sdcadm export-spec`.
          */
+        function getChangesFromFile(_, next) {
+            if (!opts.file) {
+                next();
+                return;
+            }
+            fs.readFile(opts.file, 'utf8', function (readErr, data) {
+                if (readErr) {
+                    next(new errors.UsageError(readErr,
+                        'could not read ' + opts.file));
+                    return;
+                }
+                var parseRes = dcSpec.parseSpecText(data, opts.file);
+                if (parseRes.err) {
+                    next(parseRes.err);
+                    return;
+                }
+                var parsed = parseRes.parsed;
+                if (Array.isArray(parsed)) {
+                    changes = parsed;
+                    next();
+                    return;
+                }
+                var specErr = dcSpec.validateSpec(parsed);
+                if (specErr) {
+                    next(new errors.UsageError(specErr,
+                        'invalid spec in ' + opts.file));
+                    return;
+                }
+                spec = parsed;
+                next();
+            });
+        },
         function getChangesFromStdin(_, next) {
-            if (args.length !== 0 || opts.all) {
+            if (args.length !== 0 || opts.all || opts.resume || opts.file) {
                 next();
                 return;
             } else if (process.stdin.isTTY) {
@@ -124,6 +236,11 @@ Update.prototype.execute = function cExecute(opts, args, cb) {
             });
         },
         function getLock(_, next) {
+            // Pre-flight checks don't change anything.
+            if (opts.preflight_only) {
+                next();
+                return;
+            }
             self.sdcadm.acquireLock({
                 progress: self.progress
             }, function (lockErr, unlock_) {
@@ -131,8 +248,73 @@ Update.prototype.execute = function cExecute(opts, args, cb) {
                 next(lockErr);
             });
         },
+        function getChangesFromSpec(_, next) {
+            if (!spec) {
+                next();
+                return;
+            }
+            self.sdcadm.getServices({}, function (err, svcs) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                var res = dcSpec.changesFromSpec(spec, {
+                    svcs: svcs,
+                    agents: opts.experimental
+                });
+                if (res.err) {
+                    next(res.err);
+                    return;
+                }
+                if (res.skipped.length) {
+                    self.progress('Skipping agents in spec (individual ' +
+                        'agent updates require "sdcadm experimental ' +
+                        'update"): %s', res.skipped.join(', '));
+                }
+                changes = res.changes;
+                next();
+            });
+        },
+        function getPlatformAssignmentsFromSpec(_, next) {
+            if (!spec || !spec.platforms) {
+                next();
+                return;
+            }
+            var cnapi = self.sdcadm.cnapi;
+            cnapi.listServers({}, function (serversErr, servers) {
+                if (serversErr) {
+                    next(new errors.SDCClientError(serversErr, 'cnapi'));
+                    return;
+                }
+                var res = dcSpec.platformAssignmentsFromSpec(spec, servers);
+                if (res.err) {
+                    next(res.err);
+                    return;
+                }
+                cnapi.listPlatforms(function (platsErr, platforms) {
+                    if (platsErr) {
+                        next(new errors.SDCClientError(platsErr, 'cnapi'));
+                        return;
+                    }
+                    var missing = res.assignments.filter(function (a) {
+                        return (!platforms[a.platform]);
+                    }).map(function (a) {
+                        return a.platform;
+                    });
+                    if (missing.length) {
+                        next(new errors.UsageError(
+                            'platforms in spec are not installed (see ' +
+                            '"sdcadm platform install"): ' +
+                            missing.join(', ')));
+                        return;
+                    }
+                    assignments = res.assignments;
+                    next();
+                });
+            });
+        },
         function getChangesFromArgs(_, next) {
-            if (changes) {
+            if (changes || opts.resume) {
                 next();
                 return;
             }
@@ -145,13 +327,33 @@ Update.prototype.execute = function cExecute(opts, args, cb) {
                 next();
             });
         },
+        function genResumePlan(_, next) {
+            if (!opts.resume) {
+                next();
+                return;
+            }
+            self.sdcadm.genResumePlan({
+                uuid: opts.resume,
+                progress: self.progress
+            }, function (err, plan_, checkpoint_) {
+                plan = plan_;
+                checkpoint = checkpoint_;
+                next(err);
+            });
+        },
         function genPlan(_, next) {
+            if (opts.resume) {
+                next();
+                return;
+            }
             self.log.debug('genPlan');
             var updatePlanOpts = {
                 forceDataPath: opts.force_data_path,
                 forceRabbitmq: opts.force_rabbitmq,
                 forceSameImage: opts.force_same_image,
                 forceBypassMinImage: opts.force_bypass_min_image,
+                forceMigrations: opts.force_migrations,
+                preflight: !opts.skip_preflight,
                 changes: changes,
                 justImages: opts.just_images,
                 updateAll: opts.all,
@@ -166,14 +368,99 @@ Update.prototype.execute = function cExecute(opts, args, cb) {
                 next(err);
             });
         },
+        /*
+         * See "lib/preflight.js". With --preflight-only, this is where we
+         * stop.
+         */
+        function preflightChecks(_, next) {
+            if (opts.skip_preflight ||
+                (nothingToDo() && !opts.preflight_only)) {
+                next();
+                return;
+            }
+            preflight.runPreflight({
+                sdcadm: self.sdcadm,
+                plan: plan,
+                forceBypassMinImage: opts.force_bypass_min_image
+            }, function (err, results) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                preflightResults = results;
+                var failed = preflight.resultsWithStatus(results,
+                    preflight.FAIL);
+
+                if (opts.preflight_only && opts.json) {
+                    console.log(JSON.stringify({
+                        ok: (failed.length === 0),
+                        results: results
+                    }, null, 4));
+                } else if (opts.preflight_only) {
+                    printPreflightResults(results, p);
+                } else if (failed.length ||
+                        preflight.resultsWithStatus(results,
+                            preflight.WARN).length) {
+                    self.progress('Pre-flight checks:');
+                    printPreflightResults(results.filter(function (r) {
+                        return (r.status !== preflight.PASS);
+                    }), function (line) {
+                        self.progress(common.indent(line));
+                    });
+                }
+
+                if (failed.length) {
+                    next(new errors.UpdateError(util.format(
+                        'pre-flight checks failed: %s%s',
+                        failed.map(function (r) {
+                            return r.name;
+                        }).join(', '),
+                        (opts.preflight_only ? '' :
+                            ' (see "sdcadm update --preflight-only")'))));
+                    return;
+                }
+                next();
+            });
+        },
         function confirm(_, next) {
-            if (plan.procs.length === 0) {
+            if (opts.preflight_only) {
+                next();
+                return;
+            }
+            if (opts.json) {
+                var desc = describeProcs(plan.procs);
+                if (preflightResults) {
+                    desc.preflight = preflightResults;
+                }
+                if (spec) {
+                    desc.platformAssignments = assignments.map(function (a) {
+                        return {
+                            platform: a.platform,
+                            servers: a.servers.map(function (s) {
+                                return s.uuid;
+                            })
+                        };
+                    });
+                }
+                console.log(JSON.stringify(desc, null, 4));
+                next();
+                return;
+            }
+            if (nothingToDo()) {
                 next();
                 return;
             }
             p('');
             p('This update will make the following changes:');
             self.sdcadm.summarizePlan({plan: plan, progress: self.progress});
+            assignments.forEach(function (a) {
+                self.progress(common.indent(util.format(
+                    'assign platform %s to %d server%s: %s', a.platform,
+                    a.servers.length, (a.servers.length === 1 ? '' : 's'),
+                    a.servers.map(function (s) {
+                        return s.hostname;
+                    }).join(', '))));
+            });
             p('');
             if (opts.yes) {
                 next();
@@ -190,14 +477,52 @@ Update.prototype.execute = function cExecute(opts, args, cb) {
                 next();
             });
         },
+        /*
+         * With --maint, enter DC maintenance for the update, unless the DC
+         * already is in maintenance (then it is left alone).
+         */
+        function enterMaint(_, next) {
+            if (!opts.maint || opts.dry_run || opts.preflight_only ||
+                nothingToDo()) {
+                next();
+                return;
+            }
+            self.sdcadm.dcMaintStatus(function (err, status) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                if (status.maint) {
+                    self.progress('DC is already in maintenance mode, it ' +
+                        'will not be stopped after the update');
+                    next();
+                    return;
+                }
+                self.sdcadm.dcMaintStart({
+                    progress: self.progress,
+                    message: opts.maint_message || DEFAULT_MAINT_MESSAGE,
+                    eta: (opts.maint_eta ?
+                        opts.maint_eta.toISOString() : undefined),
+                    runUuid: self.uuid
+                }, function (startErr) {
+                    // Even partially started maintenance must be stopped,
+                    // and the update has not run: stop it below.
+                    maintStarted = true;
+                    maintStartFailed = Boolean(startErr);
+                    next(startErr);
+                });
+            });
+        },
         function execPlan(_, next) {
             execStart = Date.now();
-            if (plan.procs.length === 0) {
+            if (nothingToDo() || opts.preflight_only) {
                 next();
                 return;
             }
             if (opts.dry_run) {
-                p('[dry-run] done');
+                if (!opts.json) {
+                    p('[dry-run] done');
+                }
                 next();
                 return;
             }
@@ -208,16 +533,90 @@ Update.prototype.execute = function cExecute(opts, args, cb) {
                 dryRun: opts.dry_run,
                 justImages: opts.just_images,
                 uuid: self.uuid,
-                ufdsBackupTimeout: opts.ufds_backup_timeout
+                ufdsBackupTimeout: opts.ufds_backup_timeout,
+                backupManatee: Boolean(opts.backup_manatee ||
+                    self.sdcadm.config.manateeBackupOnUpdate),
+                resume: checkpoint
             };
             if (opts.experimental) {
                 execUpdatePlanOpts.concurrency = opts.concurrency;
             }
+            if (plan.procs.length === 0) {
+                next();
+                return;
+            }
             self.sdcadm.execUpdatePlan(execUpdatePlanOpts, next);
+        },
+        function assignPlatforms(_, next) {
+            if (assignments.length === 0 || opts.dry_run ||
+                opts.preflight_only) {
+                next();
+                return;
+            }
+            var platform = new Platform({
+                sdcadm: self.sdcadm,
+                progress: self.progress,
+                log: self.log
+            });
+            vasync.forEachPipeline({
+                inputs: assignments,
+                func: function assignOne(a, nextAssignment) {
+                    platform.assign({
+                        platform: a.platform,
+                        server: a.servers.map(function (s) {
+                            return s.uuid;
+                        })
+                    }, nextAssignment);
+                }
+            }, function (err) {
+                if (!err) {
+                    self.progress('Servers must be rebooted to boot their ' +
+                        'newly assigned platform');
+                }
+                next(err);
+            });
         }
 
     ]}, function finishUp(err) {
         vasync.pipeline({funcs: [
+            function leaveMaint(_, next) {
+                if (!maintStarted) {
+                    next();
+                    return;
+                }
+                if (!err) {
+                    self.sdcadm.dcMaintStop({progress: self.progress}, next);
+                    return;
+                } else if (maintStartFailed) {
+                    self.progress('Stopping the partially started DC ' +
+                        'maintenance');
+                    self.sdcadm.dcMaintStop({progress: self.progress},
+                            function (stopErr) {
+                        if (stopErr) {
+                            self.log.warn({err: stopErr},
+                                'could not stop DC maintenance');
+                            self.progress('Could not stop DC maintenance ' +
+                                '(see "sdcadm dc-maint status"): %s',
+                                stopErr.message);
+                        }
+                        next();
+                    });
+                    return;
+                }
+                self.progress('Leaving the DC in maintenance mode because ' +
+                    'the update failed (see "sdcadm dc-maint status")');
+                self.sdcadm.dcMaintRecordFailure({
+                    runUuid: self.uuid,
+                    err: err
+                }, function (recordErr) {
+                    if (recordErr) {
+                        self.log.warn({err: recordErr},
+                            'could not record update failure in dc-maint ' +
+                            'info file');
+                    }
+                    next();
+                });
+            },
             function dropLock(_, next) {
                 if (!unlock) {
                     next();
@@ -235,8 +634,14 @@ Update.prototype.execute = function cExecute(opts, args, cb) {
                 cb(err || finishUpErr);
                 return;
             }
+            if (opts.json) {
+                cb();
+                return;
+            }
 
-            if (plan.procs.length === 0) {
+            if (opts.preflight_only) {
+                p('Pre-flight checks passed.');
+            } else if (nothingToDo()) {
                 if (opts.just_images) {
                     p('Up-to-date (all images are imported).');
                 } else {
@@ -258,6 +663,7 @@ Update.prototype.help = (
     '\n' +
     'Usage:\n' +
     '     ...update spec on stdin... | {{name}} update [<options>]\n' +
+    '     {{name}} update [<options>] -f SPEC-FILE\n' +
     '     {{name}} update [<options>] <svc> ...\n' +
     '     {{name}} update [<options>] <svc>@<image> ...\n' +
     '     {{name}} update [<options>] <svc>@<version> ...\n' +
@@ -270,6 +676,20 @@ Update.prototype.help = (
     '     # available image.\n' +
     '     {{name}} update cnapi\n' +
     '\n' +
+    '     # Converge the DC to the images and platforms in a spec file,\n' +
+    '     # e.g. one generated (and edited) with "{{name}} export-spec".\n' +
+    '     {{name}} update -f dc-spec.json\n' +
+    '\n' +
+    '     # Check that updating all instances should work, without\n' +
+    '     # updating anything.\n' +
+    '     {{name}} update --all --preflight-only\n' +
+    '\n' +
+    '     # Update all instances in DC maintenance mode.\n' +
+    '     {{name}} update --all --maint --maint-eta 2019-07-01T18:00:00Z\n' +
+    '\n' +
+    '     # Resume a failed update, given the sdcadm run UUID it printed.\n' +
+    '     {{name}} update --resume 7d0ec7a4-8c6b-11e9-9a3b-8b0b2bd0a3b5\n' +
+    '\n' +
     '     TODO: other calling forms\n'
 );
 
@@ -307,6 +727,44 @@ do_update.options = [
         type: 'bool',
         help: 'Go through the motions without actually updating.'
     },
+    {
+        names: ['json'],
+        type: 'bool',
+        help: 'With "--dry-run", print the update plan as JSON. With ' +
+            '"--preflight-only", print the pre-flight check results as JSON.'
+    },
+    {
+        names: ['preflight-only'],
+        type: 'bool',
+        help: 'Only run the pre-flight checks on the update plan and report ' +
+            'pass, warn or fail for each. Exits non-zero if any fails.'
+    },
+    {
+        names: ['skip-preflight'],
+        type: 'bool',
+        help: 'Do not run the pre-flight checks before updating.'
+    },
+    {
+        names: ['maint'],
+        type: 'bool',
+        help: 'Put the DC in maintenance mode (see "sdcadm dc-maint") ' +
+            'while updating, and end maintenance mode on success. On ' +
+            'failure, the DC is left in maintenance mode.'
+    },
+    {
+        names: ['maint-message'],
+        type: 'string',
+        helpArg: 'MESSAGE',
+        help: 'With "--maint", the maintenance message. Default: "' +
+            DEFAULT_MAINT_MESSAGE + '".'
+    },
+    {
+        names: ['maint-eta'],
+        type: 'date',
+        helpArg: 'ETA',
+        help: 'With "--maint", the expected time to get the DC restored ' +
+            'to full operation, as for "sdcadm dc-maint start --eta".'
+    },
     {
         names: ['all', 'a'],
         type: 'bool',
@@ -346,6 +804,19 @@ do_update.options = [
               'unknown or it does not fulfil the minimum image ' +
               'requirements for updates.'
     },
+    {
+        names: ['force-migrations'],
+        type: 'bool',
+        help: 'Allow update of a service to an image which cannot work ' +
+              'with the data of the service as migrated by a newer image.'
+    },
+    {
+        names: ['backup-manatee'],
+        type: 'bool',
+        help: 'Take a manatee backup (see "sdcadm manatee backup") before ' +
+              'updating manatee or moray instances. This is the default ' +
+              'if the "manateeBackupOnUpdate" config var is true.'
+    },
     {
         names: ['ufds-backup-timeout'],
         type: 'integer',
@@ -360,6 +831,31 @@ do_update.options = [
         help: 'Use the given channel to fetch the image(s), even if it is ' +
             'not the default one.'
     },
+    {
+        names: ['allow-unsigned'],
+        type: 'bool',
+        help: 'Allow images which are not signed by a trusted key (see ' +
+            'the "trustedImageKeys" config var), which are otherwise ' +
+            'refused.'
+    },
+    {
+        names: ['file', 'f'],
+        type: 'string',
+        help: 'Update to the spec in the given file: either an array ' +
+              'of changes or a DC spec as from "sdcadm export-spec". Images ' +
+              'of services, agents and server platforms not mentioned in ' +
+              'the spec are left alone. Files named "*.yaml" or "*.yml" ' +
+              'are read as YAML, others as JSON.',
+        helpArg: 'SPEC-FILE'
+    },
+    {
+        names: ['resume'],
+        type: 'string',
+        help: 'Resume the failed update with the given sdcadm run UUID ' +
+              'from its first unfinished procedure. This refuses to ' +
+              'proceed if the DC has changed since the update failed.',
+        helpArg: 'RUN-UUID'
+    },
     {
         names: ['exclude', 'x'],
         type: 'arrayOfString',
@@ -454,5 +950,6 @@ do_experimental_update.options = do_update.options.concat(
 
 module.exports = {
     do_update: do_update,
-    do_experimental_update: do_experimental_update
+    do_experimental_update: do_experimental_update,
+    _Update: Update
 };
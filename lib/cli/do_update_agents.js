@@ -112,7 +112,9 @@ UpdateAgents.prototype._setImageToLatest =  function _setImageToLatest(cb) {
     this.progress(
         'Finding latest "agentsshar" on updates server (channel "%s")',
         this.channel);
-    this.sdcadm.updates.listImages(filter, function (err, images) {
+    this.sdcadm.updates.listImages(filter, {
+        channel: this.channel
+    }, function (err, images) {
         if (err) {
             cb(new errors.SDCClientError(err, 'updates'));
             return;
@@ -136,7 +138,9 @@ function _setImageFromUuid(imageUuid, cb) {
 
     const self = this;
 
-    this.sdcadm.updates.getImage(imageUuid, function (err, foundImage) {
+    this.sdcadm.updates.getImage(imageUuid, {
+        channel: this.channel
+    }, function (err, foundImage) {
         if (err) {
             cb(new errors.SDCClientError(err, 'updates'));
             return;
@@ -303,7 +307,7 @@ function _stepDownloadAgentsshar(ctx, next) {
     self.progress('Downloading agentsshar from updates server ' +
                   '(channel "%s")\n    to %s', self.channel, self.filepath);
     self.sdcadm.updates.getImageFile(
-        self.image.uuid, self.filepath,
+        self.image.uuid, self.filepath, {channel: self.channel},
         function (err) {
             if (err) {
                 next(new errors.SDCClientError(err, 'updates'));
@@ -427,8 +431,14 @@ UpdateAgents.prototype.exec = function exec(callback) {
             if (self.agentsshar === 'latest' ||
                 common.UUID_RE.test(self.agentsshar)) {
                 self.sdcadm.getDefaultChannel(function (err, ch) {
-                    self.channel = ch;
-                    next(err);
+                    if (err) {
+                        next(err);
+                        return;
+                    }
+                    // The agentsshar may be pinned to another channel.
+                    self.channel = (self.sdcadm.channelForService(
+                        'agentsshar') || ch);
+                    next();
                 });
             } else {
                 next();
@@ -1253,6 +1263,9 @@ function do_update_agents(subcmd, opts, args, cb) {
                 if (opts.channel) {
                     self.sdcadm.updates.channel = opts.channel;
                 }
+                if (opts.allow_unsigned) {
+                    self.sdcadm.updates.allowUnsigned = true;
+                }
                 next();
             });
         },
@@ -1374,6 +1387,13 @@ do_update_agents.options = [
         type: 'string',
         help: 'Use the given channel to fetch the image, even if it is ' +
             'not the default one.'
+    },
+    {
+        names: ['allow-unsigned'],
+        type: 'bool',
+        help: 'Allow images which are not signed by a trusted key (see ' +
+            'the "trustedImageKeys" config var), which are otherwise ' +
+            'refused.'
     }
 ];
 
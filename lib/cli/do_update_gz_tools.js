@@ -828,6 +828,9 @@ function do_update_gz_tools(subcmd, opts, args, cb) {
             if (opts.channel) {
                 self.sdcadm.updates.channel = opts.channel;
             }
+            if (opts.allow_unsigned) {
+                self.sdcadm.updates.allowUnsigned = true;
+            }
 
             var proc = new UpdateGzTools({
                 uuid: self.top.uuid,
@@ -872,6 +875,13 @@ do_update_gz_tools.options = [
         help: 'Use the given channel to fetch the image, even if it is not ' +
             'the default one.'
     },
+    {
+        names: ['allow-unsigned'],
+        type: 'bool',
+        help: 'Allow images which are not signed by a trusted key (see ' +
+            'the "trustedImageKeys" config var), which are otherwise ' +
+            'refused.'
+    },
     {
         names: ['latest'],
         type: 'bool',
@@ -31,8 +31,13 @@ var SdcAdm = require('../sdcadm');
 var experimental = require('./experimental');
 var PostSetupCLI = require('../post-setup').PostSetupCLI;
 var PlatformCLI = require('../platform').PlatformCLI;
+var BinderCLI = require('../binder').BinderCLI;
 var ChannelCLI = require('../channel').ChannelCLI;
 var DCMaintCLI = require('../dc-maint').DCMaintCLI;
+var HistoryCLI = require('../history').HistoryCLI;
+var LockCLI = require('../lock').LockCLI;
+var ManateeCLI = require('../manatee').ManateeCLI;
+var UsbKeyCLI = require('../usbkey').UsbKeyCLI;
 var defFabric = require('../default-fabric');
 var UI = require('./ui').UI;
 
@@ -458,8 +463,26 @@ CLI.prototype.do_check_config = require('./do_check_config').do_check_config;
 
 CLI.prototype.do_check_health = require('./do_check_health').do_check_health;
 
+CLI.prototype.do_export_spec = require('./do_export_spec').do_export_spec;
+
+CLI.prototype.do_exporter = require('./do_exporter').do_exporter;
+
+CLI.prototype.do_export_bundle = require('./do_export_bundle').do_export_bundle;
+
+CLI.prototype.do_import_bundle = require('./do_import_bundle').do_import_bundle;
+
 CLI.prototype.do_dc_maint = DCMaintCLI;
 
+CLI.prototype.do_history = HistoryCLI;
+
+CLI.prototype.do_lock = LockCLI;
+
+CLI.prototype.do_usbkey = UsbKeyCLI;
+
+CLI.prototype.do_manatee = ManateeCLI;
+
+CLI.prototype.do_binder = BinderCLI;
+
 
 experimental.ExperimentalCLI.prototype.do_avail =
 available.do_experimental_avail;
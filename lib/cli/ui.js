@@ -29,6 +29,8 @@
  *   These methods know to avoid using a progress bar if output is not to a
  *   TTY. `ui.info` and `ui.error` know to use `<bar>.log` when a progress bar
  *   is active.
+ * - `ui.useStderr()` to send `ui.info` and `ui.error` output to stderr, e.g.
+ *   when stdout is reserved for JSON output.
  */
 
 'use strict';
@@ -100,8 +102,14 @@ function UI(opts) {
         }
     }
     this._stylize = (color ? stylizeWithColor : stylizeWithoutColor);
+    this._write = console.log;
 }
 
+// Write all further output to stderr instead of stdout.
+UI.prototype.useStderr = function useStderr() {
+    this._write = console.error;
+};
+
 // Temporary convenience function for parts of sdcadm that still use the
 // old `progress` function for emitting text to the user.
 UI.prototype.progressFunc = function progressFunc() {
@@ -115,7 +123,7 @@ UI.prototype.info = function info() {
     if (this._bar) {
         this._bar.log(msg);
     } else  {
-        console.log(msg);
+        this._write(msg);
     }
 };
 
@@ -127,7 +135,7 @@ UI.prototype.error = function error() {
     if (this._bar) {
         this._bar.log(styled);
     } else  {
-        console.log(styled);
+        this._write(styled);
     }
 };
 
@@ -191,6 +199,8 @@ MockUI.prototype.info = function info() {
     this._write(msg);
 };
 
+MockUI.prototype.useStderr = function mockUseStderr() {};
+
 MockUI.prototype.error = function error() {
     var msgArgs = Array.prototype.slice.call(arguments);
     var msg = format.apply(null, msgArgs);
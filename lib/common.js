@@ -39,6 +39,11 @@ var UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
 
 var SECONDS = 1000;
 
+// Platform images on the USB key (when mounted) and in its copy on the zones
+// pool.
+var USBKEY_OS_DIR = '/mnt/usbkey/os';
+var USBKEY_CACHE_OS_DIR = '/usbkey/os';
+
 /*
  * A map of abstract network types to functions that can be used to identify
  * those types. Used below in validateNetType, netTypeToNetFunc, and
@@ -396,6 +401,42 @@ function promptYesNo(opts_, cb) {
 }
 
 
+/**
+ * Confirm an action with a y/N prompt, unless `opts.yes`.
+ *
+ *      cb(true)       confirmed, or `opts.yes`
+ *      cb(false)      not confirmed ("Aborting" is printed)
+ */
+function confirm(opts, msg, cb) {
+    assert.object(opts, 'opts');
+    assert.optionalBool(opts.yes, 'opts.yes');
+    assert.string(msg, 'msg');
+    assert.func(cb, 'cb');
+
+    if (opts.yes) {
+        cb(true);
+        return;
+    }
+    promptYesNo({
+        msg: msg + ' [y/N] ',
+        default: 'n'
+    }, function (answer) {
+        if (answer !== 'y') {
+            console.log('Aborting');
+        }
+        cb(answer === 'y');
+    });
+}
+
+
+/**
+ * The first segment of a UUID, for display ("-" if there is none).
+ */
+function shortId(id) {
+    return (id ? id.split('-')[0] : '-');
+}
+
+
 /* TODO(trentm): drop in favour of one from tabula module */
 function sortArrayOfObjects(items, fields) {
     function _cmp(a, b) {
@@ -915,6 +956,9 @@ function imgadmGetRemote(opts, cb) {
  * @param {String} opts.vm: vm UUID
  * @param {String} opts.cmd: manatee-adm sub command
  * @param {String} opts.log: bunyan log instance
+ * And optionally:
+ * @param {Number} opts.timeout: sdc-oneachnode timeout, in seconds, for
+ *      long running sub commands (e.g. rebuild)
  *
  * @param {Function} cb: Callback of the form f(err, stdout, stderr);
  */
@@ -924,20 +968,24 @@ function manateeAdmRemote(opts, cb) {
     assert.string(opts.vm, 'opts.vm');
     assert.string(opts.cmd, 'opts.cmd');
     assert.object(opts.log, 'opts.log');
+    assert.optionalNumber(opts.timeout, 'opts.timeout');
     assert.func(cb, 'cb');
 
     // can't handle double-quotes in `cmd`
     assert.ok(opts.cmd.indexOf('"') === -1);
 
-    var argv = [
-        '/opt/smartdc/bin/sdc-oneachnode',
+    var argv = ['/opt/smartdc/bin/sdc-oneachnode'];
+    if (opts.timeout) {
+        argv.push('-T', String(opts.timeout));
+    }
+    argv = argv.concat([
         '-j',
         '-n',
         opts.server,
         format('/usr/sbin/zlogin %s "source ~/.bashrc; ' +
             '/opt/smartdc/manatee/node_modules/.bin/manatee-adm %s"',
             opts.vm, opts.cmd)
-    ];
+    ]);
 
     execFilePlus({
         argv: argv,
@@ -1191,6 +1239,33 @@ function humanDurationFromMs(ms) {
 }
 
 
+/**
+ * Parse a duration string like "30s", "5m", "1h30m", "30d" or "500ms" into
+ * milliseconds. A bare number is a number of seconds.
+ *
+ * @returns {Number} The duration in milliseconds, or null if invalid.
+ */
+function msFromHumanDuration(str) {
+    assert.string(str, 'str');
+    var MS_FROM_UNIT = {ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000,
+        d: 24 * 60 * 60 * 1000};
+
+    if (/^\d+$/.test(str)) {
+        return Number(str) * 1000;
+    }
+    if (!/^(\d+(ms|s|m|h|d))+$/.test(str)) {
+        return null;
+    }
+    var ms = 0;
+    var re = /(\d+)(ms|s|m|h|d)/g;
+    var match;
+    while ((match = re.exec(str)) !== null) {
+        ms += Number(match[1]) * MS_FROM_UNIT[match[2]];
+    }
+    return ms;
+}
+
+
 /*
  * Call config-agent synchronously into the given server's VM, so we force an
  * immediate config rewrite.
@@ -1255,6 +1330,8 @@ function callConfigAgentSync(opts, cb) {
  * @param {String} opts.vm: vm UUID
  * @param {String} opts.cmd: the cmd to execute
  * @param {String} opts.log: bunyan log instance
+ * @param {Number} opts.timeout: Optional. sdc-oneachnode timeout in seconds.
+ *      Default 600.
  *
  * @param {Function} cb: Callback of the form f(err);
  */
@@ -1265,6 +1342,7 @@ function execRemote(opts, cb) {
     assert.string(opts.vm, 'opts.vm');
     assert.string(opts.cmd, 'opts.cmd');
     assert.object(opts.log, 'opts.log');
+    assert.optionalNumber(opts.timeout, 'opts.timeout');
     assert.func(cb, 'cb');
 
     // can't handle double-quotes in `cmd`
@@ -1273,7 +1351,7 @@ function execRemote(opts, cb) {
     var argv = [
         '/opt/smartdc/bin/sdc-oneachnode',
         '-T',
-        '600',
+        String(opts.timeout || 600),
         '-j',
         '-n',
         opts.server,
@@ -1854,6 +1932,8 @@ function netTypeToNicFunc(s) {
 
 module.exports = {
     UUID_RE: UUID_RE,
+    USBKEY_OS_DIR: USBKEY_OS_DIR,
+    USBKEY_CACHE_OS_DIR: USBKEY_CACHE_OS_DIR,
     loadConfig: loadConfig,
     assertStrictOptions: assertStrictOptions,
     cmp: cmp,
@@ -1861,6 +1941,8 @@ module.exports = {
     deepObjCopy: deepObjCopy,
     splitStr: splitStr,
     promptYesNo: promptYesNo,
+    confirm: confirm,
+    shortId: shortId,
     sortArrayOfObjects: sortArrayOfObjects,
     indent: indent,
     execFilePlus: execFilePlus,
@@ -1878,6 +1960,7 @@ module.exports = {
     manateeShardStatus: manateeShardStatus,
     waitForPostgresUp: waitForPostgresUp,
     humanDurationFromMs: humanDurationFromMs,
+    msFromHumanDuration: msFromHumanDuration,
     execRemote: execRemote,
     callConfigAgentSync: callConfigAgentSync,
     execWithRetries: execWithRetries,
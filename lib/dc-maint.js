@@ -270,6 +270,15 @@ DCMaintCLI.prototype.do_status = function do_status(subcmd, opts, _args, cb) {
             if (status.eta) {
                 self.progress('DC maintenance ETA: %s', status.eta);
             }
+            if (status.runUuid) {
+                self.progress('DC maintenance started by sdcadm run: %s',
+                    status.runUuid);
+            }
+            if (status.failure) {
+                self.progress('DC maintenance left on after sdcadm run %s ' +
+                    'failed (%s): %s', status.failure.runUuid,
+                    status.failure.time, status.failure.message);
+            }
         } else {
             self.progress('DC maintenance: off');
         }
@@ -143,6 +143,21 @@ function ValidationError(cause, message) {
 }
 util.inherits(ValidationError, SdcAdmError);
 
+function LockError(cause, message) {
+    if (message === undefined) {
+        message = cause;
+        cause = undefined;
+    }
+    assert.string(message);
+    SdcAdmError.call(this, {
+        cause: cause,
+        message: message,
+        code: 'Lock',
+        exitStatus: 1
+    });
+}
+util.inherits(LockError, SdcAdmError);
+
 /**
  * An error to wrap around node-sdc-clients API errors.
  * This *prefers* they are following:
@@ -245,6 +260,7 @@ module.exports = {
     UpdateError: UpdateError,
     InstanceIsDownError: InstanceIsDownError,
     ValidationError: ValidationError,
+    LockError: LockError,
     SDCClientError: SDCClientError,
     MultiError: MultiError,
 
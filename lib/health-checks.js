@@ -0,0 +1,842 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Health checks run by `SdcAdm.checkHealth` for each instance once its SMF
+ * service is found to be online.
+ *
+ * Besides the built-in checks (the "ping" endpoints of core services), checks
+ * can be declared for any service:
+ *
+ * - in the "sdcadm_health_checks" metadata key of the SAPI service, as an
+ *   array of checks; or
+ * - in "*.json" files in the health checks dir (the "healthChecksDir" sdcadm
+ *   config var, "/var/sdcadm/health-checks" by default), each one an object
+ *   mapping service names to arrays of checks.
+ *
+ * A check is an object with a "type" and the fields for that type:
+ *
+ *      {"type": "http", "port": 8080, "path": "/ping", "status": 200}
+ *          A GET of "path" on the instance IP must return HTTP "status"
+ *          (default 200). "port" defaults to 80. Set "https": true to use
+ *          HTTPS (the default for port 443).
+ *      {"type": "tcp", "port": 5432}
+ *          A TCP connection to "port" on the instance IP must succeed.
+ *      {"type": "cmd", "cmd": "/opt/local/bin/mysvc-status"}
+ *          The command must exit 0 when run in the instance zone (or in the
+ *          global zone for agents).
+ *      {"type": "zookeeper", "port": 2181}
+ *          ZooKeeper on the instance IP must answer "imok" to "ruok".
+ *      {"type": "manatee"}
+ *          `manatee-adm pg-status` in the instance zone must report the
+ *          primary (and sync, if any) postgres as online.
+ *
+ * All checks can have a "name" (defaults to the type, it must be unique for
+ * the service) and a "timeout" in milliseconds (default 10000). A custom check
+ * with the name of a built-in one replaces it.
+ *
+ * `watchHealth` and `waitUntilHealthy` run `SdcAdm.checkHealth` in a loop,
+ * e.g. for `sdcadm check-health --watch` and for procedures waiting for
+ * instances to come up.
+ */
+
+var child_process = require('child_process');
+var fs = require('fs');
+var http = require('http');
+var https = require('https');
+var net = require('net');
+var path = require('path');
+var util = require('util');
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+var common = require('./common');
+var errors = require('./errors');
+
+
+// --- globals
+
+var SAPI_CHECKS_KEY = 'sdcadm_health_checks';
+var DEFAULT_TIMEOUT = 10000;
+
+var BUILTIN_CHECKS = {
+    // vms
+    amon: [ {name: 'ping', type: 'http', path: '/ping'} ],
+    cloudapi: [ {name: 'ping', type: 'http', port: 443, path: '/--ping'} ],
+    cnapi: [ {name: 'ping', type: 'http', path: '/ping'} ],
+    fwapi: [ {name: 'ping', type: 'http', path: '/ping'} ],
+    grafana: [ {name: 'ping', type: 'http', port: 443, path: '/ping'} ],
+    imgapi: [ {name: 'ping', type: 'http', path: '/ping'} ],
+    napi: [ {name: 'ping', type: 'http', path: '/ping'} ],
+    papi: [ {name: 'ping', type: 'http', path: '/ping'} ],
+    prometheus: [ {name: 'ping', type: 'http', port: 9090,
+        path: '/-/healthy'} ],
+    sapi: [ {name: 'ping', type: 'http', path: '/ping'} ],
+    vmapi: [ {name: 'ping', type: 'http', path: '/ping'} ],
+    volapi: [ {name: 'ping', type: 'http', path: '/ping'} ],
+    workflow: [ {name: 'ping', type: 'http', path: '/ping'} ],
+    // agents
+    firewaller: [ {name: 'ping', type: 'http', port: 2021, path: '/status'} ]
+};
+
+// The fields allowed for each type of check, other than "name", "type" and
+// "timeout".
+var FIELDS_FROM_TYPE = {
+    http: ['port', 'path', 'status', 'https'],
+    tcp: ['port'],
+    cmd: ['cmd'],
+    zookeeper: ['port'],
+    manatee: []
+};
+
+
+// --- internal support functions
+
+function isPort(port) {
+    return (typeof (port) === 'number' && port % 1 === 0 &&
+        port > 0 && port < 65536);
+}
+
+function shellQuote(s) {
+    return '\'' + s.replace(/'/g, '\'\\\'\'') + '\'';
+}
+
+function instIp(inst) {
+    return (inst.ip || inst.server_ip);
+}
+
+/*
+ * Run a check, calling back with an error message if it fails, or null.
+ */
+function runCheck(opts, check, cb) {
+    var inst = opts.inst;
+    var timeout = check.timeout || DEFAULT_TIMEOUT;
+    var done = false;
+
+    function finish(msg) {
+        if (!done) {
+            done = true;
+            cb(msg);
+        }
+    }
+
+    switch (check.type) {
+    case 'http':
+        var port = check.port || 80;
+        var useHttps = (check.https !== undefined ?
+            check.https : port === 443);
+        var req = (useHttps ? https : http).get({
+            hostname: instIp(inst),
+            port: port,
+            path: check.path,
+            agent: false,
+            rejectUnauthorized: false
+        }, function (res) {
+            res.resume();
+            var status = check.status || 200;
+            opts.log.debug({http_response: res.statusCode},
+                'HTTP result for ' + inst.instance);
+            finish(res.statusCode === status ? null : util.format(
+                'ping check to %s failed with HTTP code %d',
+                instIp(inst), res.statusCode));
+        });
+        req.setTimeout(timeout, function () {
+            req.abort();
+            finish(util.format('ping check to %s timed out', instIp(inst)));
+        });
+        req.once('error', function (err) {
+            finish(util.format('ping check to %s failed: %s',
+                instIp(inst), err.message));
+        });
+        break;
+
+    case 'tcp':
+    case 'zookeeper':
+        var sock = net.connect({
+            host: instIp(inst),
+            port: check.port || 2181
+        });
+        var data = '';
+        sock.setTimeout(timeout, function () {
+            sock.destroy();
+            finish(util.format('%s check to %s:%d timed out',
+                check.type, instIp(inst), check.port || 2181));
+        });
+        sock.once('error', function (err) {
+            finish(util.format('%s check to %s:%d failed: %s',
+                check.type, instIp(inst), check.port || 2181, err.message));
+        });
+        sock.on('connect', function () {
+            if (check.type === 'tcp') {
+                sock.end();
+                finish(null);
+                return;
+            }
+            sock.write('ruok');
+        });
+        sock.on('data', function (chunk) {
+            data += chunk;
+        });
+        sock.on('end', function () {
+            finish(data.trim() === 'imok' ? null : util.format(
+                'zookeeper on %s is not ok: %j', instIp(inst), data.trim()));
+        });
+        break;
+
+    case 'cmd':
+        var script = (inst.type === 'vm' ?
+            util.format('/usr/sbin/zlogin %s %s', inst.instance,
+                shellQuote(check.cmd)) :
+            check.cmd);
+        opts.runScript(inst, script, timeout, function (err, result) {
+            if (err) {
+                finish(util.format('could not run "%s": %s', check.cmd,
+                    err.message));
+            } else if (result.exit_status !== 0) {
+                finish(util.format('"%s" exited %d: %s', check.cmd,
+                    result.exit_status,
+                    (result.stderr || result.stdout || '').trim()));
+            } else {
+                finish(null);
+            }
+        });
+        break;
+
+    case 'manatee':
+        common.manateeShardStatus({
+            server: inst.server,
+            vm: inst.instance,
+            log: opts.log
+        }, function (err, shardSt) {
+            if (err) {
+                finish('manatee-adm pg-status failed: ' + err.message);
+                return;
+            }
+            var notOk = ['primary', 'sync'].filter(function (role) {
+                return ((role === 'primary' || shardSt[role]) &&
+                    (!shardSt[role] || shardSt[role].pg_status !== 'ok'));
+            });
+            finish(notOk.length === 0 ? null : util.format(
+                'manatee shard %s postgres not ok: %j',
+                notOk.join(' and '), shardSt));
+        });
+        break;
+
+    default:
+        finish('unknown check type: ' + check.type);
+        break;
+    }
+}
+
+
+// --- exported functions
+
+/**
+ * Validate a health check declaration.
+ *
+ * @returns {String} A message describing the problem if invalid, else null.
+ */
+function validateCheck(check) {
+    if (typeof (check) !== 'object' || check === null ||
+            Array.isArray(check)) {
+        return 'health check is not an object';
+    }
+    var fields = FIELDS_FROM_TYPE[check.type];
+    if (!fields) {
+        return util.format('unknown health check type: %j', check.type);
+    }
+    var unknown = Object.keys(check).filter(function (k) {
+        return (['name', 'type', 'timeout'].indexOf(k) === -1 &&
+            fields.indexOf(k) === -1);
+    });
+    if (unknown.length) {
+        return util.format('unknown "%s" health check fields: %s',
+            check.type, unknown.join(', '));
+    }
+    if (check.name !== undefined &&
+            (typeof (check.name) !== 'string' || !check.name)) {
+        return util.format('invalid health check name: %j', check.name);
+    }
+    if (check.timeout !== undefined &&
+            !(typeof (check.timeout) === 'number' && check.timeout > 0)) {
+        return util.format('invalid health check timeout: %j',
+            check.timeout);
+    }
+    if (check.port !== undefined && !isPort(check.port)) {
+        return util.format('invalid health check port: %j', check.port);
+    }
+    switch (check.type) {
+    case 'http':
+        if (typeof (check.path) !== 'string' || check.path[0] !== '/') {
+            return util.format('invalid "http" health check path: %j',
+                check.path);
+        }
+        if (check.status !== undefined &&
+                !(typeof (check.status) === 'number' &&
+                check.status >= 100 && check.status < 600)) {
+            return util.format('invalid "http" health check status: %j',
+                check.status);
+        }
+        if (check.https !== undefined && typeof (check.https) !== 'boolean') {
+            return util.format('invalid "http" health check https: %j',
+                check.https);
+        }
+        break;
+    case 'tcp':
+        if (check.port === undefined) {
+            return '"tcp" health check is missing "port"';
+        }
+        break;
+    case 'cmd':
+        if (typeof (check.cmd) !== 'string' || !check.cmd) {
+            return util.format('invalid "cmd" health check cmd: %j',
+                check.cmd);
+        }
+        break;
+    default:
+        break;
+    }
+    return null;
+}
+
+
+/**
+ * Merge custom check declarations for a service into its current checks.
+ * Invalid checks are kept as `{name, type, invalid: <message>}`, to be
+ * reported as failing for each instance of the service.
+ *
+ * @param checks {Array} The current checks for the service. Not modified.
+ * @param decls {Array} The custom check declarations.
+ * @param source {String} Where `decls` come from, for error messages.
+ * @returns {Array} The merged checks.
+ */
+function mergeChecks(checks, decls, source) {
+    assert.arrayOfObject(checks, 'checks');
+    assert.string(source, 'source');
+
+    var res = checks.slice();
+    if (!Array.isArray(decls)) {
+        decls = [decls];
+    }
+    decls.forEach(function (decl, i) {
+        var msg = validateCheck(decl);
+        var check;
+        if (msg) {
+            check = {
+                name: util.format('%s[%d]', source, i),
+                type: (decl && decl.type) || null,
+                invalid: util.format('invalid health check (%s[%d]): %s',
+                    source, i, msg)
+            };
+        } else {
+            check = Object.assign({}, decl, {name: decl.name || decl.type});
+        }
+        res = res.filter(function (c) {
+            return (c.name !== check.name);
+        });
+        res.push(check);
+    });
+    return res;
+}
+
+
+/**
+ * Read the health check files in the given dir.
+ *
+ * A file (or the dir itself) which cannot be read or parsed doesn't fail the
+ * whole read: it is returned with the `error` instead of `checks`, to be
+ * reported as a failing health check of its own.
+ *
+ * @param dir {String} The health checks dir. It need not exist.
+ * @param cb {Function} `function (err, filesChecks)` where `filesChecks` is
+ *      an array of `{file: <path>, checks: {<svc>: [<check>, ...]}}` or
+ *      `{file: <path>, error: <Error>}`.
+ */
+function readChecksDir(dir, cb) {
+    assert.string(dir, 'dir');
+    assert.func(cb, 'cb');
+
+    fs.readdir(dir, function (dirErr, names) {
+        if (dirErr && dirErr.code === 'ENOENT') {
+            cb(null, []);
+            return;
+        } else if (dirErr) {
+            cb(null, [ {
+                file: dir,
+                error: new errors.InternalError({
+                    message: 'could not read health checks dir ' + dir,
+                    cause: dirErr
+                })
+            } ]);
+            return;
+        }
+        var files = names.filter(function (name) {
+            return /\.json$/.test(name);
+        }).sort().map(function (name) {
+            return path.join(dir, name);
+        });
+        vasync.forEachPipeline({
+            inputs: files,
+            func: function readOne(file, next) {
+                fs.readFile(file, 'utf8', function (err, data) {
+                    if (err) {
+                        next(null, {
+                            file: file,
+                            error: new errors.InternalError({
+                                message: 'could not read health checks ' +
+                                    'file ' + file,
+                                cause: err
+                            })
+                        });
+                        return;
+                    }
+                    var checks;
+                    try {
+                        checks = JSON.parse(data);
+                    } catch (parseErr) {
+                        next(null, {
+                            file: file,
+                            error: new errors.ValidationError(parseErr,
+                                'health checks file ' + file +
+                                ' is not valid JSON')
+                        });
+                        return;
+                    }
+                    if (typeof (checks) !== 'object' || checks === null ||
+                            Array.isArray(checks)) {
+                        next(null, {
+                            file: file,
+                            error: new errors.ValidationError(
+                                'health checks file ' + file +
+                                ' is not an object')
+                        });
+                        return;
+                    }
+                    next(null, {file: file, checks: checks});
+                });
+            }
+        }, function (err, results) {
+            cb(err, results && results.successes);
+        });
+    });
+}
+
+
+/**
+ * Load the health checks for all services: the built-in ones, plus those in
+ * SAPI service metadata and in the health checks dir.
+ *
+ * Health check files which could not be loaded are skipped (see
+ * `readChecksDir`) and passed back as `loadErrors`, an array of
+ * `{file: <path>, message: <error message>}`.
+ *
+ * @param opts {Object}
+ *      - sdcadm {Object} Required.
+ *      - dir {String} Optional. The health checks dir. Defaults to the
+ *        "healthChecksDir" sdcadm config var.
+ * @param cb {Function} `function (err, checksFromSvc, loadErrors)`
+ */
+function loadChecks(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.sdcadm, 'opts.sdcadm');
+    assert.optionalString(opts.dir, 'opts.dir');
+    assert.func(cb, 'cb');
+
+    var checksFromSvc = {};
+    var loadErrors = [];
+    Object.keys(BUILTIN_CHECKS).forEach(function (svc) {
+        checksFromSvc[svc] = BUILTIN_CHECKS[svc];
+    });
+
+    function addChecks(svc, decls, source) {
+        checksFromSvc[svc] = mergeChecks(checksFromSvc[svc] || [], decls,
+            source);
+    }
+
+    vasync.pipeline({funcs: [
+        function fromSapi(_, next) {
+            opts.sdcadm.getServices({}, function (err, svcs) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                svcs.forEach(function (svc) {
+                    var decls = svc.metadata && svc.metadata[SAPI_CHECKS_KEY];
+                    if (typeof (decls) === 'string') {
+                        try {
+                            decls = JSON.parse(decls);
+                        } catch (_parseErr) {
+                            // Reported as an invalid check.
+                        }
+                    }
+                    if (decls) {
+                        addChecks(svc.name, decls, util.format(
+                            'SAPI service "%s" %s', svc.name,
+                            SAPI_CHECKS_KEY));
+                    }
+                });
+                next();
+            });
+        },
+        function fromDir(_, next) {
+            var dir = opts.dir || opts.sdcadm.config.healthChecksDir;
+            if (!dir) {
+                next();
+                return;
+            }
+            readChecksDir(dir, function (err, filesChecks) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                filesChecks.forEach(function (fc) {
+                    if (fc.error) {
+                        opts.sdcadm.log.warn({err: fc.error, file: fc.file},
+                            'could not load health checks file');
+                        var cause = fc.error.cause();
+                        loadErrors.push({
+                            file: fc.file,
+                            message: fc.error.message +
+                                (cause ? ': ' + cause.message : '')
+                        });
+                        return;
+                    }
+                    Object.keys(fc.checks).forEach(function (svc) {
+                        addChecks(svc, fc.checks[svc], fc.file);
+                    });
+                });
+                next();
+            });
+        }
+    ]}, function (err) {
+        cb(err, checksFromSvc, loadErrors);
+    });
+}
+
+
+/**
+ * Create a function to run scripts for checks of type "cmd", via Ur or, on
+ * the headnode, locally.
+ *
+ * @param opts {Object}
+ *      - headnodeUuid {String} Required.
+ *      - urConnection {Object} Optional. Scripts for instances on other
+ *        servers fail to run without it.
+ * @returns {Function} `function (inst, script, timeout, cb)` calling back
+ *      with `function (err, {exit_status, stdout, stderr})`.
+ */
+function scriptRunner(opts) {
+    assert.object(opts, 'opts');
+    assert.string(opts.headnodeUuid, 'opts.headnodeUuid');
+    assert.optionalObject(opts.urConnection, 'opts.urConnection');
+
+    return function runScript(inst, script, timeout, cb) {
+        if (inst.server === opts.headnodeUuid) {
+            child_process.execFile('/bin/bash', ['-c', script], {
+                timeout: timeout
+            }, function (err, stdout, stderr) {
+                cb(null, {
+                    exit_status: (err ?
+                        (typeof (err.code) === 'number' ? err.code : 1) : 0),
+                    stdout: stdout,
+                    stderr: stderr
+                });
+            });
+        } else if (!opts.urConnection) {
+            cb(new Error('no Ur connection'));
+        } else {
+            opts.urConnection.exec({
+                script: script,
+                server_uuid: inst.server,
+                timeout: timeout
+            }, cb);
+        }
+    };
+}
+
+
+/**
+ * Run the given checks for an instance. This sets `inst.checks` to the
+ * per-check results (`{name, type, healthy, message}`), and `inst.healthy`
+ * and `inst.health_errors` accordingly.
+ *
+ * @param opts {Object}
+ *      - inst {Object} Required. The instance, as from `SdcAdm.listInsts`.
+ *      - checks {Array} Required. The checks, as from `loadChecks`.
+ *      - runScript {Function} Required. As from `scriptRunner`.
+ *      - log {Object} Required.
+ * @param cb {Function} `function (err, inst)`
+ */
+function runChecks(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.inst, 'opts.inst');
+    assert.arrayOfObject(opts.checks, 'opts.checks');
+    assert.func(opts.runScript, 'opts.runScript');
+    assert.object(opts.log, 'opts.log');
+    assert.func(cb, 'cb');
+
+    var inst = opts.inst;
+
+    vasync.forEachParallel({
+        inputs: opts.checks,
+        func: function runOne(check, next) {
+            if (check.invalid) {
+                next(null, check.invalid);
+                return;
+            }
+            runCheck(opts, check, function (msg) {
+                next(null, msg);
+            });
+        }
+    }, function (_, results) {
+        var msgs = results.operations.map(function (op) {
+            return op.result;
+        });
+        inst.checks = opts.checks.map(function (check, i) {
+            return {
+                name: check.name,
+                type: check.type,
+                healthy: !msgs[i],
+                message: msgs[i] || null
+            };
+        });
+        var errs = msgs.filter(function (msg) {
+            return msg;
+        }).map(function (msg) {
+            return {message: msg};
+        });
+        inst.healthy = (errs.length === 0);
+        if (errs.length) {
+            inst.health_errors = (inst.health_errors || []).concat(errs);
+        }
+        cb(null, inst);
+    });
+}
+
+
+// --- watching health
+
+/*
+ * Whether a `SdcAdm.checkHealth` result is unhealthy. (Some results, e.g. for
+ * agents without an SMF service, have no `healthy` field.)
+ */
+function isUnhealthy(result) {
+    return Boolean(result.health_errors && result.health_errors.length);
+}
+
+/*
+ * An identifier for a `SdcAdm.checkHealth` result, stable across runs.
+ */
+function resultKey(result) {
+    return [result.type, result.instance || result.alias || '',
+        result.service || ''].join('/');
+}
+
+
+/**
+ * Repeatedly run `SdcAdm.checkHealth`, reporting health transitions of the
+ * checked instances.
+ *
+ * @param opts {Object}
+ *      - sdcadm {Object} Required.
+ *      - healthOpts {Object} Required. Options for `SdcAdm.checkHealth`.
+ *      - interval {Number} Required. Milliseconds between runs.
+ *      - untilHealthy {Boolean} Optional. Stop once all results are
+ *        healthy. Otherwise this only stops on error, timeout or `stop()`.
+ *      - timeout {Number} Optional. Milliseconds after which to stop. With
+ *        `untilHealthy` this calls back with an `InstanceIsDownError`.
+ *      - onTransition {Function} Optional. Called as
+ *        `onTransition(transition)` for every result on the first run and
+ *        for every change of health after that, where `transition` is:
+ *              - time {Date} When the change was seen.
+ *              - result {Object} The `SdcAdm.checkHealth` result.
+ *              - healthy {Boolean}
+ *              - prevHealthy {Boolean} The previous health, or null if the
+ *                result is new. A result no longer there is reported once
+ *                with `healthy: null`.
+ *              - since {Date} When the previous health was first seen, or
+ *                null.
+ *              - initial {Boolean} Whether this is from the first run.
+ *      - onRun {Function} Optional. Called as `onRun(results, n)` after the
+ *        transitions of the n-th run (starting at 1) are reported.
+ * @param cb {Function} `function (err, results)` with the results of the
+ *      last run.
+ * @returns {Object} With a `stop()` method to stop watching (`cb` is then
+ *      called after the current run).
+ */
+function watchHealth(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.sdcadm, 'opts.sdcadm');
+    assert.object(opts.healthOpts, 'opts.healthOpts');
+    assert.number(opts.interval, 'opts.interval');
+    assert.optionalBool(opts.untilHealthy, 'opts.untilHealthy');
+    assert.optionalNumber(opts.timeout, 'opts.timeout');
+    assert.optionalFunc(opts.onTransition, 'opts.onTransition');
+    assert.optionalFunc(opts.onRun, 'opts.onRun');
+    assert.func(cb, 'cb');
+
+    var onTransition = opts.onTransition || function () {};
+    var runs = 0;
+    var start = Date.now();
+    var stateFromKey = {};
+    var lastResults = [];
+    var stopped = false;
+    var timer = null;
+
+    function finish(err, results) {
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+        stopped = true;
+        cb(err, results);
+    }
+
+    function runOnce() {
+        timer = null;
+        opts.sdcadm.checkHealth(Object.assign({}, opts.healthOpts),
+                function (err, results) {
+            if (err) {
+                finish(err);
+                return;
+            }
+
+            lastResults = results;
+            runs++;
+            var now = new Date();
+            var seen = {};
+            results.forEach(function (result) {
+                var key = resultKey(result);
+                var healthy = !isUnhealthy(result);
+                var state = stateFromKey[key];
+                seen[key] = true;
+                if (!state || state.healthy !== healthy) {
+                    onTransition({
+                        time: now,
+                        result: result,
+                        healthy: healthy,
+                        prevHealthy: state ? state.healthy : null,
+                        since: state ? state.since : null,
+                        initial: (runs === 1)
+                    });
+                    stateFromKey[key] = {healthy: healthy, since: now};
+                }
+                stateFromKey[key].result = result;
+            });
+            Object.keys(stateFromKey).forEach(function (key) {
+                if (!seen[key]) {
+                    var state = stateFromKey[key];
+                    onTransition({
+                        time: now,
+                        result: state.result,
+                        healthy: null,
+                        prevHealthy: state.healthy,
+                        since: state.since,
+                        initial: false
+                    });
+                    delete stateFromKey[key];
+                }
+            });
+            if (opts.onRun) {
+                opts.onRun(results, runs);
+            }
+
+            var unhealthy = results.filter(isUnhealthy);
+            if (opts.untilHealthy && unhealthy.length === 0) {
+                finish(null, results);
+                return;
+            }
+            if (opts.timeout !== undefined &&
+                    Date.now() - start + opts.interval > opts.timeout) {
+                if (opts.untilHealthy) {
+                    finish(new errors.InstanceIsDownError(util.format(
+                        'timeout (%s) waiting for instances to be healthy: ' +
+                        '%s', common.humanDurationFromMs(opts.timeout),
+                        unhealthy.map(function (r) {
+                            return util.format('%s (%s)',
+                                r.alias || r.instance || r.type,
+                                r.health_errors[0].message.trim());
+                        }).join(', '))), results);
+                } else {
+                    finish(null, results);
+                }
+                return;
+            }
+            if (stopped) {
+                cb(null, results);
+                return;
+            }
+            timer = setTimeout(runOnce, opts.interval);
+        });
+    }
+
+    runOnce();
+
+    return {
+        stop: function stop() {
+            if (stopped) {
+                return;
+            }
+            stopped = true;
+            if (timer) {
+                clearTimeout(timer);
+                timer = null;
+                cb(null, lastResults);
+            }
+        }
+    };
+}
+
+
+/**
+ * Wait until `SdcAdm.checkHealth` reports everything healthy, as a
+ * replacement for hand-rolled "checkHealth every N seconds" loops.
+ *
+ * @param opts {Object}
+ *      - sdcadm {Object} Required.
+ *      - healthOpts {Object} Required. Options for `SdcAdm.checkHealth`,
+ *        e.g. `{insts: [inst]}`.
+ *      - interval {Number} Optional. Milliseconds between checks. Default
+ *        5000.
+ *      - timeout {Number} Required. Milliseconds after which to give up.
+ * @param cb {Function} `function (err, results)` where `err` is an
+ *      `InstanceIsDownError` on timeout.
+ */
+function waitUntilHealthy(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.optionalNumber(opts.interval, 'opts.interval');
+    assert.number(opts.timeout, 'opts.timeout');
+
+    watchHealth({
+        sdcadm: opts.sdcadm,
+        healthOpts: opts.healthOpts,
+        interval: opts.interval || 5000,
+        untilHealthy: true,
+        timeout: opts.timeout
+    }, cb);
+}
+
+
+// --- exports
+
+module.exports = {
+    SAPI_CHECKS_KEY: SAPI_CHECKS_KEY,
+    BUILTIN_CHECKS: BUILTIN_CHECKS,
+    validateCheck: validateCheck,
+    mergeChecks: mergeChecks,
+    readChecksDir: readChecksDir,
+    loadChecks: loadChecks,
+    scriptRunner: scriptRunner,
+    runChecks: runChecks,
+    isUnhealthy: isUnhealthy,
+    watchHealth: watchHealth,
+    waitUntilHealthy: waitUntilHealthy
+};
@@ -0,0 +1,550 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * History of sdcadm runs modifying the DC, and the 'sdcadm history ...' CLI
+ * commands.
+ *
+ * Every sdcadm run that changes the DC (update, rollback, create,
+ * post-setup, platform assign) saves a single history record, keyed by the
+ * sdcadm run UUID, as "/var/sdcadm/history/$uuid.json". The record is written
+ * first when the operation starts and again on completion. A record without
+ * a `finished` time is either for an operation still in progress or one
+ * that crashed.
+ *
+ * A record looks like:
+ *
+ *      {
+ *          "v": 1,
+ *          "uuid": "<sdcadm run uuid>",
+ *          "user": "root",
+ *          "cmd": "update -y cnapi",
+ *          "started": "2019-06-11T18:30:01.123Z",
+ *          "finished": "2019-06-11T18:32:15.456Z",
+ *          "outcome": "success",     // or "failure"
+ *          "error": "...",           // error message, on failure
+ *          "plan": {...},            // `UpdatePlan.serialize()`, if any
+ *          "procs": [
+ *              {
+ *                  "name": "UpdateStatelessServices",
+ *                  "summary": "update \"cnapi\" service to image ...",
+ *                  "started": "...",
+ *                  "finished": "...",
+ *                  "outcome": "success"
+ *              },
+ *              ...
+ *          ]
+ *      }
+ */
+
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+
+var assert = require('assert-plus');
+var cmdln = require('cmdln');
+var Cmdln = cmdln.Cmdln;
+var mkdirp = require('mkdirp');
+var tabula = require('tabula');
+var vasync = require('vasync');
+
+var common = require('./common');
+var errors = require('./errors');
+
+
+// --- globals
+
+var HISTORY_DIR = '/var/sdcadm/history';
+var HISTORY_FORMAT_VER = 1;
+
+
+// --- History class
+
+/**
+ * Create a History.
+ *
+ * @param opts {Object}
+ *      - log {Bunyan Logger} Required.
+ *      - uuid {String} Required. The sdcadm run UUID.
+ *      - username {String} Optional. The user running sdcadm.
+ *      - argv {Array} Optional. The sdcadm command line arguments. Defaults
+ *        to those of the current process.
+ *      - dir {String} Optional. Directory where history records are saved.
+ *        Default "/var/sdcadm/history".
+ */
+function History(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.uuid(opts.uuid, 'opts.uuid');
+    assert.optionalString(opts.username, 'opts.username');
+    assert.optionalArrayOfString(opts.argv, 'opts.argv');
+    assert.optionalString(opts.dir, 'opts.dir');
+
+    this.log = opts.log;
+    this.uuid = opts.uuid;
+    this.username = opts.username || null;
+    this.argv = opts.argv || process.argv.slice(2);
+    this.dir = opts.dir || HISTORY_DIR;
+
+    // The record for the current sdcadm run, once started.
+    this._rec = null;
+    // Nesting depth of `start()` calls, e.g. `sdcadm create` runs a procedure
+    // which in turn executes an update plan.
+    this._depth = 0;
+}
+
+
+History.prototype._recPath = function _recPath(uuid) {
+    return path.resolve(this.dir, uuid + '.json');
+};
+
+
+/**
+ * Write the given history record to disk.
+ */
+History.prototype.saveHistory = function saveHistory(rec, cb) {
+    assert.object(rec, 'rec');
+    assert.uuid(rec.uuid, 'rec.uuid');
+    assert.func(cb, 'cb');
+
+    var self = this;
+    var recPath = self._recPath(rec.uuid);
+    var tmpPath = recPath + '.tmp';
+
+    vasync.pipeline({funcs: [
+        function mkHistoryDir(_, next) {
+            mkdirp(self.dir, next);
+        },
+        function writeTmpRec(_, next) {
+            fs.writeFile(tmpPath, JSON.stringify(rec, null, 4) + '\n',
+                'utf8', next);
+        },
+        function mvRec(_, next) {
+            fs.rename(tmpPath, recPath, next);
+        }
+    ]}, function saved(err) {
+        if (err) {
+            cb(new errors.InternalError({
+                message: 'error saving history record: ' + recPath,
+                cause: err
+            }));
+            return;
+        }
+        self.log.trace({rec: rec}, 'saved history record');
+        cb();
+    });
+};
+
+
+/**
+ * Get the history record with the given UUID.
+ *
+ * @param cb {Function} `function (err, rec)`
+ */
+History.prototype.getHistory = function getHistory(uuid, cb) {
+    assert.string(uuid, 'uuid');
+    assert.func(cb, 'cb');
+
+    if (!common.UUID_RE.test(uuid)) {
+        cb(new errors.UsageError('invalid history record UUID: ' + uuid));
+        return;
+    }
+
+    var recPath = this._recPath(uuid);
+    fs.readFile(recPath, 'utf8', function onRead(readErr, data) {
+        if (readErr && readErr.code === 'ENOENT') {
+            cb(new errors.UsageError('no such history record: ' + uuid));
+            return;
+        } else if (readErr) {
+            cb(new errors.InternalError({
+                message: 'error reading history record: ' + recPath,
+                cause: readErr
+            }));
+            return;
+        }
+
+        var rec;
+        try {
+            rec = JSON.parse(data);
+        } catch (parseErr) {
+            cb(new errors.InternalError({
+                message: 'invalid history record JSON: ' + recPath,
+                cause: parseErr
+            }));
+            return;
+        }
+        cb(null, rec);
+    });
+};
+
+
+/**
+ * List history records, sorted by start time.
+ *
+ * @param opts {Object}
+ *      - since {Date} Optional. Only records started at or after this time.
+ *      - until {Date} Optional. Only records started at or before this time.
+ * @param cb {Function} `function (err, recs)`
+ */
+History.prototype.listHistory = function listHistory(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.optionalDate(opts.since, 'opts.since');
+    assert.optionalDate(opts.until, 'opts.until');
+    assert.func(cb, 'cb');
+
+    var self = this;
+    var recs = [];
+
+    fs.readdir(self.dir, function onReaddir(readdirErr, files) {
+        if (readdirErr && readdirErr.code === 'ENOENT') {
+            cb(null, recs);
+            return;
+        } else if (readdirErr) {
+            cb(new errors.InternalError({
+                message: 'error reading history dir: ' + self.dir,
+                cause: readdirErr
+            }));
+            return;
+        }
+
+        var uuids = files.filter(function (f) {
+            return path.extname(f) === '.json';
+        }).map(function (f) {
+            return path.basename(f, '.json');
+        }).filter(function (uuid) {
+            return common.UUID_RE.test(uuid);
+        });
+
+        vasync.forEachPipeline({
+            inputs: uuids,
+            func: function loadRec(uuid, next) {
+                self.getHistory(uuid, function (err, rec) {
+                    if (err) {
+                        // Don't let one bogus record break the listing.
+                        self.log.warn({err: err, uuid: uuid},
+                            'skipping invalid history record');
+                        next();
+                        return;
+                    }
+                    var started = new Date(rec.started);
+                    if ((opts.since && started < opts.since) ||
+                        (opts.until && started > opts.until)) {
+                        next();
+                        return;
+                    }
+                    recs.push(rec);
+                    next();
+                });
+            }
+        }, function (err) {
+            common.sortArrayOfObjects(recs, ['started']);
+            cb(err, recs);
+        });
+    });
+};
+
+
+/**
+ * Start (or continue) the history record for this sdcadm run and save it.
+ *
+ * Nested calls (e.g. a procedure executing an update plan) are folded into
+ * the same record: only the outermost `finish()` will complete it.
+ *
+ * @param opts {Object}
+ *      - plan {UpdatePlan} Optional. The update plan being executed.
+ * @param cb {Function} `function (err)`
+ */
+History.prototype.start = function start(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.optionalObject(opts.plan, 'opts.plan');
+    assert.func(cb, 'cb');
+
+    if (this._rec === null) {
+        this._rec = {
+            v: HISTORY_FORMAT_VER,
+            uuid: this.uuid,
+            user: this.username,
+            cmd: this.argv.join(' '),
+            started: new Date().toISOString(),
+            procs: []
+        };
+    } else if (this._depth === 0) {
+        // Re-opened, e.g. `sdcadm platform assign` retrying a failed assign.
+        delete this._rec.finished;
+        delete this._rec.outcome;
+        delete this._rec.error;
+    }
+    this._depth++;
+
+    if (opts.plan && !this._rec.plan) {
+        this._rec.plan = JSON.parse(opts.plan.serialize());
+    }
+
+    this.saveHistory(this._rec, cb);
+};
+
+
+/**
+ * Note the start of the given procedure's execution in the current record.
+ *
+ * @returns {Object} The procedure entry to pass to `finishProc()`.
+ */
+History.prototype.startProc = function startProc(proc) {
+    assert.object(proc, 'proc');
+    assert.object(this._rec, 'history started');
+
+    var entry = {
+        name: proc.constructor.name,
+        summary: proc.summarize(),
+        started: new Date().toISOString()
+    };
+    this._rec.procs.push(entry);
+    return entry;
+};
+
+
+History.prototype.finishProc = function finishProc(entry, err) {
+    assert.object(entry, 'entry');
+    assert.optionalObject(err, 'err');
+
+    entry.finished = new Date().toISOString();
+    entry.outcome = (err ? 'failure' : 'success');
+    if (err) {
+        entry.error = err.message;
+    }
+};
+
+
+/**
+ * Finish the history record for this sdcadm run and save it.
+ *
+ * @param opts {Object}
+ *      - err {Error} Optional. The error, if the operation failed.
+ * @param cb {Function} `function (err)`
+ */
+History.prototype.finish = function finish(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.optionalObject(opts.err, 'opts.err');
+    assert.func(cb, 'cb');
+    assert.object(this._rec, 'history started');
+
+    this._depth--;
+    if (this._depth > 0) {
+        cb();
+        return;
+    }
+
+    this._rec.finished = new Date().toISOString();
+    this._rec.outcome = (opts.err ? 'failure' : 'success');
+    if (opts.err) {
+        this._rec.error = opts.err.message;
+    }
+
+    this.saveHistory(this._rec, cb);
+};
+
+
+/**
+ * Convenience wrapper to call `finish` at the end of an operation: history
+ * saving errors are logged and reported to the caller only if the operation
+ * itself didn't fail.
+ *
+ * @param err {Error} Optional. The operation error, if any.
+ * @param cb {Function} `function (err)`, called with `err` or the history
+ *      saving error.
+ */
+History.prototype.finishWrap = function finishWrap(err, cb) {
+    var self = this;
+    self.finish({err: err || undefined}, function (finishErr) {
+        if (finishErr) {
+            self.log.error({err: finishErr}, 'error finishing history');
+        }
+        cb(err || finishErr);
+    });
+};
+
+
+
+// --- History CLI class
+
+function HistoryCLI(top) {
+    this.top = top;
+    Cmdln.call(this, {
+        name: 'sdcadm history',
+        desc: 'History of sdcadm commands modifying this DC.\n' +
+              '\n' +
+              'Each "sdcadm update", "rollback", "create", "post-setup ..."\n' +
+              'and "platform assign" run saves a history record (run UUID,\n' +
+              'user, command line, update plan, start and finish time,\n' +
+              'outcome and per-procedure results) in ' + HISTORY_DIR + '.\n' +
+              'A record without a finish time is for an sdcadm run that is\n' +
+              'still in progress or that crashed.',
+        helpOpts: {
+            minHelpCol: 24 /* line up with option help */
+        }
+    });
+}
+util.inherits(HistoryCLI, Cmdln);
+
+HistoryCLI.prototype.init = function init(_opts, _args, _callback) {
+    this.sdcadm = this.top.sdcadm;
+    this.progress = this.top.progress;
+    this.log = this.top.log;
+
+    Cmdln.prototype.init.apply(this, arguments);
+};
+
+
+HistoryCLI.prototype.do_list = function do_list(subcmd, opts, args, cb) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (args.length !== 0) {
+        cb(new errors.UsageError('too many args: ' + args));
+        return;
+    }
+
+    var columns = opts.o.trim().split(/\s*,\s*/g);
+    var sort = opts.s.trim().split(/\s*,\s*/g);
+
+    self.sdcadm.history.listHistory({
+        since: opts.since,
+        until: opts.until
+    }, function (err, recs) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        common.sortArrayOfObjects(recs, sort);
+        if (opts.json) {
+            console.log(JSON.stringify(recs, null, 4));
+        } else {
+            tabula(recs.map(function (rec) {
+                return {
+                    uuid: rec.uuid,
+                    user: rec.user,
+                    cmd: rec.cmd,
+                    started: rec.started,
+                    finished: rec.finished || '-',
+                    outcome: rec.outcome || '-',
+                    error: rec.error || '-',
+                    procs: (rec.procs || []).length
+                };
+            }), {
+                skipHeader: opts.H,
+                columns: columns
+            });
+        }
+        cb();
+    });
+};
+
+HistoryCLI.prototype.do_list.help = (
+    'List history of sdcadm commands modifying this DC.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} list [<options>]\n' +
+    '\n' +
+    '{{options}}'
+);
+
+HistoryCLI.prototype.do_list.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['json', 'j'],
+        type: 'bool',
+        help: 'Show history as JSON.'
+    },
+    {
+        names: ['H'],
+        type: 'bool',
+        help: 'Omit table header row.'
+    },
+    {
+        names: ['o'],
+        type: 'string',
+        default: 'uuid,user,started,finished,outcome,cmd',
+        help: 'Specify fields (columns) to output.',
+        helpArg: 'field1,...'
+    },
+    {
+        names: ['s'],
+        type: 'string',
+        default: 'started',
+        help: 'Sort on the given fields. Default is "started".',
+        helpArg: 'field1,...'
+    },
+    {
+        names: ['since'],
+        type: 'date',
+        help: 'Only list records started at or after the given date. ' +
+            'Epoch seconds or ISO 8601 date string.'
+    },
+    {
+        names: ['until'],
+        type: 'date',
+        help: 'Only list records started at or before the given date. ' +
+            'Epoch seconds or ISO 8601 date string.'
+    }
+];
+
+HistoryCLI.prototype.do_list.aliases = ['ls'];
+
+
+HistoryCLI.prototype.do_get = function do_get(subcmd, opts, args, cb) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (args.length !== 1) {
+        cb(new errors.UsageError('must specify a single history UUID'));
+        return;
+    }
+
+    self.sdcadm.history.getHistory(args[0], function (err, rec) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        console.log(JSON.stringify(rec, null, 4));
+        cb();
+    });
+};
+
+HistoryCLI.prototype.do_get.help = (
+    'Get a history record (as JSON).\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} get UUID\n' +
+    '\n' +
+    '{{options}}'
+);
+
+HistoryCLI.prototype.do_get.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    }
+];
+
+
+// --- exports
+
+module.exports = {
+    History: History,
+    HistoryCLI: HistoryCLI
+};
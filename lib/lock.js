@@ -0,0 +1,813 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * The sdcadm lock holder info, the optional SAPI advisory lock and the
+ * 'sdcadm lock ...' CLI commands.
+ *
+ * `SdcAdm.acquireLock` takes a local fcntl lock on "/var/run/sdcadm.lock"
+ * (see lib/locker.js), which the kernel drops when the holding process goes
+ * away. Once acquired, info about the holder is written next to it, to
+ * "/var/run/sdcadm.lock.json":
+ *
+ *      {
+ *          "v": 1,
+ *          "uuid": "<sdcadm run uuid>",
+ *          "pid": 1234,
+ *          "user": "root",
+ *          "cmd": "update -y cnapi",
+ *          "hostname": "headnode",
+ *          "acquired": "2019-06-12T10:20:30.123Z"
+ *      }
+ *
+ * The local lock only guards against concurrent sdcadm runs on the same
+ * host. With `"sapiLock": true` in the sdcadm config, the same holder info is
+ * also saved as the "sdcadm_lock" metadata key of the SAPI "sdc" application,
+ * blocking sdcadm runs from other headnodes or zones (if they also have
+ * "sapiLock" set). This is an advisory lock: it is not atomic, and a lock
+ * left behind by an sdcadm process which is gone can only be detected as
+ * stale from the host it was taken on. Other stale SAPI locks must be
+ * removed with `sdcadm lock break`.
+ */
+
+var fs = require('fs');
+var os = require('os');
+var util = require('util');
+
+var assert = require('assert-plus');
+var cmdln = require('cmdln');
+var Cmdln = cmdln.Cmdln;
+var vasync = require('vasync');
+
+var common = require('./common');
+var errors = require('./errors');
+var lock = require('./locker').lock;
+
+
+// --- globals
+
+var LOCK_HOLDER_FORMAT_VER = 1;
+var SAPI_LOCK_KEY = 'sdcadm_lock';
+
+
+// --- lock holder info
+
+/**
+ * Create the lock holder info for the current process.
+ *
+ * @param opts {Object}
+ *      - uuid {String} Required. The sdcadm run UUID.
+ *      - username {String} Optional. The user running sdcadm.
+ *      - argv {Array} Optional. The sdcadm command line arguments. Defaults
+ *        to those of the current process.
+ */
+function lockHolder(opts) {
+    assert.object(opts, 'opts');
+    assert.uuid(opts.uuid, 'opts.uuid');
+    assert.optionalString(opts.username, 'opts.username');
+    assert.optionalArrayOfString(opts.argv, 'opts.argv');
+
+    return {
+        v: LOCK_HOLDER_FORMAT_VER,
+        uuid: opts.uuid,
+        pid: process.pid,
+        user: opts.username || null,
+        cmd: (opts.argv || process.argv.slice(2)).join(' '),
+        hostname: os.hostname(),
+        acquired: new Date().toISOString()
+    };
+}
+
+
+function pidIsAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        // EPERM: the process exists, but isn't ours to signal.
+        return (err.code === 'EPERM');
+    }
+}
+
+
+/**
+ * Return true if the given lock holder is known to be gone, i.e. it is from
+ * this host and its process is no longer running. A holder on another host
+ * is never considered stale, as there is no way to tell from here.
+ */
+function isStaleHolder(holder) {
+    assert.object(holder, 'holder');
+
+    return (holder.hostname === os.hostname() &&
+        typeof (holder.pid) === 'number' && !pidIsAlive(holder.pid));
+}
+
+
+/**
+ * Return a one line description of the given lock holder for messages.
+ */
+function describeHolder(holder) {
+    assert.object(holder, 'holder');
+
+    return util.format('run %s by %s ("sdcadm %s", pid %s on %s, since %s)',
+        holder.uuid, holder.user || 'unknown user', holder.cmd,
+        holder.pid, holder.hostname, holder.acquired);
+}
+
+
+/**
+ * Read the lock holder info file.
+ *
+ * @param cb {Function} `function (err, holder)`. `holder` is null if there
+ *      is no holder file (or it is bogus, e.g. from a crash while writing it).
+ */
+function readLockHolder(holderPath, cb) {
+    assert.string(holderPath, 'holderPath');
+    assert.func(cb, 'cb');
+
+    fs.readFile(holderPath, 'utf8', function (err, data) {
+        if (err && err.code === 'ENOENT') {
+            cb(null, null);
+            return;
+        } else if (err) {
+            cb(new errors.InternalError({
+                message: 'error reading lock holder info: ' + holderPath,
+                cause: err
+            }));
+            return;
+        }
+        var holder = null;
+        try {
+            holder = JSON.parse(data);
+        } catch (_parseErr) {
+            holder = null;
+        }
+        cb(null, holder);
+    });
+}
+
+
+function writeLockHolder(holderPath, holder, cb) {
+    assert.string(holderPath, 'holderPath');
+    assert.object(holder, 'holder');
+    assert.func(cb, 'cb');
+
+    var tmpPath = holderPath + '.tmp';
+    vasync.pipeline({funcs: [
+        function writeTmp(_, next) {
+            fs.writeFile(tmpPath, JSON.stringify(holder, null, 4) + '\n',
+                'utf8', next);
+        },
+        function mvTmp(_, next) {
+            fs.rename(tmpPath, holderPath, next);
+        }
+    ]}, function (err) {
+        if (err) {
+            cb(new errors.InternalError({
+                message: 'error writing lock holder info: ' + holderPath,
+                cause: err
+            }));
+            return;
+        }
+        cb();
+    });
+}
+
+
+function removeLockHolder(holderPath, cb) {
+    assert.string(holderPath, 'holderPath');
+    assert.func(cb, 'cb');
+
+    fs.unlink(holderPath, function (err) {
+        if (err && err.code !== 'ENOENT') {
+            cb(new errors.InternalError({
+                message: 'error removing lock holder info: ' + holderPath,
+                cause: err
+            }));
+            return;
+        }
+        cb();
+    });
+}
+
+
+// --- SAPI advisory lock
+
+/**
+ * Get the holder of the SAPI advisory lock, if any.
+ *
+ * @param sdcadm {SdcAdm} Required. With its `sdcApp` loaded.
+ * @param cb {Function} `function (err, holder)`. `holder` is null if the lock
+ *      is not held.
+ */
+function getSapiLock(sdcadm, cb) {
+    assert.object(sdcadm, 'sdcadm');
+    assert.object(sdcadm.sdcApp, 'sdcadm.sdcApp');
+    assert.func(cb, 'cb');
+
+    // Always get the app anew: the cached `sdcApp` may be stale.
+    sdcadm.sapi.getApplication(sdcadm.sdcApp.uuid, function (err, app) {
+        if (err) {
+            cb(new errors.SDCClientError(err, 'sapi'));
+            return;
+        }
+        var holder = (app.metadata && app.metadata[SAPI_LOCK_KEY]) || null;
+        if (typeof (holder) === 'string') {
+            try {
+                holder = JSON.parse(holder);
+            } catch (_parseErr) {
+                holder = {uuid: holder};
+            }
+        }
+        cb(null, holder);
+    });
+}
+
+
+function setSapiLock(sdcadm, holder, cb) {
+    var metadata = {};
+    metadata[SAPI_LOCK_KEY] = holder;
+    sdcadm.sapi.updateApplication(sdcadm.sdcApp.uuid, {
+        action: 'update',
+        metadata: metadata
+    }, function (err) {
+        if (err) {
+            cb(new errors.SDCClientError(err, 'sapi'));
+            return;
+        }
+        cb();
+    });
+}
+
+
+/**
+ * Remove the SAPI advisory lock, whoever holds it.
+ */
+function deleteSapiLock(sdcadm, cb) {
+    assert.object(sdcadm, 'sdcadm');
+    assert.object(sdcadm.sdcApp, 'sdcadm.sdcApp');
+    assert.func(cb, 'cb');
+
+    var metadata = {};
+    metadata[SAPI_LOCK_KEY] = null;
+    sdcadm.sapi.updateApplication(sdcadm.sdcApp.uuid, {
+        action: 'delete',
+        metadata: metadata
+    }, function (err) {
+        if (err) {
+            cb(new errors.SDCClientError(err, 'sapi'));
+            return;
+        }
+        cb();
+    });
+}
+
+
+/**
+ * Take the SAPI advisory lock for the given holder. Fails with a LockError
+ * if it is held by another, not stale, holder.
+ *
+ * @param opts {Object}
+ *      - sdcadm {SdcAdm} Required. With its `sdcApp` loaded.
+ *      - holder {Object} Required. The lock holder info, from `lockHolder`.
+ *      - progress {Function} Required.
+ * @param cb {Function} `function (err)`
+ */
+function acquireSapiLock(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.sdcadm, 'opts.sdcadm');
+    assert.object(opts.holder, 'opts.holder');
+    assert.func(opts.progress, 'opts.progress');
+    assert.func(cb, 'cb');
+
+    var sdcadm = opts.sdcadm;
+    var holder = opts.holder;
+
+    vasync.pipeline({funcs: [
+        function checkCurrHolder(_, next) {
+            getSapiLock(sdcadm, function (err, currHolder) {
+                if (err) {
+                    next(err);
+                    return;
+                } else if (!currHolder || currHolder.uuid === holder.uuid) {
+                    next();
+                    return;
+                } else if (isStaleHolder(currHolder)) {
+                    opts.progress('Breaking stale SAPI sdcadm lock held by ' +
+                        describeHolder(currHolder));
+                    next();
+                    return;
+                }
+                next(new errors.LockError(util.format(
+                    'SAPI sdcadm lock is held by %s (if that sdcadm run is ' +
+                    'gone, remove the lock with "sdcadm lock break")',
+                    describeHolder(currHolder))));
+            });
+        },
+        function setHolder(_, next) {
+            setSapiLock(sdcadm, holder, next);
+        },
+        /*
+         * Setting the lock is not atomic. Read it back in case another
+         * sdcadm run set it at the same time: last writer wins.
+         */
+        function verifyHolder(_, next) {
+            getSapiLock(sdcadm, function (err, currHolder) {
+                if (err) {
+                    next(err);
+                } else if (!currHolder || currHolder.uuid !== holder.uuid) {
+                    next(new errors.LockError(util.format(
+                        'SAPI sdcadm lock was taken concurrently by %s',
+                        (currHolder ? describeHolder(currHolder) :
+                        'another sdcadm run'))));
+                } else {
+                    next();
+                }
+            });
+        }
+    ]}, function (err) {
+        cb(err);
+    });
+}
+
+
+/**
+ * Release the SAPI advisory lock, if it is still held by the given holder.
+ */
+function releaseSapiLock(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.sdcadm, 'opts.sdcadm');
+    assert.object(opts.holder, 'opts.holder');
+    assert.func(cb, 'cb');
+
+    getSapiLock(opts.sdcadm, function (err, currHolder) {
+        if (err) {
+            cb(err);
+            return;
+        } else if (!currHolder || currHolder.uuid !== opts.holder.uuid) {
+            // Broken by someone else meanwhile: nothing to release.
+            cb();
+            return;
+        }
+        deleteSapiLock(opts.sdcadm, cb);
+    });
+}
+
+
+// --- sdcadm lock
+
+/**
+ * Acquire the local sdcadm lock, save its holder info and, if the "sapiLock"
+ * config var is set, acquire the SAPI advisory lock. This is the guts of
+ * `SdcAdm.acquireLock`.
+ *
+ * @param opts {Object}
+ *      - sdcadm {SdcAdm} Required.
+ *      - progress {Function} Required.
+ * @param cb {Function} `function (err, unlock)`. Calling
+ *      `unlock(function (err) {...})` releases everything acquired.
+ */
+function acquireLock(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.sdcadm, 'opts.sdcadm');
+    assert.func(opts.progress, 'opts.progress');
+    assert.func(cb, 'cb');
+
+    var sdcadm = opts.sdcadm;
+    var log = sdcadm.log;
+    var lockPath = sdcadm._lockPath;
+    var holderPath = sdcadm._lockHolderPath;
+    var useSapi = Boolean(sdcadm.config.sapiLock);
+
+    var holder = lockHolder({
+        uuid: sdcadm.uuid,
+        username: sdcadm.username
+    });
+    var localUnlock;
+    var localLocked = false;
+    var sapiLocked = false;
+
+    var acquireLogTimeout = setTimeout(function () {
+        acquireLogTimeout = null;
+        readLockHolder(holderPath, function (_, currHolder) {
+            // The lock may have been acquired while reading the holder.
+            if (localLocked) {
+                return;
+            }
+            if (currHolder) {
+                opts.progress('Waiting for sdcadm lock held by ' +
+                    describeHolder(currHolder));
+            } else {
+                opts.progress('Waiting for sdcadm lock');
+            }
+        });
+    }, 1000);
+
+    // Release whatever was acquired, passing on the first error, if any.
+    function unlock(unlockCb) {
+        var errs = [];
+        function noteErr(next) {
+            return function (err) {
+                if (err) {
+                    errs.push(err);
+                }
+                next();
+            };
+        }
+
+        vasync.pipeline({funcs: [
+            function releaseSapi(_, next) {
+                if (!sapiLocked) {
+                    next();
+                    return;
+                }
+                releaseSapiLock({sdcadm: sdcadm, holder: holder},
+                    noteErr(next));
+            },
+            function removeHolder(_, next) {
+                removeLockHolder(holderPath, noteErr(next));
+            },
+            function releaseLocal(_, next) {
+                localUnlock(noteErr(next));
+            }
+        ]}, function () {
+            unlockCb(errs[0]);
+        });
+    }
+
+    log.debug({lockPath: lockPath}, 'acquire lock');
+    vasync.pipeline({funcs: [
+        function lockLocal(_, next) {
+            lock(lockPath, function (lockErr, unlock_) {
+                localLocked = true;
+                if (acquireLogTimeout) {
+                    clearTimeout(acquireLogTimeout);
+                }
+                if (lockErr) {
+                    next(new errors.InternalError({
+                        message: 'error acquiring lock',
+                        lockPath: lockPath,
+                        cause: lockErr
+                    }));
+                    return;
+                }
+                localUnlock = unlock_;
+                log.debug({lockPath: lockPath}, 'acquired lock');
+                next();
+            });
+        },
+        function writeHolder(_, next) {
+            writeLockHolder(holderPath, holder, next);
+        },
+        function ensureSdcApp(_, next) {
+            if (!useSapi) {
+                next();
+                return;
+            }
+            sdcadm.ensureSdcApp({}, next);
+        },
+        function lockSapi(_, next) {
+            if (!useSapi) {
+                next();
+                return;
+            }
+            acquireSapiLock({
+                sdcadm: sdcadm,
+                holder: holder,
+                progress: opts.progress
+            }, function (err) {
+                if (!err) {
+                    sapiLocked = true;
+                    log.debug({holder: holder}, 'acquired SAPI lock');
+                }
+                next(err);
+            });
+        }
+    ]}, function (err) {
+        if (err && localUnlock) {
+            unlock(function (unlockErr) {
+                if (unlockErr) {
+                    log.error({err: unlockErr},
+                        'error releasing lock after failed acquire');
+                }
+                cb(err);
+            });
+            return;
+        } else if (err) {
+            cb(err);
+            return;
+        }
+        cb(null, unlock);
+    });
+}
+
+
+// --- LockCLI
+
+function LockCLI(top) {
+    this.top = top;
+    Cmdln.call(this, {
+        name: 'sdcadm lock',
+        desc: 'Show or break the sdcadm lock.\n' +
+              '\n' +
+              'sdcadm commands modifying the DC hold a local lock (on\n' +
+              '/var/run/sdcadm.lock) while running. With "sapiLock": true\n' +
+              'in the sdcadm config (/var/sdcadm/sdcadm.conf) they also\n' +
+              'take an advisory lock in the SAPI "sdc" application metadata\n' +
+              'to block sdcadm runs on other headnodes or zones.',
+        helpOpts: {
+            minHelpCol: 24 /* line up with option help */
+        }
+    });
+}
+util.inherits(LockCLI, Cmdln);
+
+LockCLI.prototype.init = function init(_opts, _args, _callback) {
+    this.sdcadm = this.top.sdcadm;
+    this.progress = this.top.progress;
+    this.log = this.top.log;
+
+    Cmdln.prototype.init.apply(this, arguments);
+};
+
+
+/*
+ * Gather the state of the local and SAPI locks.
+ *
+ * The SAPI lock is only looked up if enabled by the "sapiLock" config var.
+ * Failing to get it doesn't fail the whole status, as the local lock state is
+ * most needed when SAPI is down: the SAPI lock state is then "unknown" (with
+ * its "error" message) and the error is passed as the third callback arg.
+ *
+ * @param cb {Function} `function (err, status, sapiErr)`
+ */
+LockCLI.prototype._lockStatus = function _lockStatus(cb) {
+    var self = this;
+    var sapiErr;
+    var status = {
+        local: {state: 'free', holder: null},
+        sapi: {
+            enabled: Boolean(self.sdcadm.config.sapiLock),
+            state: 'free',
+            holder: null
+        }
+    };
+
+    function stateFromHolder(holder) {
+        if (!holder) {
+            return 'free';
+        }
+        return (isStaleHolder(holder) ? 'stale' : 'held');
+    }
+
+    vasync.pipeline({funcs: [
+        function getLocal(_, next) {
+            readLockHolder(self.sdcadm._lockHolderPath,
+                    function (err, holder) {
+                status.local.holder = holder;
+                status.local.state = stateFromHolder(holder);
+                next(err);
+            });
+        },
+        function getSapi(_, next) {
+            if (!status.sapi.enabled) {
+                next();
+                return;
+            }
+            vasync.pipeline({funcs: [
+                function ensureSdcApp(_2, nextSapi) {
+                    self.sdcadm.ensureSdcApp({}, nextSapi);
+                },
+                function getSapiHolder(_2, nextSapi) {
+                    getSapiLock(self.sdcadm, function (err, holder) {
+                        if (!err) {
+                            status.sapi.holder = holder;
+                            status.sapi.state = stateFromHolder(holder);
+                        }
+                        nextSapi(err);
+                    });
+                }
+            ]}, function (err) {
+                if (err) {
+                    sapiErr = err;
+                    status.sapi.state = 'unknown';
+                    status.sapi.error = err.message;
+                }
+                next();
+            });
+        }
+    ]}, function (err) {
+        cb(err, status, sapiErr);
+    });
+};
+
+
+LockCLI.prototype.do_status = function do_status(subcmd, opts, args, cb) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (args.length !== 0) {
+        cb(new errors.UsageError('too many args: ' + args));
+        return;
+    }
+
+    self._lockStatus(function (err, status) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        if (opts.json) {
+            console.log(JSON.stringify(status, null, 4));
+            cb();
+            return;
+        }
+
+        function describeState(lk) {
+            if (lk.state === 'free') {
+                return 'not held';
+            } else if (lk.state === 'unknown') {
+                return 'unknown (' + lk.error + ')';
+            }
+            return util.format('%s%s', (lk.state === 'stale' ?
+                'STALE (holder process is gone), was held by ' : 'held by '),
+                describeHolder(lk.holder));
+        }
+        console.log('Local lock: %s', describeState(status.local));
+        console.log('SAPI lock: %s', (status.sapi.enabled ?
+            describeState(status.sapi) :
+            'not enabled by "sapiLock" in sdcadm config'));
+        cb();
+    });
+};
+
+LockCLI.prototype.do_status.help = (
+    'Show who holds the sdcadm lock.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} status [<options>]\n' +
+    '\n' +
+    '{{options}}'
+);
+
+LockCLI.prototype.do_status.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['json', 'j'],
+        type: 'bool',
+        help: 'JSON output'
+    }
+];
+
+
+LockCLI.prototype.do_break = function do_break(subcmd, opts, args, cb) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (args.length !== 0) {
+        cb(new errors.UsageError('too many args: ' + args));
+        return;
+    }
+
+    var status;
+    var sapiErr;
+
+    vasync.pipeline({funcs: [
+        function getStatus(_, next) {
+            self._lockStatus(function (err, status_, sapiErr_) {
+                status = status_;
+                sapiErr = sapiErr_;
+                next(err);
+            });
+        },
+        /*
+         * The local fcntl lock itself goes away with its holder process, so
+         * only stale holder info is left to clean up.
+         */
+        function breakLocal(_, next) {
+            if (status.local.state === 'free') {
+                next();
+            } else if (status.local.state === 'held') {
+                next(new errors.LockError(util.format(
+                    'local sdcadm lock is held by running %s: stop that ' +
+                    'process instead', describeHolder(status.local.holder))));
+            } else {
+                removeLockHolder(self.sdcadm._lockHolderPath,
+                        function (err) {
+                    if (!err) {
+                        self.progress('Removed stale local lock holder info');
+                    }
+                    next(err);
+                });
+            }
+        },
+        function confirmBreakSapi(_, next) {
+            if (status.sapi.state === 'free') {
+                next();
+                return;
+            } else if (status.sapi.state === 'unknown') {
+                next(sapiErr);
+                return;
+            } else if (status.sapi.state === 'held' &&
+                status.sapi.holder.hostname === os.hostname()) {
+                next(new errors.LockError(util.format(
+                    'SAPI sdcadm lock is held by running %s: stop that ' +
+                    'process instead', describeHolder(status.sapi.holder))));
+                return;
+            } else if (opts.yes) {
+                next();
+                return;
+            }
+            self.progress('SAPI sdcadm lock is held by %s',
+                describeHolder(status.sapi.holder));
+            if (status.sapi.state === 'held') {
+                self.progress('Make sure that sdcadm run is no longer ' +
+                    'running on %s.', status.sapi.holder.hostname);
+            }
+            var msg = 'Break the SAPI sdcadm lock? [y/N] ';
+            common.promptYesNo({msg: msg, default: 'n'}, function (answer) {
+                if (answer !== 'y') {
+                    self.progress('Aborting');
+                    cb();
+                    return;
+                }
+                next();
+            });
+        },
+        function breakSapi(_, next) {
+            if (status.sapi.state === 'free') {
+                next();
+                return;
+            }
+            deleteSapiLock(self.sdcadm, function (err) {
+                if (!err) {
+                    self.progress('Broke SAPI sdcadm lock');
+                }
+                next(err);
+            });
+        }
+    ]}, function (err) {
+        if (!err && status.local.state === 'free' &&
+            status.sapi.state === 'free') {
+            self.progress('sdcadm lock is not held');
+        }
+        cb(err);
+    });
+};
+
+LockCLI.prototype.do_break.help = (
+    'Break a stale sdcadm lock.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} break [<options>]\n' +
+    '\n' +
+    '{{options}}' +
+    '\n' +
+    'This removes the info left behind by a local lock holder which is\n' +
+    'gone, and (if "sapiLock" is set) the SAPI advisory lock, after\n' +
+    'confirmation. A lock held by a running sdcadm process on this host is\n' +
+    'never broken: stop the process instead.\n'
+);
+
+LockCLI.prototype.do_break.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['yes', 'y'],
+        type: 'bool',
+        help: 'Answer yes to all confirmations.'
+    }
+];
+
+
+// --- exports
+
+module.exports = {
+    SAPI_LOCK_KEY: SAPI_LOCK_KEY,
+    lockHolder: lockHolder,
+    isStaleHolder: isStaleHolder,
+    describeHolder: describeHolder,
+    readLockHolder: readLockHolder,
+    writeLockHolder: writeLockHolder,
+    removeLockHolder: removeLockHolder,
+    getSapiLock: getSapiLock,
+    acquireSapiLock: acquireSapiLock,
+    releaseSapiLock: releaseSapiLock,
+    acquireLock: acquireLock,
+    LockCLI: LockCLI
+};
@@ -0,0 +1,881 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Backups of the manatee shard's "moray" database, and restoring the shard
+ * from them.
+ *
+ * A backup is a `pg_dump` (custom format, which is consistent as it is taken
+ * in a single transaction) of the database in the shard's primary, copied
+ * to a directory on the headnode (the "manateeBackupDir" config var by
+ * default) as:
+ *
+ *      <backup dir>/<UTC timestamp>/
+ *          moray.dump      # the `pg_dump -Fc` output
+ *          backup.json     # the backup metadata
+ *
+ * where backup.json records the checksum of the dump, the manatee and moray
+ * images at the time of the backup and the version of each moray bucket.
+ *
+ * Restoring drops the database in the primary and recreates it with
+ * `pg_restore`, with the shard frozen and the moray services disabled. The
+ * sync and async peers follow through replication.
+ */
+
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+
+var assert = require('assert-plus');
+var mkdirp = require('mkdirp');
+var vasync = require('vasync');
+
+var common = require('./common');
+var errors = require('./errors');
+var shared = require('./procedures/shared');
+
+
+// --- globals
+
+var format = util.format;
+
+var DEFAULT_BACKUP_DIR = '/var/sdcadm/manatee-backups';
+var DATABASE = 'moray';
+var DUMP_FILE = 'moray.dump';
+var META_FILE = 'backup.json';
+var PG_BIN = '/opt/postgresql/current/bin';
+
+// Seconds to wait for the dump, copy and restore of the database.
+var BACKUP_TIMEOUT = 3600;
+
+// The services whose data is in the backup, and the update plan changes
+// after which it may not be usable by the previous images.
+var BACKUP_SVCS = ['manatee', 'moray'];
+var BACKUP_CHANGE_TYPES = ['update-service', 'update-instance',
+    'rollback-service'];
+
+
+// --- internal support functions
+
+/*
+ * Run `sdc-oneachnode` on a single server to copy a file from ("-p") or to
+ * ("-g") it.
+ */
+function oneachnodeCopy(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.string(opts.server, 'opts.server');
+    assert.arrayOfString(opts.args, 'opts.args');
+    assert.object(opts.log, 'opts.log');
+    assert.func(cb, 'cb');
+
+    var argv = [
+        '/opt/smartdc/bin/sdc-oneachnode',
+        '-j',
+        '-T',
+        String(BACKUP_TIMEOUT),
+        '-n',
+        opts.server
+    ].concat(opts.args);
+
+    common.execFilePlus({argv: argv, log: opts.log}, function (err, stdout) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        var res;
+        try {
+            // Due to the -j option of sdc-oneachnode:
+            res = JSON.parse(stdout);
+        } catch (_parseErr) {
+            res = null;
+        }
+        if (!Array.isArray(res) || !res.length) {
+            cb(new errors.InternalError({
+                message: 'Unexpected sdc-oneachnode output: ' + stdout
+            }));
+            return;
+        }
+        var resErr = res[0].error ||
+            (res[0].result && res[0].result.stderr &&
+             res[0].result.stderr.trim());
+        if (resErr) {
+            cb(new errors.InternalError({
+                message: format('error copying file (server %s): %s',
+                    opts.server, resErr.message || resErr)
+            }));
+            return;
+        }
+        cb();
+    });
+}
+
+/*
+ * Run a shell command in a manatee zone, failing unless its output ends with
+ * the given marker (postgres client tools print notices to stderr).
+ */
+function execInZone(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.inst, 'opts.inst');
+    assert.string(opts.cmd, 'opts.cmd');
+    assert.string(opts.marker, 'opts.marker');
+    assert.object(opts.log, 'opts.log');
+    assert.func(cb, 'cb');
+
+    common.execRemote({
+        server: opts.inst.server,
+        vm: opts.inst.instance,
+        cmd: opts.cmd + ' && echo ' + opts.marker,
+        timeout: BACKUP_TIMEOUT,
+        log: opts.log
+    }, function (err, stdout, stderr) {
+        if (err) {
+            cb(err);
+        } else if (!stdout || stdout.split('\n').pop() !== opts.marker) {
+            cb(new errors.InternalError({
+                message: format('error running "%s" in manatee instance ' +
+                    '%s: %s', opts.cmd.split(' ')[0], opts.inst.alias,
+                    (stderr ? stderr.message : stdout))
+            }));
+        } else {
+            cb(null, stdout);
+        }
+    });
+}
+
+/*
+ * Get the shard primary and the moray instances.
+ */
+function getShard(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.sdcadm, 'opts.sdcadm');
+    assert.func(cb, 'cb');
+
+    var sdcadm = opts.sdcadm;
+    var shard = {};
+
+    vasync.pipeline({funcs: [
+        function getInsts(_, next) {
+            sdcadm.listInsts({types: ['vm'], svcs: BACKUP_SVCS},
+                    function (err, insts) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                var manatees = insts.filter(function (inst) {
+                    return (inst.service === 'manatee');
+                });
+                shard.morays = insts.filter(function (inst) {
+                    return (inst.service === 'moray');
+                });
+                shard.inst = manatees.filter(function (inst) {
+                    return (inst.state === 'running' &&
+                        inst.server === sdcadm.config.serverUuid);
+                })[0] || manatees.filter(function (inst) {
+                    return (inst.state === 'running');
+                })[0];
+                shard.manatees = manatees;
+                if (!shard.inst) {
+                    next(new errors.InternalError({
+                        message: 'no running manatee instance found'
+                    }));
+                    return;
+                }
+                next();
+            });
+        },
+        function getZkState(_, next) {
+            shared.getShardState({
+                server: shard.inst.server,
+                manateeUUID: shard.inst.instance,
+                hasManatee21: true,
+                log: sdcadm.log
+            }, function (err, zkState) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                shard.zkState = zkState;
+                shard.primary = shard.manatees.filter(function (inst) {
+                    return (zkState.primary &&
+                        inst.instance === zkState.primary.zoneId);
+                })[0];
+                if (!shard.primary) {
+                    next(new errors.InternalError({
+                        message: 'cannot find the manatee shard primary'
+                    }));
+                    return;
+                }
+                next();
+            });
+        }
+    ]}, function (err) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        cb(null, shard);
+    });
+}
+
+function instSummary(inst) {
+    return {
+        instance: inst.instance,
+        alias: inst.alias,
+        server: inst.server,
+        image: inst.image,
+        version: inst.version
+    };
+}
+
+function sha256File(file, cb) {
+    var hash = crypto.createHash('sha256');
+    var called = false;
+    var s = fs.createReadStream(file);
+    s.on('error', function (err) {
+        if (!called) {
+            called = true;
+            cb(err);
+        }
+    });
+    s.on('data', function (chunk) {
+        hash.update(chunk);
+    });
+    s.on('end', function () {
+        if (!called) {
+            called = true;
+            cb(null, hash.digest('hex'));
+        }
+    });
+}
+
+
+// --- exported functions
+
+/**
+ * The backup dir from the sdcadm config.
+ */
+function backupDir(config) {
+    assert.object(config, 'config');
+    return (config.manateeBackupDir || DEFAULT_BACKUP_DIR);
+}
+
+
+/**
+ * Parse the output of `psql -t -A -c 'SELECT name, options FROM
+ * buckets_config'`, one "name|options" line per moray bucket.
+ *
+ * @param stdout {String}
+ * @returns {Object} The bucket version (0 if not set), by bucket name.
+ */
+function parseBucketVersions(stdout) {
+    assert.string(stdout, 'stdout');
+
+    var versions = {};
+    stdout.trim().split('\n').forEach(function (line) {
+        var idx = line.indexOf('|');
+        if (idx <= 0) {
+            return;
+        }
+        var options;
+        try {
+            options = JSON.parse(line.slice(idx + 1));
+        } catch (_parseErr) {
+            options = null;
+        }
+        versions[line.slice(0, idx)] = (options && options.version) || 0;
+    });
+    return versions;
+}
+
+
+/**
+ * Whether the given update plan changes are worth a backup before being
+ * applied, i.e. whether they move manatee or moray instances to another
+ * image.
+ */
+function changesNeedBackup(changes) {
+    assert.arrayOfObject(changes, 'changes');
+
+    return changes.some(function (ch) {
+        return (BACKUP_CHANGE_TYPES.indexOf(ch.type) !== -1 &&
+            ch.service && BACKUP_SVCS.indexOf(ch.service.name) !== -1);
+    });
+}
+
+
+/**
+ * Take a backup of the manatee shard "moray" database.
+ *
+ * @param opts {Object} Required.
+ *      - sdcadm {SdcAdm} Required.
+ *      - dir {String} Optional. The backup dir. Defaults to the
+ *        "manateeBackupDir" config var.
+ *      - progress {Function} Required.
+ * @param cb {Function} `function (err, backup)` where backup is the backup
+ *      metadata, with the `dir` it was saved to.
+ */
+function createBackup(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.sdcadm, 'opts.sdcadm');
+    assert.optionalString(opts.dir, 'opts.dir');
+    assert.func(opts.progress, 'opts.progress');
+    assert.func(cb, 'cb');
+
+    var sdcadm = opts.sdcadm;
+    var log = sdcadm.log;
+    var progress = opts.progress;
+    var created = new Date();
+    var stamp = common.utcTimestamp(created);
+    var bkDir = path.join(opts.dir || backupDir(sdcadm.config), stamp);
+    var zoneFile = format('/var/tmp/sdcadm-manatee-backup-%s.dump', stamp);
+    var dumpFile = path.join(bkDir, DUMP_FILE);
+    var ctx = {};
+
+    vasync.pipeline({arg: ctx, funcs: [
+        function getTheShard(_, next) {
+            getShard({sdcadm: sdcadm}, function (err, shard) {
+                ctx.shard = shard;
+                next(err);
+            });
+        },
+        function mkBackupDir(_, next) {
+            mkdirp(bkDir, function (err) {
+                if (err) {
+                    next(new errors.InternalError({
+                        message: 'error creating backup dir: ' + bkDir,
+                        cause: err
+                    }));
+                    return;
+                }
+                ctx.madeDir = true;
+                next();
+            });
+        },
+        function getBucketVersions(_, next) {
+            execInZone({
+                inst: ctx.shard.primary,
+                cmd: format('%s/psql -U postgres -d %s -t -A -c ' +
+                    '\'SELECT name, options FROM buckets_config\'',
+                    PG_BIN, DATABASE),
+                marker: 'listed',
+                log: log
+            }, function (err, stdout) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                ctx.buckets = parseBucketVersions(
+                    stdout.replace(/listed$/, ''));
+                next();
+            });
+        },
+        function dumpDatabase(_, next) {
+            progress('Dumping the "%s" database in manatee primary %s',
+                DATABASE, ctx.shard.primary.alias);
+            ctx.dumping = true;
+            execInZone({
+                inst: ctx.shard.primary,
+                cmd: format('%s/pg_dump -U postgres -Fc -f %s %s',
+                    PG_BIN, zoneFile, DATABASE),
+                marker: 'dumped',
+                log: log
+            }, next);
+        },
+        function copyDump(_, next) {
+            progress('Copying the database dump to %s', bkDir);
+            oneachnodeCopy({
+                server: ctx.shard.primary.server,
+                args: [
+                    '-p',
+                    format('/zones/%s/root%s', ctx.shard.primary.instance,
+                        zoneFile),
+                    '--clobber',
+                    '-d',
+                    bkDir
+                ],
+                log: log
+            }, function (err) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                fs.rename(path.join(bkDir, ctx.shard.primary.server),
+                    dumpFile, next);
+            });
+        },
+        function checksum(_, next) {
+            fs.stat(dumpFile, function (statErr, stats) {
+                if (statErr) {
+                    next(statErr);
+                    return;
+                }
+                ctx.size = stats.size;
+                sha256File(dumpFile, function (err, sha256) {
+                    ctx.sha256 = sha256;
+                    next(err);
+                });
+            });
+        },
+        function writeMeta(_, next) {
+            ctx.backup = {
+                v: 1,
+                name: stamp,
+                uuid: sdcadm.uuid,
+                created: created.toISOString(),
+                database: DATABASE,
+                file: DUMP_FILE,
+                size: ctx.size,
+                sha256: ctx.sha256,
+                generation: ctx.shard.zkState.generation,
+                manatee: instSummary(ctx.shard.primary),
+                moray: ctx.shard.morays.map(instSummary),
+                buckets: ctx.buckets
+            };
+            fs.writeFile(path.join(bkDir, META_FILE),
+                JSON.stringify(ctx.backup, null, 4) + '\n', 'utf8', next);
+        }
+    ]}, function (err) {
+        // Whether the backup is taken or not, don't leave the database dump
+        // in the manatee zone, nor a partial backup on failure.
+        vasync.pipeline({funcs: [
+            function rmZoneDump(_, next) {
+                if (!ctx.dumping) {
+                    next();
+                    return;
+                }
+                common.execRemote({
+                    server: ctx.shard.primary.server,
+                    vm: ctx.shard.primary.instance,
+                    cmd: 'rm -f ' + zoneFile,
+                    log: log
+                }, function (rmErr) {
+                    if (rmErr) {
+                        log.warn({err: rmErr, file: zoneFile}, 'could not ' +
+                            'remove database dump from manatee zone');
+                    }
+                    next();
+                });
+            },
+            function rmPartialBackup(_, next) {
+                if (!err || !ctx.madeDir) {
+                    next();
+                    return;
+                }
+                common.execFilePlus({
+                    argv: ['/usr/bin/rm', '-rf', bkDir],
+                    log: log
+                }, function (rmErr) {
+                    if (rmErr) {
+                        log.warn({err: rmErr, dir: bkDir},
+                            'could not remove partial manatee backup');
+                    }
+                    next();
+                });
+            }
+        ]}, function () {
+            if (err) {
+                cb(new errors.InternalError({
+                    message: 'error taking manatee backup',
+                    cause: err
+                }));
+                return;
+            }
+            ctx.backup.dir = bkDir;
+            log.info({backup: ctx.backup}, 'manatee backup taken');
+            progress('Saved manatee backup %s (%s MiB)', stamp,
+                (ctx.size / 1024 / 1024).toFixed(1));
+            cb(null, ctx.backup);
+        });
+    });
+}
+
+
+/**
+ * Load a backup's metadata.
+ *
+ * @param dir {String} The backup's directory.
+ * @param cb {Function} `function (err, backup)`.
+ */
+function loadBackup(dir, cb) {
+    assert.string(dir, 'dir');
+    assert.func(cb, 'cb');
+
+    var metaFile = path.join(dir, META_FILE);
+    fs.readFile(metaFile, 'utf8', function (err, content) {
+        if (err) {
+            cb(new errors.UsageError(err, format(
+                'no manatee backup in "%s"', dir)));
+            return;
+        }
+        var backup;
+        try {
+            backup = JSON.parse(content);
+        } catch (parseErr) {
+            cb(new errors.InternalError({
+                message: format('invalid manatee backup metadata: %s',
+                    metaFile),
+                cause: parseErr
+            }));
+            return;
+        }
+        backup.dir = dir;
+        cb(null, backup);
+    });
+}
+
+
+/**
+ * List the backups in a backup dir, most recent first.
+ *
+ * @param opts {Object} Required.
+ *      - dir {String} Required.
+ *      - log {Bunyan Logger} Required.
+ * @param cb {Function} `function (err, backups)`.
+ */
+function listBackups(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.string(opts.dir, 'opts.dir');
+    assert.object(opts.log, 'opts.log');
+    assert.func(cb, 'cb');
+
+    fs.readdir(opts.dir, function (err, names) {
+        if (err && err.code === 'ENOENT') {
+            cb(null, []);
+            return;
+        } else if (err) {
+            cb(err);
+            return;
+        }
+        var backups = [];
+        vasync.forEachParallel({
+            inputs: names.sort().reverse(),
+            func: function loadOne(name, next) {
+                loadBackup(path.join(opts.dir, name), function (e, backup) {
+                    if (e) {
+                        opts.log.debug({err: e, name: name},
+                            'skipping invalid manatee backup');
+                    } else {
+                        backups.push(backup);
+                    }
+                    next();
+                });
+            }
+        }, function () {
+            backups.sort(function (a, b) {
+                return (a.created < b.created ? 1 :
+                    (a.created > b.created ? -1 : 0));
+            });
+            cb(null, backups);
+        });
+    });
+}
+
+
+/**
+ * Find a backup, by name (in the backup dir) or path.
+ *
+ * @param opts {Object} Required.
+ *      - dir {String} Required. The backup dir.
+ *      - backup {String} Optional. The backup name or path.
+ *      - latest {Boolean} Optional. Find the most recent backup instead.
+ *      - log {Bunyan Logger} Required.
+ * @param cb {Function} `function (err, backup)`.
+ */
+function findBackup(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.string(opts.dir, 'opts.dir');
+    assert.optionalString(opts.backup, 'opts.backup');
+    assert.optionalBool(opts.latest, 'opts.latest');
+    assert.func(cb, 'cb');
+
+    if (opts.latest) {
+        listBackups(opts, function (err, backups) {
+            if (err) {
+                cb(err);
+            } else if (backups.length === 0) {
+                cb(new errors.UsageError(format(
+                    'no manatee backups in "%s"', opts.dir)));
+            } else {
+                cb(null, backups[0]);
+            }
+        });
+    } else if (opts.backup.indexOf('/') !== -1) {
+        loadBackup(path.resolve(opts.backup), cb);
+    } else {
+        loadBackup(path.join(opts.dir, opts.backup), cb);
+    }
+}
+
+
+/**
+ * Check a backup's dump against its metadata.
+ *
+ * @param backup {Object} As from `loadBackup`.
+ * @param cb {Function} `function (err)`.
+ */
+function verifyBackup(backup, cb) {
+    assert.object(backup, 'backup');
+    assert.string(backup.dir, 'backup.dir');
+    assert.func(cb, 'cb');
+
+    var dumpFile = path.join(backup.dir, backup.file || DUMP_FILE);
+    fs.stat(dumpFile, function (statErr, stats) {
+        if (statErr) {
+            cb(new errors.InternalError({
+                message: 'manatee backup dump not found: ' + dumpFile,
+                cause: statErr
+            }));
+            return;
+        } else if (stats.size !== backup.size) {
+            cb(new errors.InternalError({
+                message: format('manatee backup dump %s size is %d, ' +
+                    'expected %d', dumpFile, stats.size, backup.size)
+            }));
+            return;
+        }
+        sha256File(dumpFile, function (err, sha256) {
+            if (err) {
+                cb(err);
+            } else if (sha256 !== backup.sha256) {
+                cb(new errors.InternalError({
+                    message: format('manatee backup dump %s sha256 is %s, ' +
+                        'expected %s', dumpFile, sha256, backup.sha256)
+                }));
+            } else {
+                cb();
+            }
+        });
+    });
+}
+
+
+/**
+ * Differences between the manatee and moray images at the time of a backup
+ * and the current ones.
+ *
+ * @param backup {Object} As from `loadBackup`.
+ * @param shard {Object} `{primary, morays}` current instances.
+ * @returns {Array} of messages.
+ */
+function imageDiffs(backup, shard) {
+    assert.object(backup, 'backup');
+    assert.object(shard, 'shard');
+
+    var diffs = [];
+    if (backup.manatee && shard.primary &&
+            backup.manatee.image !== shard.primary.image) {
+        diffs.push(format('manatee image was %s (%s), is now %s (%s)',
+            backup.manatee.image, backup.manatee.version,
+            shard.primary.image, shard.primary.version));
+    }
+    var backupMorayImgs = {};
+    (backup.moray || []).forEach(function (inst) {
+        backupMorayImgs[inst.image] = inst.version;
+    });
+    (shard.morays || []).forEach(function (inst) {
+        if (!backupMorayImgs.hasOwnProperty(inst.image)) {
+            diffs.push(format('moray instance %s image %s (%s) is not ' +
+                'one from the backup', inst.alias, inst.image, inst.version));
+        }
+    });
+    return diffs;
+}
+
+
+/**
+ * Restore the manatee shard "moray" database from a backup.
+ *
+ * The shard is frozen (if it was not already) and the moray services are
+ * disabled for the restore. They are re-enabled and the shard unfrozen
+ * whether the restore succeeds or not.
+ *
+ * @param opts {Object} Required.
+ *      - sdcadm {SdcAdm} Required.
+ *      - backup {Object} Required. As from `findBackup`. It should have been
+ *        checked with `verifyBackup`.
+ *      - shard {Object} Optional. As from a previous `getShard`.
+ *      - progress {Function} Required.
+ * @param cb {Function} `function (err)`.
+ */
+function restoreBackup(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.sdcadm, 'opts.sdcadm');
+    assert.object(opts.backup, 'opts.backup');
+    assert.optionalObject(opts.shard, 'opts.shard');
+    assert.func(opts.progress, 'opts.progress');
+    assert.func(cb, 'cb');
+
+    var sdcadm = opts.sdcadm;
+    var log = sdcadm.log;
+    var progress = opts.progress;
+    var backup = opts.backup;
+    var dumpFile = path.join(backup.dir, backup.file || DUMP_FILE);
+    var zoneFile = '/var/tmp/' + path.basename(dumpFile);
+    var shard = opts.shard;
+    var froze = false;
+    var disabled = [];
+
+    function eachMoray(fn, next) {
+        vasync.forEachParallel({
+            inputs: disabled,
+            func: function (inst, nextInst) {
+                fn({
+                    server: inst.server,
+                    zone: inst.instance,
+                    fmri: '*moray*',
+                    log: log
+                }, nextInst);
+            }
+        }, next);
+    }
+
+    vasync.pipeline({funcs: [
+        function getTheShard(_, next) {
+            if (shard) {
+                next();
+                return;
+            }
+            getShard({sdcadm: sdcadm}, function (err, shard_) {
+                shard = shard_;
+                next(err);
+            });
+        },
+        function freeze(_, next) {
+            if (shard.zkState.freeze) {
+                next();
+                return;
+            }
+            progress('Freezing the manatee shard');
+            common.manateeFreeze({
+                server: shard.primary.server,
+                vm: shard.primary.instance,
+                reason: 'sdcadm manatee restore ' + backup.name,
+                log: log
+            }, function (err) {
+                froze = !err;
+                next(err);
+            });
+        },
+        function disableMorays(_, next) {
+            progress('Disabling moray services');
+            disabled = shard.morays.filter(function (inst) {
+                return (inst.state === 'running');
+            });
+            eachMoray(shared.disableRemoteSvc, next);
+        },
+        function copyDump(_, next) {
+            progress('Copying the database dump to manatee primary %s',
+                shard.primary.alias);
+            oneachnodeCopy({
+                server: shard.primary.server,
+                args: [
+                    '-g',
+                    dumpFile,
+                    '--clobber',
+                    '-d',
+                    format('/zones/%s/root/var/tmp', shard.primary.instance)
+                ],
+                log: log
+            }, next);
+        },
+        function restore(_, next) {
+            progress('Restoring the "%s" database (this may take a while)',
+                backup.database || DATABASE);
+            execInZone({
+                inst: shard.primary,
+                cmd: format('%s/dropdb -U postgres --if-exists %s && ' +
+                    '%s/pg_restore -U postgres -C -d postgres %s',
+                    PG_BIN, backup.database || DATABASE, PG_BIN, zoneFile),
+                marker: 'restored',
+                log: log
+            }, next);
+        }
+    ]}, function (err) {
+        if (!shard) {
+            cb(err);
+            return;
+        }
+        vasync.pipeline({funcs: [
+            function rmZoneDump(_, next) {
+                common.execRemote({
+                    server: shard.primary.server,
+                    vm: shard.primary.instance,
+                    cmd: 'rm -f ' + zoneFile,
+                    log: log
+                }, function (rmErr) {
+                    if (rmErr) {
+                        log.warn({err: rmErr, file: zoneFile}, 'could not ' +
+                            'remove database dump from manatee zone');
+                    }
+                    next();
+                });
+            },
+            function enableMorays(_, next) {
+                if (disabled.length === 0) {
+                    next();
+                    return;
+                }
+                progress('Enabling moray services');
+                eachMoray(shared.enableRemoteSvc, next);
+            },
+            function waitForMorays(_, next) {
+                if (disabled.length === 0) {
+                    next();
+                    return;
+                }
+                progress('Waiting for moray services to be online');
+                shared.wait4Morays({
+                    vms: disabled.map(function (inst) {
+                        return {uuid: inst.instance, server_uuid: inst.server};
+                    }),
+                    sdcadm: sdcadm
+                }, next);
+            },
+            function unfreeze(_, next) {
+                if (!froze) {
+                    next();
+                    return;
+                }
+                progress('Unfreezing the manatee shard');
+                common.manateeAdmRemote({
+                    server: shard.primary.server,
+                    vm: shard.primary.instance,
+                    cmd: 'unfreeze',
+                    log: log
+                }, function (unfreezeErr) {
+                    next(unfreezeErr);
+                });
+            }
+        ]}, function (finishErr) {
+            if (!err && !finishErr) {
+                progress('Restored manatee backup %s', backup.name);
+            }
+            cb(err || finishErr);
+        });
+    });
+}
+
+
+// --- exports
+
+module.exports = {
+    backupDir: backupDir,
+    parseBucketVersions: parseBucketVersions,
+    changesNeedBackup: changesNeedBackup,
+    getShard: getShard,
+    createBackup: createBackup,
+    loadBackup: loadBackup,
+    listBackups: listBackups,
+    findBackup: findBackup,
+    verifyBackup: verifyBackup,
+    imageDiffs: imageDiffs,
+    restoreBackup: restoreBackup
+};
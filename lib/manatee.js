@@ -0,0 +1,1186 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * The 'sdcadm manatee ...' CLI commands: manatee shard status and
+ * management from the headnode, without having to zlogin into a manatee
+ * instance to run `manatee-adm`.
+ *
+ * The shard topology comes from `manatee-adm zk-state` and the postgres and
+ * replication status of each peer from `manatee-adm pg-status`, both run
+ * (through sdc-oneachnode) in a running manatee instance, preferably the one
+ * on the headnode. These require manatee-adm v2.1 or later.
+ */
+
+var util = require('util');
+
+var assert = require('assert-plus');
+var cmdln = require('cmdln');
+var Cmdln = cmdln.Cmdln;
+var tabula = require('tabula');
+var vasync = require('vasync');
+
+var common = require('./common');
+var errors = require('./errors');
+var manateeBackup = require('./manatee-backup');
+var shared = require('./procedures/shared');
+
+
+// --- globals
+
+var format = util.format;
+
+var PG_STATUS_CMD = 'pg-status -H -o role -o zonename -o ip -o pg-online ' +
+    '-o pg-repl -o pg-lag';
+
+// Seconds to wait for `manatee-adm rebuild` to complete.
+var REBUILD_TIMEOUT = 3600;
+
+
+// --- internal support functions
+
+/*
+ * The peers of a `manatee-adm zk-state`, in shard order, with their role.
+ */
+function zkStatePeers(zkState) {
+    var peers = [];
+    if (zkState.primary) {
+        peers.push({role: 'primary', peer: zkState.primary});
+    }
+    if (zkState.sync) {
+        peers.push({role: 'sync', peer: zkState.sync});
+    }
+    (zkState.async || []).forEach(function (peer, idx) {
+        peers.push({role: 'async', peer: peer, asyncIndex: idx});
+    });
+    (zkState.deposed || []).forEach(function (peer) {
+        peers.push({role: 'deposed', peer: peer});
+    });
+    return peers;
+}
+
+/*
+ * Pick the manatee instance to run `manatee-adm` in: a running one,
+ * preferably on the headnode.
+ */
+function pickInst(insts, serverUuid) {
+    var running = insts.filter(function (inst) {
+        return (inst.state === 'running');
+    });
+    var onHN = running.filter(function (inst) {
+        return (inst.server === serverUuid);
+    });
+    return (onHN[0] || running[0] || null);
+}
+
+
+// --- exported functions
+
+/**
+ * Parse the output of `manatee-adm pg-status -H -o role -o zonename -o ip
+ * -o pg-online -o pg-repl -o pg-lag`.
+ *
+ * @param stdout {String}
+ * @returns {Object} of `{role, ip, pg_online, pg_repl, pg_lag}` by zonename.
+ */
+function parsePgStatus(stdout) {
+    assert.string(stdout, 'stdout');
+
+    var pgStatusFromZonename = {};
+    stdout.trim().split('\n').forEach(function (line) {
+        var fields = line.trim().split(/\s+/);
+        if (fields.length < 2) {
+            return;
+        }
+        pgStatusFromZonename[fields[1]] = {
+            role: fields[0],
+            ip: fields[2] || '-',
+            pg_online: fields[3] || '-',
+            pg_repl: fields[4] || '-',
+            pg_lag: fields[5] || '-'
+        };
+    });
+    return pgStatusFromZonename;
+}
+
+
+/**
+ * Get the shard topology, from the shard state, the postgres status of its
+ * peers and the manatee instances.
+ *
+ * @param opts {Object} Required.
+ *      - zkState {Object} Required. As from `manatee-adm zk-state`.
+ *      - pgStatusFromZonename {Object} Required. See `parsePgStatus`.
+ *      - insts {Array} Required. The manatee instances, as from
+ *        `SdcAdm.listInsts`.
+ * @returns {Array} of peers, in shard order (instances which are not in the
+ *      shard last, with role "none"), with `role`, `instance`, `alias`,
+ *      `server`, `hostname`, `ip`, `pg_online`, `pg_repl`, `pg_lag` and,
+ *      for async peers, `asyncIndex` fields.
+ */
+function shardPeers(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.zkState, 'opts.zkState');
+    assert.object(opts.pgStatusFromZonename, 'opts.pgStatusFromZonename');
+    assert.arrayOfObject(opts.insts, 'opts.insts');
+
+    var instFromUuid = {};
+    opts.insts.forEach(function (inst) {
+        instFromUuid[inst.instance] = inst;
+    });
+
+    var seen = {};
+    var peers = zkStatePeers(opts.zkState).map(function (p) {
+        var zonename = p.peer.zoneId;
+        var inst = instFromUuid[zonename] || {};
+        var pgSt = opts.pgStatusFromZonename[zonename] || {};
+        seen[zonename] = true;
+        var peer = {
+            role: p.role,
+            instance: zonename,
+            alias: inst.alias || '-',
+            server: inst.server || null,
+            hostname: inst.hostname || '-',
+            ip: p.peer.ip || pgSt.ip || '-',
+            pg_online: pgSt.pg_online || '-',
+            pg_repl: pgSt.pg_repl || '-',
+            pg_lag: pgSt.pg_lag || '-'
+        };
+        if (p.asyncIndex !== undefined) {
+            peer.asyncIndex = p.asyncIndex;
+        }
+        return peer;
+    });
+
+    opts.insts.forEach(function (inst) {
+        if (!seen[inst.instance]) {
+            peers.push({
+                role: 'none',
+                instance: inst.instance,
+                alias: inst.alias || '-',
+                server: inst.server || null,
+                hostname: inst.hostname || '-',
+                ip: inst.ip || '-',
+                pg_online: '-',
+                pg_repl: '-',
+                pg_lag: '-'
+            });
+        }
+    });
+    return peers;
+}
+
+
+/**
+ * Find a shard peer (see `shardPeers`) by instance UUID, short UUID (as in
+ * `manatee-adm` output) or alias.
+ */
+function findPeer(peers, id) {
+    assert.arrayOfObject(peers, 'peers');
+    assert.string(id, 'id');
+
+    var found = peers.filter(function (peer) {
+        return (peer.instance === id || peer.alias === id ||
+            common.shortId(peer.instance) === id);
+    });
+    if (found.length === 0) {
+        throw new errors.UsageError(format('no manatee peer "%s"', id));
+    } else if (found.length > 1) {
+        throw new errors.UsageError(format('ambiguous manatee peer "%s"', id));
+    }
+    return found[0];
+}
+
+
+/**
+ * Get the `manatee-adm promote` command to promote the given peer.
+ *
+ * @param zkState {Object} As from `manatee-adm zk-state`.
+ * @param peer {Object} The peer to promote, as from `shardPeers`.
+ * @returns {String} The manatee-adm sub command.
+ * @throws {UsageError} If the peer cannot be promoted.
+ */
+function promoteCmd(zkState, peer) {
+    assert.object(zkState, 'zkState');
+    assert.object(peer, 'peer');
+
+    if (peer.role !== 'sync' && peer.role !== 'async') {
+        throw new errors.UsageError(format('cannot promote %s peer %s: ' +
+            'only the sync and async peers can be promoted', peer.role,
+            peer.alias));
+    }
+    var cmd = format('promote -n %s -r %s -g %d', peer.instance, peer.role,
+        zkState.generation);
+    if (peer.role === 'async') {
+        cmd += ' -i ' + peer.asyncIndex;
+    }
+    return cmd;
+}
+
+
+/**
+ * Parse the output of `manatee-adm history -j`, one JSON object per line.
+ *
+ * @param stdout {String}
+ * @returns {Array} of `{time, generation, primary, sync, async, deposed,
+ *      freeze}`, with the short UUIDs of the peers, oldest first.
+ */
+function parseHistory(stdout) {
+    assert.string(stdout, 'stdout');
+
+    var events = [];
+    stdout.trim().split('\n').forEach(function (line) {
+        if (!line.trim()) {
+            return;
+        }
+        var ev;
+        try {
+            ev = JSON.parse(line);
+        } catch (_parseErr) {
+            return;
+        }
+        var state = ev.state || ev;
+        function abbr(peer) {
+            return (peer ? common.shortId(peer.zoneId) : '-');
+        }
+        events.push({
+            time: ev.time || ev.date || '-',
+            generation: (state.generation === undefined ? '-' :
+                state.generation),
+            primary: abbr(state.primary),
+            sync: abbr(state.sync),
+            async: (state.async || []).map(abbr).join(',') || '-',
+            deposed: (state.deposed || []).map(abbr).join(',') || '-',
+            freeze: (state.freeze ? (state.freeze.reason || 'frozen') : '-')
+        });
+    });
+    return events;
+}
+
+
+/**
+ * Get the manatee shard status.
+ *
+ * @param opts {Object} Required.
+ *      - sdcadm {SdcAdm} Required.
+ * @param cb {Function} `function (err, status)` where status has `zkState`
+ *      (as from `manatee-adm zk-state`), `peers` (see `shardPeers`),
+ *      `insts` (the manatee instances) and `inst` (the one `manatee-adm`
+ *      was run in).
+ */
+function getManateeStatus(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.sdcadm, 'opts.sdcadm');
+    assert.func(cb, 'cb');
+
+    var sdcadm = opts.sdcadm;
+    var log = sdcadm.log;
+    var ctx = {};
+
+    vasync.pipeline({arg: ctx, funcs: [
+        function getInsts(_, next) {
+            sdcadm.listInsts({types: ['vm'], svcs: ['manatee']},
+                    function (err, insts) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                ctx.insts = insts;
+                ctx.inst = pickInst(insts, sdcadm.config.serverUuid);
+                if (!ctx.inst) {
+                    next(new errors.InternalError({
+                        message: 'no running manatee instance found'
+                    }));
+                    return;
+                }
+                next();
+            });
+        },
+        function getZkState(_, next) {
+            shared.getShardState({
+                server: ctx.inst.server,
+                manateeUUID: ctx.inst.instance,
+                hasManatee21: true,
+                log: log
+            }, function (err, zkState) {
+                ctx.zkState = zkState;
+                next(err);
+            });
+        },
+        function getPgStatus(_, next) {
+            common.manateeAdmRemote({
+                server: ctx.inst.server,
+                vm: ctx.inst.instance,
+                cmd: PG_STATUS_CMD,
+                log: log
+            }, function (err, stdout) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                ctx.pgStatusFromZonename = parsePgStatus(stdout || '');
+                next();
+            });
+        }
+    ]}, function (err) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        cb(null, {
+            zkState: ctx.zkState,
+            peers: shardPeers(ctx),
+            insts: ctx.insts,
+            inst: ctx.inst
+        });
+    });
+}
+
+
+/*
+ * Run a manatee-adm sub command which changes the shard, failing on any
+ * stderr output but for the given ignorable messages.
+ */
+function manateeAdmAction(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.inst, 'opts.inst');
+    assert.optionalArrayOfString(opts.ignore, 'opts.ignore');
+
+    opts.log.info({cmd: opts.cmd, inst: opts.inst.instance}, 'manatee-adm');
+    common.manateeAdmRemote({
+        server: opts.inst.server,
+        vm: opts.inst.instance,
+        cmd: opts.cmd,
+        log: opts.log,
+        timeout: opts.timeout
+    }, function (err, stdout, stderr) {
+        var ignored = (opts.ignore || []).some(function (msg) {
+            return (stderr && stderr.indexOf(msg) !== -1);
+        });
+        if (err) {
+            cb(err);
+        } else if (stderr && !ignored) {
+            cb(new errors.InternalError({
+                message: format('manatee-adm %s: %s',
+                    opts.cmd.split(' ')[0], stderr)
+            }));
+        } else {
+            opts.log.info({stdout: stdout, stderr: stderr},
+                'manatee-adm done');
+            cb();
+        }
+    });
+}
+
+
+// --- Manatee CLI class
+
+function ManateeCLI(top) {
+    this.top = top;
+    Cmdln.call(this, {
+        name: 'sdcadm manatee',
+        desc: 'Manatee shard status and management.\n' +
+              '\n' +
+              'These run "manatee-adm" (v2.1 or later) in the manatee\n' +
+              'instances from the headnode.',
+        helpOpts: {
+            minHelpCol: 24 /* line up with option help */
+        }
+    });
+}
+util.inherits(ManateeCLI, Cmdln);
+
+ManateeCLI.prototype.init = function init(_opts, _args, _callback) {
+    this.sdcadm = this.top.sdcadm;
+    this.progress = this.top.progress;
+    this.log = this.top.log;
+
+    Cmdln.prototype.init.apply(this, arguments);
+};
+
+/*
+ * Print the shard status, as for `sdcadm manatee status`.
+ */
+ManateeCLI.prototype._printStatus = function _printStatus(status) {
+    var zkState = status.zkState;
+    console.log('Shard generation %s%s', zkState.generation,
+        (zkState.freeze ? format(', FROZEN since %s: %s',
+            zkState.freeze.date || '(unknown)',
+            zkState.freeze.reason || '(no reason)') : ''));
+    tabula(status.peers.map(function (peer) {
+        return {
+            role: peer.role,
+            instance: common.shortId(peer.instance),
+            alias: peer.alias,
+            hostname: peer.hostname,
+            ip: peer.ip,
+            pg: peer.pg_online,
+            repl: peer.pg_repl,
+            lag: peer.pg_lag
+        };
+    }), {
+        columns: ['role', 'instance', 'alias', 'hostname', 'ip', 'pg', 'repl',
+            'lag']
+    });
+};
+
+
+ManateeCLI.prototype.do_status = function do_status(subcmd, opts, args, cb) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (args.length !== 0) {
+        cb(new errors.UsageError('too many args: ' + args));
+        return;
+    }
+
+    getManateeStatus({sdcadm: self.sdcadm}, function (err, status) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        if (opts.json) {
+            console.log(JSON.stringify({
+                generation: status.zkState.generation,
+                freeze: status.zkState.freeze || null,
+                peers: status.peers
+            }, null, 4));
+        } else {
+            self._printStatus(status);
+        }
+        cb();
+    });
+};
+
+ManateeCLI.prototype.do_status.help = (
+    'Show the manatee shard topology and replication status.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} status [<options>]\n' +
+    '\n' +
+    '{{options}}' +
+    '\n' +
+    'Lists the peers of the shard in order (primary, sync, asyncs, then\n' +
+    'deposed peers), with their instance, server, whether postgres is\n' +
+    'online, the status of the replication to the next peer and how far\n' +
+    'behind the upstream peer it is, as from "manatee-adm pg-status".\n' +
+    'Manatee instances which are not in the shard have the "none" role.\n'
+);
+
+ManateeCLI.prototype.do_status.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['json', 'j'],
+        type: 'bool',
+        help: 'JSON output'
+    }
+];
+
+
+ManateeCLI.prototype.do_freeze = function do_freeze(subcmd, opts, args, cb) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (args.length !== 0) {
+        cb(new errors.UsageError('too many args: ' + args));
+        return;
+    }
+    var reason = opts.reason ||
+        format('sdcadm manatee freeze (run %s)', self.top.uuid);
+    if (/["']/.test(reason)) {
+        cb(new errors.UsageError('"--reason" cannot have quotes'));
+        return;
+    }
+
+    getManateeStatus({sdcadm: self.sdcadm}, function (err, status) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        if (status.zkState.freeze) {
+            self.progress('Manatee shard is already frozen: %s',
+                status.zkState.freeze.reason || '(no reason)');
+            cb();
+            return;
+        }
+        self.log.info({reason: reason}, 'freeze manatee shard');
+        common.manateeFreeze({
+            server: status.inst.server,
+            vm: status.inst.instance,
+            reason: reason,
+            log: self.log
+        }, function (freezeErr) {
+            if (!freezeErr) {
+                self.progress('Froze manatee shard: %s', reason);
+            }
+            cb(freezeErr);
+        });
+    });
+};
+
+ManateeCLI.prototype.do_freeze.help = (
+    'Freeze the manatee shard.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} freeze [<options>]\n' +
+    '\n' +
+    '{{options}}' +
+    '\n' +
+    'A frozen shard does not change its topology on its own: no automatic\n' +
+    'takeover if the primary fails. Use "sdcadm manatee unfreeze" to undo.\n'
+);
+
+ManateeCLI.prototype.do_freeze.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['reason', 'r'],
+        type: 'string',
+        help: 'The reason to freeze the shard, shown by "sdcadm manatee ' +
+            'status". Default: the sdcadm run.',
+        helpArg: 'REASON'
+    }
+];
+
+ManateeCLI.prototype.do_freeze.logToFile = true;
+
+
+ManateeCLI.prototype.do_unfreeze = function do_unfreeze(subcmd, opts, args,
+        cb) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (args.length !== 0) {
+        cb(new errors.UsageError('too many args: ' + args));
+        return;
+    }
+
+    getManateeStatus({sdcadm: self.sdcadm}, function (err, status) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        if (!status.zkState.freeze) {
+            self.progress('Manatee shard is not frozen');
+            cb();
+            return;
+        }
+        manateeAdmAction({
+            inst: status.inst,
+            cmd: 'unfreeze',
+            log: self.log
+        }, function (unfreezeErr) {
+            if (!unfreezeErr) {
+                self.progress('Unfroze manatee shard');
+            }
+            cb(unfreezeErr);
+        });
+    });
+};
+
+ManateeCLI.prototype.do_unfreeze.help = (
+    'Unfreeze the manatee shard.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} unfreeze [<options>]\n' +
+    '\n' +
+    '{{options}}'
+);
+
+ManateeCLI.prototype.do_unfreeze.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    }
+];
+
+ManateeCLI.prototype.do_unfreeze.logToFile = true;
+
+
+ManateeCLI.prototype.do_rebuild = function do_rebuild(subcmd, opts, args, cb) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (args.length !== 1) {
+        cb(new errors.UsageError('incorrect number of args: ' +
+            'the manatee peer to rebuild is required'));
+        return;
+    }
+
+    var peer;
+    var inst;
+
+    vasync.pipeline({funcs: [
+        function getStatus(_, next) {
+            getManateeStatus({sdcadm: self.sdcadm}, function (err, status) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                try {
+                    peer = findPeer(status.peers, args[0]);
+                } catch (findErr) {
+                    next(findErr);
+                    return;
+                }
+                if (peer.role !== 'async' && peer.role !== 'deposed') {
+                    next(new errors.UsageError(format('cannot rebuild %s ' +
+                        'peer %s: only async and deposed peers can be ' +
+                        'rebuilt', peer.role, peer.alias)));
+                    return;
+                }
+                inst = status.insts.filter(function (i) {
+                    return (i.instance === peer.instance);
+                })[0];
+                if (!inst || inst.state !== 'running') {
+                    next(new errors.UsageError(format('manatee instance ' +
+                        '%s is not running', peer.alias)));
+                    return;
+                }
+                next();
+            });
+        },
+        function confirm(_, next) {
+            common.confirm(opts, format('Rebuild %s peer %s (%s) from its ' +
+                'upstream peer, discarding its data?', peer.role, peer.alias,
+                peer.instance), function (yes) {
+                if (!yes) {
+                    cb();
+                    return;
+                }
+                next();
+            });
+        },
+        function rebuild(_, next) {
+            self.progress('Rebuilding manatee peer %s (this may take a ' +
+                'while)', peer.alias);
+            manateeAdmAction({
+                inst: inst,
+                cmd: 'rebuild -y',
+                timeout: REBUILD_TIMEOUT,
+                log: self.log
+            }, next);
+        },
+        function waitForAsync(_, next) {
+            self.progress('Waiting for manatee peer %s to be an online ' +
+                'async', peer.alias);
+            shared.waitForManatee({
+                server: inst.server,
+                manateeUUID: inst.instance,
+                role: 'async',
+                state: 'enabled',
+                peer: inst.instance,
+                hasManatee21: true,
+                log: self.log
+            }, next);
+        }
+    ]}, function (err) {
+        if (!err) {
+            self.progress('Rebuilt manatee peer %s', peer.alias);
+        }
+        cb(err);
+    });
+};
+
+ManateeCLI.prototype.do_rebuild.help = (
+    'Rebuild a manatee peer from its upstream peer.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} rebuild [<options>] PEER\n' +
+    '\n' +
+    '{{options}}' +
+    '\n' +
+    'PEER is the instance UUID, short UUID or alias of an async or deposed\n' +
+    'peer, e.g. a deposed former primary. Its data is discarded and\n' +
+    'restored from its upstream peer, then it rejoins the shard as an\n' +
+    'async.\n'
+);
+
+ManateeCLI.prototype.do_rebuild.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['yes', 'y'],
+        type: 'bool',
+        help: 'Answer yes to all confirmations.'
+    }
+];
+
+ManateeCLI.prototype.do_rebuild.logToFile = true;
+
+
+ManateeCLI.prototype.do_promote = function do_promote(subcmd, opts, args, cb) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (args.length !== 1) {
+        cb(new errors.UsageError('incorrect number of args: ' +
+            'the manatee peer to promote is required'));
+        return;
+    }
+
+    var status;
+    var peer;
+    var cmd;
+
+    vasync.pipeline({funcs: [
+        function getStatus(_, next) {
+            getManateeStatus({sdcadm: self.sdcadm}, function (err, status_) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                status = status_;
+                try {
+                    peer = findPeer(status.peers, args[0]);
+                    cmd = promoteCmd(status.zkState, peer);
+                } catch (peerErr) {
+                    next(peerErr);
+                    return;
+                }
+                next();
+            });
+        },
+        function confirm(_, next) {
+            common.confirm(opts, format('Promote %s peer %s (%s)%s?',
+                peer.role, peer.alias, peer.instance,
+                (peer.role === 'sync' ? ' to primary' : '')), function (yes) {
+                if (!yes) {
+                    cb();
+                    return;
+                }
+                next();
+            });
+        },
+        function promote(_, next) {
+            manateeAdmAction({
+                inst: status.inst,
+                cmd: cmd,
+                log: self.log
+            }, next);
+        },
+        function showStatus(_, next) {
+            self.progress('Promoted manatee peer %s', peer.alias);
+            getManateeStatus({sdcadm: self.sdcadm}, function (err, status_) {
+                if (!err) {
+                    self._printStatus(status_);
+                }
+                next(err);
+            });
+        }
+    ]}, cb);
+};
+
+ManateeCLI.prototype.do_promote.help = (
+    'Promote a manatee peer.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} promote [<options>] PEER\n' +
+    '\n' +
+    '{{options}}' +
+    '\n' +
+    'PEER is the instance UUID, short UUID or alias of the sync or an async\n' +
+    'peer. Promoting the sync makes it the primary (a takeover, the\n' +
+    'primary being deposed), promoting an async moves it one place up in\n' +
+    'the shard, swapping places with the peer above it.\n'
+);
+
+ManateeCLI.prototype.do_promote.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['yes', 'y'],
+        type: 'bool',
+        help: 'Answer yes to all confirmations.'
+    }
+];
+
+ManateeCLI.prototype.do_promote.logToFile = true;
+
+
+ManateeCLI.prototype.do_history = function do_history(subcmd, opts, args, cb) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (args.length !== 0) {
+        cb(new errors.UsageError('too many args: ' + args));
+        return;
+    }
+
+    self.sdcadm.listInsts({types: ['vm'], svcs: ['manatee']},
+            function (err, insts) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        var inst = pickInst(insts, self.sdcadm.config.serverUuid);
+        if (!inst) {
+            cb(new errors.InternalError({
+                message: 'no running manatee instance found'
+            }));
+            return;
+        }
+        common.manateeAdmRemote({
+            server: inst.server,
+            vm: inst.instance,
+            cmd: 'history -j',
+            log: self.log
+        }, function (histErr, stdout) {
+            if (histErr) {
+                cb(histErr);
+                return;
+            }
+            var events = parseHistory(stdout || '');
+            if (opts.limit) {
+                events = events.slice(-opts.limit);
+            }
+            if (opts.json) {
+                console.log(JSON.stringify(events, null, 4));
+            } else {
+                tabula(events, {
+                    columns: ['time', 'generation', 'primary', 'sync',
+                        'async', 'deposed', 'freeze']
+                });
+            }
+            cb();
+        });
+    });
+};
+
+ManateeCLI.prototype.do_history.help = (
+    'Show the history of the manatee shard topology.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} history [<options>]\n' +
+    '\n' +
+    '{{options}}' +
+    '\n' +
+    'Lists the changes of the shard state, oldest first, with the short\n' +
+    'UUIDs of the peers in each role, as from "manatee-adm history".\n'
+);
+
+ManateeCLI.prototype.do_history.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['json', 'j'],
+        type: 'bool',
+        help: 'JSON output'
+    },
+    {
+        names: ['limit', 'n'],
+        type: 'positiveInteger',
+        help: 'Only show the last N changes.',
+        helpArg: 'N'
+    }
+];
+
+
+ManateeCLI.prototype.do_backup = function do_backup(subcmd, opts, args, cb) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (args.length !== 0) {
+        cb(new errors.UsageError('too many args: ' + args));
+        return;
+    }
+
+    manateeBackup.createBackup({
+        sdcadm: self.sdcadm,
+        dir: opts.dir,
+        progress: (opts.json ? function () {} : self.progress)
+    }, function (err, backup) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        if (opts.json) {
+            console.log(JSON.stringify(backup, null, 4));
+        }
+        cb();
+    });
+};
+
+ManateeCLI.prototype.do_backup.help = (
+    'Back up the manatee shard database.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} backup [<options>]\n' +
+    '\n' +
+    '{{options}}' +
+    '\n' +
+    'Takes a consistent dump ("pg_dump") of the "moray" database in the\n' +
+    'shard primary and saves it on the headnode, in a "<DIR>/<timestamp>"\n' +
+    'directory, with the manatee and moray images and the moray bucket\n' +
+    'versions at the time of the backup. DIR defaults to the\n' +
+    '"manateeBackupDir" config var (/var/sdcadm/manatee-backups).\n' +
+    'See "sdcadm manatee restore".\n'
+);
+
+ManateeCLI.prototype.do_backup.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['dir', 'd'],
+        type: 'string',
+        help: 'The directory to save the backup in.',
+        helpArg: 'DIR'
+    },
+    {
+        names: ['json', 'j'],
+        type: 'bool',
+        help: 'JSON output: the backup metadata.'
+    }
+];
+
+ManateeCLI.prototype.do_backup.logToFile = true;
+
+
+ManateeCLI.prototype.do_backups = function do_backups(subcmd, opts, args, cb) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (args.length !== 0) {
+        cb(new errors.UsageError('too many args: ' + args));
+        return;
+    }
+
+    manateeBackup.listBackups({
+        dir: opts.dir || manateeBackup.backupDir(self.sdcadm.config),
+        log: self.log
+    }, function (err, backups) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        if (opts.json) {
+            console.log(JSON.stringify(backups, null, 4));
+        } else {
+            tabula(backups.map(function (backup) {
+                return {
+                    name: backup.name,
+                    created: backup.created,
+                    size: backup.size,
+                    manatee: (backup.manatee ? backup.manatee.version : '-'),
+                    buckets: Object.keys(backup.buckets || {}).length
+                };
+            }), {
+                columns: ['name', 'created', 'size', 'manatee', 'buckets']
+            });
+        }
+        cb();
+    });
+};
+
+ManateeCLI.prototype.do_backups.help = (
+    'List manatee shard database backups.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} backups [<options>]\n' +
+    '\n' +
+    '{{options}}' +
+    '\n' +
+    'Lists the backups taken with "sdcadm manatee backup", most recent\n' +
+    'first.\n'
+);
+
+ManateeCLI.prototype.do_backups.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['dir', 'd'],
+        type: 'string',
+        help: 'The directory the backups are in.',
+        helpArg: 'DIR'
+    },
+    {
+        names: ['json', 'j'],
+        type: 'bool',
+        help: 'JSON output'
+    }
+];
+
+
+ManateeCLI.prototype.do_restore = function do_restore(subcmd, opts, args, cb) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (opts.latest && args.length !== 0) {
+        cb(new errors.UsageError('cannot use "--latest" with a BACKUP'));
+        return;
+    } else if (!opts.latest && args.length !== 1) {
+        cb(new errors.UsageError('incorrect number of args: ' +
+            'the backup to restore (or "--latest") is required'));
+        return;
+    }
+
+    var aborted = false;
+    var backup;
+    var shard;
+    var unlock;
+
+    vasync.pipeline({funcs: [
+        function findIt(_, next) {
+            manateeBackup.findBackup({
+                dir: opts.dir || manateeBackup.backupDir(self.sdcadm.config),
+                backup: args[0],
+                latest: opts.latest,
+                log: self.log
+            }, function (err, backup_) {
+                backup = backup_;
+                next(err);
+            });
+        },
+        function verifyIt(_, next) {
+            self.progress('Verifying manatee backup %s', backup.dir);
+            manateeBackup.verifyBackup(backup, next);
+        },
+        // Not to restore while an update, rollback or other restore is
+        // changing the shard.
+        function getLock(_, next) {
+            self.sdcadm.acquireLock({progress: self.progress},
+                    function (lockErr, unlock_) {
+                unlock = unlock_;
+                next(lockErr);
+            });
+        },
+        function getTheShard(_, next) {
+            manateeBackup.getShard({sdcadm: self.sdcadm},
+                    function (err, shard_) {
+                shard = shard_;
+                next(err);
+            });
+        },
+        function confirm(_, next) {
+            manateeBackup.imageDiffs(backup, shard).forEach(function (diff) {
+                self.progress('Warning: %s', diff);
+            });
+            common.confirm(opts, format('Restore the "%s" database from ' +
+                'backup %s (%s), discarding all changes since?\n' +
+                'Moray services will be unavailable during the restore.',
+                backup.database, backup.name, backup.created),
+                function (yes) {
+                aborted = !yes;
+                next();
+            });
+        },
+        function restore(_, next) {
+            if (aborted) {
+                next();
+                return;
+            }
+            manateeBackup.restoreBackup({
+                sdcadm: self.sdcadm,
+                backup: backup,
+                shard: shard,
+                progress: self.progress
+            }, next);
+        }
+    ]}, function (err) {
+        if (!unlock) {
+            cb(err);
+            return;
+        }
+        self.sdcadm.releaseLock({unlock: unlock}, function (unlockErr) {
+            cb(err || unlockErr);
+        });
+    });
+};
+
+ManateeCLI.prototype.do_restore.help = (
+    'Restore the manatee shard database from a backup.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} restore [<options>] BACKUP\n' +
+    '     {{name}} restore [<options>] --latest\n' +
+    '\n' +
+    '{{options}}' +
+    '\n' +
+    'BACKUP is the name of a backup in the backup directory (see\n' +
+    '"sdcadm manatee backups") or the path to a backup directory. The\n' +
+    'backup is checked against its recorded checksum first.\n' +
+    '\n' +
+    'The shard is frozen and the moray services disabled while the "moray"\n' +
+    'database is dropped and restored in the primary. The sync and async\n' +
+    'peers follow through replication. Restoring a backup taken with other\n' +
+    'manatee or moray images than the current ones is allowed, with a\n' +
+    'warning.\n'
+);
+
+ManateeCLI.prototype.do_restore.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['dir', 'd'],
+        type: 'string',
+        help: 'The directory the backups are in.',
+        helpArg: 'DIR'
+    },
+    {
+        names: ['latest'],
+        type: 'bool',
+        help: 'Restore the most recent backup.'
+    },
+    {
+        names: ['yes', 'y'],
+        type: 'bool',
+        help: 'Answer yes to all confirmations.'
+    }
+];
+
+ManateeCLI.prototype.do_restore.logToFile = true;
+
+
+// --- exports
+
+module.exports = {
+    parsePgStatus: parsePgStatus,
+    shardPeers: shardPeers,
+    findPeer: findPeer,
+    promoteCmd: promoteCmd,
+    parseHistory: parseHistory,
+    getManateeStatus: getManateeStatus,
+    ManateeCLI: ManateeCLI
+};
@@ -0,0 +1,439 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * sdcadm's view of the DC as OpenMetrics (Prometheus) metrics, as used by
+ * `sdcadm check-health --format openmetrics` and `sdcadm exporter`.
+ *
+ * Metrics are gathered into "families", `{name, type, help, unit, samples}`,
+ * where each sample is `{labels, value}`, and then formatted with
+ * `formatMetrics` into the OpenMetrics text format. The families are:
+ *
+ * - sdcadm_instance_healthy, sdcadm_instance_smf_online and
+ *   sdcadm_health_check_healthy: from `SdcAdm.checkHealth`.
+ * - sdcadm_instance_info (image and version of each core VM and agent
+ *   instance, as from `SdcAdm.listInsts`) and
+ *   sdcadm_instance_image_age_seconds.
+ * - sdcadm_server_platform_info, sdcadm_server_platform_pending and
+ *   sdcadm_default_platform_info: from `Platform.getPlatformsWithServers`.
+ *   (Not `Platform.list`, which would mount the USB key each time.)
+ * - sdcadm_collect_success and sdcadm_collect_duration_seconds.
+ */
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+var errors = require('./errors');
+var healthChecks = require('./health-checks');
+var Platform = require('./platform').Platform;
+
+
+// --- globals
+
+var CONTENT_TYPE =
+    'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+
+// --- formatting
+
+function escapeLabelValue(val) {
+    return String(val)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n');
+}
+
+function formatSample(name, sample) {
+    var labels = Object.keys(sample.labels || {}).filter(function (k) {
+        return (sample.labels[k] !== undefined && sample.labels[k] !== null);
+    }).map(function (k) {
+        return k + '="' + escapeLabelValue(sample.labels[k]) + '"';
+    });
+    var val = sample.value;
+    if (typeof (val) === 'boolean') {
+        val = (val ? 1 : 0);
+    }
+    return name + (labels.length ? '{' + labels.join(',') + '}' : '') +
+        ' ' + val;
+}
+
+/*
+ * Format metric families into the OpenMetrics text format. Families without
+ * samples are skipped.
+ */
+function formatMetrics(families) {
+    assert.arrayOfObject(families, 'families');
+
+    var lines = [];
+    families.forEach(function (fam) {
+        assert.string(fam.name, 'fam.name');
+        assert.string(fam.type, 'fam.type');
+        if (!fam.samples.length) {
+            return;
+        }
+        lines.push('# TYPE ' + fam.name + ' ' + fam.type);
+        if (fam.unit) {
+            lines.push('# UNIT ' + fam.name + ' ' + fam.unit);
+        }
+        if (fam.help) {
+            lines.push('# HELP ' + fam.name + ' ' + fam.help);
+        }
+        var sampleName = (fam.type === 'info' ? fam.name + '_info' : fam.name);
+        fam.samples.forEach(function (sample) {
+            lines.push(formatSample(sampleName, sample));
+        });
+    });
+    lines.push('# EOF');
+    return lines.join('\n') + '\n';
+}
+
+
+// --- building metric families
+
+function instLabels(result) {
+    return {
+        type: result.type,
+        service: result.service,
+        instance: result.instance,
+        alias: result.alias,
+        server: result.server,
+        hostname: result.hostname
+    };
+}
+
+function withLabels(labels, more) {
+    var all = {};
+    Object.keys(labels).forEach(function (k) {
+        all[k] = labels[k];
+    });
+    Object.keys(more).forEach(function (k) {
+        all[k] = more[k];
+    });
+    return all;
+}
+
+/*
+ * Metric families for `SdcAdm.checkHealth` results.
+ */
+function healthFamilies(results) {
+    assert.arrayOfObject(results, 'results');
+
+    var healthy = [];
+    var smfOnline = [];
+    var checks = [];
+    results.forEach(function (r) {
+        var labels = instLabels(r);
+        healthy.push({labels: labels, value: !healthChecks.isUnhealthy(r)});
+        if (r.smf_online !== undefined) {
+            smfOnline.push({labels: labels, value: r.smf_online});
+        }
+        (r.checks || []).forEach(function (c) {
+            checks.push({
+                labels: withLabels(labels, {check: c.name, check_type: c.type}),
+                value: c.healthy
+            });
+        });
+    });
+
+    return [
+        {
+            name: 'sdcadm_instance_healthy',
+            type: 'gauge',
+            help: 'Whether the instance passed all sdcadm health checks.',
+            samples: healthy
+        },
+        {
+            name: 'sdcadm_instance_smf_online',
+            type: 'gauge',
+            help: 'Whether the SMF service of the instance is online.',
+            samples: smfOnline
+        },
+        {
+            name: 'sdcadm_health_check_healthy',
+            type: 'gauge',
+            help: 'Whether a single health check of the instance passed.',
+            samples: checks
+        }
+    ];
+}
+
+/*
+ * Metric families for the image and version of core VM and agent instances.
+ *
+ * @param opts {Object} Required.
+ *      - insts {Array} Required. Instances as from `SdcAdm.listInsts` (or
+ *        the vm and agent results of `SdcAdm.checkHealth`).
+ *      - imgFromUuid {Object} Required. Image objects (as from IMGAPI) by
+ *        UUID, used for the image age.
+ *      - now {Date} Optional.
+ */
+function versionFamilies(opts) {
+    assert.object(opts, 'opts');
+    assert.arrayOfObject(opts.insts, 'opts.insts');
+    assert.object(opts.imgFromUuid, 'opts.imgFromUuid');
+    assert.optionalDate(opts.now, 'opts.now');
+
+    var now = (opts.now || new Date()).getTime();
+    var infos = [];
+    var ages = [];
+    opts.insts.forEach(function (inst) {
+        if (inst.type !== 'vm' && inst.type !== 'agent') {
+            return;
+        }
+        var labels = instLabels(inst);
+        infos.push({
+            labels: withLabels(labels, {
+                image: inst.image,
+                version: inst.version,
+                state: inst.state
+            }),
+            value: 1
+        });
+        var img = opts.imgFromUuid[inst.image];
+        if (img && img.published_at) {
+            ages.push({
+                labels: withLabels(labels, {image: inst.image}),
+                value: Math.max(0, Math.round(
+                    (now - Date.parse(img.published_at)) / 1000))
+            });
+        }
+    });
+
+    return [
+        {
+            name: 'sdcadm_instance',
+            type: 'info',
+            help: 'Image and version of a core VM or agent instance.',
+            samples: infos
+        },
+        {
+            name: 'sdcadm_instance_image_age_seconds',
+            type: 'gauge',
+            unit: 'seconds',
+            help: 'Time since the image of the instance was published.',
+            samples: ages
+        }
+    ];
+}
+
+/*
+ * Metric families for the platforms of setup servers.
+ *
+ * @param opts {Object} Required.
+ *      - platforms {Object} Required. As from
+ *        `Platform.getPlatformsWithServers`: the `boot_platform` and
+ *        `current_platform` servers of each platform, by version.
+ *      - defaultPlatform {String} Optional. The default boot platform.
+ */
+function platformFamilies(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.platforms, 'opts.platforms');
+    assert.optionalString(opts.defaultPlatform, 'opts.defaultPlatform');
+
+    var serverFromUuid = {};
+    function server(s) {
+        if (!serverFromUuid[s.uuid]) {
+            serverFromUuid[s.uuid] = {uuid: s.uuid, hostname: s.hostname};
+        }
+        return serverFromUuid[s.uuid];
+    }
+    Object.keys(opts.platforms).sort().forEach(function (version) {
+        var plat = opts.platforms[version];
+        (plat.current_platform || []).forEach(function (s) {
+            server(s).current = version;
+        });
+        (plat.boot_platform || []).forEach(function (s) {
+            server(s).boot = version;
+        });
+    });
+
+    var servers = Object.keys(serverFromUuid).map(function (uuid) {
+        return serverFromUuid[uuid];
+    }).sort(function (a, b) {
+        return String(a.hostname).localeCompare(String(b.hostname));
+    });
+
+    return [
+        {
+            name: 'sdcadm_server_platform',
+            type: 'info',
+            help: 'Current and boot platform of a server.',
+            samples: servers.map(function (s) {
+                return {
+                    labels: {
+                        server: s.uuid,
+                        hostname: s.hostname,
+                        current_platform: s.current,
+                        boot_platform: s.boot
+                    },
+                    value: 1
+                };
+            })
+        },
+        {
+            name: 'sdcadm_server_platform_pending',
+            type: 'gauge',
+            help: 'Whether the server will boot a platform other than the ' +
+                'one it is running.',
+            samples: servers.map(function (s) {
+                return {
+                    labels: {server: s.uuid, hostname: s.hostname},
+                    value: (s.boot !== undefined && s.boot !== s.current)
+                };
+            })
+        },
+        {
+            name: 'sdcadm_default_platform',
+            type: 'info',
+            help: 'The default boot platform for new servers.',
+            samples: (opts.defaultPlatform ? [ {
+                labels: {platform: opts.defaultPlatform},
+                value: 1
+            } ] : [])
+        }
+    ];
+}
+
+
+// --- collecting
+
+/*
+ * Gather all metric families.
+ *
+ * Failing to get the image or platform details is logged, reported with
+ * `sdcadm_collect_success 0` and those families are skipped. (Health check
+ * failures are part of the health metrics, `SdcAdm.checkHealth` does not
+ * fail.)
+ *
+ * @param opts {Object} Required.
+ *      - sdcadm {SdcAdm} Required.
+ *      - healthOpts {Object} Optional. Options for `SdcAdm.checkHealth`.
+ * @param cb {Function} `function (err, families)`
+ */
+function collectMetrics(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.sdcadm, 'opts.sdcadm');
+    assert.optionalObject(opts.healthOpts, 'opts.healthOpts');
+    assert.func(cb, 'cb');
+
+    var sdcadm = opts.sdcadm;
+    var log = sdcadm.log;
+    var start = Date.now();
+    var families = [];
+    var success = true;
+
+    function partialFailure(err, what) {
+        log.warn({err: err}, 'could not collect %s metrics', what);
+        success = false;
+    }
+
+    vasync.pipeline({arg: {}, funcs: [
+        function checkHealth(ctx, next) {
+            sdcadm.checkHealth(opts.healthOpts || {}, function (err, res) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                ctx.results = res;
+                families = families.concat(healthFamilies(res));
+                next();
+            });
+        },
+
+        function getImages(ctx, next) {
+            var imgFromUuid = {};
+            ctx.results.forEach(function (r) {
+                if (r.type === 'vm' && r.image) {
+                    imgFromUuid[r.image] = null;
+                }
+            });
+            vasync.forEachParallel({
+                inputs: Object.keys(imgFromUuid),
+                func: function getImg(uuid, nextImg) {
+                    sdcadm.imgapi.getImage(uuid, function (err, img) {
+                        if (err && err.restCode !== 'ResourceNotFound') {
+                            nextImg(new errors.SDCClientError(err, 'imgapi'));
+                            return;
+                        }
+                        imgFromUuid[uuid] = img;
+                        nextImg();
+                    });
+                }
+            }, function (err) {
+                if (err) {
+                    partialFailure(err, 'image');
+                    imgFromUuid = {};
+                }
+                families = families.concat(versionFamilies({
+                    insts: ctx.results,
+                    imgFromUuid: imgFromUuid
+                }));
+                next();
+            });
+        },
+
+        function getPlatforms(_, next) {
+            var platform = new Platform({
+                sdcadm: sdcadm,
+                log: log,
+                progress: function () {}
+            });
+            platform.getDefaultBootPlatform(function (err, defPlatform) {
+                if (err) {
+                    partialFailure(err, 'platform');
+                    next();
+                    return;
+                }
+                platform.getPlatformsWithServers(function (err2, platforms) {
+                    if (err2) {
+                        partialFailure(err2, 'platform');
+                        next();
+                        return;
+                    }
+                    families = families.concat(platformFamilies({
+                        platforms: platforms,
+                        defaultPlatform: defPlatform
+                    }));
+                    next();
+                });
+            });
+        }
+    ]}, function (err) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        families.push({
+            name: 'sdcadm_collect_success',
+            type: 'gauge',
+            help: 'Whether all sdcadm metrics could be collected.',
+            samples: [ {labels: {}, value: success} ]
+        }, {
+            name: 'sdcadm_collect_duration_seconds',
+            type: 'gauge',
+            unit: 'seconds',
+            help: 'Time taken to collect the sdcadm metrics.',
+            samples: [ {labels: {}, value: (Date.now() - start) / 1000} ]
+        });
+        cb(null, families);
+    });
+}
+
+
+// --- exports
+
+module.exports = {
+    CONTENT_TYPE: CONTENT_TYPE,
+    formatMetrics: formatMetrics,
+    healthFamilies: healthFamilies,
+    versionFamilies: versionFamilies,
+    platformFamilies: platformFamilies,
+    collectMetrics: collectMetrics
+};
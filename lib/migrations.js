@@ -0,0 +1,399 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Data migration revisions of core services, used to refuse updates and
+ * rollbacks to images which cannot work with the data of a service as
+ * migrated by a newer image.
+ *
+ * A service image declares the migrations it runs in its manifest tags:
+ *
+ * - "sdcMigrationRev": the revision (an integer) the image migrates the
+ *   service data to.
+ * - "sdcMigrationMinRev": optional, the oldest revision of images which can
+ *   still work with the data once migrated to "sdcMigrationRev". Defaults to
+ *   "sdcMigrationRev" itself, i.e. the migrations are not backward
+ *   compatible.
+ *
+ * Once an update or rollback is executed, the highest of these revisions of
+ * the images of a service are recorded in the metadata of its SAPI service,
+ * as "sdcMigratedRev" and "sdcMigratedMinRev". The data of a service is
+ * migrated to the highest of its recorded revision and the revisions of the
+ * images of its current instances.
+ *
+ * Moving a service to an image with a lower revision than its data is
+ * migrated to is a downgrade. Downgrades are allowed if the image revision is
+ * at least the min revision of the migrated data. Images without a revision
+ * are at revision 0.
+ */
+
+var util = require('util');
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+var errors = require('./errors');
+
+
+// --- globals
+
+var format = util.format;
+
+var REV_TAG = 'sdcMigrationRev';
+var MIN_REV_TAG = 'sdcMigrationMinRev';
+var MIGRATED_REV_KEY = 'sdcMigratedRev';
+var MIGRATED_MIN_REV_KEY = 'sdcMigratedMinRev';
+
+// The change types moving the instances of a service to another image.
+var IMAGE_CHANGE_TYPES = ['update-service', 'update-instance',
+    'rollback-service'];
+
+
+// --- internal support functions
+
+function toRev(value) {
+    var rev = Number(value);
+    return ((value !== null && value !== '' && Number.isInteger(rev) &&
+        rev >= 0) ? rev : null);
+}
+
+function maxRevs(a, b) {
+    if (!a || !b) {
+        return (a || b);
+    }
+    return {
+        rev: Math.max(a.rev, b.rev),
+        minRev: Math.max(a.minRev, b.minRev)
+    };
+}
+
+function imageChanges(changes) {
+    return changes.filter(function (ch) {
+        return (IMAGE_CHANGE_TYPES.indexOf(ch.type) !== -1 &&
+            ch.service && ch.service.type === 'vm' && ch.image &&
+            typeof (ch.image) === 'object');
+    });
+}
+
+
+// --- exported functions
+
+/**
+ * Get the migration revisions declared by an image.
+ *
+ * @param img {Object} The image manifest.
+ * @returns {Object} `{rev, minRev}`, or null if the image does not declare a
+ *      (valid) migration revision.
+ */
+function imageMigrationRevs(img) {
+    assert.object(img, 'img');
+
+    var tags = img.tags || {};
+    var rev = toRev(tags[REV_TAG]);
+    if (rev === null) {
+        return null;
+    }
+    var minRev = toRev(tags[MIN_REV_TAG]);
+    return {
+        rev: rev,
+        minRev: (minRev === null ? rev : Math.min(minRev, rev))
+    };
+}
+
+
+/**
+ * Get the migration revisions recorded in the metadata of a SAPI service.
+ *
+ * @param svc {Object} The SAPI service.
+ * @returns {Object} `{rev, minRev}`, or null if none is recorded.
+ */
+function recordedMigrationRevs(svc) {
+    assert.object(svc, 'svc');
+
+    var md = svc.metadata || {};
+    var rev = toRev(md[MIGRATED_REV_KEY]);
+    if (rev === null) {
+        return null;
+    }
+    var minRev = toRev(md[MIGRATED_MIN_REV_KEY]);
+    return {
+        rev: rev,
+        minRev: (minRev === null ? rev : Math.min(minRev, rev))
+    };
+}
+
+
+/**
+ * Get the downgrade errors for the given changes.
+ *
+ * @param opts {Object} Required.
+ *      - changes {Array} Required. The (resolved) changes of an update or
+ *        rollback plan, with their target `image` object.
+ *      - migratedRevsFromSvcName {Object} Required. The `{rev, minRev}` the
+ *        data of each service is migrated to, or null if unknown.
+ * @returns {Array} of `UpdateError`s, one per change to an image which
+ *      cannot work with the migrated data of its service.
+ */
+function downgradeErrors(opts) {
+    assert.object(opts, 'opts');
+    assert.arrayOfObject(opts.changes, 'opts.changes');
+    assert.object(opts.migratedRevsFromSvcName, 'opts.migratedRevsFromSvcName');
+
+    var errs = [];
+    imageChanges(opts.changes).forEach(function (ch) {
+        var migrated = opts.migratedRevsFromSvcName[ch.service.name];
+        if (!migrated) {
+            return;
+        }
+        var imgRevs = imageMigrationRevs(ch.image);
+        var rev = (imgRevs ? imgRevs.rev : 0);
+        if (rev < migrated.minRev) {
+            errs.push(new errors.UpdateError(format(
+                'cannot move service "%s" to image %s (%s@%s): its data is ' +
+                'migrated to revision %d, which requires images of at ' +
+                'least revision %d, and the image is of revision %d',
+                ch.service.name, ch.image.uuid, ch.image.name,
+                ch.image.version, migrated.rev, migrated.minRev, rev)));
+        }
+    });
+    return errs;
+}
+
+
+/*
+ * Get the current SAPI services by name: the services in the changes of a
+ * saved plan (e.g. the update plan of a rollback) may be outdated.
+ */
+function getSvcFromName(sdcadm, cb) {
+    sdcadm.getServices({}, function (err, svcs) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        var svcFromName = {};
+        svcs.forEach(function (svc) {
+            svcFromName[svc.name] = svc;
+        });
+        cb(null, svcFromName);
+    });
+}
+
+
+/**
+ * Get the migration revisions the data of the services changed by an update
+ * or rollback plan is migrated to: the highest of the revisions recorded for
+ * each service and those of the images of its current instances.
+ *
+ * @param opts {Object} Required.
+ *      - sdcadm {SdcAdm} Required.
+ *      - changes {Array} Required. The (resolved) plan changes.
+ *      - insts {Array} Required. The current instances, as from
+ *        `SdcAdm.listInsts`.
+ * @param cb {Function} `function (err, migratedRevsFromSvcName)`.
+ */
+function getMigratedRevs(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.sdcadm, 'opts.sdcadm');
+    assert.arrayOfObject(opts.changes, 'opts.changes');
+    assert.arrayOfObject(opts.insts, 'opts.insts');
+    assert.func(cb, 'cb');
+
+    var migratedRevsFromSvcName = {};
+    var svcNameFromImgUuid = {};
+
+    vasync.pipeline({funcs: [
+        function getRecordedRevs(_, next) {
+            getSvcFromName(opts.sdcadm, function (err, svcFromName) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                imageChanges(opts.changes).forEach(function (ch) {
+                    var name = ch.service.name;
+                    migratedRevsFromSvcName[name] = recordedMigrationRevs(
+                        svcFromName[name] || ch.service);
+                    opts.insts.forEach(function (inst) {
+                        if (inst.service === name && inst.image) {
+                            svcNameFromImgUuid[inst.image] = name;
+                        }
+                    });
+                });
+                next();
+            });
+        },
+        function getInstImageRevs(_, next) {
+            vasync.forEachParallel({
+                inputs: Object.keys(svcNameFromImgUuid),
+                func: getInstImageRev
+            }, next);
+        }
+    ]}, function (err) {
+        cb(err, migratedRevsFromSvcName);
+    });
+
+    function getInstImageRev(imgUuid, next) {
+        opts.sdcadm.getImage({uuid: imgUuid}, function (err, img) {
+            if (err) {
+                // The current image may have been removed from IMGAPI.
+                opts.sdcadm.log.debug({err: err, image: imgUuid},
+                    'could not get image for migration revision');
+                next();
+                return;
+            }
+            var name = svcNameFromImgUuid[imgUuid];
+            migratedRevsFromSvcName[name] = maxRevs(
+                migratedRevsFromSvcName[name], imageMigrationRevs(img));
+            next();
+        });
+    }
+}
+
+
+/**
+ * Check that the changes of an update or rollback plan do not downgrade
+ * services to images which cannot work with their migrated data.
+ *
+ * @param opts {Object} Required.
+ *      - sdcadm {SdcAdm} Required.
+ *      - changes {Array} Required. The (resolved) plan changes.
+ *      - insts {Array} Required. The current instances.
+ *      - force {Boolean} Optional. Only warn about incompatible downgrades.
+ *      - forceOpt {String} Optional. The option to force, for the error
+ *        message. Default "--force".
+ *      - progress {Function} Optional.
+ * @param cb {Function} `function (err)`.
+ */
+function checkDowngrades(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.optionalBool(opts.force, 'opts.force');
+    assert.optionalString(opts.forceOpt, 'opts.forceOpt');
+    assert.optionalFunc(opts.progress, 'opts.progress');
+    assert.func(cb, 'cb');
+
+    var progress = opts.progress || function () {};
+    getMigratedRevs(opts, function (err, migratedRevsFromSvcName) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        var errs = downgradeErrors({
+            changes: opts.changes,
+            migratedRevsFromSvcName: migratedRevsFromSvcName
+        });
+        if (errs.length === 0) {
+            cb();
+        } else if (opts.force) {
+            errs.forEach(function (e) {
+                progress('Warning: %s (forced)', e.message);
+            });
+            cb();
+        } else {
+            errs.push(new errors.UpdateError(format(
+                'use "%s" to ignore migration revisions (warning: the ' +
+                'service may not work with its data)',
+                opts.forceOpt || '--force')));
+            cb(new errors.MultiError(errs));
+        }
+    });
+}
+
+
+/**
+ * Get the service metadata updates recording the migration revisions of the
+ * images executed changes moved services to. Recorded revisions are never
+ * lowered: rolling back does not undo migrations.
+ *
+ * @param opts {Object} Required.
+ *      - changes {Array} Required. The (resolved) plan changes.
+ *      - svcFromName {Object} Required. The current SAPI services by name.
+ * @returns {Array} of `{svc, metadata}`, for each service whose recorded
+ *      revisions are raised.
+ */
+function metadataUpdates(opts) {
+    assert.object(opts, 'opts');
+    assert.arrayOfObject(opts.changes, 'opts.changes');
+    assert.object(opts.svcFromName, 'opts.svcFromName');
+
+    var revsFromSvcName = {};
+    imageChanges(opts.changes).forEach(function (ch) {
+        var imgRevs = imageMigrationRevs(ch.image);
+        if (imgRevs && opts.svcFromName[ch.service.name]) {
+            revsFromSvcName[ch.service.name] = maxRevs(
+                revsFromSvcName[ch.service.name], imgRevs);
+        }
+    });
+
+    var updates = [];
+    Object.keys(revsFromSvcName).forEach(function (name) {
+        var svc = opts.svcFromName[name];
+        var recorded = recordedMigrationRevs(svc);
+        var revs = maxRevs(recorded, revsFromSvcName[name]);
+        if (!recorded || revs.rev !== recorded.rev ||
+                revs.minRev !== recorded.minRev) {
+            var metadata = {};
+            metadata[MIGRATED_REV_KEY] = revs.rev;
+            metadata[MIGRATED_MIN_REV_KEY] = revs.minRev;
+            updates.push({svc: svc, metadata: metadata});
+        }
+    });
+    return updates;
+}
+
+
+/**
+ * Record the migration revisions of the images the changes of an executed
+ * plan moved services to, in their SAPI service metadata.
+ *
+ * @param opts {Object} Required.
+ *      - sdcadm {SdcAdm} Required.
+ *      - changes {Array} Required. The (resolved) plan changes.
+ * @param cb {Function} `function (err)`.
+ */
+function recordMigratedRevs(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.sdcadm, 'opts.sdcadm');
+    assert.arrayOfObject(opts.changes, 'opts.changes');
+    assert.func(cb, 'cb');
+
+    getSvcFromName(opts.sdcadm, function (svcsErr, svcFromName) {
+        if (svcsErr) {
+            cb(svcsErr);
+            return;
+        }
+        vasync.forEachPipeline({
+            inputs: metadataUpdates({
+                changes: opts.changes,
+                svcFromName: svcFromName
+            }),
+            func: function recordOne(update, next) {
+                opts.sdcadm.log.info({service: update.svc.name,
+                    metadata: update.metadata}, 'record migration revisions');
+                opts.sdcadm.sapi.updateService(update.svc.uuid, {
+                    metadata: update.metadata
+                }, errors.sdcClientErrWrap(next, 'sapi'));
+            }
+        }, function (err) {
+            cb(err);
+        });
+    });
+}
+
+
+// --- exports
+
+module.exports = {
+    imageMigrationRevs: imageMigrationRevs,
+    recordedMigrationRevs: recordedMigrationRevs,
+    downgradeErrors: downgradeErrors,
+    getMigratedRevs: getMigratedRevs,
+    checkDowngrades: checkDowngrades,
+    metadataUpdates: metadataUpdates,
+    recordMigratedRevs: recordMigratedRevs
+};
@@ -0,0 +1,211 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Platform compatibility checks: whether the agents and instances on a
+ * server can run on a given platform, per the minimum platform declared in
+ * their image manifests ("requirements.min_platform").
+ *
+ * `requirements.min_platform` is, per the IMGAPI image manifest spec, an
+ * object mapping an SDC version to the minimum platform for it, e.g.:
+ *
+ *      "requirements": {
+ *          "min_platform": {"7.0": "20141030T081701Z"}
+ *      }
+ */
+
+var util = require('util');
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+
+// --- exported functions
+
+/**
+ * Return the minimum platform required by the given image manifest, or null
+ * if it has none. If it declares minimum platforms for several SDC versions,
+ * the highest one is returned.
+ */
+function minPlatformFromImage(img) {
+    assert.object(img, 'img');
+
+    var minPlatform = (img.requirements && img.requirements.min_platform);
+    if (!minPlatform) {
+        return null;
+    } else if (typeof (minPlatform) === 'string') {
+        return minPlatform;
+    }
+
+    var highest = null;
+    Object.keys(minPlatform).forEach(function (sdcVer) {
+        var pi = minPlatform[sdcVer];
+        if (typeof (pi) === 'string' && (highest === null || pi > highest)) {
+            highest = pi;
+        }
+    });
+    return highest;
+}
+
+
+/**
+ * Check which of the agents and instances on the given servers require a
+ * newer platform than `platform`.
+ *
+ * @param opts {Object}
+ *      - servers {Array} Required. CNAPI server objects to check.
+ *      - platform {String} Required. The platform the servers would boot.
+ *      - insts {Array} Required. Instances, as from `SdcAdm.listInsts`.
+ *      - imgFromUuid {Object} Required. Image manifests of (at least) the
+ *        images of the instances, by UUID.
+ * @returns {Array} of `{uuid, hostname, problems}` objects, one per server
+ *      with problems, where `problems` is an array of `{instance, alias,
+ *      service, image, min_platform}`.
+ */
+function checkServers(opts) {
+    assert.object(opts, 'opts');
+    assert.arrayOfObject(opts.servers, 'opts.servers');
+    assert.string(opts.platform, 'opts.platform');
+    assert.arrayOfObject(opts.insts, 'opts.insts');
+    assert.object(opts.imgFromUuid, 'opts.imgFromUuid');
+
+    var report = [];
+    opts.servers.forEach(function (server) {
+        var problems = [];
+        opts.insts.forEach(function (inst) {
+            if (inst.server !== server.uuid || !inst.image) {
+                return;
+            }
+            var img = opts.imgFromUuid[inst.image];
+            var minPlatform = (img ? minPlatformFromImage(img) : null);
+            if (minPlatform && minPlatform > opts.platform) {
+                problems.push({
+                    instance: inst.instance,
+                    alias: inst.alias,
+                    service: inst.service,
+                    image: inst.image,
+                    min_platform: minPlatform
+                });
+            }
+        });
+        if (problems.length) {
+            report.push({
+                uuid: server.uuid,
+                hostname: server.hostname,
+                problems: problems
+            });
+        }
+    });
+    return report;
+}
+
+
+/**
+ * Render a `checkServers` report as lines of text.
+ */
+function formatReport(report, platform) {
+    assert.arrayOfObject(report, 'report');
+    assert.string(platform, 'platform');
+
+    var lines = [];
+    report.forEach(function (server) {
+        lines.push(util.format('server %s (%s):', server.uuid,
+            server.hostname));
+        server.problems.forEach(function (prob) {
+            lines.push(util.format('    %s %s (image %s) requires ' +
+                'platform %s or later, not %s', prob.service,
+                prob.alias || prob.instance, prob.image, prob.min_platform,
+                platform));
+        });
+    });
+    return lines;
+}
+
+
+/**
+ * Check which of the agents and instances on the given servers require a
+ * newer platform than `platform`, getting the instances and their images.
+ *
+ * Instances whose image cannot be found are ignored.
+ *
+ * @param opts {Object}
+ *      - sdcadm {SdcAdm} Required.
+ *      - servers {Array} Required. CNAPI server objects to check.
+ *      - platform {String} Required.
+ * @param cb {Function} `function (err, report)`, `report` as from
+ *      `checkServers`.
+ */
+function checkPlatformCompat(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.sdcadm, 'opts.sdcadm');
+    assert.arrayOfObject(opts.servers, 'opts.servers');
+    assert.string(opts.platform, 'opts.platform');
+    assert.func(cb, 'cb');
+
+    var sdcadm = opts.sdcadm;
+    var insts;
+    var imgFromUuid = {};
+
+    vasync.pipeline({funcs: [
+        function getInsts(_, next) {
+            sdcadm.listInsts(function (err, insts_) {
+                insts = insts_;
+                next(err);
+            });
+        },
+        function getImgs(_, next) {
+            var serverUuids = opts.servers.map(function (s) {
+                return s.uuid;
+            });
+            var imgUuids = {};
+            insts.forEach(function (inst) {
+                if (inst.image && serverUuids.indexOf(inst.server) !== -1) {
+                    imgUuids[inst.image] = true;
+                }
+            });
+
+            var queue = vasync.queue(function getImg(uuid, nextImg) {
+                sdcadm.getImage({uuid: uuid}, function (err, img) {
+                    if (err) {
+                        sdcadm.log.warn({err: err, image: uuid},
+                            'could not get image for platform compat check');
+                    } else {
+                        imgFromUuid[uuid] = img;
+                    }
+                    nextImg();
+                });
+            }, 5);
+            queue.once('end', next);
+            queue.push(Object.keys(imgUuids));
+            queue.close();
+        }
+    ]}, function (err) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        cb(null, checkServers({
+            servers: opts.servers,
+            platform: opts.platform,
+            insts: insts,
+            imgFromUuid: imgFromUuid
+        }));
+    });
+}
+
+
+// --- exports
+
+module.exports = {
+    minPlatformFromImage: minPlatformFromImage,
+    checkServers: checkServers,
+    formatReport: formatReport,
+    checkPlatformCompat: checkPlatformCompat
+};
@@ -0,0 +1,218 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Platform garbage collection policy, as used by `sdcadm platform prune`.
+ *
+ * Platforms which servers are set to boot are never pruned. Of the others, a
+ * policy given by the following options decides which to keep:
+ *
+ * - keep: keep the N most recent platforms.
+ * - keepDefault: keep the default boot platform (for new servers). Without
+ *   it, pruning the default boot platform makes the most recent kept one the
+ *   new default.
+ * - keepAssigned: keep platforms servers are running, though set to boot
+ *   another one.
+ * - minAge: keep platforms built less than this long ago.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+var common = require('./common');
+var errors = require('./errors');
+
+
+// --- internal support functions
+
+/*
+ * Disk usage, in KiB, of the given directory, or 0 if it does not exist.
+ */
+function duKiB(dir, log, cb) {
+    fs.stat(dir, function (statErr) {
+        if (statErr) {
+            cb(null, 0);
+            return;
+        }
+        common.execFilePlus({
+            argv: ['du', '-sk', dir],
+            log: log
+        }, function (err, stdout) {
+            if (err) {
+                cb(new errors.InternalError({
+                    message: 'could not get disk usage of ' + dir,
+                    cause: err
+                }));
+                return;
+            }
+            cb(null, parseInt(stdout.trim().split(/\s+/)[0], 10) || 0);
+        });
+    });
+}
+
+
+// --- exported functions
+
+/**
+ * Return the build date of a platform from its "YYYYMMDDTHHMMSSZ" version,
+ * or null if the version is not of that form.
+ */
+function platformDate(version) {
+    assert.string(version, 'version');
+
+    var m = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(version);
+    if (!m) {
+        return null;
+    }
+    return new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]),
+        Number(m[4]), Number(m[5]), Number(m[6])));
+}
+
+
+/**
+ * Decide which platforms to prune.
+ *
+ * @param opts {Object}
+ *      - platforms {Array} Required. Installed platforms, each an object
+ *        with `version`, `boot_platform` (array of the servers set to boot
+ *        it) and `current_platform` (array of the servers running it).
+ *      - defaultPlatform {String} Optional. The default boot platform.
+ *      - keep {Number} Optional. Default 0.
+ *      - keepDefault {Boolean} Optional.
+ *      - keepAssigned {Boolean} Optional.
+ *      - minAge {Number} Optional. In ms.
+ *      - now {Date} Optional. Default now.
+ * @returns {Object} `{remove, keep, newDefault}` where `remove` is an array
+ *      of versions to remove, `keep` an array of `{version, reason}` and
+ *      `newDefault` the version to make the default boot platform (if the
+ *      current one is pruned), else null.
+ */
+function planPrune(opts) {
+    assert.object(opts, 'opts');
+    assert.arrayOfObject(opts.platforms, 'opts.platforms');
+    assert.optionalString(opts.defaultPlatform, 'opts.defaultPlatform');
+    assert.optionalNumber(opts.keep, 'opts.keep');
+    assert.optionalBool(opts.keepDefault, 'opts.keepDefault');
+    assert.optionalBool(opts.keepAssigned, 'opts.keepAssigned');
+    assert.optionalNumber(opts.minAge, 'opts.minAge');
+    assert.optionalDate(opts.now, 'opts.now');
+
+    var now = opts.now || new Date();
+    var keepNewest = opts.keep || 0;
+
+    // Most recent first.
+    var platforms = opts.platforms.slice().sort(function (a, b) {
+        return (a.version < b.version ? 1 : (a.version > b.version ? -1 : 0));
+    });
+
+    var remove = [];
+    var keep = [];
+
+    platforms.forEach(function (pi, idx) {
+        var reason = null;
+        var date = platformDate(pi.version);
+
+        if (pi.boot_platform.length) {
+            reason = util.format('%d server%s set to boot it',
+                pi.boot_platform.length,
+                (pi.boot_platform.length === 1 ? '' : 's'));
+        } else if (idx < keepNewest) {
+            reason = util.format('one of the %d most recent', keepNewest);
+        } else if (opts.keepDefault && pi.version === opts.defaultPlatform) {
+            reason = 'the default boot platform';
+        } else if (opts.keepAssigned && pi.current_platform.length) {
+            reason = util.format('%d server%s running it',
+                pi.current_platform.length,
+                (pi.current_platform.length === 1 ? '' : 's'));
+        } else if (opts.minAge && date &&
+                now.getTime() - date.getTime() < opts.minAge) {
+            reason = 'newer than the minimum age';
+        }
+
+        if (reason) {
+            keep.push({version: pi.version, reason: reason});
+        } else {
+            remove.push(pi.version);
+        }
+    });
+
+    var newDefault = null;
+    if (opts.defaultPlatform &&
+            remove.indexOf(opts.defaultPlatform) !== -1) {
+        if (keep.length) {
+            // `keep` is in most recent first order.
+            newDefault = keep[0].version;
+        } else {
+            // Nothing else to boot new servers with.
+            remove.splice(remove.indexOf(opts.defaultPlatform), 1);
+            keep.push({
+                version: opts.defaultPlatform,
+                reason: 'the default boot platform, and the only one left'
+            });
+        }
+    }
+
+    return {remove: remove, keep: keep, newDefault: newDefault};
+}
+
+
+/**
+ * Get how much space the given platforms take on the USB key and in the
+ * /usbkey/os cache. The USB key must be mounted.
+ *
+ * @param opts {Object}
+ *      - log {Bunyan Logger} Required.
+ *      - platforms {Array} Required. Platform versions.
+ * @param cb {Function} `function (err, sizes)` where `sizes` maps each
+ *      version to `{usbkey, cache}`, both in KiB.
+ */
+function getPlatformSizes(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.arrayOfString(opts.platforms, 'opts.platforms');
+    assert.func(cb, 'cb');
+
+    var sizes = {};
+
+    vasync.forEachPipeline({
+        inputs: opts.platforms,
+        func: function getSizes(version, next) {
+            sizes[version] = {};
+            duKiB(path.join(common.USBKEY_OS_DIR, version), opts.log,
+                    function (err, usbkey) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                sizes[version].usbkey = usbkey;
+                duKiB(path.join(common.USBKEY_CACHE_OS_DIR, version),
+                        opts.log, function (err2, cache) {
+                    sizes[version].cache = cache;
+                    next(err2);
+                });
+            });
+        }
+    }, function (err) {
+        cb(err, sizes);
+    });
+}
+
+
+// --- exports
+
+module.exports = {
+    platformDate: platformDate,
+    planPrune: planPrune,
+    getPlatformSizes: getPlatformSizes
+};
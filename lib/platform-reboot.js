@@ -0,0 +1,294 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Rebooting servers onto their assigned platform, as run by
+ * `sdcadm platform reboot`.
+ *
+ * Servers whose boot platform differs from the one they are running are
+ * rebooted through CNAPI in batches. Each batch must come back, i.e. its
+ * servers report status "running" with their boot platform as
+ * `current_platform`, before the next batch is rebooted. The first batch
+ * which does not come back stops the reboots.
+ */
+
+var util = require('util');
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+var common = require('./common');
+var errors = require('./errors');
+
+
+// --- globals
+
+var CORE_INSTS_POLICIES = ['refuse', 'skip', 'allow'];
+
+
+// --- internal support functions
+
+function serverName(server) {
+    return util.format('%s (%s)', server.hostname, server.uuid);
+}
+
+
+// --- exported functions
+
+/**
+ * Plan which of the given servers to reboot, and in what batches.
+ *
+ * Servers already running their boot platform are skipped, as is the
+ * headnode: sdcadm runs there, so it is left to operators to reboot it.
+ * Servers hosting core instances are, per `coreInsts`, either refused (the
+ * plan has a `refused` list, and nothing should be rebooted), skipped or
+ * rebooted.
+ *
+ * @param opts {Object}
+ *      - servers {Array} Required. CNAPI server objects, with "latest"
+ *        boot and current platforms resolved (see
+ *        `Platform.getPlatformsWithServers`).
+ *      - insts {Array} Required. Core instances, as from `SdcAdm.listInsts`.
+ *      - coreInsts {String} Required. One of "refuse", "skip" or "allow".
+ *      - batchSize {Number} Required. Max number of servers per batch.
+ * @returns {Object} `{batches, skipped, refused}` where `batches` is an array
+ *      of arrays of CNAPI server objects, and `skipped` and `refused` are
+ *      arrays of `{server, reason}`.
+ */
+function planReboots(opts) {
+    assert.object(opts, 'opts');
+    assert.arrayOfObject(opts.servers, 'opts.servers');
+    assert.arrayOfObject(opts.insts, 'opts.insts');
+    assert.ok(CORE_INSTS_POLICIES.indexOf(opts.coreInsts) !== -1,
+        'opts.coreInsts');
+    assert.number(opts.batchSize, 'opts.batchSize');
+    assert.ok(opts.batchSize > 0, 'opts.batchSize > 0');
+
+    var instsFromServer = {};
+    opts.insts.forEach(function (inst) {
+        if (!inst.server) {
+            return;
+        }
+        if (!instsFromServer[inst.server]) {
+            instsFromServer[inst.server] = [];
+        }
+        instsFromServer[inst.server].push(inst.alias || inst.instance);
+    });
+
+    var toReboot = [];
+    var skipped = [];
+    var refused = [];
+
+    opts.servers.slice().sort(function (a, b) {
+        return (a.hostname < b.hostname ? -1 :
+            (a.hostname > b.hostname ? 1 : 0));
+    }).forEach(function (server) {
+        var hosted = instsFromServer[server.uuid];
+
+        if (server.current_platform === server.boot_platform) {
+            skipped.push({server: server, reason: util.format(
+                'already running its boot platform %s',
+                server.boot_platform)});
+        } else if (server.headnode) {
+            skipped.push({server: server,
+                reason: 'headnode: it must be rebooted by hand'});
+        } else if (hosted && opts.coreInsts !== 'allow') {
+            var reason = 'hosts core instances: ' + hosted.sort().join(', ');
+            if (opts.coreInsts === 'skip') {
+                skipped.push({server: server, reason: reason});
+            } else {
+                refused.push({server: server, reason: reason});
+            }
+        } else {
+            toReboot.push(server);
+        }
+    });
+
+    var batches = [];
+    for (var i = 0; i < toReboot.length; i += opts.batchSize) {
+        batches.push(toReboot.slice(i, i + opts.batchSize));
+    }
+
+    return {batches: batches, skipped: skipped, refused: refused};
+}
+
+
+/**
+ * Reboot the given batches of servers through CNAPI, one batch after the
+ * other, waiting for the servers of each batch to come back running their
+ * boot platform.
+ *
+ * @param opts {Object}
+ *      - cnapi {Object} Required. CNAPI client.
+ *      - batches {Array} Required. As from `planReboots`.
+ *      - timeout {Number} Required. Time, in ms, to wait for each batch to
+ *        come back.
+ *      - interval {Number} Optional. Time, in ms, between checks on the
+ *        servers of a batch. Default 10s.
+ *      - drain {Boolean} Optional. Reserve the servers of a batch (so no new
+ *        VMs are provisioned to them) while they reboot. The servers are
+ *        left reserved if they do not come back.
+ *      - progress {Function} Required.
+ * @param cb {Function} `function (err)`
+ */
+function rebootServers(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.cnapi, 'opts.cnapi');
+    assert.arrayOfArray(opts.batches, 'opts.batches');
+    assert.number(opts.timeout, 'opts.timeout');
+    assert.optionalNumber(opts.interval, 'opts.interval');
+    assert.optionalBool(opts.drain, 'opts.drain');
+    assert.func(opts.progress, 'opts.progress');
+    assert.func(cb, 'cb');
+
+    var cnapi = opts.cnapi;
+    var interval = opts.interval || 10 * 1000;
+    var progress = opts.progress;
+
+    function setReserved(servers, reserved, next) {
+        vasync.forEachParallel({
+            inputs: servers,
+            func: function reserveOne(server, nextServer) {
+                cnapi.updateServer(server.uuid, {
+                    reserved: reserved[server.uuid]
+                }, function (err) {
+                    if (err) {
+                        nextServer(new errors.SDCClientError(err, 'cnapi'));
+                        return;
+                    }
+                    nextServer();
+                });
+            }
+        }, function (err) {
+            next(err);
+        });
+    }
+
+    function waitForBatch(batch, idx, next) {
+        var deadline = Date.now() + opts.timeout;
+        var uuids = batch.map(function (s) {
+            return s.uuid;
+        });
+
+        function poll() {
+            cnapi.listServers({
+                uuids: uuids.join(',')
+            }, function (err, servers) {
+                if (err) {
+                    next(new errors.SDCClientError(err, 'cnapi'));
+                    return;
+                }
+                var serverFromUuid = {};
+                servers.forEach(function (s) {
+                    serverFromUuid[s.uuid] = s;
+                });
+                var notBack = batch.filter(function (s) {
+                    var curr = serverFromUuid[s.uuid];
+                    return (!curr || curr.status !== 'running' ||
+                        curr.current_platform !== s.boot_platform);
+                });
+
+                if (notBack.length === 0) {
+                    next();
+                } else if (Date.now() >= deadline) {
+                    next(new errors.UpdateError(util.format(
+                        'batch %d servers did not come back on their boot ' +
+                        'platform within %s: %s', idx,
+                        common.humanDurationFromMs(opts.timeout),
+                        notBack.map(function (s) {
+                            var curr = serverFromUuid[s.uuid];
+                            return util.format('%s (status %s, platform %s)',
+                                serverName(s), (curr ? curr.status : 'gone'),
+                                (curr ? curr.current_platform : 'unknown'));
+                        }).join(', '))));
+                } else {
+                    setTimeout(poll, interval);
+                }
+            });
+        }
+
+        poll();
+    }
+
+    vasync.forEachPipeline({
+        inputs: opts.batches.map(function (batch, idx) {
+            return {batch: batch, idx: idx};
+        }),
+        func: function rebootBatch(input, nextBatch) {
+            var batch = input.batch;
+            var reserved = {};
+
+            vasync.pipeline({funcs: [
+                function drain(_, next) {
+                    if (!opts.drain) {
+                        next();
+                        return;
+                    }
+                    batch.forEach(function (s) {
+                        reserved[s.uuid] = true;
+                    });
+                    progress('Reserving batch %d servers', input.idx);
+                    setReserved(batch, reserved, next);
+                },
+                function reboot(_, next) {
+                    progress('Rebooting batch %d servers: %s', input.idx,
+                        batch.map(serverName).join(', '));
+                    vasync.forEachParallel({
+                        inputs: batch,
+                        func: function rebootOne(server, nextServer) {
+                            cnapi.rebootServer(server.uuid, function (err) {
+                                if (err) {
+                                    nextServer(new errors.SDCClientError(
+                                        err, 'cnapi'));
+                                    return;
+                                }
+                                nextServer();
+                            });
+                        }
+                    }, function (err) {
+                        next(err);
+                    });
+                },
+                function wait(_, next) {
+                    progress('Waiting for batch %d servers to come back',
+                        input.idx);
+                    waitForBatch(batch, input.idx, next);
+                },
+                function undrain(_, next) {
+                    if (!opts.drain) {
+                        next();
+                        return;
+                    }
+                    batch.forEach(function (s) {
+                        reserved[s.uuid] = Boolean(s.reserved);
+                    });
+                    setReserved(batch, reserved, next);
+                }
+            ]}, function (err) {
+                if (!err) {
+                    progress('Batch %d servers are running their boot ' +
+                        'platform', input.idx);
+                }
+                nextBatch(err);
+            });
+        }
+    }, function (err) {
+        cb(err);
+    });
+}
+
+
+// --- exports
+
+module.exports = {
+    CORE_INSTS_POLICIES: CORE_INSTS_POLICIES,
+    planReboots: planReboots,
+    rebootServers: rebootServers
+};
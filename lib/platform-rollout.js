@@ -0,0 +1,480 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Staged platform rollouts, as run by `sdcadm platform assign --rolling`.
+ *
+ * A rollout assigns a platform to a first batch of "canary" servers and then
+ * to the remaining servers in batches. After each batch is assigned, its
+ * servers must be rebooted (by operators, or by anything else) and come back
+ * running the new platform with healthy agents before the next batch is
+ * assigned. Once more than "maxUnhealthy" servers are found unhealthy the
+ * rollout halts.
+ *
+ * The rollout state is kept in "/var/sdcadm/platform-rollout.json", so that
+ * it can be resumed (`sdcadm platform assign --resume`) or aborted
+ * (`sdcadm platform assign --abort`):
+ *
+ *      {
+ *          "v": 1,
+ *          "uuid": "<sdcadm run uuid which started the rollout>",
+ *          "platform": "20190601T000000Z",
+ *          "all": true,           // whether started with `--all`
+ *          // One of "running", "waiting" (for servers to reboot), "halted",
+ *          // "aborted" or "done".
+ *          "state": "waiting",
+ *          "created": "<ISO date>",
+ *          "updated": "<ISO date>",
+ *          "canaries": 1,
+ *          "batchSize": 10,
+ *          "maxUnhealthy": 0,
+ *          "wait": 1800000,       // ms to wait for reboots, or null
+ *          "batches": [
+ *              {
+ *                  "canary": true,
+ *                  // One of "pending", "assigned" or "done".
+ *                  "state": "assigned",
+ *                  "assigned": "<ISO date>",
+ *                  "servers": [
+ *                      {"uuid": "...", "hostname": "cn0",
+ *                       "prevPlatform": "20190101T000000Z"}
+ *                  ],
+ *                  "unhealthy": [
+ *                      {"uuid": "...", "hostname": "cn0",
+ *                       "reason": "..."}
+ *                  ]
+ *              },
+ *              ...
+ *          ],
+ *          "error": "<why the rollout halted>"
+ *      }
+ */
+
+var fs = require('fs');
+var util = require('util');
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+var errors = require('./errors');
+
+
+// --- globals
+
+var ROLLOUT_FORMAT_VER = 1;
+var ROLLOUT_FILE = '/var/sdcadm/platform-rollout.json';
+
+
+// --- internal support functions
+
+function serverName(server) {
+    return (server.hostname ?
+        util.format('%s (%s)', server.uuid, server.hostname) : server.uuid);
+}
+
+
+// --- exported functions
+
+/**
+ * Split the servers to roll a platform out to into batches: a first batch of
+ * `canaries` compute nodes, then batches of up to `batchSize` compute nodes
+ * and finally the headnode(s) on their own, so that the headnode is only
+ * rebooted once the platform is known good on the rest of the DC.
+ *
+ * @param servers {Array} CNAPI server objects.
+ * @param opts {Object}
+ *      - canaries {Number} Required. Number of canary servers (may be 0).
+ *      - batchSize {Number} Required. Max number of servers per batch.
+ * @returns {Array} of batch objects (see the rollout state above).
+ */
+function planBatches(servers, opts) {
+    assert.arrayOfObject(servers, 'servers');
+    assert.object(opts, 'opts');
+    assert.number(opts.canaries, 'opts.canaries');
+    assert.number(opts.batchSize, 'opts.batchSize');
+    assert.ok(opts.batchSize > 0, 'opts.batchSize > 0');
+
+    function toBatchServer(server) {
+        return {
+            uuid: server.uuid,
+            hostname: server.hostname,
+            prevPlatform: server.boot_platform
+        };
+    }
+    function newBatch(batchServers, canary) {
+        return {
+            canary: canary,
+            state: 'pending',
+            servers: batchServers.map(toBatchServer),
+            unhealthy: []
+        };
+    }
+
+    var sorted = servers.slice().sort(function (a, b) {
+        var ah = a.hostname || a.uuid;
+        var bh = b.hostname || b.uuid;
+        return (ah < bh ? -1 : (ah > bh ? 1 : 0));
+    });
+    var cns = sorted.filter(function (s) { return !s.headnode; });
+    var hns = sorted.filter(function (s) { return s.headnode; });
+
+    var batches = [];
+    if (opts.canaries > 0 && cns.length > 0) {
+        batches.push(newBatch(cns.splice(0, opts.canaries), true));
+    }
+    while (cns.length > 0) {
+        batches.push(newBatch(cns.splice(0, opts.batchSize), false));
+    }
+    if (hns.length > 0) {
+        batches.push(newBatch(hns, false));
+    }
+    return batches;
+}
+
+
+/**
+ * Evaluate whether the servers of a rollout batch came back on the rolled out
+ * platform with healthy agents.
+ *
+ * @param opts {Object}
+ *      - batch {Object} Required. The rollout batch.
+ *      - platform {String} Required. The platform being rolled out.
+ *      - servers {Array} Required. CNAPI server objects for (at least) the
+ *        batch servers.
+ *      - health {Array} Required. `SdcAdm.checkHealth` results for (at least)
+ *        the batch servers.
+ * @returns {Array} of `{uuid, hostname, status, reason}` objects, one per
+ *      batch server, where `status` is one of "ok", "pending" (not yet running
+ *      the platform, e.g. not rebooted yet or still booting) or "unhealthy".
+ */
+function evalBatch(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.batch, 'opts.batch');
+    assert.string(opts.platform, 'opts.platform');
+    assert.arrayOfObject(opts.servers, 'opts.servers');
+    assert.arrayOfObject(opts.health, 'opts.health');
+
+    var serverFromUuid = {};
+    opts.servers.forEach(function (server) {
+        serverFromUuid[server.uuid] = server;
+    });
+
+    return opts.batch.servers.map(function (bs) {
+        var res = {
+            uuid: bs.uuid,
+            hostname: bs.hostname,
+            status: 'ok'
+        };
+        var server = serverFromUuid[bs.uuid];
+
+        if (!server) {
+            res.status = 'unhealthy';
+            res.reason = 'server not found in CNAPI';
+        } else if (server.status !== 'running') {
+            res.status = 'pending';
+            res.reason = util.format('server status is "%s"', server.status);
+        } else if (server.current_platform !== opts.platform) {
+            res.status = 'pending';
+            res.reason = util.format('server is running platform %s',
+                server.current_platform);
+        } else {
+            var unhealthy = opts.health.filter(function (r) {
+                return (r.server === bs.uuid && !r.healthy);
+            });
+            if (unhealthy.length > 0) {
+                res.status = 'unhealthy';
+                res.reason = unhealthy.map(function (r) {
+                    var what = (r.type === 'global' ? 'global zone' :
+                        r.service || r.instance);
+                    var msg = (r.health_errors && r.health_errors.length ?
+                        r.health_errors[0].message.trim() : 'unhealthy');
+                    return what + ': ' + msg;
+                }).join('; ');
+            }
+        }
+        return res;
+    });
+}
+
+
+// --- PlatformRollout class
+
+/**
+ * Create a new PlatformRollout.
+ *
+ * @param opts {Object}
+ *      - uuid {String} Required. The sdcadm run UUID starting the rollout.
+ *      - platform {String} Required. The platform to roll out.
+ *      - all {Boolean} Optional. Whether rolling out to all servers.
+ *      - batches {Array} Required. As from `planBatches`.
+ *      - canaries {Number} Required.
+ *      - batchSize {Number} Required.
+ *      - maxUnhealthy {Number} Required.
+ *      - wait {Number} Optional. Time, in ms, to wait for the servers of each
+ *        batch to reboot. If not given, the rollout stops after each batch is
+ *        assigned, to be resumed once its servers have been rebooted.
+ *      - file {String} Optional. The rollout state file. Default
+ *        "/var/sdcadm/platform-rollout.json".
+ */
+function PlatformRollout(opts) {
+    assert.object(opts, 'opts');
+    assert.uuid(opts.uuid, 'opts.uuid');
+    assert.string(opts.platform, 'opts.platform');
+    assert.optionalBool(opts.all, 'opts.all');
+    assert.arrayOfObject(opts.batches, 'opts.batches');
+    assert.number(opts.canaries, 'opts.canaries');
+    assert.number(opts.batchSize, 'opts.batchSize');
+    assert.number(opts.maxUnhealthy, 'opts.maxUnhealthy');
+    assert.optionalNumber(opts.wait, 'opts.wait');
+    assert.optionalString(opts.file, 'opts.file');
+
+    var now = new Date().toISOString();
+
+    this.file = opts.file || ROLLOUT_FILE;
+    this.v = ROLLOUT_FORMAT_VER;
+    this.uuid = opts.uuid;
+    this.platform = opts.platform;
+    this.all = Boolean(opts.all);
+    this.state = 'running';
+    this.created = now;
+    this.updated = now;
+    this.canaries = opts.canaries;
+    this.batchSize = opts.batchSize;
+    this.maxUnhealthy = opts.maxUnhealthy;
+    this.wait = (opts.wait === undefined ? null : opts.wait);
+    this.batches = opts.batches;
+}
+
+
+PlatformRollout.prototype.serialize = function serialize() {
+    return JSON.stringify({
+        v: this.v,
+        uuid: this.uuid,
+        platform: this.platform,
+        all: this.all,
+        state: this.state,
+        created: this.created,
+        updated: this.updated,
+        canaries: this.canaries,
+        batchSize: this.batchSize,
+        maxUnhealthy: this.maxUnhealthy,
+        wait: this.wait,
+        batches: this.batches,
+        error: this.error
+    }, null, 4);
+};
+
+
+PlatformRollout.prototype.save = function save(cb) {
+    assert.func(cb, 'cb');
+
+    var self = this;
+    var tmpFile = self.file + '.tmp';
+
+    self.updated = new Date().toISOString();
+    var data = self.serialize();
+
+    vasync.pipeline({funcs: [
+        function writeTmp(_, next) {
+            fs.writeFile(tmpFile, data, 'utf8', next);
+        },
+        function mvTmp(_, next) {
+            fs.rename(tmpFile, self.file, next);
+        }
+    ]}, function (err) {
+        if (err) {
+            cb(new errors.InternalError({
+                message: 'error saving platform rollout state: ' + self.file,
+                cause: err
+            }));
+            return;
+        }
+        cb();
+    });
+};
+
+
+/**
+ * Whether the rollout is finished, i.e. done or aborted.
+ */
+PlatformRollout.prototype.isFinished = function isFinished() {
+    return (this.state === 'done' || this.state === 'aborted');
+};
+
+
+/**
+ * The index of the first batch not yet done, or -1 if all are.
+ */
+PlatformRollout.prototype.currBatchIdx = function currBatchIdx() {
+    for (var i = 0; i < this.batches.length; i++) {
+        if (this.batches[i].state !== 'done') {
+            return i;
+        }
+    }
+    return -1;
+};
+
+
+/**
+ * The servers found unhealthy in all batches.
+ */
+PlatformRollout.prototype.unhealthy = function unhealthy() {
+    return this.batches.reduce(function (acc, batch) {
+        return acc.concat(batch.unhealthy);
+    }, []);
+};
+
+
+/**
+ * Record the results (from `evalBatch`) of verifying the batch at `idx`,
+ * replacing those of any earlier verification of the batch.
+ *
+ * Servers still "pending" are counted as unhealthy if `final` is set (e.g.
+ * when the wait for reboots has timed out). The rollout halts if, over all
+ * batches, more than `maxUnhealthy` servers are unhealthy. Otherwise the
+ * batch is done if none of its servers are pending.
+ *
+ * @returns {Object} `{pending: <Array>, unhealthy: <Array>, halted: <Bool>}`
+ *      with the pending and unhealthy results for the batch.
+ */
+PlatformRollout.prototype.recordResults =
+function recordResults(idx, results, final) {
+    assert.number(idx, 'idx');
+    assert.ok(this.batches[idx], 'no rollout batch ' + idx);
+    assert.arrayOfObject(results, 'results');
+    assert.bool(final, 'final');
+
+    var batch = this.batches[idx];
+    var pending = [];
+    var unhealthy = [];
+
+    results.forEach(function (r) {
+        if (r.status === 'unhealthy' || (r.status === 'pending' && final)) {
+            unhealthy.push(r);
+        } else if (r.status === 'pending') {
+            pending.push(r);
+        }
+    });
+
+    batch.unhealthy = unhealthy.map(function (r) {
+        return {uuid: r.uuid, hostname: r.hostname, reason: r.reason};
+    });
+    var numUnhealthy = this.unhealthy().length;
+    var halted = (numUnhealthy > this.maxUnhealthy);
+    // A batch which halted the rollout is verified again on resume.
+    if (pending.length === 0 && !halted) {
+        batch.state = 'done';
+    }
+    if (halted) {
+        this.state = 'halted';
+        this.error = util.format('%d unhealthy server%s (max %d): %s',
+            numUnhealthy, (numUnhealthy === 1 ? '' : 's'), this.maxUnhealthy,
+            this.unhealthy().map(serverName).join(', '));
+    } else if (this.currBatchIdx() === -1) {
+        this.state = 'done';
+        delete this.error;
+    } else {
+        this.state = (pending.length ? 'waiting' : 'running');
+        delete this.error;
+    }
+
+    return {pending: pending, unhealthy: unhealthy, halted: halted};
+};
+
+
+/**
+ * Return a human readable summary of the rollout state, as an array of
+ * lines.
+ */
+PlatformRollout.prototype.describe = function describe() {
+    var lines = [
+        util.format('Platform %s rollout (started %s by run %s): %s',
+            this.platform, this.created, this.uuid, this.state)
+    ];
+    this.batches.forEach(function (batch, i) {
+        lines.push(util.format('    batch %d%s (%s): %s', i,
+            (batch.canary ? ' [canary]' : ''), batch.state,
+            batch.servers.map(function (s) {
+                return s.hostname || s.uuid;
+            }).join(', ')));
+        batch.unhealthy.forEach(function (u) {
+            lines.push(util.format('        unhealthy %s: %s',
+                serverName(u), u.reason));
+        });
+    });
+    if (this.error) {
+        lines.push('    error: ' + this.error);
+    }
+    return lines;
+};
+
+
+/**
+ * Load the platform rollout state.
+ *
+ * @param opts {Object}
+ *      - file {String} Optional. Default "/var/sdcadm/platform-rollout.json".
+ * @param cb {Function} `function (err, rollout)`. `rollout` is null if there
+ *      is no rollout state file.
+ */
+PlatformRollout.load = function load(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.file, 'opts.file');
+    assert.func(cb, 'cb');
+
+    var file = opts.file || ROLLOUT_FILE;
+    fs.readFile(file, 'utf8', function (readErr, data) {
+        if (readErr && readErr.code === 'ENOENT') {
+            cb(null, null);
+            return;
+        } else if (readErr) {
+            cb(new errors.InternalError({
+                message: 'error reading platform rollout state: ' + file,
+                cause: readErr
+            }));
+            return;
+        }
+
+        var obj;
+        try {
+            obj = JSON.parse(data);
+        } catch (parseErr) {
+            cb(new errors.InternalError({
+                message: 'invalid platform rollout state JSON: ' + file,
+                cause: parseErr
+            }));
+            return;
+        }
+        if (obj.v !== ROLLOUT_FORMAT_VER) {
+            cb(new errors.InternalError({
+                message: util.format('unsupported platform rollout state ' +
+                    'version %j: %s', obj.v, file)
+            }));
+            return;
+        }
+
+        var rollout = Object.create(PlatformRollout.prototype);
+        Object.keys(obj).forEach(function (k) {
+            rollout[k] = obj[k];
+        });
+        rollout.file = file;
+        cb(null, rollout);
+    });
+};
+
+
+// --- exports
+
+module.exports = {
+    ROLLOUT_FILE: ROLLOUT_FILE,
+    PlatformRollout: PlatformRollout,
+    planBatches: planBatches,
+    evalBatch: evalBatch
+};
@@ -32,9 +32,17 @@ var Cmdln = cmdln.Cmdln;
 
 var common = require('./common');
 var errors = require('./errors');
+var compat = require('./platform-compat');
+var pruneLib = require('./platform-prune');
+var rebootLib = require('./platform-reboot');
+var rolloutLib = require('./platform-rollout');
+var stepsServers = require('./steps/servers');
 
 // --- globals
 var MIN_CNAPI_VERSION_NO_LATEST = '20150818';
+// How often to check on servers while waiting for them to reboot during a
+// platform rollout.
+var ROLLOUT_POLL_INTERVAL = 30 * 1000;
 
 // --- Platform class
 // Intended to be used either from the PlatformCLI class, or from whatever
@@ -366,6 +374,7 @@ Platform.prototype.install = function install(opts, callback) {
     assert.object(opts, 'opts');
     assert.string(opts.image, 'opts.image');
     assert.optionalString(opts.channel, 'opts.channel');
+    assert.optionalBool(opts.allowUnsigned, 'opts.allowUnsigned');
 
     var self = this;
     var localdir = '/var/tmp';
@@ -501,6 +510,9 @@ Platform.prototype.install = function install(opts, callback) {
             if (opts.channel) {
                 self.sdcadm.updates.channel = opts.channel;
             }
+            if (opts.allowUnsigned) {
+                self.sdcadm.updates.allowUnsigned = true;
+            }
             self.sdcadm.getDefaultChannel(function (err, channel) {
                 // Will not fail the whole operation due to channel not found
                 if (err) {
@@ -948,6 +960,59 @@ Platform.prototype.getCNAPIVersion = function getCNAPIVersion(callback) {
 };
 
 
+/**
+ * Check that the agents and instances on the given servers do not require a
+ * newer platform (see "lib/platform-compat.js"), erroring with a per-server
+ * report if any do, or only printing it as a warning if `ignoreCompat` is
+ * set.
+ *
+ * @param opts {Object}
+ *      - servers {Array} Required. CNAPI server objects.
+ *      - platform {String} Required. The platform to check against.
+ *      - ignoreCompat {Boolean} Optional.
+ * @param cb {Function} `function (err)`
+ */
+Platform.prototype.checkCompat = function checkCompat(opts, cb) {
+    var self = this;
+    assert.object(opts, 'opts');
+    assert.arrayOfObject(opts.servers, 'opts.servers');
+    assert.string(opts.platform, 'opts.platform');
+    assert.optionalBool(opts.ignoreCompat, 'opts.ignoreCompat');
+    assert.func(cb, 'cb');
+
+    self.progress('Checking platform %s compatibility of agents and ' +
+        'instances', opts.platform);
+    compat.checkPlatformCompat({
+        sdcadm: self.sdcadm,
+        servers: opts.servers,
+        platform: opts.platform
+    }, function (err, report) {
+        if (err) {
+            cb(err);
+            return;
+        } else if (report.length === 0) {
+            cb();
+            return;
+        }
+
+        var lines = compat.formatReport(report, opts.platform);
+        if (opts.ignoreCompat) {
+            self.progress('Warning: agents or instances on %d server%s ' +
+                'require a newer platform than %s:', report.length,
+                (report.length === 1 ? '' : 's'), opts.platform);
+            self.progress(common.indent(lines.join('\n')));
+            cb();
+            return;
+        }
+        cb(new errors.UpdateError(format('agents or instances on %d ' +
+            'server%s require a newer platform than %s (use ' +
+            '"--ignore-compat" to assign it anyway):\n%s', report.length,
+            (report.length === 1 ? '' : 's'), opts.platform,
+            common.indent(lines.join('\n')))));
+    });
+};
+
+
 /**
  * Assigns a new platform to a compute node and ensures all necessary
  * post-assign steps are performed.
@@ -958,6 +1023,7 @@ Platform.prototype.assign = function assign(opts, callback) {
     assert.optionalBool(opts.all, 'opts.all');
     assert.string(opts.platform, 'opts.platform');
     assert.optionalArrayOfString(opts.server, 'opts.server');
+    assert.optionalBool(opts.ignoreCompat, 'opts.ignoreCompat');
 
     if (!opts.all && !opts.server) {
         callback(new Error('must specify a SERVER or --all'));
@@ -969,6 +1035,7 @@ Platform.prototype.assign = function assign(opts, callback) {
     var uuids = [];
     var adminTags = [];
     var headnode;
+    var historyStarted = false;
     var progress = self.progress;
 
     // Given we may have errors for some CNs, and not from some others, we
@@ -1213,6 +1280,21 @@ Platform.prototype.assign = function assign(opts, callback) {
             next();
         },
 
+        function checkCompat(_, next) {
+            self.checkCompat({
+                servers: assignServers,
+                platform: opts.platform,
+                ignoreCompat: opts.ignoreCompat
+            }, next);
+        },
+
+        function startHistory(_, next) {
+            self.sdcadm.history.start({}, function (err) {
+                historyStarted = !err;
+                next(err);
+            });
+        },
+
         function assignPlatform(_, next) {
             function doAssignServerPlatform(server, nextServer) {
                 if (server.headnode) {
@@ -1279,10 +1361,575 @@ Platform.prototype.assign = function assign(opts, callback) {
         if (errs.length) {
             err = new errors.MultiError(errs);
         }
-        callback(err);
+        if (!historyStarted) {
+            callback(err);
+            return;
+        }
+        self.sdcadm.history.finishWrap(err, callback);
+    });
+};
+
+
+/**
+ * Roll a platform out to servers in batches, starting with canary servers
+ * (`sdcadm platform assign --rolling`), or resume or abort such a rollout.
+ * See "lib/platform-rollout.js".
+ *
+ * @param opts {Object}
+ *      - uuid {String} Required. The sdcadm run UUID.
+ *      - resume {Boolean} Optional. Resume the rollout in progress.
+ *      - abort {Boolean} Optional. Abort the rollout in progress.
+ *      - platform {String} The platform (or "latest") to roll out. Required
+ *        unless resuming or aborting. As are one of:
+ *      - all {Boolean} Roll out to all setup servers.
+ *      - server {Array} Roll out to these servers (UUIDs or hostnames).
+ *      - canaries {Number} Optional. Number of canary servers. Default 1.
+ *      - batchSize {Number} Optional. Servers per batch. Default 10.
+ *      - maxUnhealthy {Number} Optional. Max unhealthy servers before
+ *        halting the rollout. Default 0.
+ *      - wait {Number} Optional. Time, in ms, to wait for the servers of each
+ *        batch to reboot. If not given, the rollout stops after assigning
+ *        each batch, to be resumed once the batch servers have been rebooted.
+ *      - ignoreCompat {Boolean} Optional. Only warn about agents or
+ *        instances requiring a newer platform, see `Platform.checkCompat`.
+ * @param cb {Function} `function (err)`
+ */
+Platform.prototype.rollout = function rollout(opts, cb) {
+    var self = this;
+    assert.object(opts, 'opts');
+    assert.uuid(opts.uuid, 'opts.uuid');
+    assert.optionalBool(opts.resume, 'opts.resume');
+    assert.optionalBool(opts.abort, 'opts.abort');
+    assert.optionalString(opts.platform, 'opts.platform');
+    assert.optionalBool(opts.all, 'opts.all');
+    assert.optionalArrayOfString(opts.server, 'opts.server');
+    assert.optionalNumber(opts.canaries, 'opts.canaries');
+    assert.optionalNumber(opts.batchSize, 'opts.batchSize');
+    assert.optionalNumber(opts.maxUnhealthy, 'opts.maxUnhealthy');
+    assert.optionalNumber(opts.wait, 'opts.wait');
+    assert.optionalBool(opts.ignoreCompat, 'opts.ignoreCompat');
+    assert.func(cb, 'cb');
+
+    var progress = self.progress;
+    var state;
+    var existing;
+
+    function printState() {
+        state.describe().forEach(function (line) {
+            progress(line);
+        });
+    }
+
+    // Get the CNAPI status and agents health of the batch servers.
+    function getBatchResults(batch, next) {
+        var servers;
+        var uuids = batch.servers.map(function (s) {
+            return s.uuid;
+        });
+
+        self.sdcadm.cnapi.listServers({
+            uuids: uuids.join(',')
+        }, function (listErr, servers_) {
+            if (listErr) {
+                next(new errors.SDCClientError(listErr, 'cnapi'));
+                return;
+            }
+            servers = servers_;
+            var booted = servers.filter(function (s) {
+                return (s.status === 'running' &&
+                    s.current_platform === state.platform);
+            }).map(function (s) {
+                return s.uuid;
+            });
+            if (booted.length === 0) {
+                next(null, rolloutLib.evalBatch({batch: batch,
+                    platform: state.platform, servers: servers, health: []}));
+                return;
+            }
+            self.sdcadm.checkHealth({
+                type: 'agent',
+                servers: booted
+            }, function (healthErr, health) {
+                if (healthErr) {
+                    next(healthErr);
+                    return;
+                }
+                next(null, rolloutLib.evalBatch({batch: batch,
+                    platform: state.platform, servers: servers,
+                    health: health}));
+            });
+        });
+    }
+
+    function verifyBatch(idx, next) {
+        var batch = state.batches[idx];
+        var deadline = (state.wait === null ? null :
+            new Date(batch.assigned).getTime() + state.wait);
+
+        function record(results, final) {
+            var res = state.recordResults(idx, results, final);
+            res.unhealthy.forEach(function (r) {
+                progress('Server %s (%s) is unhealthy: %s', r.uuid,
+                    r.hostname, r.reason);
+            });
+            state.save(function (saveErr) {
+                next(saveErr, res);
+            });
+        }
+
+        function poll() {
+            getBatchResults(batch, function (err, results) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                var notOk = results.filter(function (r) {
+                    return (r.status !== 'ok');
+                });
+                if (deadline === null || notOk.length === 0 ||
+                        Date.now() >= deadline) {
+                    record(results, deadline !== null);
+                    return;
+                }
+                progress('Waiting for %d of %d batch %d server%s to reboot ' +
+                    'onto platform %s (%s left)', notOk.length,
+                    results.length, idx, (results.length === 1 ? '' : 's'),
+                    state.platform,
+                    common.humanDurationFromMs(deadline - Date.now()));
+                setTimeout(poll, ROLLOUT_POLL_INTERVAL);
+            });
+        }
+
+        progress('Verifying batch %d servers are running platform %s ' +
+            'with healthy agents', idx, state.platform);
+        poll();
+    }
+
+    function assignBatch(idx, next) {
+        var batch = state.batches[idx];
+        progress('Assigning platform %s to batch %d%s: %s', state.platform,
+            idx, (batch.canary ? ' (canary)' : ''),
+            batch.servers.map(function (s) {
+                return s.hostname || s.uuid;
+            }).join(', '));
+        // Compatibility was checked for all servers when starting the
+        // rollout.
+        self.assign({
+            platform: state.platform,
+            server: batch.servers.map(function (s) {
+                return s.uuid;
+            }),
+            ignoreCompat: true
+        }, function (err) {
+            if (err) {
+                next(err);
+                return;
+            }
+            batch.state = 'assigned';
+            batch.assigned = new Date().toISOString();
+            state.state = 'waiting';
+            state.save(next);
+        });
+    }
+
+    // Assign and verify batches until done, halted or, without a reboot
+    // wait time, waiting for servers to be rebooted.
+    function runBatches(next) {
+        var idx = state.currBatchIdx();
+        if (idx === -1) {
+            next();
+            return;
+        }
+        var batch = state.batches[idx];
+
+        if (batch.state === 'pending') {
+            assignBatch(idx, function (err) {
+                if (err) {
+                    next(err);
+                } else if (state.wait === null) {
+                    progress('\nReboot the batch %d servers onto platform ' +
+                        '%s, then run "sdcadm platform assign --resume".',
+                        idx, state.platform);
+                    next();
+                } else {
+                    runBatches(next);
+                }
+            });
+            return;
+        }
+
+        verifyBatch(idx, function (err, res) {
+            if (err) {
+                next(err);
+            } else if (res.halted) {
+                next(new errors.UpdateError(format('platform rollout ' +
+                    'halted: %s. Fix the servers and run "sdcadm platform ' +
+                    'assign --resume", or run "sdcadm platform assign ' +
+                    '--abort".', state.error)));
+            } else if (res.pending.length) {
+                progress('\nWaiting for %d batch %d server%s to reboot onto ' +
+                    'platform %s: %s', res.pending.length, idx,
+                    (res.pending.length === 1 ? '' : 's'), state.platform,
+                    res.pending.map(function (r) {
+                        return format('%s (%s)', r.hostname || r.uuid,
+                            r.reason);
+                    }).join(', '));
+                progress('Run "sdcadm platform assign --resume" once they ' +
+                    'have been rebooted.');
+                next();
+            } else {
+                progress('Batch %d done', idx);
+                runBatches(next);
+            }
+        });
+    }
+
+    vasync.pipeline({funcs: [
+        function loadState(_, next) {
+            rolloutLib.PlatformRollout.load({}, function (err, rollout_) {
+                existing = rollout_;
+                next(err);
+            });
+        },
+        function checkState(_, next) {
+            var inProgress = (existing && !existing.isFinished());
+            if ((opts.resume || opts.abort) && !inProgress) {
+                next(new errors.UsageError(
+                    'there is no platform rollout in progress'));
+                return;
+            } else if (!opts.resume && !opts.abort && inProgress) {
+                next(new errors.UsageError(format('a rollout of platform ' +
+                    '%s, started %s, is in progress: use "--resume" or ' +
+                    '"--abort"', existing.platform, existing.created)));
+                return;
+            }
+            if (inProgress) {
+                state = existing;
+            }
+            next();
+        },
+        function abortIt(_, next) {
+            if (!opts.abort) {
+                next();
+                return;
+            }
+            state.state = 'aborted';
+            state.save(function (err) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                printState();
+                var assigned = [];
+                state.batches.forEach(function (batch) {
+                    if (batch.state !== 'pending') {
+                        assigned = assigned.concat(batch.servers);
+                    }
+                });
+                if (assigned.length) {
+                    progress('\nThese servers remain assigned platform %s ' +
+                        '(previously):', state.platform);
+                    assigned.forEach(function (s) {
+                        progress(common.indent(format('%s %s (%s)', s.uuid,
+                            s.hostname, s.prevPlatform)));
+                    });
+                }
+                next();
+            });
+        },
+        function startIt(_, next) {
+            if (opts.resume || opts.abort) {
+                next();
+                return;
+            }
+            assert.string(opts.platform, 'opts.platform');
+            if (!opts.all && !opts.server) {
+                next(new errors.UsageError('must specify a SERVER or --all'));
+                return;
+            }
+
+            var platform = opts.platform;
+            var servers;
+            vasync.pipeline({funcs: [
+                function findLatest(__, nextStep) {
+                    if (platform !== 'latest') {
+                        nextStep();
+                        return;
+                    }
+                    self.getLatestPlatformInstalled(function (err, latest) {
+                        platform = latest;
+                        nextStep(err);
+                    });
+                },
+                function validatePlatform(__, nextStep) {
+                    self.sdcadm.cnapi.listPlatforms(function (err, pis) {
+                        if (err) {
+                            nextStep(new errors.SDCClientError(err, 'cnapi'));
+                        } else if (!pis[platform]) {
+                            nextStep(new errors.UsageError(
+                                'invalid platform ' + platform));
+                        } else {
+                            nextStep();
+                        }
+                    });
+                },
+                function listServers(__, nextStep) {
+                    self.sdcadm.cnapi.listServers({
+                        setup: true
+                    }, function (err, recs) {
+                        if (err) {
+                            nextStep(new errors.SDCClientError(err, 'cnapi'));
+                            return;
+                        }
+                        servers = recs.filter(function (s) {
+                            return (opts.all ||
+                                opts.server.indexOf(s.hostname) !== -1 ||
+                                opts.server.indexOf(s.uuid) !== -1);
+                        });
+                        if (servers.length === 0) {
+                            nextStep(new errors.UsageError(format(
+                                'server %j not found', opts.server)));
+                            return;
+                        }
+                        nextStep();
+                    });
+                },
+                function checkCompat(__, nextStep) {
+                    self.checkCompat({
+                        servers: servers,
+                        platform: platform,
+                        ignoreCompat: opts.ignoreCompat
+                    }, nextStep);
+                },
+                function saveState(__, nextStep) {
+                    var canaries = (opts.canaries === undefined ?
+                        1 : opts.canaries);
+                    var batchSize = opts.batchSize || 10;
+                    state = new rolloutLib.PlatformRollout({
+                        uuid: opts.uuid,
+                        platform: platform,
+                        all: opts.all,
+                        batches: rolloutLib.planBatches(servers, {
+                            canaries: canaries,
+                            batchSize: batchSize
+                        }),
+                        canaries: canaries,
+                        batchSize: batchSize,
+                        maxUnhealthy: opts.maxUnhealthy || 0,
+                        wait: opts.wait
+                    });
+                    progress('Rolling out platform %s to %d server%s in %d ' +
+                        'batch%s', platform, servers.length,
+                        (servers.length === 1 ? '' : 's'),
+                        state.batches.length,
+                        (state.batches.length === 1 ? '' : 'es'));
+                    state.save(nextStep);
+                }
+            ]}, next);
+        },
+        function runIt(_, next) {
+            if (opts.abort) {
+                next();
+                return;
+            }
+            if (opts.resume) {
+                progress('Resuming rollout of platform %s (started %s)',
+                    state.platform, state.created);
+            }
+            runBatches(next);
+        },
+        function finishIt(_, next) {
+            if (opts.abort || state.state !== 'done') {
+                next();
+                return;
+            }
+            vasync.pipeline({funcs: [
+                function setDefault(__, nextStep) {
+                    if (!state.all) {
+                        nextStep();
+                        return;
+                    }
+                    self.setDefaultBootPlatform(state.platform, nextStep);
+                },
+                function done(__, nextStep) {
+                    progress('Platform %s rollout done', state.platform);
+                    state.save(nextStep);
+                }
+            ]}, next);
+        }
+    ]}, function (err) {
+        cb(err);
     });
 };
 
+/**
+ * Reboot servers onto their assigned boot platform through CNAPI, in batches
+ * (`sdcadm platform reboot`). See "lib/platform-reboot.js".
+ *
+ * @param opts {Object}
+ *      - all {Boolean} Consider all setup servers. Otherwise:
+ *      - server {Array} The servers (UUIDs or hostnames) to consider.
+ *      - exclude {Array} Optional. Servers (UUIDs or hostnames) to leave out.
+ *      - batchSize {Number} Optional. Servers per batch. Default 1.
+ *      - coreInsts {String} Optional. What to do with servers hosting core
+ *        instances: "refuse" (the default), "skip" or "allow".
+ *      - drain {Boolean} Optional. Reserve servers while they reboot.
+ *      - timeout {Number} Optional. Time, in ms, to wait for each batch to
+ *        come back. Default 30 minutes.
+ *      - dryRun {Boolean} Optional. Only print what would be rebooted.
+ *      - yes {Boolean} Optional. Do not ask for confirmation.
+ * @param cb {Function} `function (err)`
+ */
+Platform.prototype.reboot = function reboot(opts, cb) {
+    var self = this;
+    assert.object(opts, 'opts');
+    assert.optionalBool(opts.all, 'opts.all');
+    assert.optionalArrayOfString(opts.server, 'opts.server');
+    assert.optionalArrayOfString(opts.exclude, 'opts.exclude');
+    assert.optionalNumber(opts.batchSize, 'opts.batchSize');
+    assert.optionalString(opts.coreInsts, 'opts.coreInsts');
+    assert.optionalBool(opts.drain, 'opts.drain');
+    assert.optionalNumber(opts.timeout, 'opts.timeout');
+    assert.optionalBool(opts.dryRun, 'opts.dryRun');
+    assert.optionalBool(opts.yes, 'opts.yes');
+    assert.func(cb, 'cb');
+
+    var progress = self.progress;
+    var timeout = opts.timeout || 30 * 60 * 1000;
+    var uuids;
+    var servers;
+    var insts;
+    var plan;
+    var historyStarted = false;
+
+    if (!opts.all && !opts.server) {
+        cb(new errors.UsageError('must specify a SERVER or --all'));
+        return;
+    }
+
+    vasync.pipeline({funcs: [
+        function selectServers(_, next) {
+            stepsServers.selectServers({
+                log: self.log,
+                sdcadm: self.sdcadm,
+                includeServerNames: opts.server,
+                excludeServerNames: opts.exclude
+            }, function (err, selected) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                uuids = selected.map(function (s) {
+                    return s.uuid;
+                });
+                next();
+            });
+        },
+        function getPlatforms(_, next) {
+            // For the servers' boot and current platforms, with "latest"
+            // resolved.
+            self.getPlatformsWithServers(function (err) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                servers = self._rawServers.filter(function (s) {
+                    return (uuids.indexOf(s.uuid) !== -1);
+                });
+                next();
+            });
+        },
+        function getCoreInsts(_, next) {
+            self.sdcadm.listInsts({types: ['vm']}, function (err, insts_) {
+                insts = insts_;
+                next(err);
+            });
+        },
+        function planIt(_, next) {
+            plan = rebootLib.planReboots({
+                servers: servers,
+                insts: insts,
+                coreInsts: opts.coreInsts || 'refuse',
+                batchSize: opts.batchSize || 1
+            });
+            plan.skipped.forEach(function (skip) {
+                progress('Skipping server %s (%s): %s', skip.server.uuid,
+                    skip.server.hostname, skip.reason);
+            });
+            if (plan.refused.length) {
+                next(new errors.UsageError(format('refusing to reboot ' +
+                    'servers hosting core instances (see "--core-insts"):' +
+                    '\n%s', plan.refused.map(function (r) {
+                        return common.indent(format('%s (%s): %s',
+                            r.server.uuid, r.server.hostname, r.reason));
+                    }).join('\n'))));
+                return;
+            }
+            next();
+        },
+        function confirm(_, next) {
+            if (plan.batches.length === 0) {
+                progress('No servers need to be rebooted');
+                next();
+                return;
+            }
+            progress('\nThe following servers will be rebooted onto their ' +
+                'boot platform, in %d batch%s:', plan.batches.length,
+                (plan.batches.length === 1 ? '' : 'es'));
+            plan.batches.forEach(function (batch, i) {
+                batch.forEach(function (s) {
+                    progress(common.indent(format('batch %d: %s (%s) %s -> %s',
+                        i, s.uuid, s.hostname, s.current_platform,
+                        s.boot_platform)));
+                });
+            });
+            progress('');
+            if (opts.dryRun || opts.yes) {
+                next();
+                return;
+            }
+            var msg = 'Would you like to continue? [y/N] ';
+            common.promptYesNo({msg: msg, default: 'n'}, function (answer) {
+                if (answer !== 'y') {
+                    progress('Aborting');
+                    cb();
+                    return;
+                }
+                progress('');
+                next();
+            });
+        },
+        function startHistory(_, next) {
+            if (opts.dryRun || plan.batches.length === 0) {
+                next();
+                return;
+            }
+            self.sdcadm.history.start({}, function (err) {
+                historyStarted = !err;
+                next(err);
+            });
+        },
+        function rebootServers(_, next) {
+            if (opts.dryRun || plan.batches.length === 0) {
+                next();
+                return;
+            }
+            rebootLib.rebootServers({
+                cnapi: self.sdcadm.cnapi,
+                batches: plan.batches,
+                timeout: timeout,
+                drain: opts.drain,
+                progress: progress
+            }, next);
+        }
+    ]}, function (err) {
+        if (!historyStarted) {
+            cb(err);
+            return;
+        }
+        self.sdcadm.history.finishWrap(err, cb);
+    });
+};
 
 Platform.prototype.usage = function (platform, cb) {
     var self = this;
@@ -1335,7 +1982,28 @@ Platform.prototype.usage = function (platform, cb) {
                     cb(er3);
                     return;
                 }
-                cb(null, rows);
+                if (rows.length === 0) {
+                    cb(null, rows);
+                    return;
+                }
+                compat.checkPlatformCompat({
+                    sdcadm: self.sdcadm,
+                    servers: rows,
+                    platform: platform
+                }, function (er4, report) {
+                    if (er4) {
+                        cb(er4);
+                        return;
+                    }
+                    rows.forEach(function (row) {
+                        var serverReport = report.filter(function (r) {
+                            return (r.uuid === row.uuid);
+                        })[0];
+                        row.compat_problems = (serverReport ?
+                            serverReport.problems : []);
+                    });
+                    cb(null, rows);
+                });
             });
         });
     });
@@ -1402,7 +2070,7 @@ Platform.prototype.remove = function remove(opts, cb) {
                     p('Removing platform ' + name);
                     var argv = [
                         'rm', '-rf',
-                        '/mnt/usbkey/os/' + name
+                        common.USBKEY_OS_DIR + '/' + name
                     ];
                     common.execFilePlus({
                         argv: argv,
@@ -1440,7 +2108,7 @@ Platform.prototype.remove = function remove(opts, cb) {
                     p('Removing cache for platform ' + name);
                     var argv = [
                         'rm', '-rf',
-                        '/usbkey/os/' + name
+                        common.USBKEY_CACHE_OS_DIR + '/' + name
                     ];
                     common.execFilePlus({
                         argv: argv,
@@ -1472,21 +2140,266 @@ Platform.prototype.remove = function remove(opts, cb) {
     });
 };
 
-// --- Platform CLI class
+/**
+ * Work out which installed platforms to prune per the given policy (see
+ * lib/platform-prune.js), and how much space that would reclaim.
+ *
+ * @param opts {Object}
+ *      - keep {Number} Optional. Keep the N most recent platforms.
+ *      - keepDefault {Boolean} Optional. Keep the default boot platform.
+ *      - keepAssigned {Boolean} Optional. Keep platforms servers are running.
+ *      - minAge {Number} Optional. Keep platforms built less than this
+ *        long ago, in ms.
+ * @param cb {Function} `function (err, plan)` where `plan` is as from
+ *      `planPrune`, plus `sizes` (as from `getPlatformSizes`, for the
+ *      platforms to remove) and `reclaimed` (`{usbkey, cache}` in KiB).
+ */
+Platform.prototype.planPrune = function planPrune(opts, cb) {
+    var self = this;
+    assert.object(opts, 'opts');
+    assert.optionalNumber(opts.keep, 'opts.keep');
+    assert.optionalBool(opts.keepDefault, 'opts.keepDefault');
+    assert.optionalBool(opts.keepAssigned, 'opts.keepAssigned');
+    assert.optionalNumber(opts.minAge, 'opts.minAge');
+    assert.func(cb, 'cb');
 
-function PlatformCLI(top) {
-    this.top = top;
-    Cmdln.call(this, {
-        name: 'sdcadm platform',
-        desc: 'Platform related sdcadm commands.\n' +
-              '\n' +
-              'These are commands to assist with the common set of tasks\n' +
-              'required to manage platforms on a typical SDC setup.\n' +
-              '\n' +
-              'Note that SDC keeps a cache directory (/usbkey/os) of the\n' +
-              'Platform Images installed on the USB key (/mnt/usbkey/os).\n' +
-              'Please read help of sub-commands in order to know how this\n' +
-              'may or not affect each of them.',
+    var platforms;
+    var usbKeyPlatforms;
+    var defaultPlatform;
+    var keyInitiallyMounted;
+    var plan;
+
+    vasync.pipeline({funcs: [
+        function getPlatforms(_, next) {
+            self.getPlatformsWithServers(function (err, platforms_) {
+                platforms = platforms_;
+                next(err);
+            });
+        },
+        function getDefault(_, next) {
+            self.getDefaultBootPlatform(function (err, defPlatform) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                defaultPlatform = defPlatform;
+                if (defaultPlatform === 'latest') {
+                    Object.keys(platforms).forEach(function (k) {
+                        if (platforms[k].latest) {
+                            defaultPlatform = k;
+                        }
+                    });
+                }
+                next();
+            });
+        },
+        function isKeyMounted(_, next) {
+            common.isUsbKeyMounted(self.log, function (err, mounted) {
+                keyInitiallyMounted = mounted;
+                next(err);
+            });
+        },
+        function mountUsbKey(_, next) {
+            if (keyInitiallyMounted) {
+                next();
+                return;
+            }
+            common.mountUsbKey(self.log, next);
+        },
+        function getUSBKeyPlatforms(_, next) {
+            self.listUSBKeyPlatforms(function (err, usbKeyPlatforms_) {
+                usbKeyPlatforms = usbKeyPlatforms_;
+                next(err);
+            });
+        },
+        function planIt(_, next) {
+            // Platforms on the USB key but not in the cache (hence unknown
+            // to CNAPI) are not used by any server.
+            usbKeyPlatforms.forEach(function (k) {
+                if (!platforms[k]) {
+                    platforms[k] = {boot_platform: [], current_platform: []};
+                }
+            });
+            plan = pruneLib.planPrune({
+                platforms: Object.keys(platforms).map(function (k) {
+                    return {
+                        version: k,
+                        boot_platform: platforms[k].boot_platform,
+                        current_platform: platforms[k].current_platform
+                    };
+                }),
+                defaultPlatform: defaultPlatform,
+                keep: opts.keep,
+                keepDefault: opts.keepDefault,
+                keepAssigned: opts.keepAssigned,
+                minAge: opts.minAge
+            });
+            next();
+        },
+        function getSizes(_, next) {
+            pruneLib.getPlatformSizes({
+                log: self.log,
+                platforms: plan.remove
+            }, function (err, sizes) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                plan.sizes = sizes;
+                plan.reclaimed = {usbkey: 0, cache: 0};
+                plan.remove.forEach(function (k) {
+                    plan.reclaimed.usbkey += sizes[k].usbkey;
+                    plan.reclaimed.cache += sizes[k].cache;
+                });
+                next();
+            });
+        }
+    ]}, function (err) {
+        if (keyInitiallyMounted === false) {
+            common.unmountUsbKey(self.log, function (unmountErr) {
+                if (unmountErr) {
+                    self.log.warn({err: unmountErr},
+                        'could not unmount USB key');
+                }
+                cb(err, plan);
+            });
+            return;
+        }
+        cb(err, plan);
+    });
+};
+
+
+/**
+ * Remove installed platforms from the USB key and the /usbkey/os cache per
+ * the given garbage collection policy.
+ *
+ * @param opts {Object}
+ *      - keep, keepDefault, keepAssigned, minAge: See `planPrune`.
+ *      - dryRun {Boolean} Optional. Only print what would be removed.
+ *      - yes {Boolean} Optional. Do not ask for confirmation.
+ * @param cb {Function} `function (err)`
+ */
+Platform.prototype.prune = function prune(opts, cb) {
+    var self = this;
+    assert.object(opts, 'opts');
+    assert.optionalBool(opts.dryRun, 'opts.dryRun');
+    assert.optionalBool(opts.yes, 'opts.yes');
+    assert.func(cb, 'cb');
+
+    var progress = self.progress;
+    var plan;
+    var historyStarted = false;
+
+    function mib(kib) {
+        return (kib / 1024).toFixed(0) + ' MiB';
+    }
+
+    vasync.pipeline({funcs: [
+        function planIt(_, next) {
+            self.planPrune({
+                keep: opts.keep,
+                keepDefault: opts.keepDefault,
+                keepAssigned: opts.keepAssigned,
+                minAge: opts.minAge
+            }, function (err, plan_) {
+                plan = plan_;
+                next(err);
+            });
+        },
+        function report(_, next) {
+            progress('Keeping platforms:');
+            plan.keep.forEach(function (k) {
+                progress(common.indent(format('%s: %s', k.version,
+                    k.reason)));
+            });
+            if (plan.remove.length === 0) {
+                progress('No platforms to prune');
+                next();
+                return;
+            }
+            progress('%s platforms:', (opts.dryRun ? 'Would prune' :
+                'Pruning'));
+            plan.remove.forEach(function (k) {
+                progress(common.indent(format('%s: %s on the USB key, ' +
+                    '%s in the cache', k, mib(plan.sizes[k].usbkey),
+                    mib(plan.sizes[k].cache))));
+            });
+            if (plan.newDefault) {
+                progress('The default boot platform would become %s',
+                    plan.newDefault);
+            }
+            progress('Space reclaimed: %s on the USB key, %s in /usbkey/os',
+                mib(plan.reclaimed.usbkey), mib(plan.reclaimed.cache));
+            progress('');
+            if (opts.dryRun || opts.yes) {
+                next();
+                return;
+            }
+            var msg = 'Would you like to continue? [y/N] ';
+            common.promptYesNo({msg: msg, default: 'n'}, function (answer) {
+                if (answer !== 'y') {
+                    progress('Aborting');
+                    cb();
+                    return;
+                }
+                progress('');
+                next();
+            });
+        },
+        function startHistory(_, next) {
+            if (opts.dryRun || plan.remove.length === 0) {
+                next();
+                return;
+            }
+            self.sdcadm.history.start({}, function (err) {
+                historyStarted = !err;
+                next(err);
+            });
+        },
+        function setDefault(_, next) {
+            if (opts.dryRun || !plan.newDefault) {
+                next();
+                return;
+            }
+            self.setDefaultBootPlatform(plan.newDefault, next);
+        },
+        function removeThem(_, next) {
+            if (opts.dryRun || plan.remove.length === 0) {
+                next();
+                return;
+            }
+            self.remove({
+                remove: plan.remove,
+                cleanup_cache: true,
+                yes: true
+            }, next);
+        }
+    ]}, function (err) {
+        if (!historyStarted) {
+            cb(err);
+            return;
+        }
+        self.sdcadm.history.finishWrap(err, cb);
+    });
+};
+
+
+// --- Platform CLI class
+
+function PlatformCLI(top) {
+    this.top = top;
+    Cmdln.call(this, {
+        name: 'sdcadm platform',
+        desc: 'Platform related sdcadm commands.\n' +
+              '\n' +
+              'These are commands to assist with the common set of tasks\n' +
+              'required to manage platforms on a typical SDC setup.\n' +
+              '\n' +
+              'Note that SDC keeps a cache directory (/usbkey/os) of the\n' +
+              'Platform Images installed on the USB key (/mnt/usbkey/os).\n' +
+              'Please read help of sub-commands in order to know how this\n' +
+              'may or not affect each of them.',
         helpOpts: {
             minHelpCol: 24 /* line up with option help */
         }
@@ -1533,6 +2446,10 @@ function do_install(subcmd, opts, args, cb) {
         options.channel = opts.channel;
     }
 
+    if (opts.allow_unsigned) {
+        options.allowUnsigned = true;
+    }
+
     if (opts.yes) {
         options.yes = opts.yes;
     }
@@ -1576,6 +2493,13 @@ PlatformCLI.prototype.do_install.options = [
         type: 'string',
         help: 'Use the given channel to fetch the image(s), even if it is ' +
             'not the default one.'
+    },
+    {
+        names: ['allow-unsigned'],
+        type: 'bool',
+        help: 'Allow images which are not signed by a trusted key (see ' +
+            'the "trustedImageKeys" config var), which are otherwise ' +
+            'refused.'
     }
 ];
 
@@ -1593,6 +2517,24 @@ function do_assign(subcmd, opts, args, cb) {
         return;
     }
 
+    if (opts.resume || opts.abort) {
+        if (opts.resume && opts.abort) {
+            cb(new errors.UsageError(
+                'cannot use both --resume and --abort'));
+            return;
+        } else if (args.length || opts.latest || opts.all) {
+            cb(new errors.UsageError(format('cannot specify a platform or ' +
+                'servers with --%s', (opts.resume ? 'resume' : 'abort'))));
+            return;
+        }
+        self.platform.rollout({
+            uuid: self.top.uuid,
+            resume: opts.resume,
+            abort: opts.abort
+        }, cb);
+        return;
+    }
+
     var platform = (opts.latest) ? 'latest' : args.shift();
     if (platform === 'help') {
         cb(new errors.UsageError(
@@ -1602,6 +2544,17 @@ function do_assign(subcmd, opts, args, cb) {
     var server = args.length ? args : null;
     var assignOpts;
 
+    var rollingOpts = ['canaries', 'batch_size', 'max_unhealthy', 'wait'];
+    if (!opts.rolling) {
+        for (var i = 0; i < rollingOpts.length; i++) {
+            if (opts[rollingOpts[i]] !== undefined) {
+                cb(new errors.UsageError(format('--%s requires --rolling',
+                    rollingOpts[i].replace(/_/g, '-'))));
+                return;
+            }
+        }
+    }
+
     if (opts.all && server) {
         cb(new errors.UsageError(
             'using --all and explicitly specifying ' +
@@ -1611,12 +2564,14 @@ function do_assign(subcmd, opts, args, cb) {
         assignOpts = {
             all: true,
             platform: platform,
+            ignoreCompat: opts.ignore_compat,
             progress: self.progress
         };
     } else if (platform && server) {
         assignOpts = {
             server: server,
             platform: platform,
+            ignoreCompat: opts.ignore_compat,
             progress: self.progress
         };
     } else {
@@ -1624,6 +2579,38 @@ function do_assign(subcmd, opts, args, cb) {
             'must specify platform and server (or --all)'));
         return;
     }
+
+    if (opts.rolling) {
+        var wait;
+        if (opts.canaries < 0 || opts.max_unhealthy < 0) {
+            cb(new errors.UsageError(
+                '--canaries and --max-unhealthy must not be negative'));
+            return;
+        } else if (opts.batch_size !== undefined && opts.batch_size < 1) {
+            cb(new errors.UsageError('--batch-size must be at least 1'));
+            return;
+        }
+        if (opts.wait) {
+            wait = common.msFromHumanDuration(opts.wait);
+            if (!wait) {
+                cb(new errors.UsageError('invalid --wait: ' + opts.wait));
+                return;
+            }
+        }
+        self.platform.rollout({
+            uuid: self.top.uuid,
+            platform: platform,
+            all: assignOpts.all,
+            server: assignOpts.server,
+            canaries: opts.canaries,
+            batchSize: opts.batch_size,
+            maxUnhealthy: opts.max_unhealthy,
+            wait: wait,
+            ignoreCompat: opts.ignore_compat
+        }, cb);
+        return;
+    }
+
     // Instead of a single attempt, let's allow retries on platform assignment:
     // self.platform.assign(assignOpts, cb);
 
@@ -1655,6 +2642,10 @@ PlatformCLI.prototype.do_assign.help = (
     'Usage:\n' +
     '    {{name}} assign PLATFORM --all\n' +
     '    {{name}} assign PLATFORM [SERVER ...]\n' +
+    '    {{name}} assign --rolling [OPTIONS] PLATFORM --all\n' +
+    '    {{name}} assign --rolling [OPTIONS] PLATFORM [SERVER ...]\n' +
+    '    {{name}} assign --resume\n' +
+    '    {{name}} assign --abort\n' +
     '\n' +
     '{{options}}' +
     '\n' +
@@ -1667,6 +2658,10 @@ PlatformCLI.prototype.do_assign.help = (
     'datacenter, getting a list of the wanted servers can be a chore.\n' +
     'The "sdc-server lookup ..." tool is useful for this.\n' +
     '\n' +
+    'The platform is not assigned if the image of any agent or instance\n' +
+    'on the servers declares a newer minimum platform (its\n' +
+    '"requirements.min_platform"), unless "--ignore-compat" is used.\n' +
+    '\n' +
     'Examples:\n' +
     '    # Assign the latest platform to all servers.\n' +
     '    {{name}} assign --latest --all\n' +
@@ -1679,7 +2674,29 @@ PlatformCLI.prototype.do_assign.help = (
     '    # Assign platform on setup servers excluding servers with\n' +
     '    # a "internal=PKGSRC" trait.\n' +
     '    {{name}} assign 20151021T183753Z \\\n' +
-    '        $(sdc-server lookup setup=true \'traits.internal!~PKGSRC\')\n'
+    '        $(sdc-server lookup setup=true \'traits.internal!~PKGSRC\')\n' +
+    '\n' +
+    'Rolling rollouts:\n' +
+    '\n' +
+    'With "--rolling" the platform is first assigned to "--canaries"\n' +
+    'compute nodes, then to the other servers in batches of up to\n' +
+    '"--batch-size", the headnode last. Before the next batch is\n' +
+    'assigned, the servers of a batch must be rebooted and come back\n' +
+    'running the new platform with healthy agents (as checked by\n' +
+    '"sdcadm check-health"). Without "--wait", the command exits once\n' +
+    'a batch is assigned: reboot its servers (e.g. with\n' +
+    '"{{name}} reboot"), then run "{{name}} assign --resume"\n' +
+    'to verify them and carry on.\n' +
+    'With "--wait", it waits up to that long for the batch servers to\n' +
+    'be rebooted. The rollout halts when more than "--max-unhealthy"\n' +
+    'servers have failed to come back healthy. Resume it once they are\n' +
+    'fixed, or abort it with "{{name}} assign --abort". The rollout\n' +
+    'state is kept in "' + rolloutLib.ROLLOUT_FILE + '".\n' +
+    '\n' +
+    '    # Assign the latest platform to 2 canaries, then 20 servers at a\n' +
+    '    # time, waiting up to an hour for each batch to be rebooted.\n' +
+    '    {{name}} assign --rolling --canaries 2 --batch-size 20 \\\n' +
+    '        --wait 1h --latest --all\n'
 
 );
 PlatformCLI.prototype.do_assign.options = [
@@ -1698,12 +2715,202 @@ PlatformCLI.prototype.do_assign.options = [
         names: ['latest'],
         type: 'bool',
         help: 'Assign latest Platform Image.'
+    },
+    {
+        names: ['ignore-compat'],
+        type: 'bool',
+        help: 'Assign the platform even to servers with agents or ' +
+            'instances requiring a newer one, only warning about them.'
+    },
+    {
+        group: 'Rolling rollout options'
+    },
+    {
+        names: ['rolling'],
+        type: 'bool',
+        help: 'Roll the platform out in batches, starting with canary ' +
+            'servers.'
+    },
+    {
+        names: ['canaries'],
+        type: 'integer',
+        helpArg: 'N',
+        help: 'Number of canary compute nodes for the first batch. ' +
+            'Default 1.'
+    },
+    {
+        names: ['batch-size'],
+        type: 'integer',
+        helpArg: 'N',
+        help: 'Number of servers per batch after the canaries. Default 10.'
+    },
+    {
+        names: ['max-unhealthy'],
+        type: 'integer',
+        helpArg: 'N',
+        help: 'Halt the rollout when more than N servers fail to come back ' +
+            'healthy on the new platform. Default 0.'
+    },
+    {
+        names: ['wait'],
+        type: 'string',
+        helpArg: 'DURATION',
+        help: 'Wait up to DURATION (e.g. "30m") for the servers of each ' +
+            'batch to be rebooted, instead of exiting after assigning it.'
+    },
+    {
+        names: ['resume'],
+        type: 'bool',
+        help: 'Resume the platform rollout in progress.'
+    },
+    {
+        names: ['abort'],
+        type: 'bool',
+        help: 'Abort the platform rollout in progress.'
     }
 ];
 
 PlatformCLI.prototype.do_assign.logToFile = true;
 
 
+/*
+ * Reboot servers onto their assigned platform.
+ */
+PlatformCLI.prototype.do_reboot =
+function do_reboot(subcmd, opts, args, cb) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    }
+
+    if (opts.all && args.length) {
+        cb(new errors.UsageError(
+            'using --all and explicitly specifying ' +
+            'a server are mutually exclusive'));
+        return;
+    } else if (!opts.all && !args.length) {
+        cb(new errors.UsageError('must specify a SERVER or --all'));
+        return;
+    }
+    if (opts.batch_size !== undefined && opts.batch_size < 1) {
+        cb(new errors.UsageError('--batch-size must be at least 1'));
+        return;
+    }
+    if (opts.core_insts &&
+            rebootLib.CORE_INSTS_POLICIES.indexOf(opts.core_insts) === -1) {
+        cb(new errors.UsageError(format('invalid --core-insts "%s", ' +
+            'must be one of: %s', opts.core_insts,
+            rebootLib.CORE_INSTS_POLICIES.join(', '))));
+        return;
+    }
+    var timeout;
+    if (opts.timeout) {
+        timeout = common.msFromHumanDuration(opts.timeout);
+        if (!timeout) {
+            cb(new errors.UsageError('invalid --timeout: ' + opts.timeout));
+            return;
+        }
+    }
+
+    self.platform.reboot({
+        all: opts.all,
+        server: (args.length ? args : undefined),
+        exclude: opts.exclude_servers,
+        batchSize: opts.batch_size,
+        coreInsts: opts.core_insts,
+        drain: opts.drain,
+        timeout: timeout,
+        dryRun: opts.dry_run,
+        yes: opts.yes
+    }, cb);
+};
+
+PlatformCLI.prototype.do_reboot.help = (
+    'Reboot servers onto their assigned platform image.\n' +
+    '\n' +
+    'Usage:\n' +
+    '    {{name}} reboot [OPTIONS] --all\n' +
+    '    {{name}} reboot [OPTIONS] SERVER ...\n' +
+    '\n' +
+    '{{options}}' +
+    '\n' +
+    'Servers whose boot platform (as set by "{{name}} assign") differs\n' +
+    'from the one they are running are rebooted through CNAPI, in\n' +
+    'batches of "--batch-size" servers. The servers of a batch must come\n' +
+    'back running their boot platform before the next batch is\n' +
+    'rebooted: the first batch which does not stops the reboots. The\n' +
+    'headnode is never rebooted: sdcadm runs there.\n' +
+    '\n' +
+    'Rebooting a server hosting core instances (e.g. a manatee peer or\n' +
+    'a binder instance) takes them down while it reboots. By default\n' +
+    'this command refuses to reboot any of those. Use "--core-insts skip"\n' +
+    'to leave them out or "--core-insts allow" to reboot them anyway.\n' +
+    '\n' +
+    'Examples:\n' +
+    '    # Reboot all servers assigned a new platform, 5 at a time, and\n' +
+    '    # keep VMs from being provisioned to them while they reboot.\n' +
+    '    {{name}} reboot --all --core-insts skip --batch-size 5 --drain\n'
+);
+PlatformCLI.prototype.do_reboot.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['all'],
+        type: 'bool',
+        help: 'Reboot all setup servers needing a reboot.'
+    },
+    {
+        names: ['exclude-servers', 'S'],
+        type: 'arrayOfCommaSepString',
+        helpArg: 'NAMES',
+        help: 'Comma-separated list of servers (either hostnames or uuids) ' +
+            'not to reboot.'
+    },
+    {
+        names: ['batch-size'],
+        type: 'integer',
+        helpArg: 'N',
+        help: 'Number of servers to reboot at a time. Default 1.'
+    },
+    {
+        names: ['core-insts'],
+        type: 'string',
+        helpArg: 'POLICY',
+        help: 'What to do with servers hosting core instances: "refuse" ' +
+            '(the default), "skip" or "allow".'
+    },
+    {
+        names: ['drain'],
+        type: 'bool',
+        help: 'Reserve servers, so that no VMs are provisioned to them, ' +
+            'while they reboot.'
+    },
+    {
+        names: ['timeout'],
+        type: 'string',
+        helpArg: 'DURATION',
+        help: 'How long to wait for each batch of servers to come back, ' +
+            'e.g. "1h". Default "30m".'
+    },
+    {
+        names: ['dry-run', 'n'],
+        type: 'bool',
+        help: 'Only print which servers would be rebooted.'
+    },
+    {
+        names: ['yes', 'y'],
+        type: 'bool',
+        help: 'Answer yes to all confirmations.'
+    }
+];
+
+PlatformCLI.prototype.do_reboot.logToFile = true;
+
+
 PlatformCLI.prototype.do_list =
 function do_list(subcmd, opts, _args, cb) {
     var self = this;
@@ -1894,6 +3101,22 @@ function do_usage(subcmd, opts, args, cb) {
             sort: sort,
             validFields: Object.keys(validFieldsMap)
         });
+
+        var report = rows.filter(function (row) {
+            return (row.compat_problems.length > 0);
+        }).map(function (row) {
+            return {
+                uuid: row.uuid,
+                hostname: row.hostname,
+                problems: row.compat_problems
+            };
+        });
+        if (report.length) {
+            console.log('\nWarning: agents or instances on these servers ' +
+                'require a newer platform than %s:', opts.platform);
+            console.log(common.indent(
+                compat.formatReport(report, opts.platform).join('\n')));
+        }
         cb();
 
     });
@@ -1905,7 +3128,12 @@ PlatformCLI.prototype.do_usage.help = (
     'Usage:\n' +
     '     {{name}} usage PLATFORM\n' +
     '\n' +
-    '{{options}}'
+    '{{options}}' +
+    '\n' +
+    'Servers with agents or instances whose image declares a newer\n' +
+    'minimum platform (its "requirements.min_platform") are reported\n' +
+    'after the list. With "-j", they are in each server\'s\n' +
+    '"compat_problems".\n'
 );
 
 PlatformCLI.prototype.do_usage.options = [
@@ -2084,6 +3312,152 @@ PlatformCLI.prototype.do_remove.options = [
 PlatformCLI.prototype.do_remove.logToFile = true;
 
 
+/*
+ * Remove old platforms per a garbage collection policy.
+ */
+PlatformCLI.prototype.do_prune =
+function do_prune(subcmd, opts, args, cb) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    }
+
+    if (args.length) {
+        cb(new errors.UsageError('too many args: ' + args.join(' ')));
+        return;
+    }
+    if (opts.keep === undefined && !opts.min_age && !opts.keep_default &&
+            !opts.keep_assigned) {
+        cb(new errors.UsageError('must specify which platforms to keep: ' +
+            'one or more of --keep, --keep-default, --keep-assigned ' +
+            'and --min-age'));
+        return;
+    }
+    if (opts.keep !== undefined && opts.keep < 0) {
+        cb(new errors.UsageError('--keep must not be negative'));
+        return;
+    }
+    var minAge;
+    if (opts.min_age) {
+        minAge = common.msFromHumanDuration(opts.min_age);
+        if (!minAge) {
+            cb(new errors.UsageError('invalid --min-age: ' + opts.min_age));
+            return;
+        }
+    }
+    if (opts.json && !opts.dry_run) {
+        cb(new errors.UsageError('--json requires --dry-run'));
+        return;
+    }
+
+    var policy = {
+        keep: opts.keep,
+        keepDefault: opts.keep_default,
+        keepAssigned: opts.keep_assigned,
+        minAge: minAge
+    };
+
+    if (opts.json) {
+        self.platform.planPrune(policy, function (err, plan) {
+            if (err) {
+                cb(err);
+                return;
+            }
+            console.log(JSON.stringify({
+                remove: plan.remove.map(function (k) {
+                    return {
+                        version: k,
+                        usbkey_kib: plan.sizes[k].usbkey,
+                        cache_kib: plan.sizes[k].cache
+                    };
+                }),
+                keep: plan.keep,
+                new_default: plan.newDefault,
+                reclaimed_kib: plan.reclaimed
+            }, null, 4));
+            cb();
+        });
+        return;
+    }
+
+    policy.dryRun = opts.dry_run;
+    policy.yes = opts.yes;
+    self.platform.prune(policy, cb);
+};
+
+PlatformCLI.prototype.do_prune.help = (
+    'Remove old platform images per a garbage collection policy.\n' +
+    '\n' +
+    'Usage:\n' +
+    '    {{name}} prune [OPTIONS]\n' +
+    '\n' +
+    '{{options}}' +
+    '\n' +
+    'Platforms which servers are set to boot are never removed. Of the\n' +
+    'others, those kept by any of the given options are kept and the\n' +
+    'rest removed, both from the USB key and from the /usbkey/os cache.\n' +
+    'If the default boot platform is removed (i.e. "--keep-default" is\n' +
+    'not given) the most recent platform kept becomes the default.\n' +
+    '\n' +
+    'Use "--dry-run" to only report what would be removed and how much\n' +
+    'space that would reclaim, and "--yes" to run from cron.\n' +
+    '\n' +
+    'Examples:\n' +
+    '    # Keep the 3 most recent platforms, the default boot platform,\n' +
+    '    # those servers are running, and those under 30 days old.\n' +
+    '    {{name}} prune --keep 3 --keep-default --keep-assigned ' +
+    '--min-age 30d\n'
+);
+PlatformCLI.prototype.do_prune.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['keep'],
+        type: 'integer',
+        helpArg: 'N',
+        help: 'Keep the N most recent platforms.'
+    },
+    {
+        names: ['keep-default'],
+        type: 'bool',
+        help: 'Keep the default boot platform for new servers.'
+    },
+    {
+        names: ['keep-assigned'],
+        type: 'bool',
+        help: 'Keep platforms servers are running, though set to boot ' +
+            'another one.'
+    },
+    {
+        names: ['min-age'],
+        type: 'string',
+        helpArg: 'DURATION',
+        help: 'Keep platforms built less than DURATION ago, e.g. "30d".'
+    },
+    {
+        names: ['dry-run', 'n'],
+        type: 'bool',
+        help: 'Only report which platforms would be removed.'
+    },
+    {
+        names: ['json', 'j'],
+        type: 'bool',
+        help: 'With --dry-run, report in JSON.'
+    },
+    {
+        names: ['yes', 'y'],
+        type: 'bool',
+        help: 'Answer yes to all confirmations.'
+    }
+];
+
+PlatformCLI.prototype.do_prune.logToFile = true;
+
+
 PlatformCLI.prototype.do_avail = function do_avail(subcmd, opts, _args, cb) {
     var self = this;
     if (opts.help) {
@@ -2278,5 +3652,6 @@ PlatformCLI.prototype.do_set_default.logToFile = true;
 // --- exports
 
 module.exports = {
+    Platform: Platform,
     PlatformCLI: PlatformCLI
 };
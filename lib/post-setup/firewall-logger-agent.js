@@ -27,6 +27,10 @@ function do_firewall_logger_agent(subcmd, opts, args, cb) {
         cb(new errors.UsageError('too many args: ' + args));
         return;
     }
+    if (opts.json && !opts.dry_run) {
+        cb(new errors.UsageError('"--json" requires "--dry-run"'));
+        return;
+    }
 
     const svcName = 'firewall-logger-agent';
 
@@ -59,6 +63,7 @@ function do_firewall_logger_agent(subcmd, opts, args, cb) {
         sdcadm: self.sdcadm,
         ui: self.ui,
         dryRun: opts.dry_run,
+        json: opts.json,
         skipConfirm: opts.yes
     }, cb);
 }
@@ -79,6 +84,11 @@ do_firewall_logger_agent.options = [
         type: 'bool',
         help: 'Do a dry-run.'
     },
+    {
+        names: ['json'],
+        type: 'bool',
+        help: 'With "--dry-run", print the plan as JSON.'
+    },
     {
         group: 'Server selection (by default all setup servers are updated)'
     },
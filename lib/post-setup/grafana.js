@@ -27,6 +27,10 @@ function do_grafana(subcmd, opts, args, cb) {
         cb(new errors.UsageError('too many args: ' + args));
         return;
     }
+    if (opts.json && !opts.dry_run) {
+        cb(new errors.UsageError('"--json" requires "--dry-run"'));
+        return;
+    }
 
     const svcName = 'grafana';
     const addServiceOpts = {
@@ -85,6 +89,7 @@ function do_grafana(subcmd, opts, args, cb) {
         sdcadm: self.sdcadm,
         ui: self.ui,
         dryRun: opts.dry_run,
+        json: opts.json,
         skipConfirm: opts.yes
     }, cb);
 }
@@ -105,6 +110,11 @@ do_grafana.options = [
         type: 'bool',
         help: 'Do a dry-run.'
     },
+    {
+        names: ['json'],
+        type: 'bool',
+        help: 'With "--dry-run", print the plan as JSON.'
+    },
     {
         names: ['server', 's'],
         type: 'string',
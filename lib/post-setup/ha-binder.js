@@ -630,74 +630,17 @@ function do_ha_binder(subcmd, opts, args, cb) {
         },
 
         function ensureAdminNetworkHasCorrectResolvers(ctx, next) {
-            self.sdcadm.napi.listNetworks({
-                name: 'admin',
-                owner_uuid: self.sdcadm.config.ufds_admin_uuid
-            }, function (err, nets) {
-                if (err) {
-                    next(new errors.SDCClientError(err, 'napi'));
-                    return;
-                }
-
-                if (!nets.length) {
-                    next(new errors.InternalError(
-                        'Cannot find Admin network in NAPI'));
-                    return;
-                }
-
-                ctx.admin_network_uuid = nets[0].uuid;
-                var changed = (
-                    ctx.binderIps.length !== nets[0].resolvers.length ||
-                    !ctx.binderIps.every(function checkIp(ip, pos) {
-                        return (ip === nets[0].resolvers[pos]);
-                    }));
-
-                if (!changed) {
-                    next();
-                    return;
-                }
-
-                self.progress(
-                    'Updating admin network resolvers from [%s] to [%s]',
-                    nets[0].resolvers.join(', '),
-                    ctx.binderIps.join(', ')
-                );
-                self.sdcadm.napi.updateNetwork(ctx.admin_network_uuid, {
-                    resolvers: ctx.binderIps
-                }, function (err2) {
-                    if (err2) {
-                        next(new errors.SDCClientError(err2, 'napi'));
-                        return;
-                    }
-                    next();
-                });
-            });
+            steps.binder.updateAdminNetworkResolvers(Object.assign({
+                ctx: ctx
+            }, commonOpts), next);
         },
 
         function updateCoreVmsResolvers(ctx, next) {
-            self.progress('Updating core SDC VMs resolvers');
-            steps.binder.checkCoreVmInstancesResolvers(Object.assign({
+            steps.binder.updateAllCoreVmsResolvers(Object.assign({
                 ctx: ctx
-            }, commonOpts), function checkResolversCb(err, resolvers) {
-                if (err) {
-                    next(err);
-                    return;
-                }
-
-                Object.keys(resolvers).forEach(function (r) {
-                    self.progress(
-                        'VM %s resolvers need to be updated from [%s] to [%s]',
-                        r, resolvers[r].current.join(', '),
-                        resolvers[r].expected.join(', '));
-                });
-
-                steps.binder.updateCoreVmsResolvers(Object.assign({
-                    fixableResolvers: resolvers
-                }, commonOpts), next);
-            });
+            }, commonOpts), next);
         }
 
-
     ]}, function (err) {
         var msg = 'ha-binder setup finished';
         if (err) {
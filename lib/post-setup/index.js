@@ -47,13 +47,39 @@ function PostSetupCLI(top) {
 }
 util.inherits(PostSetupCLI, Cmdln);
 
-PostSetupCLI.prototype.init = function init(_opts, _args, _cb) {
+PostSetupCLI.prototype.init = function init(opts, args, cb) {
+    var self = this;
     this.sdcadm = this.top.sdcadm;
     this.progress = this.top.progress; // Deprecated. Use `ui`.
     this.ui = this.top.ui;
     this.log = this.top.log;
 
-    Cmdln.prototype.init.apply(this, arguments);
+    Cmdln.prototype.init.call(this, opts, args, function (err) {
+        if (err || err === false) {
+            cb(err);
+            return;
+        }
+
+        // Every post-setup command (but help) goes into sdcadm history.
+        var subcmd = args[0];
+        if (!subcmd || subcmd === 'help' || args.indexOf('-h') !== -1 ||
+            args.indexOf('--help') !== -1) {
+            cb();
+            return;
+        }
+        self.sdcadm.history.start({}, function (histErr) {
+            self._historyStarted = !histErr;
+            cb(histErr);
+        });
+    });
+};
+
+PostSetupCLI.prototype.fini = function fini(_subcmd, err, cb) {
+    if (!this._historyStarted) {
+        cb();
+        return;
+    }
+    this.sdcadm.history.finishWrap(err, cb);
 };
 
 
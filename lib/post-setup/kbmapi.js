@@ -25,6 +25,10 @@ function do_kbmapi(subcmd, opts, args, cb) {
         cb(new errors.UsageError('too many args: ' + args));
         return;
     }
+    if (opts.json && !opts.dry_run) {
+        cb(new errors.UsageError('"--json" requires "--dry-run"'));
+        return;
+    }
 
 
 
@@ -54,6 +58,7 @@ function do_kbmapi(subcmd, opts, args, cb) {
         sdcadm: self.sdcadm,
         ui: self.ui,
         dryRun: opts.dry_run,
+        json: opts.json,
         skipConfirm: opts.yes
     }, cb);
 }
@@ -74,6 +79,11 @@ do_kbmapi.options = [
         type: 'bool',
         help: 'Do a dry-run.'
     },
+    {
+        names: ['json'],
+        type: 'bool',
+        help: 'With "--dry-run", print the plan as JSON.'
+    },
     {
         group: 'Image selection (by default latest image on default ' +
             'channel)'
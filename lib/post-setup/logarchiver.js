@@ -26,6 +26,10 @@ function do_logarchiver(subcmd, opts, args, cb) {
         cb(new errors.UsageError('too many args: ' + args));
         return;
     }
+    if (opts.json && !opts.dry_run) {
+        cb(new errors.UsageError('"--json" requires "--dry-run"'));
+        return;
+    }
 
     const svcName = 'logarchiver';
     const procOpts = {
@@ -57,6 +61,7 @@ function do_logarchiver(subcmd, opts, args, cb) {
         sdcadm: self.sdcadm,
         ui: self.ui,
         dryRun: opts.dry_run,
+        json: opts.json,
         skipConfirm: opts.yes
     }, cb);
 }
@@ -77,6 +82,11 @@ do_logarchiver.options = [
         type: 'bool',
         help: 'Do a dry-run.'
     },
+    {
+        names: ['json'],
+        type: 'bool',
+        help: 'With "--dry-run", print the plan as JSON.'
+    },
     {
         names: ['server', 's'],
         type: 'string',
@@ -30,6 +30,10 @@ function do_prometheus(subcmd, opts, args, cb) {
         cb(new errors.UsageError('too many args: ' + args));
         return;
     }
+    if (opts.json && !opts.dry_run) {
+        cb(new errors.UsageError('"--json" requires "--dry-run"'));
+        return;
+    }
 
     const svcName = 'prometheus';
     const addServiceOpts = {
@@ -122,6 +126,7 @@ function do_prometheus(subcmd, opts, args, cb) {
                     sdcadm: self.sdcadm,
                     ui: self.ui,
                     dryRun: opts.dry_run,
+                    json: opts.json,
                     skipConfirm: opts.yes
                 }, next);
             }
@@ -145,6 +150,11 @@ do_prometheus.options = [
         type: 'bool',
         help: 'Do a dry-run.'
     },
+    {
+        names: ['json'],
+        type: 'bool',
+        help: 'With "--dry-run", print the plan as JSON.'
+    },
     {
         names: ['server', 's'],
         type: 'string',
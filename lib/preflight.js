@@ -0,0 +1,564 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Pre-flight checks for `sdcadm update`: everything known to break an update,
+ * checked before executing its plan (and reported on its own by
+ * `sdcadm update --preflight-only`).
+ *
+ * Each check gives a result `{name, status, message}`, where status is one
+ * of "pass", "warn" or "fail". Failures stop the update. A check that cannot
+ * be run (e.g. because an API is down) fails, unless noted otherwise.
+ *
+ * The min platform and min image checks are also used by
+ * `SdcAdm.genUpdatePlan` for callers not running the pre-flight checks.
+ */
+
+var util = require('util');
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+var common = require('./common');
+var errors = require('./errors');
+var healthChecks = require('./health-checks');
+
+
+// --- globals
+
+var format = util.format;
+
+var PASS = 'pass';
+var WARN = 'warn';
+var FAIL = 'fail';
+
+// Warn when an update would leave less than this share of the zpool free.
+var MIN_FREE_SHARE = 0.1;
+var GiB = 1024 * 1024 * 1024;
+
+
+// --- min platform and min image checks
+
+/*
+ * Check the platform of the servers of VM instances to update or create
+ * against the "vmMinPlatform" config var.
+ *
+ * @param opts {Object} Required.
+ *      - changes {Array} Required. The (resolved) changes of an update plan.
+ *      - insts {Array} Required. The current instances, as from
+ *        `SdcAdm.listInsts`.
+ *      - serverFromUuidOrHostname {Object} Required. Setup servers by UUID
+ *        and hostname.
+ *      - vmMinPlatform {String} Required.
+ * @returns {Array} of `UpdateError`s, one per insufficient platform.
+ */
+function minPlatformErrors(opts) {
+    assert.object(opts, 'opts');
+    assert.arrayOfObject(opts.changes, 'opts.changes');
+    assert.arrayOfObject(opts.insts, 'opts.insts');
+    assert.object(opts.serverFromUuidOrHostname,
+        'opts.serverFromUuidOrHostname');
+    assert.string(opts.vmMinPlatform, 'opts.vmMinPlatform');
+
+    var vmMinPlatform = opts.vmMinPlatform;
+    var errs = [];
+
+    function checkMinPlatform(ins, chg) {
+        if (ins.service === chg.service.name) {
+            var server = opts.serverFromUuidOrHostname[ins.server];
+            if (server.current_platform < vmMinPlatform) {
+                errs.push(new errors.UpdateError(format(
+                    'insufficient platform for service "%s" ' +
+                    'instance "%s" on server "%s" (current ' +
+                    'platform is "%s", require minimum "%s")',
+                    ins.service, ins.instance, ins.server,
+                    server.current_platform, vmMinPlatform)));
+            }
+        }
+    }
+
+    opts.changes.forEach(function checkChangePlatform(ch) {
+        if (ch.service.type !== 'vm') {
+            return;
+        }
+        if (ch.type === 'update-service') {
+            opts.insts.forEach(function (inst) {
+                checkMinPlatform(inst, ch);
+            });
+        } else if (ch.type === 'update-instance') {
+            checkMinPlatform(ch.instance, ch);
+        } else if (ch.type === 'create-instances') {
+            ch.servers.forEach(function (chServ) {
+                var server = opts.serverFromUuidOrHostname[chServ];
+                if (server.current_platform < vmMinPlatform) {
+                    errs.push(new errors.UpdateError(format(
+                        'insufficient platform for a new service ' +
+                        '"%s" instance on server "%s" (current ' +
+                        'platform is "%s", require minimum "%s")',
+                        ch.service.name, chServ,
+                        server.current_platform, vmMinPlatform)));
+                }
+            });
+        }
+    });
+
+    return errs;
+}
+
+/*
+ * Check the build date of the current images of VM instances to update
+ * against the "svcMinImages" config var: updates from older images are not
+ * supported.
+ *
+ * @param opts {Object} Required.
+ *      - changes {Array} Required. The (resolved) changes of an update plan.
+ *      - insts {Array} Required. The current instances, as from
+ *        `SdcAdm.listInsts`.
+ *      - svcMinImages {Object} Required. Min image build date by service.
+ * @returns {Array} of `UpdateError`s.
+ */
+function minImageErrors(opts) {
+    assert.object(opts, 'opts');
+    assert.arrayOfObject(opts.changes, 'opts.changes');
+    assert.arrayOfObject(opts.insts, 'opts.insts');
+    assert.object(opts.svcMinImages, 'opts.svcMinImages');
+
+    var svcMinImages = opts.svcMinImages;
+    var errs = [];
+
+    function checkMinImageBuildDate(ins) {
+        var minImg = svcMinImages[ins.service];
+        if (!ins.version) {
+            var msg = format('Unknown image ' +
+                'version for service "%s". Cannot evaluate ' +
+                'if minimal requirements for update are met ' +
+                'by the current image. This can be fixed ' +
+                'by re-importing the image into the DC via:' +
+                '\n\n    sdc-imgadm ' +
+                'import %s -S https://updates.joyent.com?' +
+                'channel=<channel>', ins.service, ins.image);
+
+            errs.push(new errors.UpdateError(msg));
+            return;
+        }
+        var parts = ins.version.split('-');
+        var curImg = parts[parts.length - 2];
+        if (minImg > curImg) {
+            errs.push(new errors.UpdateError(format(
+                'image for service "%s" is too old for ' +
+                'sdcadm update (min image build date ' +
+                'is "%s" current image build date is "%s")',
+                ins.service,
+                minImg,
+                curImg
+            )));
+        }
+    }
+
+    opts.changes.forEach(function (ch) {
+        if (ch.service.type !== 'vm') {
+            /*
+             * We only exclude other service types because we know all
+             * entries in `svcMinImages` are VM services, and because
+             * current agent image "version" field values often don't
+             * have the build timestamp for comparison.
+             */
+            return;
+        }
+        if (ch.type === 'update-service') {
+            opts.insts.forEach(function (inst) {
+                if (inst.service === ch.service.name &&
+                    svcMinImages[inst.service]) {
+                    checkMinImageBuildDate(inst);
+                }
+            });
+        } else if (ch.type === 'update-instance') {
+            if (svcMinImages[ch.instance.service]) {
+                checkMinImageBuildDate(ch.instance);
+            }
+        } else if (ch.type === 'create-instances') {
+            if (svcMinImages[ch.service.name]) {
+                checkMinImageBuildDate({
+                    service: ch.service.name,
+                    version: ch.image.version,
+                    image: ch.image.uuid
+                });
+            }
+        }
+    });
+
+    return errs;
+}
+
+
+// --- pre-flight checks
+
+function errsMessage(errs) {
+    return errs.map(function (err) {
+        return err.message;
+    }).join('\n');
+}
+
+/*
+ * Each check is called as `func(ctx, cb)`, where ctx has `sdcadm`, `log`
+ * and, for the checks with `needsPlan`, `plan` and `forceBypassMinImage`.
+ * It calls back `cb(err, status, message)`.
+ */
+var CHECKS = [
+    {
+        name: 'reprovision-lock',
+        func: function checkReprovFailLock(ctx, cb) {
+            ctx.sdcadm.reprovFailLock_IsLocked(function (err, reason) {
+                if (err) {
+                    cb(err);
+                } else if (reason) {
+                    cb(null, FAIL, format('an earlier core zone reprovision ' +
+                        'failed (%s): recover or delete that instance, then ' +
+                        'remove "%s"', reason,
+                        ctx.sdcadm._reprovFailLockPath));
+                } else {
+                    cb(null, PASS, 'no earlier reprovision failure');
+                }
+            });
+        }
+    },
+    {
+        name: 'dc-maint',
+        func: function checkDcMaint(ctx, cb) {
+            ctx.sdcadm.dcMaintStatus(function (err, status) {
+                if (err) {
+                    cb(err);
+                } else if (status.maint) {
+                    cb(null, WARN, 'DC is in maintenance mode' +
+                        (status.startTime ?
+                            ' (since ' + status.startTime + ')' : ''));
+                } else {
+                    cb(null, PASS, 'DC is not in maintenance mode');
+                }
+            });
+        }
+    },
+    {
+        name: 'sapi-mode',
+        func: function checkSapiMode(ctx, cb) {
+            ctx.sdcadm.sapi.getMode(function (err, mode) {
+                if (err) {
+                    cb(new errors.SDCClientError(err, 'sapi'));
+                } else if (mode !== 'full') {
+                    cb(null, FAIL, format('SAPI is in %s mode, fix SAPI VMs ' +
+                        'and set full mode: ' +
+                        '`sdc-sapi /mode?mode=full -X POST`', mode));
+                } else {
+                    cb(null, PASS, 'SAPI is in full mode');
+                }
+            });
+        }
+    },
+    {
+        name: 'zpool-space',
+        needsPlan: true,
+        func: function checkZpoolSpace(ctx, cb) {
+            var needed = 0;
+            ctx.plan.procs.forEach(function (proc) {
+                (proc.describe().images || []).forEach(function (img) {
+                    needed += img.size;
+                });
+            });
+            common.execFilePlus({
+                argv: ['/usr/sbin/zfs', 'list', '-Hp', '-o', 'used,available',
+                    'zones'],
+                log: ctx.log
+            }, function (err, stdout) {
+                if (err) {
+                    cb(err);
+                    return;
+                }
+                var fields = stdout.trim().split(/\s+/).map(Number);
+                var avail = fields[1];
+                var msg = format('zones has %s GiB free, images to ' +
+                    'download need %s GiB', (avail / GiB).toFixed(1),
+                    (needed / GiB).toFixed(1));
+                if (avail < needed) {
+                    cb(null, FAIL, msg);
+                } else if (avail - needed <
+                        (fields[0] + avail) * MIN_FREE_SHARE) {
+                    cb(null, WARN, msg + format(', leaving less than %d%% ' +
+                        'of the pool free', MIN_FREE_SHARE * 100));
+                } else {
+                    cb(null, PASS, msg);
+                }
+            });
+        }
+    },
+    {
+        name: 'min-platform',
+        needsPlan: true,
+        func: function checkMinPlatform(ctx, cb) {
+            ctx.sdcadm.cnapi.listServers({setup: true},
+                    function (err, servers) {
+                if (err) {
+                    cb(new errors.SDCClientError(err, 'cnapi'));
+                    return;
+                }
+                var serverFromUuidOrHostname = {};
+                servers.forEach(function (s) {
+                    serverFromUuidOrHostname[s.uuid] = s;
+                    serverFromUuidOrHostname[s.hostname] = s;
+                });
+                var errs = minPlatformErrors({
+                    changes: ctx.plan.changes,
+                    insts: ctx.plan.curr,
+                    serverFromUuidOrHostname: serverFromUuidOrHostname,
+                    vmMinPlatform: ctx.sdcadm.config.vmMinPlatform
+                });
+                if (errs.length) {
+                    cb(null, FAIL, errsMessage(errs));
+                } else {
+                    cb(null, PASS, format('servers of updated VMs have at ' +
+                        'least platform %s', ctx.sdcadm.config.vmMinPlatform));
+                }
+            });
+        }
+    },
+    {
+        name: 'min-image',
+        needsPlan: true,
+        func: function checkMinImage(ctx, cb) {
+            var errs = minImageErrors({
+                changes: ctx.plan.changes,
+                insts: ctx.plan.curr,
+                svcMinImages: ctx.sdcadm.config.svcMinImages
+            });
+            if (errs.length && ctx.forceBypassMinImage) {
+                cb(null, WARN, errsMessage(errs) +
+                    '\n(bypassed with --force-bypass-min-image)');
+            } else if (errs.length) {
+                cb(null, FAIL, errsMessage(errs));
+            } else {
+                cb(null, PASS, 'current images can be updated');
+            }
+        }
+    },
+    {
+        name: 'manatee',
+        func: function checkManatee(ctx, cb) {
+            runInstChecks(ctx, 'manatee', {name: 'manatee', type: 'manatee'},
+                    function (err, checked) {
+                if (err) {
+                    cb(err);
+                    return;
+                }
+                // The shard status is the same from any manatee instance.
+                var bad = checked.filter(function (c) {
+                    return !c.healthy;
+                });
+                if (checked.length === 0) {
+                    cb(null, FAIL, 'no manatee instances found');
+                } else if (bad.length === checked.length) {
+                    cb(null, FAIL, bad[0].message);
+                } else {
+                    cb(null, PASS, 'manatee shard primary and sync are ok');
+                }
+            });
+        }
+    },
+    {
+        name: 'zookeeper',
+        func: function checkZookeeper(ctx, cb) {
+            runInstChecks(ctx, 'binder',
+                    {name: 'zookeeper', type: 'zookeeper', port: 2181},
+                    function (err, checked) {
+                if (err) {
+                    cb(err);
+                    return;
+                }
+                var bad = checked.filter(function (c) {
+                    return !c.healthy;
+                });
+                var ok = checked.length - bad.length;
+                var msg = format('%d of %d zookeeper (binder) instances ok',
+                    ok, checked.length);
+                if (bad.length) {
+                    msg += ': ' + bad.map(function (c) {
+                        return c.message;
+                    }).join('; ');
+                }
+                if (ok <= checked.length / 2) {
+                    cb(null, FAIL, msg + ' (no quorum)');
+                } else if (bad.length) {
+                    cb(null, WARN, msg);
+                } else {
+                    cb(null, PASS, msg);
+                }
+            });
+        }
+    },
+    {
+        name: 'rabbitmq',
+        func: function checkRabbitmq(ctx, cb) {
+            ctx.sdcadm.getUrConnection(function (err) {
+                if (err) {
+                    cb(null, WARN, 'cannot connect to rabbitmq, instances ' +
+                        'and agents on other servers than the headnode ' +
+                        'cannot be updated: ' + err.message);
+                } else {
+                    cb(null, PASS, 'rabbitmq is reachable');
+                }
+            });
+        }
+    },
+    {
+        name: 'workflow-jobs',
+        func: function checkWorkflowJobs(ctx, cb) {
+            var jobs = [];
+            vasync.forEachPipeline({
+                inputs: ['running', 'queued'],
+                func: function listJobs(execution, next) {
+                    ctx.sdcadm.wfapi.listJobs({execution: execution, limit: 10},
+                            function (err, jobs_) {
+                        if (err) {
+                            next(new errors.SDCClientError(err, 'wfapi'));
+                            return;
+                        }
+                        jobs = jobs.concat(jobs_);
+                        next();
+                    });
+                }
+            }, function (err) {
+                if (err) {
+                    cb(null, WARN, 'could not list workflow jobs: ' +
+                        err.message);
+                } else if (jobs.length) {
+                    cb(null, WARN, format('%s%d running or queued workflow ' +
+                        'job%s: %s', (jobs.length >= 10 ? 'at least ' : ''),
+                        jobs.length, (jobs.length === 1 ? '' : 's'),
+                        jobs.map(function (j) {
+                            return j.name + ' ' + j.uuid;
+                        }).join(', ')));
+                } else {
+                    cb(null, PASS, 'no running or queued workflow jobs');
+                }
+            });
+        }
+    }
+];
+
+/*
+ * Run a health check (see "lib/health-checks.js") on each VM instance of the
+ * given service, calling back with the check results.
+ */
+function runInstChecks(ctx, svcName, check, cb) {
+    ctx.sdcadm.listInsts({types: ['vm'], svcs: [svcName]},
+            function (err, insts) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        vasync.forEachParallel({
+            inputs: insts,
+            func: function checkInst(inst, next) {
+                healthChecks.runChecks({
+                    inst: inst,
+                    checks: [check],
+                    runScript: function () {
+                        throw new Error('unexpected runScript');
+                    },
+                    log: ctx.log
+                }, function () {
+                    next(null, inst.checks[0]);
+                });
+            }
+        }, function (err2, res) {
+            cb(err2, res && res.successes);
+        });
+    });
+}
+
+
+/**
+ * Run the pre-flight checks.
+ *
+ * @param opts {Object} Required.
+ *      - sdcadm {SdcAdm} Required.
+ *      - plan {UpdatePlan} Optional. The update plan to check. If not given,
+ *        the checks of the plan itself (zpool space, min platform and min
+ *        image) are skipped.
+ *      - forceBypassMinImage {Boolean} Optional. Make min image failures
+ *        warnings.
+ * @param cb {Function} `function (err, results)`, where results is an array
+ *      of `{name, status, message}`, in the order of the checks.
+ */
+function runPreflight(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.sdcadm, 'opts.sdcadm');
+    assert.optionalObject(opts.plan, 'opts.plan');
+    assert.optionalBool(opts.forceBypassMinImage, 'opts.forceBypassMinImage');
+    assert.func(cb, 'cb');
+
+    var ctx = {
+        sdcadm: opts.sdcadm,
+        log: opts.sdcadm.log,
+        plan: opts.plan,
+        forceBypassMinImage: Boolean(opts.forceBypassMinImage)
+    };
+    var checks = CHECKS.filter(function (check) {
+        return (opts.plan || !check.needsPlan);
+    });
+
+    vasync.forEachParallel({
+        inputs: checks,
+        func: function runOne(check, next) {
+            check.func(ctx, function (err, status, message) {
+                if (err) {
+                    ctx.log.warn({err: err, check: check.name},
+                        'pre-flight check error');
+                    status = FAIL;
+                    message = 'could not check: ' + err.message;
+                }
+                next(null, {
+                    name: check.name,
+                    status: status,
+                    message: message
+                });
+            });
+        }
+    }, function (_err, res) {
+        // Results come in order of completion.
+        var resultFromName = {};
+        res.successes.forEach(function (r) {
+            resultFromName[r.name] = r;
+        });
+        cb(null, checks.map(function (check) {
+            return resultFromName[check.name];
+        }));
+    });
+}
+
+/*
+ * The results of the given status.
+ */
+function resultsWithStatus(results, status) {
+    return results.filter(function (r) {
+        return (r.status === status);
+    });
+}
+
+
+// --- exports
+
+module.exports = {
+    PASS: PASS,
+    WARN: WARN,
+    FAIL: FAIL,
+    minPlatformErrors: minPlatformErrors,
+    minImageErrors: minImageErrors,
+    runPreflight: runPreflight,
+    resultsWithStatus: resultsWithStatus
+};
@@ -409,6 +409,31 @@ function summarize() {
     return out.join('\n');
 };
 
+AddAgentServiceProcedure.prototype.targets =
+function targets() {
+    const self = this;
+    if (!self.servers.length) {
+        return [ {
+            service: self.svcName,
+            instance: null,
+            alias: null,
+            server: null,
+            currImage: (self.svc ? self.svc.params.image_uuid : null) || null,
+            targImage: self.svcImg.uuid
+        } ];
+    }
+    return self.servers.map(function (srv) {
+        return {
+            service: self.svcName,
+            instance: null,
+            alias: null,
+            server: srv.uuid,
+            currImage: null,
+            targImage: self.svcImg.uuid
+        };
+    });
+};
+
 AddAgentServiceProcedure.prototype.execute =
 function execute(opts, cb) {
     const self = this;
@@ -121,6 +121,20 @@ AddAllowTransferProcedure.prototype.summarize =
     return msg;
 };
 
+// Only the "cns" service's metadata is changed.
+AddAllowTransferProcedure.prototype.targets =
+    function addAllowTransferTargets() {
+
+    return [ {
+        service: 'cns',
+        instance: null,
+        alias: null,
+        server: null,
+        currImage: null,
+        targImage: null
+    } ];
+};
+
 /*
  * Add the new IPs to the CNS service's allow_transfer list. If 'volatile' is
  * true, this method also does the work of getting these IPs.
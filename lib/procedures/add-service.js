@@ -495,6 +495,28 @@ AddServiceProcedure.prototype.summarize = function addServiceSummarize() {
     return out.join('\n');
 };
 
+AddServiceProcedure.prototype.targets = function addServiceTargets() {
+    const self = this;
+    if (self.svcInst) {
+        return [ {
+            service: self.svcName,
+            instance: self.svcInst.uuid,
+            alias: self.svcVm ? self.svcVm.alias : null,
+            server: self.svcVm ? self.svcVm.server_uuid : null,
+            currImage: self.svcVm ? self.svcVm.image_uuid : null,
+            targImage: self.svcImg.uuid
+        } ];
+    }
+    return [ {
+        service: self.svcName,
+        instance: null,
+        alias: null,
+        server: self.serverUuid || null,
+        currImage: null,
+        targImage: self.svcImg.uuid
+    } ];
+};
+
 AddServiceProcedure.prototype.execute = function addServiceExecute(opts, cb) {
     const self = this;
     // Make sure prepare run before execute:
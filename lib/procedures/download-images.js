@@ -54,9 +54,28 @@ DownloadImages.prototype.summarize = function diSummarize() {
         common.indent(imageInfos.join('\n')));
 };
 
+DownloadImages.prototype.targets = function diTargets() {
+    return [];
+};
+
+DownloadImages.prototype.describe = function diDescribe() {
+    var desc = Procedure.prototype.describe.call(this);
+    desc.images = this.images.map(function (img) {
+        return {
+            uuid: img.uuid,
+            name: img.name,
+            version: img.version,
+            size: (img.files.length ? img.files[0].size : 0)
+        };
+    });
+    return desc;
+};
+
 /**
- * The 'source' URL (IMGAPI endpoint) can optionally be passed in. It defaults
- * to 'https://updates.joyent.com?channel=<current-channel>'.
+ * The 'source' URL (IMGAPI endpoint) can optionally be passed in. By default
+ * images are imported from the update sources (see lib/update-sources.js),
+ * using the procedure channel or else the one for each image's service (see
+ * `SdcAdm.channelForService`).
  */
 DownloadImages.prototype.execute = function diExecute(options, cb) {
     assert.object(options, 'options');
@@ -72,14 +91,6 @@ DownloadImages.prototype.execute = function diExecute(options, cb) {
     var progress = options.progress;
 
     var source = options.source;
-    if (!source) {
-        source = sdcadm.config.updatesServerUrl;
-        if (self.channel) {
-            source += '?channel=' + self.channel;
-        } else if (sdcadm.updates.channel) {
-            source += '?channel=' + sdcadm.updates.channel;
-        }
-    }
 
     /*
      * Limitation: Origin/ancestry handling (`gatherImageGenerations`) doesn't
@@ -174,7 +185,8 @@ DownloadImages.prototype.execute = function diExecute(options, cb) {
                     imgs: gen,
                     progress: progress,
                     sdcadm: sdcadm,
-                    source: source
+                    source: source,
+                    channel: self.channel
                 }, nextGen);
             }
         }, function doneGens(genErr) {
@@ -339,7 +351,10 @@ function gatherImageGenerations(args, cb) {
  *
  * @param {Object} args
  *      - {Array} args.imgs - The array of image objects to import.
- *      - {String} args.source - The source IMGAPI URL.
+ *      - {String} args.source - Optional. The source IMGAPI URL. If not
+ *        given, images are imported from the update sources.
+ *      - {String} args.channel - Optional. The update sources channel. By
+ *        default, that for each image's service.
  *      - {Number} args.concurrency - An integer number of images to import at
  *        the same time.
  *      - {Object} args.sdcadm - SdcAdm object.
@@ -356,7 +371,8 @@ function gatherImageGenerations(args, cb) {
  */
 function importSetOfImages(args, cb) {
     assert.arrayOfObject(args.imgs, 'args.imgs');
-    assert.string(args.source, 'args.source');
+    assert.optionalString(args.source, 'args.source');
+    assert.optionalString(args.channel, 'args.channel');
     assert.object(args.sdcadm, 'args.sdcadm');
     assert.func(args.progress, 'args.progress');
     assert.finite(args.concurrency, 'args.concurrency');
@@ -421,6 +437,33 @@ function importSetOfImages(args, cb) {
             function getImage(_, nextStep) {
                 progress('Downloading image %s\n    (%s@%s)',
                     image.uuid, image.name, image.version);
+
+                function onImport(err) {
+                    if (err) {
+                        progress('Error importing image %s\n    (%s@%s)',
+                            image.uuid, image.name, image.version);
+                        var e = (err instanceof errors.SdcAdmError ? err :
+                            new errors.SDCClientError(err, 'imgapi'));
+                        e.image = image.uuid;
+                        nextStep(e);
+                    } else {
+                        progress('Imported image %s\n    (%s@%s)',
+                            image.uuid, image.name, image.version);
+                        nextStep();
+                    }
+                }
+
+                if (!args.source) {
+                    sdcadm.updates.importImage({
+                        imgapi: sdcadm.imgapi,
+                        uuid: image.uuid,
+                        channel: (args.channel ||
+                            sdcadm.channelForImageName(image.name)),
+                        // Retry image import 5 times by default:
+                        retries: 5
+                    }, onImport);
+                    return;
+                }
                 sdcadm.imgapi.adminImportRemoteImageAndWait(
                     image.uuid,
                     args.source,
@@ -431,20 +474,7 @@ function importSetOfImages(args, cb) {
                         // Retry image import 5 times by default:
                         retries: 5
                     },
-                    function (err, _img, res) {
-                        if (err) {
-                            progress('Error importing image %s\n    (%s@%s)',
-                                image.uuid, image.name, image.version);
-                            var e = new errors.SDCClientError(err,
-                                'imgapi');
-                            e.image = image.uuid;
-                            nextStep(e);
-                        } else {
-                            progress('Imported image %s\n    (%s@%s)',
-                                image.uuid, image.name, image.version);
-                            nextStep();
-                        }
-                    });
+                    onImport);
             }
 
             vasync.pipeline({funcs: [
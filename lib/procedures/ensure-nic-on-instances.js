@@ -186,6 +186,46 @@ EnsureNicOnInstancesProcedure.prototype.summarize =
     return out.join('\n');
 };
 
+EnsureNicOnInstancesProcedure.prototype.targets =
+    function targets() {
+
+    const self = this;
+
+    if (self.volatile) {
+        return self.svcNames.map(function (svcName) {
+            return {
+                service: svcName,
+                instance: null,
+                alias: null,
+                server: null,
+                currImage: null,
+                targImage: null
+            };
+        });
+    }
+
+    return self.instsWithoutNic.map(function (inst) {
+        return {
+            service: self.svcNames.length === 1 ? self.svcNames[0] : null,
+            instance: inst.uuid,
+            alias: inst.params.alias || null,
+            server: inst.params.server_uuid || null,
+            currImage: inst.params.image_uuid || null,
+            targImage: inst.params.image_uuid || null
+        };
+    });
+};
+
+/*
+ * Adding a nic to a VM reboots it. With 'volatile' we can't tell in advance
+ * whether any instance will need a nic, so assume one will.
+ */
+EnsureNicOnInstancesProcedure.prototype.causesDowntime =
+    function causesDowntime(targets) {
+
+    return this.volatile || targets.length > 0;
+};
+
 /*
  * Adds the nic to the instances that lack it. If 'volatile' is true, this
  * method also does the work of figuring out which instances require action.
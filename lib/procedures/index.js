@@ -93,6 +93,8 @@ var UpdateDockerlogger = require('./update-dockerlogger').UpdateDockerlogger;
  *      - plan {UpdatePlan} Required.
  *      - log {Bunyan Logger} Required.
  *      - serverFromUuidOrHostname {Object} Required.
+ *      - skipSapiModeCheck {Boolean} Optional. Don't fail if SAPI is not in
+ *        full mode (the caller runs the pre-flight checks).
  * @param cb {Function} Callback of the form `function (err, procs)`.
  */
 function coordinatePlan(opts, cb) {
@@ -106,6 +108,7 @@ function coordinatePlan(opts, cb) {
     assert.optionalBool(opts.noVerbose, 'opts.noVerbose');
     assert.optionalArrayOfString(opts.servers, 'opts.servers');
     assert.optionalBool(opts.justAvailable, 'opts.justAvailable');
+    assert.optionalBool(opts.skipSapiModeCheck, 'opts.skipSapiModeCheck');
     assert.func(cb, 'cb');
 
     var log = opts.log;
@@ -130,6 +133,10 @@ function coordinatePlan(opts, cb) {
          * If SAPI isn't in full mode, we'll error out and stop the updates
          */
         function ensureSapiFullMode(_, next) {
+            if (opts.skipSapiModeCheck) {
+                next();
+                return;
+            }
             sdcadm.sapi.getMode(function getModeCb(err, mode) {
                 if (err) {
                     next(err);
@@ -1087,12 +1094,31 @@ function coordinatePlan(opts, cb) {
 }
 
 
+/*
+ * Describe a given array of (prepared) Procedure instances, as for
+ * `sdcadm ... --dry-run --json`.
+ */
+function describeProcs(procs) {
+    assert.arrayOfObject(procs, 'procs');
+
+    var descs = procs.map(proc => proc.describe());
+    return {
+        procs: descs,
+        downtime: descs.some(desc => desc.downtime)
+    };
+}
+
+
 /*
  * Appropriately run a given array of Procedure instances. This involves
  * acquiring the sdcadm lock, running each procedure's "prepare", filtering
  * out procedures that have "nothingToDo", summarizing, getting confirmation,
  * executing, and reporting completion/error.
  *
+ * With `opts.json` (only valid with `opts.dryRun`), the plan is written to
+ * stdout as JSON (see `describeProcs`) instead of being summarized, and
+ * other output goes to stderr.
+ *
  * Dev Note: Eventually `sdcadm update` ("do_update.js", `sdcadm.summarizePlan`,
  * etc.) should use this, but currently it does not.
  */
@@ -1103,6 +1129,12 @@ function runProcs(opts, cb) {
     assert.object(opts.ui, 'opts.ui');
     assert.optionalBool(opts.skipConfirm, 'opts.skipConfirm');
     assert.optionalBool(opts.dryRun, 'opts.dryRun');
+    assert.optionalBool(opts.json, 'opts.json');
+    assert.ok(!opts.json || opts.dryRun, 'opts.json requires opts.dryRun');
+
+    if (opts.json) {
+        opts.ui.useStderr();
+    }
 
     var log = opts.log;
     var p = opts.ui.progressFunc();
@@ -1158,6 +1190,11 @@ function runProcs(opts, cb) {
         },
 
         function confirm(ctx, next) {
+            if (opts.json) {
+                console.log(JSON.stringify(describeProcs(ctx.procs), null, 4));
+                next(true); // Early abort.
+                return;
+            }
             if (ctx.procs.length === 0) {
                 ui.info('');
                 ui.info('Nothing to do.');
@@ -1194,20 +1231,35 @@ function runProcs(opts, cb) {
                 next();
                 return;
             }
-            vasync.forEachPipeline({
-                inputs: ctx.procs,
-                func: function execProc(proc, nextProc) {
-                    log.debug({summary: proc.summarize()}, 'execProc');
-                    proc.execute({
-                        sdcadm: sdcadm,
-                        // The `progress` arg is deprecated. Procs should switch
-                        // to `ui`.
-                        progress: p,
-                        ui: ui,
-                        log: log
-                    }, nextProc);
+            vasync.pipeline({funcs: [
+                function startHistory(_, nextStep) {
+                    sdcadm.history.start({}, function (err) {
+                        ctx.historyStarted = !err;
+                        nextStep(err);
+                    });
+                },
+                function execProcs(_, nextStep) {
+                    vasync.forEachPipeline({
+                        inputs: ctx.procs,
+                        func: function execProc(proc, nextProc) {
+                            log.debug({summary: proc.summarize()},
+                                'execProc');
+                            var histProc = sdcadm.history.startProc(proc);
+                            proc.execute({
+                                sdcadm: sdcadm,
+                                // The `progress` arg is deprecated. Procs
+                                // should switch to `ui`.
+                                progress: p,
+                                ui: ui,
+                                log: log
+                            }, function (procErr) {
+                                sdcadm.history.finishProc(histProc, procErr);
+                                nextProc(procErr);
+                            });
+                        }
+                    }, nextStep);
                 }
-            }, next);
+            ]}, next);
         }
     ]}, function finishUp(runErr) {
         // Early abort signal.
@@ -1216,6 +1268,16 @@ function runProcs(opts, cb) {
         }
 
         vasync.pipeline({funcs: [
+            function finishHistory(_, next) {
+                if (!context.historyStarted) {
+                    next();
+                    return;
+                }
+                sdcadm.history.finishWrap(runErr, function (err) {
+                    runErr = err;
+                    next();
+                });
+            },
             function dropLock(_, next) {
                 if (!context.unlock) {
                     next();
@@ -1247,6 +1309,7 @@ function runProcs(opts, cb) {
 
 module.exports = {
     coordinatePlan: coordinatePlan,
+    describeProcs: describeProcs,
     runProcs: runProcs
 };
 // vim: set softtabstop=4 shiftwidth=4:
@@ -41,7 +41,8 @@
  *          });
  *
  * 3. Use `.summarize(...)` for each procedure to show what will be done, and
- *    get confirmation from the operator before proceeding.
+ *    get confirmation from the operator before proceeding. (`.describe()`
+ *    is the machine-readable counterpart, e.g. for `sdcadm update -n --json`.)
  *
  * 4. Call `.execute(...)` on each procedure in series.
  *
@@ -90,6 +91,51 @@ Procedure.prototype.prepare = function prepare(opts, cb) {
 // @returns {String} A bullet point summary of work that will be done.
 Procedure.prototype.summarize = function summarize() {};
 
+// @returns {Array} The services and instances the procedure acts on, as
+//      objects with these fields (null if not applicable or not known):
+//      - service {String} Service name.
+//      - instance {String} Instance UUID. Null for an instance to create.
+//      - alias {String} Instance alias.
+//      - server {String} UUID of the server on which the instance is.
+//      - currImage {String} UUID of the current image of the instance.
+//      - targImage {String} UUID of the image the procedure moves to.
+//
+// By default these are gathered from the `changes` of the procedure, as
+// from `SdcAdm.genUpdatePlan`. Procedures without them should override this.
+Procedure.prototype.targets = function targets() {
+    var res = [];
+    (this.changes || []).forEach(function (ch) {
+        res = res.concat(targetsFromChange(ch));
+    });
+    return res;
+};
+
+// @param {Array} targets - As from `<procedure>.targets()`.
+// @returns {Boolean} Whether the procedure makes a service unavailable for
+//      some time.
+Procedure.prototype.causesDowntime = function causesDowntime(_targets) {
+    return false;
+};
+
+// @returns {Object} A machine-readable description of work that will be
+//      done: the structured counterpart of `summarize()`.
+Procedure.prototype.describe = function describe() {
+    var targets = this.targets();
+    var servers = [];
+    targets.forEach(function (t) {
+        if (t.server && servers.indexOf(t.server) === -1) {
+            servers.push(t.server);
+        }
+    });
+    return {
+        type: this.constructor.name,
+        summary: this.summarize(),
+        targets: targets,
+        servers: servers,
+        downtime: this.causesDowntime(targets)
+    };
+};
+
 // Execute the procedure.
 //
 // TODO: Spec the required `opts` for this. Currently there is a large
@@ -106,10 +152,81 @@ Procedure.prototype.execute = function execute(opts, cb) {
 };
 
 
+// ---- support functions
+
+function targetsFromChange(ch) {
+    var service = (ch.service && typeof (ch.service) === 'object' ?
+        ch.service.name : ch.service) || null;
+    var targImage = (ch.image && typeof (ch.image) === 'object' ?
+        ch.image.uuid : ch.image) || null;
+
+    // A "create-instances" change of a VM service: a new instance per server.
+    if (ch.servers) {
+        return ch.servers.map(function (server) {
+            return {
+                service: service,
+                instance: null,
+                alias: null,
+                server: (typeof (server) === 'object' ? server.uuid : server),
+                currImage: null,
+                targImage: targImage
+            };
+        });
+    }
+
+    var insts = ch.insts;
+    if (!insts && ch.inst) {
+        insts = [ch.inst];
+    } else if (!insts && ch.instance && typeof (ch.instance) === 'object') {
+        insts = [ch.instance];
+    }
+    if (!insts || insts.length === 0) {
+        return [ {
+            service: service,
+            instance: null,
+            alias: null,
+            server: null,
+            currImage: null,
+            targImage: targImage
+        } ];
+    }
+    return insts.map(function (inst) {
+        return {
+            service: service,
+            instance: inst.instance || inst.zonename || null,
+            alias: inst.alias || null,
+            server: inst.server || null,
+            currImage: inst.image || null,
+            targImage: targImage
+        };
+    });
+}
+
+
+/*
+ * A `causesDowntime` implementation for procedures reprovisioning instances
+ * one at a time: there is downtime if any service has a single instance
+ * being reprovisioned. This is conservative: updating a single instance of a
+ * service with other instances is counted as downtime too.
+ */
+function reprovisionCausesDowntime(targets) {
+    var countFromSvc = {};
+    targets.forEach(function (t) {
+        if (t.instance && t.currImage !== t.targImage) {
+            countFromSvc[t.service] = (countFromSvc[t.service] || 0) + 1;
+        }
+    });
+    return Object.keys(countFromSvc).some(function (svc) {
+        return (countFromSvc[svc] === 1);
+    });
+}
+
+
 // ---- exports
 
 module.exports = {
-    Procedure: Procedure
+    Procedure: Procedure,
+    reprovisionCausesDowntime: reprovisionCausesDowntime
 };
 
 // vim: set softtabstop=4 shiftwidth=4:
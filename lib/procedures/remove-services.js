@@ -416,6 +416,51 @@ RemoveServicesProcedure.prototype.summarize = function summarize() {
     return lines.join('\n');
 };
 
+RemoveServicesProcedure.prototype.targets = function targets() {
+    var self = this;
+    var res = [];
+
+    for (let svcName of self.svcNames) {
+        let vmInsts = self.vmInstsFromSvcName[svcName];
+        let serversWithAgent = self.serversFromSvcName[svcName];
+
+        if (vmInsts.length) {
+            for (let vm of vmInsts) {
+                res.push({
+                    service: svcName,
+                    instance: vm.uuid,
+                    alias: vm.alias,
+                    server: vm.server_uuid,
+                    currImage: vm.image_uuid,
+                    targImage: null
+                });
+            }
+        } else if (serversWithAgent.length) {
+            for (let server of serversWithAgent) {
+                res.push({
+                    service: svcName,
+                    instance: null,
+                    alias: null,
+                    server: server.uuid,
+                    currImage: null,
+                    targImage: null
+                });
+            }
+        } else {
+            res.push({
+                service: svcName,
+                instance: null,
+                alias: null,
+                server: null,
+                currImage: null,
+                targImage: null
+            });
+        }
+    }
+
+    return res;
+};
+
 RemoveServicesProcedure.prototype._actionRemoveSapiSvcs =
 function _actionRemoveSapiSvcs(opts, cb) {
     // An item looks like this:
@@ -22,6 +22,7 @@ var assert = require('assert-plus');
 var vmadm = require('../vmadm');
 var svcadm = require('../svcadm');
 var common = require('../common');
+var healthChecks = require('../health-checks');
 var errors = require('../errors'),
     InternalError = errors.InternalError,
     SDCClientError = errors.SDCClientError;
@@ -2017,41 +2018,15 @@ function wait4Morays(opts, cb) {
     assert.object(opts.sdcadm, 'opts.sdcadm');
     assert.func(cb, 'cb');
 
-    var log = opts.sdcadm.log;
-
     function waitForMoray(inst, next_) {
-        var counter = 0;
-        var limit = 120;
-        function _wait4Moray() {
-            opts.sdcadm.checkHealth({
-                insts: [inst]
-            }, function (err, results) {
-                if (err) {
-                    log.error({
-                        err: err
-                    }, 'checkInstanceSvcs');
-                    next_(err);
-                    return;
-                }
-                counter += 1;
-                log.debug({
-                    results: results,
-                    attempt: counter
-                }, 'checkInstanceSvcs');
-                var res = results[0];
-                if (res.health_errors && res.health_errors.length) {
-                    if (counter < limit) {
-                        setTimeout(_wait4Moray, 5000);
-                    } else {
-                        next_(new errors.InstanceIsDownError(
-                                res.health_errors[0].message));
-                    }
-                } else {
-                    next_();
-                }
-            });
-        }
-        _wait4Moray();
+        healthChecks.waitUntilHealthy({
+            sdcadm: opts.sdcadm,
+            healthOpts: {insts: [inst]},
+            interval: 5000,
+            timeout: 10 * 60 * 1000
+        }, function (err) {
+            next_(err);
+        });
     }
 
     vasync.forEachParallel({
@@ -89,6 +89,12 @@ UpdateAgentV1.prototype.summarize = function uaSummarize() {
     }).join('\n');
 };
 
+// Agents are restarted on each server in turn, but no service (API) goes
+// down while they are.
+UpdateAgentV1.prototype.causesDowntime = function causesDowntime() {
+    return false;
+};
+
 // The minimal required CNAPI version (CNAPI-508, CNAPI-511):
 UpdateAgentV1.MIN_CNAPI_VERSION = '20150407T172714Z';
 // The first cn-agent version able to run install_agent task, including
@@ -20,6 +20,8 @@ var errors = require('../errors');
 var common = require('../common');
 
 var Procedure = require('./procedure').Procedure;
+var reprovisionCausesDowntime =
+    require('./procedure').reprovisionCausesDowntime;
 var s = require('./shared');
 
 /**
@@ -73,6 +75,8 @@ UpdateBinderV2.prototype.summarize = function ushiSummarize() {
     }).join('\n');
 };
 
+UpdateBinderV2.prototype.causesDowntime = reprovisionCausesDowntime;
+
 UpdateBinderV2.prototype.execute = function ushiExecute(opts, cb) {
     assert.object(opts, 'opts');
     assert.object(opts.sdcadm, 'opts.sdcadm');
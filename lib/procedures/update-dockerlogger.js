@@ -82,6 +82,12 @@ UpdateDockerlogger.prototype.summarize = function udSummarize() {
 };
 
 
+// Only the dockerlogger installed on each server is replaced: no service
+// goes down.
+UpdateDockerlogger.prototype.causesDowntime = function causesDowntime() {
+    return false;
+};
+
 
 UpdateDockerlogger.prototype.execute = function udExecute(opts, callback) {
     assert.object(opts, 'opts');
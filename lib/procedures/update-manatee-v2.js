@@ -22,6 +22,8 @@ var svcadm = require('../svcadm');
 var steps = require('../steps');
 
 var Procedure = require('./procedure').Procedure;
+var reprovisionCausesDowntime =
+    require('./procedure').reprovisionCausesDowntime;
 var s = require('./shared');
 
 /**
@@ -70,6 +72,8 @@ UpdateManateeV2.prototype.summarize = function manateev2Summarize() {
 };
 
 
+UpdateManateeV2.prototype.causesDowntime = reprovisionCausesDowntime;
+
 UpdateManateeV2.prototype.execute = function manateev2Execute(opts, cb) {
     assert.object(opts, 'opts');
     assert.object(opts.sdcadm, 'opts.sdcadm');
@@ -61,6 +61,13 @@ UpdateMorayV2.prototype.summarize = function morayv2Summarize() {
     }
 };
 
+// Temporary instances left behind by a previous update are not targets.
+UpdateMorayV2.prototype.targets = function morayv2Targets() {
+    return Procedure.prototype.targets.call(this).filter(function (t) {
+        return !TMP_VM_RE.test(t.alias);
+    });
+};
+
 /*
  * The update of moray service instances will happen as follows:
  *
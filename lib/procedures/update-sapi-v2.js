@@ -15,6 +15,8 @@ var vasync = require('vasync');
 var common = require('../common');
 var errors = require('../errors');
 var Procedure = require('./procedure').Procedure;
+var reprovisionCausesDowntime =
+    require('./procedure').reprovisionCausesDowntime;
 var s = require('./shared');
 
 function UpdateSapiV2(options) {
@@ -61,6 +63,8 @@ UpdateSapiV2.prototype.summarize = function sapiv2Summarize() {
 };
 
 
+UpdateSapiV2.prototype.causesDowntime = reprovisionCausesDowntime;
+
 UpdateSapiV2.prototype.execute = function sapiv2Execute(opts, cb) {
     assert.object(opts, 'opts');
     assert.object(opts.sdcadm, 'opts.sdcadm');
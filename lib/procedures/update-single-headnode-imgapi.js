@@ -20,6 +20,8 @@ var vmadm = require('../vmadm');
 var svcadm = require('../svcadm');
 
 var Procedure = require('./procedure').Procedure;
+var reprovisionCausesDowntime =
+    require('./procedure').reprovisionCausesDowntime;
 var s = require('./shared');
 
 /**
@@ -59,6 +61,8 @@ UpdateSingleHeadnodeImgapi.prototype.summarize = function ushiSummarize() {
     }
 };
 
+UpdateSingleHeadnodeImgapi.prototype.causesDowntime = reprovisionCausesDowntime;
+
 UpdateSingleHeadnodeImgapi.prototype.execute = function ushiExecute(opts, cb) {
     assert.object(opts, 'opts');
     assert.object(opts.sdcadm, 'opts.sdcadm');
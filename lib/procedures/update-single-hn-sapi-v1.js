@@ -55,6 +55,12 @@ UpdateSingleHNSapiV1.prototype.summarize = function sapiv1Summarize() {
 };
 
 
+// The only sapi instance is reprovisioned: sapi is down meanwhile.
+UpdateSingleHNSapiV1.prototype.causesDowntime = function causesDowntime() {
+    return true;
+};
+
+
 UpdateSingleHNSapiV1.prototype.execute = function sapiv1Execute(opts, cb) {
     assert.object(opts, 'opts');
     assert.object(opts.sdcadm, 'opts.sdcadm');
@@ -14,6 +14,8 @@ var util = require('util');
 var vasync = require('vasync');
 
 var Procedure = require('./procedure').Procedure;
+var reprovisionCausesDowntime =
+    require('./procedure').reprovisionCausesDowntime;
 var s = require('./shared');
 var common = require('../common');
 
@@ -72,6 +74,8 @@ UpdateStatelessServices.prototype.summarize = function ussv2Summarize() {
 
 };
 
+UpdateStatelessServices.prototype.causesDowntime = reprovisionCausesDowntime;
+
 UpdateStatelessServices.prototype.execute = function ussv2Execute(opts, cb) {
     assert.object(opts, 'opts');
     assert.object(opts.sdcadm, 'opts.sdcadm');
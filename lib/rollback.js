@@ -0,0 +1,346 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Rollback candidates, for `sdcadm rollback --list|--latest|--run RUN-UUID`:
+ * the update plans executed by `SdcAdm.execUpdatePlan`, each saved as
+ * "plan.json" in its "/var/sdcadm/updates/<timestamp>" work dir, along with
+ * the "checkpoint.json" of its execution (see lib/checkpoint.js) giving the
+ * sdcadm run UUID, the state of the update, who ran it and when.
+ *
+ * An update can be rolled back if it changed the image of some VM service.
+ * Updates with just images to download (`sdcadm update --just-images`) and
+ * those of agents only are not rollback candidates.
+ *
+ * Rollback plans are saved the same way in "/var/sdcadm/rollbacks/<timestamp>",
+ * their checkpoint giving the work dir of the update rolled back
+ * ("rollbackOf").
+ */
+
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+var errors = require('./errors');
+var UpdateCheckpoint = require('./checkpoint').UpdateCheckpoint;
+
+
+// --- globals
+
+var UPDATES_DIR = '/var/sdcadm/updates';
+var ROLLBACKS_DIR = '/var/sdcadm/rollbacks';
+
+
+// --- internal support functions
+
+/*
+ * The work dirs of the updates rolled back by a successful rollback, as
+ * recorded in the rollback checkpoints.
+ */
+function rolledBackDirs(rollbacksDir, cb) {
+    fs.readdir(rollbacksDir, function (readdirErr, stamps) {
+        if (readdirErr && readdirErr.code !== 'ENOENT') {
+            cb(new errors.InternalError({
+                message: 'error reading rollbacks dir: ' + rollbacksDir,
+                cause: readdirErr
+            }));
+            return;
+        }
+
+        var dirs = [];
+        vasync.forEachPipeline({
+            inputs: stamps || [],
+            func: function loadOne(stamp, next) {
+                UpdateCheckpoint.load(path.resolve(rollbacksDir, stamp),
+                        function (err, cp) {
+                    // Ignore dirs with bogus or without checkpoints.
+                    if (!err && cp && cp.state === 'succeeded' &&
+                            cp.rollbackOf) {
+                        dirs.push(path.resolve(cp.rollbackOf));
+                    }
+                    next();
+                });
+            }
+        }, function (err) {
+            cb(err, dirs);
+        });
+    });
+}
+
+
+// --- exported functions
+
+/**
+ * Return the image UUID a change of a saved update plan would be rolled back
+ * to (the image of the service before the update), or null if the change
+ * cannot be rolled back.
+ */
+function rollbackImgUuid(change) {
+    assert.object(change, 'change');
+
+    if (change.type !== 'update-service' || !change.service ||
+            change.service.type !== 'vm') {
+        return null;
+    }
+    if (change.service.name === 'assets') {
+        return ((change.inst && change.inst.image) || null);
+    }
+    return ((change.service.params && change.service.params.image_uuid) ||
+        null);
+}
+
+
+/**
+ * Return the instances (as from `SdcAdm.listInsts`) of the services changed
+ * by an update plan which are not on the image the update moved them to.
+ * Those already on the image they would be rolled back to are diverged too:
+ * the update did not complete for them, or they have been rolled back.
+ *
+ * @param updatePlan {Object} The saved update plan.
+ * @param insts {Array} The current instances.
+ * @returns {Array} of objects with `instance`, `alias`, `service`, `image`
+ *      and `expected` (array of image UUIDs) fields.
+ */
+function divergedFromUpdate(updatePlan, insts) {
+    assert.object(updatePlan, 'updatePlan');
+    assert.arrayOfObject(updatePlan.changes, 'updatePlan.changes');
+    assert.arrayOfObject(insts, 'insts');
+
+    var diverged = [];
+    updatePlan.changes.forEach(function (change) {
+        var rbImgUuid = rollbackImgUuid(change);
+        if (!rbImgUuid || !change.image) {
+            return;
+        }
+        var expected = [change.image.uuid];
+        insts.forEach(function (inst) {
+            if (inst.service === change.service.name &&
+                    expected.indexOf(inst.image) === -1) {
+                diverged.push({
+                    instance: inst.instance,
+                    alias: inst.alias,
+                    service: inst.service,
+                    image: inst.image,
+                    expected: expected
+                });
+            }
+        });
+    });
+    return diverged;
+}
+
+
+/**
+ * Load the saved update in the given work dir.
+ *
+ * @param wrkDir {String}
+ * @param cb {Function} `function (err, update)` where `update` is null if
+ *      there is no valid update plan in the dir, else an object with:
+ *      - `wrkDir`, `planFile` and `plan` (the parsed update plan),
+ *      - `uuid`, `state`, `username`, `started` and `finished` from the
+ *        update checkpoint, if any (null otherwise, the state being
+ *        "unknown"),
+ *      - `changes`: array of `{service, image, rbImage}`, the VM services
+ *        the update changed, with the image UUIDs they were updated and
+ *        would be rolled back to,
+ *      - `rolledBack`: false (see `listUpdates`).
+ */
+function loadUpdate(wrkDir, cb) {
+    assert.string(wrkDir, 'wrkDir');
+    assert.func(cb, 'cb');
+
+    var planFile = path.resolve(wrkDir, 'plan.json');
+    fs.readFile(planFile, 'utf8', function (readErr, data) {
+        if (readErr && (readErr.code === 'ENOENT' ||
+                readErr.code === 'ENOTDIR')) {
+            cb(null, null);
+            return;
+        } else if (readErr) {
+            cb(new errors.InternalError({
+                message: 'error reading update plan: ' + planFile,
+                cause: readErr
+            }));
+            return;
+        }
+
+        var plan;
+        try {
+            plan = JSON.parse(data);
+        } catch (_parseErr) {
+            cb(null, null);
+            return;
+        }
+        if (!Array.isArray(plan.changes)) {
+            cb(null, null);
+            return;
+        }
+
+        UpdateCheckpoint.load(wrkDir, function (cpErr, cp) {
+            if (cpErr) {
+                cb(cpErr);
+                return;
+            }
+            var changes = [];
+            if (!plan.justImages) {
+                plan.changes.forEach(function (change) {
+                    var rbImgUuid = rollbackImgUuid(change);
+                    if (rbImgUuid && change.image) {
+                        changes.push({
+                            service: change.service.name,
+                            image: change.image.uuid,
+                            rbImage: rbImgUuid
+                        });
+                    }
+                });
+            }
+            cb(null, {
+                wrkDir: wrkDir,
+                planFile: planFile,
+                plan: plan,
+                uuid: (cp ? cp.uuid : null),
+                state: (cp ? cp.state : 'unknown'),
+                username: (cp && cp.username) || null,
+                started: (cp && cp.started) || null,
+                finished: (cp && cp.finished) || null,
+                changes: changes,
+                rolledBack: false
+            });
+        });
+    });
+}
+
+
+/**
+ * List the saved updates which can be rolled back, most recent first.
+ *
+ * @param opts {Object}
+ *      - dir {String} Optional. The updates dir. Default
+ *        "/var/sdcadm/updates".
+ *      - rollbacksDir {String} Optional. The rollbacks dir. Default
+ *        "/var/sdcadm/rollbacks".
+ * @param cb {Function} `function (err, updates)`, see `loadUpdate`, with
+ *      `rolledBack` set on the updates a successful rollback rolled back.
+ */
+function listUpdates(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.dir, 'opts.dir');
+    assert.optionalString(opts.rollbacksDir, 'opts.rollbacksDir');
+    assert.func(cb, 'cb');
+
+    var updatesDir = opts.dir || UPDATES_DIR;
+    fs.readdir(updatesDir, function (readdirErr, stamps) {
+        if (readdirErr && readdirErr.code !== 'ENOENT') {
+            cb(new errors.InternalError({
+                message: 'error reading updates dir: ' + updatesDir,
+                cause: readdirErr
+            }));
+            return;
+        }
+
+        // Work dirs are named after the update time.
+        stamps = (stamps || []).sort().reverse();
+        var updates = [];
+        vasync.forEachPipeline({
+            inputs: stamps,
+            func: function loadOne(stamp, next) {
+                loadUpdate(path.resolve(updatesDir, stamp),
+                        function (err, update) {
+                    if (update && update.changes.length) {
+                        updates.push(update);
+                    }
+                    next(err);
+                });
+            }
+        }, function (err) {
+            if (err) {
+                cb(err);
+                return;
+            }
+            rolledBackDirs(opts.rollbacksDir || ROLLBACKS_DIR,
+                    function (rbErr, dirs) {
+                updates.forEach(function (update) {
+                    update.rolledBack = (dirs.indexOf(
+                        path.resolve(update.wrkDir)) !== -1);
+                });
+                cb(rbErr, updates);
+            });
+        });
+    });
+}
+
+
+/**
+ * Find a saved update to roll back.
+ *
+ * @param opts {Object}
+ *      - uuid {String} Optional. The sdcadm run UUID of the update.
+ *      - latest {Boolean} Optional. Find the most recent update which
+ *        succeeded and has not been rolled back instead.
+ *      - dir {String} Optional. The updates dir.
+ *      - rollbacksDir {String} Optional. The rollbacks dir.
+ * @param cb {Function} `function (err, update)`, see `loadUpdate`.
+ */
+function findUpdate(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.optionalUuid(opts.uuid, 'opts.uuid');
+    assert.optionalBool(opts.latest, 'opts.latest');
+    assert.optionalString(opts.dir, 'opts.dir');
+    assert.optionalString(opts.rollbacksDir, 'opts.rollbacksDir');
+    assert.ok(opts.uuid || opts.latest, 'opts.uuid or opts.latest');
+    assert.func(cb, 'cb');
+
+    listUpdates({
+        dir: opts.dir,
+        rollbacksDir: opts.rollbacksDir
+    }, function (err, updates) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        var found;
+        if (opts.latest) {
+            found = updates.filter(function (update) {
+                return (update.state === 'succeeded' && !update.rolledBack);
+            })[0];
+            if (!found) {
+                cb(new errors.UsageError('no successful update to rollback ' +
+                    '(not already rolled back) in ' +
+                    (opts.dir || UPDATES_DIR)));
+                return;
+            }
+        } else {
+            found = updates.filter(function (update) {
+                return (update.uuid === opts.uuid);
+            })[0];
+            if (!found) {
+                cb(new errors.UsageError(util.format(
+                    'no update to rollback found for run %s', opts.uuid)));
+                return;
+            }
+        }
+        cb(null, found);
+    });
+}
+
+
+// --- exports
+
+module.exports = {
+    UPDATES_DIR: UPDATES_DIR,
+    ROLLBACKS_DIR: ROLLBACKS_DIR,
+    rollbackImgUuid: rollbackImgUuid,
+    divergedFromUpdate: divergedFromUpdate,
+    loadUpdate: loadUpdate,
+    listUpdates: listUpdates,
+    findUpdate: findUpdate
+};
@@ -15,8 +15,6 @@
 var child_process = require('child_process');
 var exec = child_process.exec;
 var fs = require('fs');
-var http  = require('http');
-var https = require('https');
 var path = require('path');
 var util = require('util');
 var format = util.format;
@@ -36,11 +34,19 @@ var VError = require('verror').VError;
 var WfClient = require('wf-client');
 
 var common = require('./common');
+var UpdateCheckpoint = require('./checkpoint').UpdateCheckpoint;
 var svcadm = require('./svcadm');
 var errors = require('./errors');
-var lock = require('./locker').lock;
+var History = require('./history').History;
+var sdcadmLock = require('./lock');
+var healthChecks = require('./health-checks');
+var manateeBackupLib = require('./manatee-backup');
+var migrationsLib = require('./migrations');
+var preflight = require('./preflight');
 var pkg = require('../package.json');
 var procedures = require('./procedures');
+var rollbackLib = require('./rollback');
+var updateSources = require('./update-sources');
 
 var UA = format('%s/%s (node/%s; openssl/%s)', pkg.name, pkg.version,
         process.versions.node, process.versions.openssl);
@@ -109,8 +115,15 @@ function SdcAdm(options) {
     this.username = options.username;
 
     self._lockPath = '/var/run/sdcadm.lock';
+    self._lockHolderPath = '/var/run/sdcadm.lock.json';
     self._reprovFailLockPath = '/var/sdcadm/reprovFailLock.json';
 
+    self.history = new History({
+        log: self.log,
+        uuid: self.uuid,
+        username: self.username
+    });
+
     self.userAgent = UA;
     Object.defineProperty(this, 'cueballAgent', {
         get: function () {
@@ -249,7 +262,8 @@ function SdcAdm(options) {
                 assert.object(self.sdcApp, 'self.sdcApp (the SAPI "sdc" app)' +
                     ' must be retrieved for client config');
                 var opts = {
-                    url: self.config.updatesServerUrl,
+                    sources: self.config.updateSources,
+                    trustedKeys: self.config.trustedImageKeys,
                     proxy: self.sdcApp.metadata.http_proxy || false,
                     userAgent: self.userAgent,
                     log: self.log,
@@ -260,7 +274,7 @@ function SdcAdm(options) {
                 if (self.sdcApp.metadata.update_channel) {
                     opts.channel = self.sdcApp.metadata.update_channel;
                 }
-                self._updates = new sdcClients.IMGAPI(opts);
+                self._updates = new updateSources.UpdateSources(opts);
             }
             return self._updates;
         }
@@ -441,12 +455,30 @@ SdcAdm.prototype.init = function init(cb) {
             return;
         }
 
-        self.config = config;
-        if (self.config.serverUuid) {
-            self.userAgent += ' server=' + self.config.serverUuid;
+        // Normalize "updateSources" (see lib/update-sources.js) for
+        // `self.updates`.
+        var sourcesRes = updateSources.sourcesFromConfig(config);
+        if (sourcesRes.err) {
+            cb(sourcesRes.err);
+            return;
         }
+        config.updateSources = sourcesRes.sources;
 
-        cb();
+        // Load the "trustedImageKeys" files for image signature checks.
+        updateSources.loadTrustedKeys(config, function (keysErr, keys) {
+            if (keysErr) {
+                cb(keysErr);
+                return;
+            }
+            config.trustedImageKeys = keys;
+
+            self.config = config;
+            if (self.config.serverUuid) {
+                self.userAgent += ' server=' + self.config.serverUuid;
+            }
+
+            cb();
+        });
     });
 };
 
@@ -1326,7 +1358,8 @@ SdcAdm.prototype.getDefaultChannel = function getDefaultChannel(cb) {
                     var remote = channels.filter(function (c) {
                         return (c['default']);
                     }).shift();
-                    channel = remote.name;
+                    // Update sources without channels have no default.
+                    channel = (remote ? remote.name : undefined);
                     next();
                 });
             }
@@ -1338,6 +1371,46 @@ SdcAdm.prototype.getDefaultChannel = function getDefaultChannel(cb) {
 };
 
 
+/**
+ * Get the channel to look for images of the given service in: the channel
+ * given explicitly (e.g. with "--channel"), even if it is the default one,
+ * else the channel the service is pinned to (see `sdcadm channel pin`), else
+ * the default.
+ *
+ * `ensureSdcApp` must have been called.
+ *
+ * @param name {String} The service name, or "agentsshar".
+ * @returns {String} The channel, or undefined for the update sources default.
+ */
+SdcAdm.prototype.channelForService = function channelForService(name) {
+    assert.string(name, 'name');
+    assert.object(this.sdcApp, 'this.sdcApp');
+
+    var channel = this.updates.channel;
+    if (this.updates.channelGiven()) {
+        return channel;
+    }
+    var pins = this.sdcApp.metadata.update_channel_pins || {};
+    return pins[name] || channel;
+};
+
+
+/**
+ * Like `channelForService`, for the service(s) using the given image name.
+ */
+SdcAdm.prototype.channelForImageName = function channelForImageName(imgName) {
+    assert.string(imgName, 'imgName');
+    var self = this;
+
+    var pins = self.sdcApp.metadata.update_channel_pins || {};
+    var pinned = Object.keys(pins).filter(function (name) {
+        return (name === imgName ||
+            self.config.imgNameFromSvcName[name] === imgName);
+    })[0];
+    return self.channelForService(pinned || imgName);
+};
+
+
 /**
  * Return an array of candidate images (the full image objects) for a
  * give service update. If available, the oldest current instance image is
@@ -1429,9 +1502,12 @@ SdcAdm.prototype.getCandidateImages = function getCandidateImages(opts, cb) {
                     currImgs[0].published_at : undefined)
             };
 
-            self.log.debug({filter: filter},
+            var channel = self.channelForService(opts.service.name);
+            self.log.debug({filter: filter, channel: channel},
                 'getCandidateImages: getCandidates');
-            self.updates.listImages(filter, function (uErr, followingImgs) {
+            self.updates.listImages(filter, {
+                channel: channel
+            }, function (uErr, followingImgs) {
                 if (uErr) {
                     next(uErr);
                     return;
@@ -1459,32 +1535,24 @@ SdcAdm.prototype.getCandidateImages = function getCandidateImages(opts, cb) {
 };
 
 
+/**
+ * Acquire the sdcadm lock: the local one and, if the "sapiLock" config var is
+ * set, the SAPI advisory lock (see lib/lock.js).
+ *
+ * @param opts {Object}
+ *      - progress {Function} Required.
+ * @param cb {Function} `function (err, unlock)`. Pass `unlock` to
+ *      `releaseLock`.
+ */
 SdcAdm.prototype.acquireLock = function acquireLock(opts, cb) {
     assert.object(opts, 'opts');
     assert.func(opts.progress, 'opts.progress');
     assert.func(cb, 'cb');
-    var self = this;
-    var log = self.log;
 
-    var acquireLogTimeout = setTimeout(function () {
-        opts.progress('Waiting for sdcadm lock');
-    }, 1000);
-    log.debug({lockPath: self._lockPath}, 'acquire lock');
-    lock(self._lockPath, function (lockErr, unlock) {
-        if (acquireLogTimeout) {
-            clearTimeout(acquireLogTimeout);
-        }
-        if (lockErr) {
-            cb(new errors.InternalError({
-                message: 'error acquiring lock',
-                lockPath: self._lockPath,
-                cause: lockErr
-            }));
-            return;
-        }
-        log.debug({lockPath: self._lockPath}, 'acquired lock');
-        cb(null, unlock);
-    });
+    sdcadmLock.acquireLock({
+        sdcadm: this,
+        progress: opts.progress
+    }, cb);
 };
 
 SdcAdm.prototype.releaseLock = function releaseLock(opts, cb) {
@@ -1627,6 +1695,12 @@ SdcAdm.prototype.reprovFailLock_Unlock = function reprovFailLock_Unlock(cb) {
  *        do_available and do_update, we want to make some differences
  *        between these (avail for example includes sdcadm into the list of
  *        services to check for new available images).
+ *      - preflight {Boolean} Optional. Don't fail on the min platform, min
+ *        image and SAPI mode checks, because the caller runs the pre-flight
+ *        checks on the plan (see "lib/preflight.js").
+ *      - forceMigrations {Boolean} Optional. Allow moving services to images
+ *        which cannot work with their migrated data (see
+ *        "lib/migrations.js").
  * @param cb {Function} Callback of the form `function (err, plan)`.
  */
 SdcAdm.prototype.genUpdatePlan = function genUpdatePlan(options, cb) {
@@ -1641,6 +1715,8 @@ SdcAdm.prototype.genUpdatePlan = function genUpdatePlan(options, cb) {
     assert.optionalBool(options.keepAllImages, 'options.keepAllImages');
     assert.optionalBool(options.noVerbose, 'options.noVerbose');
     assert.optionalBool(options.justAvailable, 'options.justAvailable');
+    assert.optionalBool(options.preflight, 'options.preflight');
+    assert.optionalBool(options.forceMigrations, 'options.forceMigrations');
     // Create instance:
     assert.optionalBool(options.skipHACheck, 'options.skipHACheck');
     assert.func(cb, 'cb');
@@ -1957,7 +2033,10 @@ SdcAdm.prototype.genUpdatePlan = function genUpdatePlan(options, cb) {
                         var imgName =
                             self.config.imgNameFromSvcName[ch.service.name];
 
-                        self.getImage({uuid: ch.image}, function (iErr, img) {
+                        self.getImage({
+                            uuid: ch.image,
+                            channel: self.channelForService(ch.service.name)
+                        }, function (iErr, img) {
                             if (iErr) {
                                 nextChange(new errors.UpdateError(
                                     iErr,
@@ -1984,6 +2063,8 @@ SdcAdm.prototype.genUpdatePlan = function genUpdatePlan(options, cb) {
                             version: ch.version,
                             name:
                                 self.config.imgNameFromSvcName[ch.service.name]
+                        }, {
+                            channel: self.channelForService(ch.service.name)
                         }, function (iErr, img) {
                             if (iErr) {
                                 nextChange(new errors.UpdateError(iErr,
@@ -2251,146 +2332,57 @@ SdcAdm.prototype.genUpdatePlan = function genUpdatePlan(options, cb) {
         },
 
         function ensureVmMinPlatform(_, next) {
-
-            var server;
-            var errs = [];
-
-            function checkMinPlatform(ins, chg) {
-                if (ins.service === chg.service.name) {
-                    server = serverFromUuidOrHostname[ins.server];
-                    if (server.current_platform <
-                        self.config.vmMinPlatform) {
-                        errs.push(new errors.UpdateError(format(
-                            'insufficient platform for service "%s" ' +
-                            'instance "%s" on server "%s" (current ' +
-                            'platform is "%s", require minimum "%s")',
-                            ins.service, ins.instance, ins.server,
-                            server.current_platform,
-                            self.config.vmMinPlatform)));
-                    }
-                }
+            if (options.preflight) {
+                next();
+                return;
             }
-
-            changes.forEach(function checkChangePlatform(ch) {
-                if (ch.service.type !== 'vm') {
-                    return;
-                }
-                if (ch.type === 'update-service') {
-                    for (var j = 0; j < insts.length; j++) {
-                        var inst = insts[j];
-                        checkMinPlatform(inst, ch);
-                    }
-                } else if (ch.type === 'update-instance') {
-                    checkMinPlatform(ch.instance, ch);
-                } else if (ch.type === 'create-instances') {
-                    ch.servers.forEach(function (chServ) {
-                        server = serverFromUuidOrHostname[chServ];
-                        if (server.current_platform <
-                            self.config.vmMinPlatform) {
-                            errs.push(new errors.UpdateError(format(
-                                'insufficient platform for a new service ' +
-                                '"%s" instance on server "%s" (current ' +
-                                'platform is "%s", require minimum "%s")',
-                                ch.service.name, chServ,
-                                server.current_platform,
-                                self.config.vmMinPlatform)));
-                        }
-                    });
-                }
+            var errs = preflight.minPlatformErrors({
+                changes: changes,
+                insts: insts,
+                serverFromUuidOrHostname: serverFromUuidOrHostname,
+                vmMinPlatform: self.config.vmMinPlatform
             });
-
             if (errs.length) {
-                var er = (errs.length === 1) ? errs[0] :
-                    new errors.MultiError(errs);
-                next(er);
+                next(errs.length === 1 ? errs[0] :
+                    new errors.MultiError(errs));
             } else {
                 next();
             }
         },
 
         function minImageBuildDateFromSvcName(_, next) {
-            if (options.forceBypassMinImage) {
+            if (options.forceBypassMinImage || options.preflight) {
                 next();
                 return;
             }
-            var ch;
-            var errs = [];
-
-            function checkMinImageBuildDate(ins) {
-                var minImg = self.config.svcMinImages[ins.service];
-                if (!ins.version) {
-                    var msg = format('Unknown image ' +
-                        'version for service "%s". Cannot evaluate ' +
-                        'if minimal requirements for update are met ' +
-                        'by the current image. This can be fixed ' +
-                        'by re-importing the image into the DC via:' +
-                        '\n\n    sdc-imgadm ' +
-                        'import %s -S https://updates.joyent.com?' +
-                        'channel=<channel>', ins.service, ins.image);
-
-                    errs.push(new errors.UpdateError(msg));
-                    return;
-                }
-                var parts = ins.version.split('-');
-                var curImg = parts[parts.length - 2];
-                if (minImg > curImg) {
-                    errs.push(new errors.UpdateError(format(
-                        'image for service "%s" is too old for ' +
-                        'sdcadm update (min image build date ' +
-                        'is "%s" current image build date is "%s")',
-                        ins.service,
-                        minImg,
-                        curImg
-                    )));
-                }
-            }
-
-            for (var i = 0; i < changes.length; i++) {
-                ch = changes[i];
-                if (ch.service.type !== 'vm') {
-                    /*
-                     * We only exclude other service types because we know all
-                     * entries in `svcMinImages` are VM services, and because
-                     * current agent image "version" field values often don't
-                     * have the build timestamp for comparison.
-                     */
-                    continue;
-                }
-                if (ch.type === 'update-service') {
-                    for (var j = 0; j < insts.length; j++) {
-                        var inst = insts[j];
-                        if (inst.service !== ch.service.name) {
-                            continue;
-                        }
-                        if (!self.config.svcMinImages[inst.service]) {
-                            continue;
-                        }
-                        checkMinImageBuildDate(inst);
-                    }
-                } else if (ch.type === 'update-instance') {
-                    if (self.config.svcMinImages[ch.instance.service]) {
-                        checkMinImageBuildDate(ch.instance);
-                    }
-                } else if (ch.type === 'create-instances') {
-                    if (self.config.svcMinImages[ch.service.name]) {
-                        checkMinImageBuildDate({
-                            service: ch.service.name,
-                            version: ch.image.version,
-                            image: ch.image.uuid
-                        });
-                    }
-                }
-
-            }
+            var errs = preflight.minImageErrors({
+                changes: changes,
+                insts: insts,
+                svcMinImages: self.config.svcMinImages
+            });
             if (errs.length) {
-                var er = (errs.length === 1) ? errs[0] :
-                    new errors.MultiError(errs);
-                next(er);
+                next(errs.length === 1 ? errs[0] :
+                    new errors.MultiError(errs));
             } else {
                 next();
             }
         },
 
+        function checkMigrations(_, next) {
+            if (justImages || options.justAvailable) {
+                next();
+                return;
+            }
+            migrationsLib.checkDowngrades({
+                sdcadm: self,
+                changes: changes,
+                insts: insts,
+                force: options.forceMigrations,
+                forceOpt: '--force-migrations',
+                progress: progress
+            }, next);
+        },
+
         function getChannel(_, next) {
             if (options.noVerbose) {
                 next();
@@ -2456,7 +2448,8 @@ SdcAdm.prototype.genUpdatePlan = function genUpdatePlan(options, cb) {
                 progress: progress,
                 noVerbose: options.noVerbose,
                 servers: options.servers || [],
-                justAvailable: options.justAvailable
+                justAvailable: options.justAvailable,
+                skipSapiModeCheck: options.preflight
             }, function (err, procs_) {
                 plan.procs = procs_;
                 next(err);
@@ -2485,15 +2478,23 @@ SdcAdm.prototype.summarizePlan = function summarizePlan(options) {
  * Execute an update plan.
  * The caller should be holding a `<SdcAdm>.acquireLock()`.
  *
+ * Progress is checkpointed into the update work dir after each procedure so
+ * that a failed update can later be resumed (see `genResumePlan`).
+ *
  * @param options {Object}  Required.
  *      - plan {Object} Required. The update plan as returned by
- *        `genUpdatePlan`.
+ *        `genUpdatePlan` or `genResumePlan`.
  *      - ui {Object} Required. A CLI `UI` instance for this sdcadm invocation.
  *      - progress {Function} Optional. A function that is called
  *        with progress messages. Called like printf, i.e. passing in
  *        `console.log` or a Bunyan `log.info.bind(log)` is fine.
  *        Deprecated. Use `ui`.
  *      - dryRun {Boolean} Optional. Default false.
+ *      - resume {UpdateCheckpoint} Optional. The checkpoint of the update
+ *        being resumed, as from `genResumePlan`. Its work dir is reused.
+ *      - backupManatee {Boolean} Optional. Take a manatee backup (see
+ *        "lib/manatee-backup.js") before executing a plan which updates
+ *        manatee or moray instances. Default false.
  * @param cb {Function} Callback of the form `function (err)`.
  */
 SdcAdm.prototype.execUpdatePlan = function execUpdatePlan(options, cb) {
@@ -2507,6 +2508,8 @@ SdcAdm.prototype.execUpdatePlan = function execUpdatePlan(options, cb) {
             'options.ufdsBackupTimeout');
     // We need a pointer to the update directory when we're trying to rollback:
     assert.optionalString(options.upDir, 'options.upDir');
+    assert.optionalObject(options.resume, 'options.resume');
+    assert.optionalBool(options.backupManatee, 'options.backupManatee');
     assert.func(cb, 'cb');
 
     var self = this;
@@ -2518,6 +2521,8 @@ SdcAdm.prototype.execUpdatePlan = function execUpdatePlan(options, cb) {
 
     var start = new Date();
     var wrkDir;
+    var checkpoint;
+    var historyStarted = false;
 
     vasync.pipeline({funcs: [
         function checkReprovisionLock(_, next) {
@@ -2543,6 +2548,12 @@ SdcAdm.prototype.execUpdatePlan = function execUpdatePlan(options, cb) {
             });
         },
         function createWrkDir(_, next) {
+            if (options.resume) {
+                wrkDir = options.resume.wrkDir;
+                progress('Reuse work dir: ' + wrkDir);
+                next();
+                return;
+            }
             var stamp = common.utcTimestamp(start);
             wrkDir = (rollback ?
                     '/var/sdcadm/rollbacks/' : '/var/sdcadm/updates/'
@@ -2565,7 +2576,7 @@ SdcAdm.prototype.execUpdatePlan = function execUpdatePlan(options, cb) {
         },
 
         function savePlan(_, next) {
-            if (options.dryRun) {
+            if (options.dryRun || options.resume) {
                 next();
                 return;
             }
@@ -2585,6 +2596,57 @@ SdcAdm.prototype.execUpdatePlan = function execUpdatePlan(options, cb) {
                 });
         },
 
+        function saveCheckpoint(_, next) {
+            if (options.dryRun) {
+                next();
+                return;
+            }
+            if (options.resume) {
+                checkpoint = options.resume;
+                checkpoint.state = 'running';
+                checkpoint.resumes.push(self.uuid);
+            } else {
+                checkpoint = new UpdateCheckpoint({
+                    wrkDir: wrkDir,
+                    uuid: self.uuid,
+                    curr: plan.curr,
+                    procs: plan.procs,
+                    forceSameImage: plan.forceSameImage,
+                    username: self.username,
+                    sdcadmVersion: pkg.version,
+                    rollbackOf: (rollback ? options.upDir : undefined)
+                });
+                plan.procs.forEach(function (proc, idx) {
+                    proc._checkpointIdx = idx;
+                });
+            }
+            checkpoint.save(next);
+        },
+
+        function startHistory(_, next) {
+            if (options.dryRun) {
+                next();
+                return;
+            }
+            self.history.start({plan: plan}, function (err) {
+                historyStarted = !err;
+                next(err);
+            });
+        },
+
+        function backupManatee(_, next) {
+            if (options.dryRun || !options.backupManatee ||
+                    !manateeBackupLib.changesNeedBackup(plan.changes)) {
+                next();
+                return;
+            }
+            progress('Taking a manatee backup before updating');
+            manateeBackupLib.createBackup({
+                sdcadm: self,
+                progress: progress
+            }, next);
+        },
+
         function execProcedures(_, next) {
             if (options.dryRun) {
                 next();
@@ -2594,27 +2656,244 @@ SdcAdm.prototype.execUpdatePlan = function execUpdatePlan(options, cb) {
                 inputs: plan.procs,
                 func: function execProc(proc, nextProc) {
                     log.debug({summary: proc.summarize()}, 'execProc');
-                    proc.execute({
-                        sdcadm: self,
-                        plan: plan,
-                        progress: progress, // Deprecated. Use `ui`.
-                        ui: ui,
-                        log: log,
-                        wrkDir: wrkDir,
-                        upDir: options.upDir,
-                        concurrency: options.concurrency,
-                        ufds_backup_timeout: options.ufdsBackupTimeout
-                    }, nextProc);
+                    var histProc = self.history.startProc(proc);
+                    checkpoint.startProc(proc._checkpointIdx,
+                            function (startErr) {
+                        if (startErr) {
+                            nextProc(startErr);
+                            return;
+                        }
+                        execCheckpointedProc(proc, histProc, nextProc);
+                    });
                 }
             }, next);
+
+            function execCheckpointedProc(proc, histProc, nextProc) {
+                proc.execute({
+                    sdcadm: self,
+                    plan: plan,
+                    progress: progress, // Deprecated. Use `ui`.
+                    ui: ui,
+                    log: log,
+                    wrkDir: wrkDir,
+                    upDir: options.upDir,
+                    concurrency: options.concurrency,
+                    ufds_backup_timeout: options.ufdsBackupTimeout
+                }, function (procErr) {
+                    self.history.finishProc(histProc, procErr);
+                    checkpoint.finishProc(proc._checkpointIdx, procErr,
+                            function (cpErr) {
+                        nextProc(procErr || cpErr);
+                    });
+                });
+            }
+        },
+
+        function recordMigrations(_, next) {
+            if (options.dryRun || plan.justImages) {
+                next();
+                return;
+            }
+            migrationsLib.recordMigratedRevs({
+                sdcadm: self,
+                changes: plan.changes
+            }, next);
         }
 
     ]}, function (err) {
         if (err) {
             // TOOLS-879: sdcadm update should tell user about the error:
             ui.error('Update error: %r', err);
+            if (checkpoint && !plan.rollback) {
+                ui.info('To resume this update once the error is fixed, ' +
+                    'run:\n    sdcadm update --resume %s', checkpoint.uuid);
+            }
         }
-        cb(err);
+        vasync.pipeline({funcs: [
+            function finishCheckpoint(_, next) {
+                if (!checkpoint) {
+                    next();
+                    return;
+                }
+                checkpoint.finish(err, function (cpErr) {
+                    if (cpErr) {
+                        log.error({err: cpErr}, 'error saving checkpoint');
+                    }
+                    next();
+                });
+            },
+            function finishHistory(_, next) {
+                if (!historyStarted) {
+                    next(err);
+                    return;
+                }
+                self.history.finishWrap(err, next);
+            }
+        ]}, function (finishErr) {
+            cb(finishErr);
+        });
+    });
+};
+
+
+/**
+ * Generate the plan to resume a failed update, from its saved update plan
+ * and checkpoint (see `execUpdatePlan`).
+ * The caller should be holding a `<SdcAdm>.acquireLock()`.
+ *
+ * This errors out if the DC has diverged from the checkpointed state: if any
+ * instance is not on either the image it was on when the update was planned
+ * or the image the update was moving it to, or if the procedures to
+ * complete the plan are no longer the same.
+ *
+ * @param options {Object}  Required.
+ *      - uuid {String} Required. The sdcadm run UUID of the failed update.
+ *      - progress {Function} Optional. A function that is called
+ *        with progress messages.
+ * @param cb {Function} Callback of the form `function (err, plan, checkpoint)`
+ *      where `checkpoint` should be passed as the `resume` option of
+ *      `execUpdatePlan`.
+ */
+SdcAdm.prototype.genResumePlan = function genResumePlan(options, cb) {
+    assert.object(options, 'options');
+    assert.uuid(options.uuid, 'options.uuid');
+    assert.optionalFunc(options.progress, 'options.progress');
+    assert.func(cb, 'cb');
+
+    var self = this;
+    var log = self.log;
+    var progress = options.progress || function () {};
+
+    var context = {};
+    vasync.pipeline({arg: context, funcs: [
+        function findCheckpoint(ctx, next) {
+            UpdateCheckpoint.find({uuid: options.uuid}, function (err, cp) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                if (cp.state === 'succeeded') {
+                    next(new errors.UsageError(format(
+                        'update %s already completed successfully',
+                        options.uuid)));
+                    return;
+                } else if (cp.state === 'running') {
+                    // This is either a concurrent run (not possible as long
+                    // as the caller holds the sdcadm lock), or a run which
+                    // crashed. Assume the latter.
+                    log.info({checkpoint: cp.wrkDir},
+                        'resuming update that did not finish');
+                }
+                ctx.checkpoint = cp;
+                progress('Resuming update %s (from %s)', options.uuid,
+                    cp.wrkDir);
+                next();
+            });
+        },
+
+        function loadPlan(ctx, next) {
+            var planFile = path.resolve(ctx.checkpoint.wrkDir, 'plan.json');
+            fs.readFile(planFile, 'utf8', function (err, data) {
+                if (err) {
+                    next(new errors.InternalError({
+                        message: 'error reading update plan: ' + planFile,
+                        cause: err
+                    }));
+                    return;
+                }
+                try {
+                    ctx.savedPlan = JSON.parse(data);
+                } catch (parseErr) {
+                    next(new errors.InternalError({
+                        message: 'invalid update plan JSON: ' + planFile,
+                        cause: parseErr
+                    }));
+                    return;
+                }
+                if (ctx.savedPlan.v !== UPDATE_PLAN_FORMAT_VER) {
+                    next(new errors.UpdateError(format(
+                        'cannot resume update plan of version %s: %s',
+                        ctx.savedPlan.v, planFile)));
+                    return;
+                }
+                next();
+            });
+        },
+
+        function checkDivergence(ctx, next) {
+            self.listInsts(function (err, insts) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                var diverged = ctx.checkpoint.divergedInsts(insts,
+                    ctx.savedPlan.targ);
+                if (diverged.length) {
+                    next(new errors.UpdateError(format(
+                        'cannot resume update %s: the following instances ' +
+                        'have changed since the update was checkpointed:\n' +
+                        '%s', options.uuid, diverged.map(function (d) {
+                            return format('    %s (%s): image %s, ' +
+                                'expected %s', d.alias || d.instance,
+                                d.service, d.image || '(gone)',
+                                d.expected.join(' or '));
+                        }).join('\n'))));
+                    return;
+                }
+                next();
+            });
+        },
+
+        function getServers(ctx, next) {
+            self.cnapi.listServers(function (err, servers) {
+                if (err) {
+                    next(new errors.SDCClientError(err, 'cnapi'));
+                    return;
+                }
+                ctx.serverFromUuidOrHostname = {};
+                servers.forEach(function (server) {
+                    ctx.serverFromUuidOrHostname[server.uuid] = server;
+                    ctx.serverFromUuidOrHostname[server.hostname] = server;
+                });
+                next();
+            });
+        },
+
+        // Re-generate the plan procedures as they were first generated,
+        // i.e. using the checkpointed instances, and drop those done.
+        function determineProcedures(ctx, next) {
+            ctx.plan = new UpdatePlan({
+                curr: ctx.checkpoint.curr,
+                targ: ctx.savedPlan.targ,
+                changes: ctx.savedPlan.changes,
+                justImages: ctx.savedPlan.justImages,
+                forceSameImage: ctx.checkpoint.forceSameImage
+            });
+            procedures.coordinatePlan({
+                plan: ctx.plan,
+                sdcadm: self,
+                serverFromUuidOrHostname: ctx.serverFromUuidOrHostname,
+                log: log,
+                progress: progress,
+                noVerbose: true
+            }, function (err, procs) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                var pending = ctx.checkpoint.pendingProcs(procs);
+                if (pending.err) {
+                    next(new errors.UpdateError(pending.err, format(
+                        'cannot resume update %s: %s', options.uuid,
+                        pending.err.message)));
+                    return;
+                }
+                ctx.plan.procs = pending.procs;
+                next();
+            });
+        }
+    ]}, function (err) {
+        cb(err, context.plan, context.checkpoint);
     });
 };
 
@@ -2909,7 +3188,7 @@ SdcAdm.prototype.selfUpdate = function selfUpdate(options, cb) {
             }
 
             progress('%sDownload update from %s', dryRunPrefix,
-                self.config.updatesServerUrl);
+                self.updates.describe());
             if (options.dryRun) {
                 next();
                 return;
@@ -2921,7 +3200,7 @@ SdcAdm.prototype.selfUpdate = function selfUpdate(options, cb) {
                 if (downloadErr) {
                     next(new errors.InternalError({
                         message: 'error downloading sdcadm package',
-                        updatesServerUrl: self.config.updatesServerUrl,
+                        updateSources: self.updates.describe(),
                         uuid: updateManifest.uuid,
                         cause: downloadErr
                     }));
@@ -3047,6 +3326,9 @@ SdcAdm.prototype._dcMaintInfoPath = '/var/sdcadm/dc-maint.json';
  *          {maint: false}         // not in maint mode
  *          {maint: true}          // in maint mode, don't have start time
  *          {maint: true, startTime: <date>}
+ *      When maintenance was entered by an sdcadm run (`sdcadm update --maint`)
+ *      it also has `runUuid`, and, if that run failed, `failure`:
+ *      `{runUuid, time, message}`.
  */
 SdcAdm.prototype.dcMaintStatus = function dcMaintStatus(cb) {
     assert.func(cb, 'cb');
@@ -3057,7 +3339,7 @@ SdcAdm.prototype.dcMaintStatus = function dcMaintStatus(cb) {
     var maint = false;
     var cloudapiMaint;
     var dockerMaint;
-    var startTime;
+    var info = {};
 
     vasync.pipeline({funcs: [
         function ensureSdcApp(_, next) {
@@ -3129,7 +3411,7 @@ SdcAdm.prototype.dcMaintStatus = function dcMaintStatus(cb) {
                         'could not loading dc-maint info file');
                 } else {
                     try {
-                        startTime = JSON.parse(content).startTime;
+                        info = JSON.parse(content);
                     } catch (parseErr) {
                         log.warn(parseErr,
                             'could not parse dc-maint info file');
@@ -3148,9 +3430,11 @@ SdcAdm.prototype.dcMaintStatus = function dcMaintStatus(cb) {
                 cloudapiMaint: cloudapiMaint,
                 dockerMaint: dockerMaint
             };
-            if (startTime) {
-                status.startTime = startTime;
-            }
+            ['startTime', 'runUuid', 'failure'].forEach(function (field) {
+                if (info[field]) {
+                    status[field] = info[field];
+                }
+            });
             if (self.sdcApp.metadata.DC_MAINT_MESSAGE) {
                 status.message = self.sdcApp.metadata.DC_MAINT_MESSAGE;
             }
@@ -3170,6 +3454,8 @@ SdcAdm.prototype.dcMaintStatus = function dcMaintStatus(cb) {
  *      - progress {Function} Optional. A function that is called
  *        with progress messages. Called like printf, i.e. passing in
  *        `console.log` or a Bunyan `log.info.bind(log)` is fine.
+ *      - runUuid {UUID} Optional. The sdcadm run entering maintenance (e.g.
+ *        `sdcadm update --maint`), recorded in the dc-maint info file.
  * @param cb {Function} Callback of the form `function (err)`.
  */
 SdcAdm.prototype.dcMaintStart = function dcMaintStart(opts, cb) {
@@ -3177,6 +3463,7 @@ SdcAdm.prototype.dcMaintStart = function dcMaintStart(opts, cb) {
     assert.optionalFunc(opts.progress, 'opts.progress');
     assert.optionalString(opts.eta, 'opts.eta');
     assert.optionalString(opts.message, 'opts.message');
+    assert.optionalUuid(opts.runUuid, 'opts.runUuid');
     assert.func(cb, 'cb');
     var self = this;
     var progress = opts.progress || function () {};
@@ -3363,7 +3650,8 @@ SdcAdm.prototype.dcMaintStart = function dcMaintStart(opts, cb) {
                 return;
             }
             var info = JSON.stringify({
-                'startTime': startTime
+                'startTime': startTime,
+                'runUuid': opts.runUuid
             }, null, 4);
             fs.writeFile(self._dcMaintInfoPath, info, 'utf8', next);
         },
@@ -3422,6 +3710,43 @@ SdcAdm.prototype.dcMaintStart = function dcMaintStart(opts, cb) {
 };
 
 
+/**
+ * Record in the dc-maint info file that the given sdcadm run failed, leaving
+ * the DC in maintenance mode, for `sdcadm dc-maint status`.
+ *
+ * @param opts {Object}  Required.
+ *      - runUuid {UUID} Required.
+ *      - err {Error} Required. The error of the run.
+ * @param cb {Function} Callback of the form `function (err)`.
+ */
+SdcAdm.prototype.dcMaintRecordFailure =
+function dcMaintRecordFailure(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.uuid(opts.runUuid, 'opts.runUuid');
+    assert.object(opts.err, 'opts.err');
+    assert.func(cb, 'cb');
+    var self = this;
+
+    fs.readFile(self._dcMaintInfoPath, 'utf8', function (readErr, content) {
+        var info = {};
+        if (!readErr) {
+            try {
+                info = JSON.parse(content);
+            } catch (parseErr) {
+                self.log.warn(parseErr, 'could not parse dc-maint info file');
+            }
+        }
+        info.failure = {
+            runUuid: opts.runUuid,
+            time: new Date(),
+            message: opts.err.message
+        };
+        fs.writeFile(self._dcMaintInfoPath, JSON.stringify(info, null, 4),
+            'utf8', cb);
+    });
+};
+
+
 /**
  * Leave maintenance mode.
  *
@@ -3661,6 +3986,11 @@ SdcAdm.prototype.dcMaintStop = function dcMaintStop(opts, cb) {
  *            check run in each server's global zone
  *          - 'triton' for an artificial instance result for a severe service
  *            health issue that breaks health checking.
+ *          - 'health-check' for a health checks file (in the
+ *            "healthChecksDir" config dir) which could not be loaded. Its
+ *            `instance` is the file path. These are not reported when
+ *            checking given `insts` or `servers`, so that a broken file
+ *            does not hold up procedures waiting on specific instances.
  *      - healthy: A boolean if the instance is healthy.
  *      - health_errors: An array of error detail objects, each with a "message"
  *        field.
@@ -3673,6 +4003,12 @@ SdcAdm.prototype.dcMaintStop = function dcMaintStop(opts, cb) {
  *      - alias: For type=vm instances, this is the VM alias. For type=global
  *        results this is artificially set to 'global'. Not defined for
  *        type=triton or type=agent.
+ *      - checks: For instances whose SMF service is online, an array with
+ *        the result of each of its health checks (built-in or declared, see
+ *        "lib/health-checks.js"): `{name, type, healthy, message}`.
+ *      - smf_online: Whether `svcs -x` found the SMF service(s) of the
+ *        instance (or, for type=global, of the global zone) online. Not
+ *        defined if that could not be checked.
  *
  * Usage to check if Triton is healthy:
  *
@@ -3707,80 +4043,20 @@ SdcAdm.prototype.checkHealth = function checkHealth(opts, cb) {
         });
     }
 
-    // No need to keep these variables global to the whole sdcadm module:
-    var pingPaths = {
-        // vms
-        amon: '/ping',
-        cloudapi: '/--ping',
-        cnapi: '/ping',
-        fwapi: '/ping',
-        grafana: '/ping',
-        imgapi: '/ping',
-        napi: '/ping',
-        papi: '/ping',
-        prometheus: '/-/healthy',
-        sapi: '/ping',
-        vmapi: '/ping',
-        volapi: '/ping',
-        workflow: '/ping',
-        // agents
-        firewaller: '/status'
-    };
-
-    var pingPorts = {
-        cloudapi: 443,
-        firewaller: 2021,
-        grafana: 443,
-        prometheus: 9090
-    };
+    var checksFromSvc;
+    var checkLoadErrors;
+    var runScript;
 
-    // We can ping instances either when we checked for svcs health using
+    // We can check instances either when we checked for svcs health using
     // Ur client or when we did straight at the Headnode cmd. Shared code
-    // by these two functions:
+    // by these two functions (see "lib/health-checks.js"):
     function _pingInstance(inst, next) {
-
-        var pingPath = pingPaths[inst.service];
-
-        if (!pingPath) {
-            inst.healthy = true;
-            next(null, inst);
-            return;
-        }
-
-        var port = pingPorts[inst.service] || 80;
-
-        var httpClient = (port === 443 ? https : http);
-
-        httpClient.get({
-            hostname: (inst.ip || inst.server_ip),
-            port: port,
-            path: pingPath,
-            agent: false,
-            rejectUnauthorized: false
-        }, function (res) {
-            self.log.debug({ http_response: res.statusCode },
-                           'HTTP result for ' + inst.instance);
-
-            inst.healthy = (res.statusCode === 200);
-
-            if (!inst.healthy) {
-                inst.health_errors = [ {
-                    message: 'ping check to ' + inst.ip + ' failed with ' +
-                             'HTTP code ' + res.statusCode
-                } ];
-            }
-
-            next(null, inst);
-        }).once('error', function (e) {
-            inst.healthy = false;
-
-            inst.health_errors = [ {
-                message: 'ping check to ' + inst.ip + ' failed: ' +
-                         e.message
-            } ];
-
-            next(null, inst);
-        });
+        healthChecks.runChecks({
+            inst: inst,
+            checks: checksFromSvc[inst.service] || [],
+            runScript: runScript,
+            log: self.log
+        }, next);
     }
 
     function connectToUr(_, next) {
@@ -3935,6 +4211,8 @@ SdcAdm.prototype.checkHealth = function checkHealth(opts, cb) {
         // cached forever:
         delete inst.health_errors;
         delete inst.healthy;
+        delete inst.checks;
+        delete inst.smf_online;
 
         urConnection.exec({
             script: script,
@@ -3961,6 +4239,7 @@ SdcAdm.prototype.checkHealth = function checkHealth(opts, cb) {
                   /* eslint-enable */
 
                 inst.healthy = false;
+                inst.smf_online = false;
 
                 var errs = [];
 
@@ -3989,6 +4268,7 @@ SdcAdm.prototype.checkHealth = function checkHealth(opts, cb) {
                 return;
             }
 
+            inst.smf_online = true;
             _pingInstance(inst, next);
         });
     }
@@ -4019,6 +4299,8 @@ SdcAdm.prototype.checkHealth = function checkHealth(opts, cb) {
         // cached forever:
         delete inst.health_errors;
         delete inst.healthy;
+        delete inst.checks;
+        delete inst.smf_online;
 
         common.execFilePlus({
             argv: argv,
@@ -4046,6 +4328,7 @@ SdcAdm.prototype.checkHealth = function checkHealth(opts, cb) {
 
             if (errs.length > 0) {
                 inst.healthy = false;
+                inst.smf_online = false;
                 inst.health_errors = errs.map(function (error) {
                     return { message: 'SMF svcs check failed: ' + error };
                 });
@@ -4053,6 +4336,7 @@ SdcAdm.prototype.checkHealth = function checkHealth(opts, cb) {
                 return;
             }
 
+            inst.smf_online = true;
             _pingInstance(inst, next);
         });
     }
@@ -4112,7 +4396,22 @@ SdcAdm.prototype.checkHealth = function checkHealth(opts, cb) {
             connectToUr,
             lookupServices,
             lookupInstances,
-            getHeadnodeSysinfo
+            function loadHealthChecks(_, next) {
+                healthChecks.loadChecks({sdcadm: self},
+                        function (err, cfs, loadErrors) {
+                    checksFromSvc = cfs;
+                    checkLoadErrors = loadErrors;
+                    next(err);
+                });
+            },
+            getHeadnodeSysinfo,
+            function getScriptRunner(_, next) {
+                runScript = healthChecks.scriptRunner({
+                    headnodeUuid: headnode.UUID,
+                    urConnection: urConnection
+                });
+                next();
+            }
         ]
     }, function (err) {
         if (err) {
@@ -4157,6 +4456,19 @@ SdcAdm.prototype.checkHealth = function checkHealth(opts, cb) {
                 return res;
             });
 
+            if (!opts.insts && !(opts.servers && opts.servers.length)) {
+                checkLoadErrors.forEach(function (loadErr) {
+                    healthResults.push({
+                        type: 'health-check',
+                        instance: loadErr.file,
+                        service: 'sdcadm',
+                        hostname: 'headnode',
+                        healthy: false,
+                        health_errors: [ {message: loadErr.message} ]
+                    });
+                });
+            }
+
             // Notify about results being fetched locally and AMQP down:
             if (urConnection === null) {
                 var urError = {
@@ -4473,8 +4785,15 @@ SdcAdm.prototype.addNics = function addNics(opts, cb) {
 /*
  * Generate a rollback plan from the contents of the given update plan.
  *
+ * This errors out if any instance of the services changed by the update is
+ * not on the image the update moved it to (see
+ * `rollback.divergedFromUpdate`), or if a service would be
+ * rolled back to an image which cannot work with its migrated data (see
+ * "lib/migrations.js").
+ *
  * @param options {Object}  Required.
  *      - updatePlan {Object} Required. The update plan.
+ *      - force {Boolean} Optional. Rollback despite migrations.
  *      - progress {Function} Optional. A function that is called
  *        with progress messages. Called like printf, i.e. passing in
  *        `console.log` or a Bunyan `log.info.bind(log)` is fine.
@@ -4486,6 +4805,7 @@ SdcAdm.prototype.genRollbackPlan = function genRollbackPlan(options, cb) {
     assert.optionalFunc(options.progress, 'options.progress');
     assert.optionalString(options.uuid, 'options.uuid');
     assert.optionalBool(options.forceSameImage, 'options.forceSameImage');
+    assert.optionalBool(options.force, 'options.force');
     assert.func(cb, 'cb');
     var self = this;
     var log = self.log;
@@ -4533,6 +4853,22 @@ SdcAdm.prototype.genRollbackPlan = function genRollbackPlan(options, cb) {
             });
         },
 
+        function checkInstImages(_, next) {
+            var diverged = rollbackLib.divergedFromUpdate(upPlan, insts);
+            if (diverged.length) {
+                next(new errors.UpdateError(format(
+                    'cannot rollback: the following instances are no longer ' +
+                    'on the images the update moved them to:\n%s',
+                    diverged.map(function (d) {
+                        return format('    %s (%s): image %s, expected %s',
+                            d.alias || d.instance, d.service, d.image,
+                            d.expected.join(' or '));
+                    }).join('\n'))));
+                return;
+            }
+            next();
+        },
+
         function genRbSpecFromUpdate(_, next) {
             rbPlan.changes = [];
             upPlan.changes.forEach(function (change) {
@@ -4583,6 +4919,16 @@ SdcAdm.prototype.genRollbackPlan = function genRollbackPlan(options, cb) {
             });
         },
 
+        function checkMigrations(_, next) {
+            migrationsLib.checkDowngrades({
+                sdcadm: self,
+                changes: rbPlan.changes,
+                insts: insts,
+                force: options.force,
+                progress: progress
+            }, next);
+        },
+
         function getChannel(_, next) {
             self.getDefaultChannel(function (err, channel) {
                 // Will not fail the whole operation due to channel not found
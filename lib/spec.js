@@ -0,0 +1,366 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * DC "desired state" specs, as used by `sdcadm update -f SPEC-FILE` and
+ * generated by `sdcadm export-spec`:
+ *
+ *      {
+ *          "v": 1,
+ *          "services": {
+ *              "<core vm service name>": "<image uuid>",
+ *              ...
+ *          },
+ *          "agents": {
+ *              "<agent service name>": "<image uuid>",
+ *              ...
+ *          },
+ *          "platforms": {
+ *              "<server uuid or hostname>": "<platform version>",
+ *              ...
+ *          }
+ *      }
+ *
+ * All of "services", "agents" and "platforms" are optional: anything not
+ * mentioned in a spec is left alone by `sdcadm update -f`.
+ *
+ * When exporting, a service whose instances are on different images gets
+ * the (sorted) array of those image UUIDs instead of a single one. Such a
+ * spec must be edited to pick one image before it can be used for an update.
+ *
+ * Specs can also be written in YAML, with the same structure, in files
+ * named "*.yaml" or "*.yml" (see `isYamlFile`).
+ */
+
+var util = require('util');
+
+var assert = require('assert-plus');
+var yaml = require('js-yaml');
+
+var common = require('./common');
+var errors = require('./errors');
+
+
+// --- globals
+
+var SPEC_FORMAT_VER = 1;
+
+
+// --- internal support functions
+
+/*
+ * Map each service name to its instances' image UUID (or sorted array of
+ * image UUIDs if there is more than one).
+ */
+function imagesFromSvc(insts) {
+    var imgsFromSvc = {};
+    insts.forEach(function (inst) {
+        if (!inst.image) {
+            return;
+        }
+        if (!imgsFromSvc[inst.service]) {
+            imgsFromSvc[inst.service] = {};
+        }
+        imgsFromSvc[inst.service][inst.image] = true;
+    });
+
+    var res = {};
+    Object.keys(imgsFromSvc).sort().forEach(function (svc) {
+        var imgs = Object.keys(imgsFromSvc[svc]).sort();
+        res[svc] = (imgs.length === 1 ? imgs[0] : imgs);
+    });
+    return res;
+}
+
+
+// --- exported functions
+
+/**
+ * Validate a parsed DC spec.
+ *
+ * @returns {Error} A ValidationError (or MultiError of them) if the spec is
+ *      invalid, null otherwise.
+ */
+function validateSpec(spec) {
+    var errs = [];
+
+    if (typeof (spec) !== 'object' || spec === null || Array.isArray(spec)) {
+        return new errors.ValidationError('spec is not an object');
+    }
+    if (spec.v !== SPEC_FORMAT_VER) {
+        return new errors.ValidationError(util.format(
+            'unsupported spec format version: %j (expected %d)',
+            spec.v, SPEC_FORMAT_VER));
+    }
+
+    Object.keys(spec).forEach(function (k) {
+        if (['v', 'services', 'agents', 'platforms'].indexOf(k) === -1) {
+            errs.push(new errors.ValidationError(
+                'unknown spec field: ' + k));
+        }
+    });
+
+    ['services', 'agents', 'platforms'].forEach(function (section) {
+        var val = spec[section];
+        if (val === undefined) {
+            return;
+        }
+        if (typeof (val) !== 'object' || val === null || Array.isArray(val)) {
+            errs.push(new errors.ValidationError(util.format(
+                'spec "%s" is not an object', section)));
+            return;
+        }
+        Object.keys(val).forEach(function (name) {
+            var v = val[name];
+            var repr = util.format('"%s.%s"', section, name);
+            if (section === 'platforms') {
+                if (typeof (v) !== 'string' || !v) {
+                    errs.push(new errors.ValidationError(util.format(
+                        '%s is not a platform version: %j', repr, v)));
+                }
+            } else if (Array.isArray(v)) {
+                errs.push(new errors.ValidationError(util.format(
+                    '%s lists several images (instances on mixed images ' +
+                    'when exported?), pick one of them: %s',
+                    repr, v.join(', '))));
+            } else if (typeof (v) !== 'string' || !common.UUID_RE.test(v)) {
+                errs.push(new errors.ValidationError(util.format(
+                    '%s is not an image UUID: %j', repr, v)));
+            }
+        });
+    });
+
+    if (errs.length === 1) {
+        return errs[0];
+    } else if (errs.length > 1) {
+        return new errors.MultiError(errs);
+    }
+    return null;
+}
+
+
+/**
+ * Generate the DC spec for the current state of the DC.
+ *
+ * @param opts {Object}
+ *      - insts {Array} Required. Instances, as from `SdcAdm.listInsts`.
+ *      - servers {Array} Required. CNAPI server objects.
+ * @returns {Object} The DC spec.
+ */
+function specFromDc(opts) {
+    assert.object(opts, 'opts');
+    assert.arrayOfObject(opts.insts, 'opts.insts');
+    assert.arrayOfObject(opts.servers, 'opts.servers');
+
+    var platforms = {};
+    opts.servers.slice().sort(function (a, b) {
+        return (a.uuid < b.uuid ? -1 : (a.uuid > b.uuid ? 1 : 0));
+    }).forEach(function (server) {
+        if (server.boot_platform) {
+            platforms[server.uuid] = server.boot_platform;
+        }
+    });
+
+    return {
+        v: SPEC_FORMAT_VER,
+        services: imagesFromSvc(opts.insts.filter(function (inst) {
+            return (inst.type === 'vm');
+        })),
+        agents: imagesFromSvc(opts.insts.filter(function (inst) {
+            return (inst.type === 'agent');
+        })),
+        platforms: platforms
+    };
+}
+
+
+/**
+ * Get the `SdcAdm.genUpdatePlan` changes for the services and agents of a
+ * (validated) DC spec. Changes for services or agents already on the spec
+ * image are still included: `genUpdatePlan` drops those as no-ops.
+ *
+ * @param spec {Object} The DC spec.
+ * @param opts {Object}
+ *      - svcs {Array} Required. Services, as from `SdcAdm.getServices`.
+ *      - agents {Boolean} Optional. Whether to include agent changes.
+ *        Individual agent updates are only supported by
+ *        `sdcadm experimental update`.
+ * @returns {Object} `{err: <Error>, changes: <Array>, skipped: <Array>}`
+ *      where `skipped` are the names of agent services left out.
+ */
+function changesFromSpec(spec, opts) {
+    assert.object(spec, 'spec');
+    assert.object(opts, 'opts');
+    assert.arrayOfObject(opts.svcs, 'opts.svcs');
+    assert.optionalBool(opts.agents, 'opts.agents');
+
+    var svcFromName = {};
+    opts.svcs.forEach(function (svc) {
+        svcFromName[svc.name] = svc;
+    });
+
+    var changes = [];
+    var skipped = [];
+    var unknown = [];
+
+    Object.keys(spec.services || {}).forEach(function (name) {
+        var svc = svcFromName[name];
+        if (!svc || svc.type !== 'vm') {
+            unknown.push(name);
+            return;
+        }
+        changes.push({service: name, image: spec.services[name]});
+    });
+
+    Object.keys(spec.agents || {}).forEach(function (name) {
+        var svc = svcFromName[name];
+        if (!svc || svc.type !== 'agent') {
+            unknown.push(name);
+            return;
+        }
+        if (!opts.agents) {
+            skipped.push(name);
+            return;
+        }
+        changes.push({service: name, image: spec.agents[name]});
+    });
+
+    if (unknown.length) {
+        return {
+            err: new errors.UsageError(util.format(
+                'unknown service%s in spec: %s',
+                (unknown.length === 1 ? '' : 's'), unknown.join(', ')))
+        };
+    }
+    return {changes: changes, skipped: skipped};
+}
+
+
+/**
+ * Get the platform assignments needed to converge servers to the platforms
+ * of a (validated) DC spec.
+ *
+ * @param spec {Object} The DC spec.
+ * @param servers {Array} CNAPI server objects.
+ * @returns {Object} `{err: <Error>, assignments: <Array>}` where each
+ *      assignment is `{platform: <platform>, servers: [<server>, ...]}`.
+ */
+function platformAssignmentsFromSpec(spec, servers) {
+    assert.object(spec, 'spec');
+    assert.arrayOfObject(servers, 'servers');
+
+    var serverFromUuidOrHostname = {};
+    servers.forEach(function (server) {
+        serverFromUuidOrHostname[server.uuid] = server;
+        serverFromUuidOrHostname[server.hostname] = server;
+    });
+
+    var serversFromPlatform = {};
+    var unknown = [];
+    Object.keys(spec.platforms || {}).forEach(function (id) {
+        var server = serverFromUuidOrHostname[id];
+        if (!server) {
+            unknown.push(id);
+            return;
+        }
+        var platform = spec.platforms[id];
+        if (server.boot_platform === platform) {
+            return;
+        }
+        if (!serversFromPlatform[platform]) {
+            serversFromPlatform[platform] = [];
+        }
+        serversFromPlatform[platform].push(server);
+    });
+
+    if (unknown.length) {
+        return {
+            err: new errors.UsageError(util.format(
+                'unknown server%s in spec: %s',
+                (unknown.length === 1 ? '' : 's'), unknown.join(', ')))
+        };
+    }
+
+    return {
+        assignments: Object.keys(serversFromPlatform).sort().map(
+            function (platform) {
+                return {
+                    platform: platform,
+                    servers: serversFromPlatform[platform]
+                };
+            })
+    };
+}
+
+
+/**
+ * Whether the given spec file is YAML, going by its extension. Anything
+ * else is taken as JSON.
+ */
+function isYamlFile(file) {
+    assert.string(file, 'file');
+    return /\.ya?ml$/i.test(file);
+}
+
+
+/**
+ * Parse the content of a spec file, either a DC spec or an array of
+ * changes for `sdcadm update -f`.
+ *
+ * @param text {String} The file content.
+ * @param file {String} The file name: it is parsed as YAML if `isYamlFile`,
+ *      as JSON otherwise.
+ * @returns {Object} `{err: <UsageError>}` if it cannot be parsed, else
+ *      `{parsed: <value>}`.
+ */
+function parseSpecText(text, file) {
+    assert.string(text, 'text');
+    assert.string(file, 'file');
+
+    var useYaml = isYamlFile(file);
+    try {
+        return {
+            parsed: (useYaml ? yaml.safeLoad(text) : JSON.parse(text))
+        };
+    } catch (ex) {
+        return {
+            err: new errors.UsageError(ex, util.format('%s is not valid %s',
+                file, (useYaml ? 'YAML' : 'JSON')))
+        };
+    }
+}
+
+
+/**
+ * Format a DC spec as JSON or, with `opts.yaml`, as YAML.
+ */
+function formatSpec(spec, opts) {
+    assert.object(spec, 'spec');
+    assert.optionalObject(opts, 'opts');
+
+    if (opts && opts.yaml) {
+        return yaml.safeDump(spec);
+    }
+    return JSON.stringify(spec, null, 4) + '\n';
+}
+
+
+// --- exports
+
+module.exports = {
+    SPEC_FORMAT_VER: SPEC_FORMAT_VER,
+    validateSpec: validateSpec,
+    specFromDc: specFromDc,
+    changesFromSpec: changesFromSpec,
+    platformAssignmentsFromSpec: platformAssignmentsFromSpec,
+    isYamlFile: isYamlFile,
+    parseSpecText: parseSpecText,
+    formatSpec: formatSpec
+};
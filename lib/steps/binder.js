@@ -342,11 +342,109 @@ function updateCoreVmsResolvers(arg, cb) {
         }
     }, cb);
 }
+/**
+ * Set the resolvers of the "admin" network to the IPs of the binder
+ * instances (`arg.ctx.binderIps`), if they differ. Sets
+ * `arg.ctx.admin_network_uuid`.
+ */
+function updateAdminNetworkResolvers(arg, cb) {
+    assert.object(arg, 'arg');
+    assert.func(arg.progress, 'arg.progress');
+    assert.object(arg.sdcadm, 'arg.sdcadm');
+    assert.object(arg.ctx, 'arg.ctx');
+    assert.arrayOfString(arg.ctx.binderIps, 'arg.ctx.binderIps');
+    assert.func(cb, 'cb');
+
+    var sdcadm = arg.sdcadm;
+    var ctx = arg.ctx;
+
+    sdcadm.napi.listNetworks({
+        name: 'admin',
+        owner_uuid: sdcadm.config.ufds_admin_uuid
+    }, function (err, nets) {
+        if (err) {
+            cb(new errors.SDCClientError(err, 'napi'));
+            return;
+        }
+
+        if (!nets.length) {
+            cb(new errors.InternalError({
+                message: 'Cannot find Admin network in NAPI'
+            }));
+            return;
+        }
+
+        ctx.admin_network_uuid = nets[0].uuid;
+        var changed = (
+            ctx.binderIps.length !== nets[0].resolvers.length ||
+            !ctx.binderIps.every(function checkIp(ip, pos) {
+                return (ip === nets[0].resolvers[pos]);
+            }));
+
+        if (!changed) {
+            cb();
+            return;
+        }
+
+        arg.progress(
+            'Updating admin network resolvers from [%s] to [%s]',
+            nets[0].resolvers.join(', '),
+            ctx.binderIps.join(', ')
+        );
+        sdcadm.napi.updateNetwork(ctx.admin_network_uuid, {
+            resolvers: ctx.binderIps
+        }, function (err2) {
+            if (err2) {
+                cb(new errors.SDCClientError(err2, 'napi'));
+                return;
+            }
+            cb();
+        });
+    });
+}
+
+/**
+ * Update the resolvers of all the "core" VMs which do not match the binder
+ * instances (see `checkCoreVmInstancesResolvers`).
+ */
+function updateAllCoreVmsResolvers(arg, cb) {
+    assert.object(arg, 'arg');
+    assert.func(arg.progress, 'arg.progress');
+    assert.object(arg.log, 'arg.log');
+    assert.object(arg.sdcadm, 'arg.sdcadm');
+    assert.optionalObject(arg.ctx, 'arg.ctx');
+    assert.func(cb, 'cb');
+
+    arg.progress('Updating core SDC VMs resolvers');
+    checkCoreVmInstancesResolvers(arg, function (err, resolvers) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        Object.keys(resolvers).forEach(function (r) {
+            arg.progress(
+                'VM %s resolvers need to be updated from [%s] to [%s]',
+                r, resolvers[r].current.join(', '),
+                resolvers[r].expected.join(', '));
+        });
+
+        updateCoreVmsResolvers({
+            progress: arg.progress,
+            log: arg.log,
+            sdcadm: arg.sdcadm,
+            fixableResolvers: resolvers
+        }, cb);
+    });
+}
+
 // --- exports
 
 module.exports = {
     checkCoreVmInstancesResolvers: checkCoreVmInstancesResolvers,
-    updateCoreVmsResolvers: updateCoreVmsResolvers
+    updateCoreVmsResolvers: updateCoreVmsResolvers,
+    updateAdminNetworkResolvers: updateAdminNetworkResolvers,
+    updateAllCoreVmsResolvers: updateAllCoreVmsResolvers
 };
 
 // vim: set softtabstop=4 shiftwidth=4:
@@ -15,14 +15,18 @@ const path = require('path');
 var assert = require('assert-plus');
 
 
-// keep a finite number cn_tools backups on the usb key
-function removeOldCNToolsTarballs(arg, next) {
-    assert.optionalFunc(arg.progress, 'arg.progress');
-    assert.func(next, 'next');
+const JOYSETUP_DIR = '/usbkey/extra/joysetup/';
+const AGENTS_DIR = '/usbkey/extra/agents';
+const AGENTS_LATEST_LINK = '/usbkey/extra/agents/latest';
 
-    const progress = arg.progress || console.log;
-    const backupPath = '/usbkey/extra/joysetup/';
-    let tarballs = fs.readdirSync(backupPath).filter(
+// Number of each kind of backup to keep.
+const KEEP_CN_TOOLS = 4;
+const KEEP_AGENTS_SHARS = 3;
+
+
+// The cn_tools backups removeOldCNToolsTarballs would remove.
+function staleCNToolsTarballs() {
+    let tarballs = fs.readdirSync(JOYSETUP_DIR).filter(
         function isCNTools(p) {
             return (p.startsWith('cn_tools.') &&
                     p.endsWith('tar.gz') &&
@@ -30,37 +34,39 @@ function removeOldCNToolsTarballs(arg, next) {
         });
     tarballs.sort();
     tarballs.reverse();
-    const toDelete = tarballs.slice(4);
+    return tarballs.slice(KEEP_CN_TOOLS);
+}
+
+// keep a finite number cn_tools backups on the usb key
+function removeOldCNToolsTarballs(arg, next) {
+    assert.optionalFunc(arg.progress, 'arg.progress');
+    assert.func(next, 'next');
+
+    const progress = arg.progress || console.log;
+    const toDelete = staleCNToolsTarballs();
     if (toDelete.length) {
         progress('Removing old cn backups: ' + toDelete.join(', '));
         toDelete.forEach(function rmBall(fname) {
-            fs.unlinkSync(path.join(backupPath, fname));
+            fs.unlinkSync(path.join(JOYSETUP_DIR, fname));
         });
     }
     next();
 }
 
-// keep only a finite number of agentsshar files
-function removeOldAgentsShars(arg, next) {
-    assert.optionalFunc(arg.progress, 'arg.progress');
-    assert.func(next, 'next');
-
-    const progress = arg.progress || console.log;
-    const agentsDir = '/usbkey/extra/agents';
-    const latestLinkName = '/usbkey/extra/agents/latest';
-
+// The agentsshar files removeOldAgentsShars would remove.
+function staleAgentsShars() {
     let latest;
-    if (fs.existsSync('/usbkey/extra/agents/latest')) {
-        latest = path.resolve(agentsDir,
-                              fs.readlinkSync(latestLinkName));
+    if (fs.existsSync(AGENTS_LATEST_LINK)) {
+        latest = path.resolve(AGENTS_DIR,
+                              fs.readlinkSync(AGENTS_LATEST_LINK));
     }
 
-    let shars = fs.readdirSync('/usbkey/extra/agents/').filter(
+    let shars = fs.readdirSync(AGENTS_DIR).filter(
         function isShar(p) {
             return (p.endsWith('.sh') &&
                     // Prefix was changed from agent- to agents- in TOOLS-1958
                     (p.startsWith('agents-') || p.startsWith('agent-')) &&
-                    path.resolve(agentsDir, p) !== latest);
+                    path.resolve(AGENTS_DIR, p) !== latest);
         });
 
     // With the possible exception of the first run, there should only be a
@@ -68,24 +74,38 @@ function removeOldAgentsShars(arg, next) {
     // takes minutes.
     const sortedShars = shars.map(function statShar(fname) {
         return {fname: fname,
-                mtime: fs.statSync(path.resolve(agentsDir, fname)).mtime};
+                mtime: fs.statSync(path.resolve(AGENTS_DIR, fname)).mtime};
     }).sort(function cmp(a, b) {
         return a.mtime - b.mtime;
     }).map(function (pair) {
         return pair.fname;
     });
     sortedShars.reverse();
-    const toDelete = sortedShars.slice(3);
+    return sortedShars.slice(KEEP_AGENTS_SHARS);
+}
+
+// keep only a finite number of agentsshar files
+function removeOldAgentsShars(arg, next) {
+    assert.optionalFunc(arg.progress, 'arg.progress');
+    assert.func(next, 'next');
+
+    const progress = arg.progress || console.log;
+    const toDelete = staleAgentsShars();
     if (toDelete.length) {
         progress('Removing old agentshars: ' + toDelete.join(', '));
         toDelete.forEach(function rmShar(fname) {
-            fs.unlinkSync(path.join(agentsDir, fname));
+            fs.unlinkSync(path.join(AGENTS_DIR, fname));
         });
     }
     next();
 }
 
 module.exports = {
+    JOYSETUP_DIR: JOYSETUP_DIR,
+    AGENTS_DIR: AGENTS_DIR,
+    AGENTS_LATEST_LINK: AGENTS_LATEST_LINK,
+    staleCNToolsTarballs: staleCNToolsTarballs,
     removeOldCNToolsTarballs: removeOldCNToolsTarballs,
+    staleAgentsShars: staleAgentsShars,
     removeOldAgentsShars: removeOldAgentsShars
 };
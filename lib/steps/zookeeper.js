@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright 2018 Joyent, Inc.
+ * Copyright 2019 Joyent, Inc.
  */
 
 /*
@@ -103,6 +103,12 @@ function execRemoteOnVm(opts, cb) {
  * This can be used by new machines to reach the status the leader is at
  * at the moment of the backup creation.
  *
+ * The backup is taken from `opts.vm` if given, otherwise from the first
+ * binder VM. Zookeeper is disabled in that VM while taking the backup,
+ * unless `opts.keepRunning` is set: zookeeper snapshots are "fuzzy" and
+ * replaying the transaction logs on top of them gives a consistent state
+ * anyway, and keeping the member running preserves the ensemble quorum.
+ *
  * The callback function should have the signature:
  *      `callback(err, backupDirTimestamp)`
  */
@@ -110,6 +116,8 @@ function backupZKData(opts, callback) {
     assert.object(opts, 'opts');
     assert.func(opts.progress, 'opts.progress');
     assert.optionalObject(opts.ctx, 'opts.ctx');
+    assert.optionalObject(opts.vm, 'opts.vm');
+    assert.optionalBool(opts.keepRunning, 'opts.keepRunning');
     assert.object(opts.log, 'opts.log');
     assert.object(opts.sdcadm, 'opts.sdcadm');
     assert.object(opts.sdcadm.sdcApp, 'opts.sdcadm.sdcApp');
@@ -199,7 +207,11 @@ function backupZKData(opts, callback) {
         },
 
         function disableZkForBakup(ctx, next) {
-            ctx._1stVm = ctx.binderVms[0];
+            ctx._1stVm = opts.vm || ctx.binderVms[0];
+            if (opts.keepRunning) {
+                next();
+                return;
+            }
             opts.progress('Disabling zookeeper for data backup');
             shared.disableRemoteSvc({
                 server: ctx._1stVm.server_uuid,
@@ -223,6 +235,10 @@ function backupZKData(opts, callback) {
         },
 
         function enableZkAfterBackup(ctx, next) {
+            if (opts.keepRunning) {
+                next();
+                return;
+            }
             opts.progress('Enabling zookeeper after data backup');
             shared.enableRemoteSvc({
                 server: ctx._1stVm.server_uuid,
@@ -245,7 +261,7 @@ function backupZKData(opts, callback) {
                 '-p',
                 util.format(
                     '/zones/%s/root/zookeeper/zookeeper/zookeeper-%s.tgz',
-                    ctx.binderVms[0].uuid, ctx.stamp
+                    ctx._1stVm.uuid, ctx.stamp
                 ),
                 '--clobber',
                 '-d',
@@ -391,6 +407,163 @@ function clearZKBackup(opts, callback) {
     }, callback);
 }
 
+/**
+ * Parse the output of the zookeeper "srvr" four letter word command.
+ *
+ * @param stdout {String}
+ * @returns {Object} `{mode, zxid, latency, outstanding, nodeCount}`, with
+ *      the "Zxid" as a Number (null if not reported).
+ */
+function parseZkSrvr(stdout) {
+    assert.string(stdout, 'stdout');
+
+    var fields = {};
+    stdout.split('\n').forEach(function (line) {
+        var idx = line.indexOf(':');
+        if (idx > 0) {
+            fields[line.slice(0, idx).trim().toLowerCase()] =
+                line.slice(idx + 1).trim();
+        }
+    });
+    var zxid = (fields.zxid ? parseInt(fields.zxid, 16) : NaN);
+    return {
+        mode: (fields.mode || 'unknown').toLowerCase(),
+        zxid: (isNaN(zxid) ? null : zxid),
+        latency: fields['latency min/avg/max'] || null,
+        outstanding: (fields.outstanding === undefined ? null :
+            Number(fields.outstanding)),
+        nodeCount: (fields['node count'] === undefined ? null :
+            Number(fields['node count']))
+    };
+}
+
+/**
+ * The number of members of a ZK ensemble of the given size which must be up
+ * for the ensemble to have a quorum.
+ */
+function zkQuorumSize(size) {
+    assert.number(size, 'size');
+    return Math.floor(size / 2) + 1;
+}
+
+/**
+ * Get the status of each member of a ZK ensemble, from its "srvr" output.
+ *
+ * @param {Object} opts:
+ *          - log {Bunyan Logger}
+ *          - ips {Array}: the list of IPs for each one of the ZK cluster
+ *          members.
+ * @param {Function} callback: of the form f(err, statuses), with a status
+ *      per IP, in order, as from `parseZkSrvr` plus `ip` and `lag` (the
+ *      number of transactions a follower is behind the leader). The mode
+ *      of members not answering is "down".
+ */
+function getZkMembersStatus(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.arrayOfString(opts.ips, 'opts.ips');
+    assert.object(opts.log, 'opts.log');
+    assert.func(callback, 'callback');
+
+    vasync.forEachParallel({
+        inputs: opts.ips,
+        func: function zkInstStatus(ip, next) {
+            common.execPlus({
+                cmd: util.format('echo srvr | nc %s 2181', ip),
+                log: opts.log
+            }, function (err, stdout) {
+                var st = (err || !stdout.trim() ? {mode: 'down', zxid: null} :
+                    parseZkSrvr(stdout));
+                st.ip = ip;
+                next(null, st);
+            });
+        }
+    }, function (_, results) {
+        var statuses = results.successes;
+        var leader = statuses.filter(function (st) {
+            return (st.mode === 'leader');
+        })[0];
+        statuses.forEach(function (st) {
+            st.lag = null;
+            if (st.mode === 'leader') {
+                st.lag = 0;
+            } else if (st.mode === 'follower' && leader &&
+                    leader.zxid !== null && st.zxid !== null) {
+                st.lag = Math.max(0, leader.zxid - st.zxid);
+            }
+        });
+        callback(null, statuses);
+    });
+}
+
+/**
+ * Whether the given ensemble member statuses (as from `getZkMembersStatus`,
+ * one per member) show a quorum: a leader with a majority of the members
+ * as leader or followers, or a single standalone member.
+ */
+function zkHasQuorum(statuses) {
+    assert.arrayOfObject(statuses, 'statuses');
+
+    if (statuses.length === 1) {
+        return (statuses[0].mode === 'standalone');
+    }
+    var modes = statuses.map(function (st) {
+        return st.mode;
+    });
+    var inQuorum = modes.filter(function (mode) {
+        return (mode === 'leader' || mode === 'follower');
+    });
+    return (modes.indexOf('leader') !== -1 &&
+        inQuorum.length >= zkQuorumSize(statuses.length));
+}
+
+/**
+ * Wait until the given ZK ensemble has a quorum, or timeout after 5 minutes.
+ * A ZK leader is only elected, and only stays one, with a quorum of the
+ * ensemble, so this waits for one (see `shared.getZkLeaderIP`). A single
+ * member ensemble has no leader: it waits for it to be up instead (see
+ * `shared.wait4ZkCluster`).
+ *
+ * @param {Object} opts:
+ *          - log {Bunyan Logger}
+ *          - ips {Array}: the list of IPs for each one of the ZK cluster
+ *          members.
+ * @param {Function} callback: of the form f(err).
+ */
+function wait4ZkQuorum(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.arrayOfString(opts.ips, 'opts.ips');
+    assert.object(opts.log, 'opts.log');
+    assert.func(callback, 'callback');
+
+    if (opts.ips.length === 1) {
+        shared.wait4ZkCluster(opts, callback);
+        return;
+    }
+
+    var counter = 0;
+    var limit = 60;
+    function _wait4Leader() {
+        shared.getZkLeaderIP(opts, function (err, ip) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            counter += 1;
+            if (ip) {
+                callback();
+            } else if (counter < limit) {
+                setTimeout(_wait4Leader, 5000);
+            } else {
+                opts.log.error({ips: opts.ips}, 'no ZK leader');
+                callback(new errors.UpdateError('Timeout (5min) waiting ' +
+                    'for ZK quorum'));
+            }
+        });
+    }
+
+    _wait4Leader();
+}
+
 /*
  * We usually gather all the information about `sdc` application, binder,
  * manatee, moray instances before we attempt any configuration changes,
@@ -555,9 +728,13 @@ function getCoreZkConfig(opts, callback) {
  * everything from `sdc` application to all the services where ZK_SERVERS
  * are included, alongside with all those service's instances, including
  * synchronous calls to config agent everywhere
+ *
+ * With `opts.rolling`, binder VMs are reconfigured one at a time, waiting
+ * for the ensemble to have a quorum after each one.
  */
 function updateCoreZkConfig(opts, callback) {
     assert.object(opts, 'opts');
+    assert.optionalBool(opts.rolling, 'opts.rolling');
     assert.object(opts.ctx, 'opts.ctx');
 
     assert.object(opts.ctx.binderInsts, 'opts.ctx.binderInsts');
@@ -633,6 +810,30 @@ function updateCoreZkConfig(opts, callback) {
         // Call config-agent sync for all the binder VMs
         function callConfigAgentSyncForAllBinders(ctx, next) {
             opts.progress('Reloading config for all the binder VMs');
+            if (opts.rolling) {
+                vasync.forEachPipeline({
+                    inputs: ctx.binderVms,
+                    func: function callCfgSyncAndWait(vm, nextInst) {
+                        common.callConfigAgentSync({
+                            vm: vm.uuid,
+                            server: vm.server_uuid,
+                            log: opts.log
+                        }, function (err) {
+                            if (err) {
+                                nextInst(err);
+                                return;
+                            }
+                            opts.progress('Waiting for ZK quorum after ' +
+                                'reloading config for %s', vm.alias);
+                            wait4ZkQuorum({
+                                ips: ctx.binderIps,
+                                log: opts.log
+                            }, nextInst);
+                        });
+                    }
+                }, next);
+                return;
+            }
             vasync.forEachParallel({
                 inputs: ctx.binderVms,
                 func: function callCfgSync(vm, nextInst) {
@@ -788,6 +989,11 @@ module.exports = {
     backupZKData: backupZKData,
     replaceZKData: replaceZKData,
     clearZKBackup: clearZKBackup,
+    parseZkSrvr: parseZkSrvr,
+    zkQuorumSize: zkQuorumSize,
+    getZkMembersStatus: getZkMembersStatus,
+    zkHasQuorum: zkHasQuorum,
+    wait4ZkQuorum: wait4ZkQuorum,
     getCoreZkConfig: getCoreZkConfig,
     updateCoreZkConfig: updateCoreZkConfig
 };
@@ -0,0 +1,1192 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Update sources: the ordered list of places from which sdcadm gets update
+ * images (core service and agent images, platforms, agentsshar, gz-tools and
+ * sdcadm itself). `SdcAdm.updates` is an `UpdateSources` with the same
+ * interface as the IMGAPI client it replaces, so everything using it (e.g.
+ * `sdcadm avail`, `sdcadm update`, `sdcadm self-update` and the platform
+ * commands) gets the same fallback.
+ *
+ * Sources are given by the "updateSources" sdcadm config var, defaulting to
+ * just the "updatesServerUrl" IMGAPI:
+ *
+ *      "updateSources": [
+ *          {
+ *              "url": "https://imgapi.mirror.example.com",
+ *              "channels": {"release": "stable"}
+ *          },
+ *          {
+ *              "url": "http://mirror.example.com/triton-updates",
+ *              "type": "dir"
+ *          },
+ *          {
+ *              "url": "https://updates.joyent.com"
+ *          }
+ *      ]
+ *
+ * - "type" is "imgapi" (the default, an IMGAPI server) or "dir" (the default
+ *   for "file://" URLs, a plain HTTP or local directory). A "dir" source
+ *   holds "images.json", an array of image manifests, and the file of each
+ *   image at "images/<uuid>.file" (and optionally its changelog at
+ *   "images/<uuid>.changelog", see "lib/changelog.js").
+ * - "channels" maps sdcadm channel names to the source's: the source is not
+ *   used for channels missing from the mapping. `false` means the source
+ *   has no channels (the same images are used for any channel). By default
+ *   channel names are used as is: as the "channel" query param for an IMGAPI
+ *   source and as a subdirectory ("<url>/<channel>/images.json") for a "dir"
+ *   source.
+ *
+ * Sources are tried in order, falling back to the next one on any error
+ * (including an image not being found). A listing is taken from the first
+ * source which answers. Downloaded image files are checked against the SHA-1
+ * (and SHA-256, if given) and size of the image manifest from the same
+ * source.
+ *
+ * If the "trustedImageKeys" sdcadm config var lists PEM public key files,
+ * downloaded image files must also have a detached signature by one of these
+ * keys: the base64 encoded RSA or ECDSA signature of the SHA-256 digest of
+ * the file, e.g. from:
+ *
+ *      openssl dgst -sha256 -sign key.pem $uuid.file | base64
+ *
+ * A "dir" source has it at "images/<uuid>.file.sig", otherwise it is taken
+ * from the "signature" tag of the image manifest. Images from IMGAPI sources
+ * are then downloaded and checked before being imported into the DC IMGAPI
+ * instead of the DC IMGAPI importing them directly. Unsigned images are
+ * refused unless `UpdateSources.allowUnsigned` is set (e.g. by the
+ * `--allow-unsigned` option of `sdcadm update`).
+ */
+
+var crypto = require('crypto');
+var fs = require('fs');
+var http = require('http');
+var https = require('https');
+var url = require('url');
+var util = require('util');
+
+var assert = require('assert-plus');
+var once = require('once');
+var sdcClients = require('sdc-clients');
+var vasync = require('vasync');
+
+var common = require('./common');
+var errors = require('./errors');
+
+
+// --- globals
+
+var SOURCE_TYPES = ['imgapi', 'dir'];
+
+// Milliseconds without any data from a "dir" source after which a request
+// to it fails.
+var FETCH_TIMEOUT = 60 * 1000;
+var MAX_REDIRECTS = 5;
+var REDIRECT_CODES = [301, 302, 303, 307, 308];
+
+
+// --- internal support functions
+
+/*
+ * GET a "dir" source URL ("http:", "https:" or "file:"), either into a
+ * string or, if `filePath` is given, into that file.
+ *
+ * HTTP redirects (to "http:" or "https:" URLs) are followed, up to
+ * MAX_REDIRECTS. The request fails if the connection is idle for `timeout`
+ * milliseconds (FETCH_TIMEOUT by default) or is dropped before the whole
+ * response is received, so that a stalled or flaky mirror falls back to the
+ * next update source instead of hanging.
+ */
+function fetchUrl(fetchOpts, cb) {
+    assert.object(fetchOpts, 'fetchOpts');
+    assert.string(fetchOpts.url, 'fetchOpts.url');
+    assert.optionalString(fetchOpts.filePath, 'fetchOpts.filePath');
+    assert.optionalNumber(fetchOpts.timeout, 'fetchOpts.timeout');
+    assert.optionalNumber(fetchOpts.redirects, 'fetchOpts.redirects');
+    assert.func(cb, 'cb');
+
+    var parsed = url.parse(fetchOpts.url);
+    var filePath = fetchOpts.filePath;
+    var redirects = fetchOpts.redirects || 0;
+    var timeout = fetchOpts.timeout || FETCH_TIMEOUT;
+
+    if (parsed.protocol === 'file:') {
+        var srcPath = decodeURIComponent(parsed.pathname);
+        if (filePath) {
+            common.copyFile(srcPath, filePath, cb);
+        } else {
+            fs.readFile(srcPath, 'utf8', cb);
+        }
+        return;
+    }
+
+    var req;
+    var out;
+    cb = once(cb);
+
+    function fail(msg) {
+        req.abort();
+        if (out) {
+            out.destroy();
+        }
+        cb(new errors.UpdateError(util.format('GET %s: %s', fetchOpts.url,
+            msg)));
+    }
+
+    var mod = (parsed.protocol === 'https:' ? https : http);
+    req = mod.get(fetchOpts.url, function onRes(res) {
+        if (REDIRECT_CODES.indexOf(res.statusCode) !== -1) {
+            res.resume();
+            var location = res.headers.location;
+            var nextUrl = location && url.resolve(fetchOpts.url, location);
+            if (!nextUrl || ['http:', 'https:'].indexOf(
+                    url.parse(nextUrl).protocol) === -1) {
+                fail(util.format('HTTP %d redirect to invalid location %j',
+                    res.statusCode, location));
+                return;
+            } else if (redirects >= MAX_REDIRECTS) {
+                fail(util.format('too many redirects (%d)', redirects));
+                return;
+            }
+            fetchUrl(Object.assign({}, fetchOpts, {
+                url: nextUrl,
+                redirects: redirects + 1
+            }), cb);
+            return;
+        }
+        if (res.statusCode !== 200) {
+            res.resume();
+            var resErr = new errors.UpdateError(util.format('GET %s: HTTP %d',
+                fetchOpts.url, res.statusCode));
+            resErr.statusCode = res.statusCode;
+            cb(resErr);
+            return;
+        }
+
+        res.once('aborted', function onAborted() {
+            fail('connection closed before the response was complete');
+        });
+        res.on('error', function onResErr(err) {
+            fail(err.message);
+        });
+
+        if (filePath) {
+            out = fs.createWriteStream(filePath);
+            out.once('error', function onOutErr(err) {
+                req.abort();
+                cb(err);
+            });
+            out.once('finish', function onFinish() {
+                if (res.complete) {
+                    cb();
+                } else {
+                    fail('connection closed before the response was ' +
+                        'complete');
+                }
+            });
+            res.pipe(out);
+        } else {
+            var chunks = [];
+            res.setEncoding('utf8');
+            res.on('data', function onData(chunk) {
+                chunks.push(chunk);
+            });
+            res.once('end', function onEnd() {
+                if (res.complete) {
+                    cb(null, chunks.join(''));
+                } else {
+                    fail('connection closed before the response was ' +
+                        'complete');
+                }
+            });
+        }
+    });
+    req.setTimeout(timeout, function onTimeout() {
+        fail(util.format('timeout (no data for %dms)', timeout));
+    });
+    req.on('error', function onReqErr(err) {
+        cb(new errors.UpdateError(err, 'GET ' + fetchOpts.url));
+    });
+}
+
+
+/*
+ * The error for an image a "dir" source does not have, with the same
+ * `restCode` as an IMGAPI "image not found" error.
+ */
+function imageNotFoundError(uuid, sourceUrl) {
+    var err = new errors.UpdateError(util.format(
+        'image %s not found in update source %s', uuid, sourceUrl));
+    err.restCode = 'ResourceNotFound';
+    return err;
+}
+
+
+/*
+ * Check a downloaded image file against its image manifest.
+ */
+function verifyImageFile(filePath, img, cb) {
+    var imgFile = img.files && img.files[0];
+    if (!imgFile) {
+        cb(new errors.UpdateError(util.format(
+            'image %s has no file', img.uuid)));
+        return;
+    }
+    hashFile(filePath, function (err, hashes) {
+        if (err) {
+            cb(err);
+        } else if (imgFile.sha1 && hashes.sha1 !== imgFile.sha1) {
+            cb(new errors.UpdateError(util.format(
+                'image %s file has SHA-1 %s, expected %s', img.uuid,
+                hashes.sha1, imgFile.sha1)));
+        } else if (imgFile.sha256 && hashes.sha256 !== imgFile.sha256) {
+            cb(new errors.UpdateError(util.format(
+                'image %s file has SHA-256 %s, expected %s', img.uuid,
+                hashes.sha256, imgFile.sha256)));
+        } else if (imgFile.size !== undefined && hashes.size !== imgFile.size) {
+            cb(new errors.UpdateError(util.format(
+                'image %s file has %d bytes, expected %d', img.uuid,
+                hashes.size, imgFile.size)));
+        } else {
+            cb();
+        }
+    });
+}
+
+
+/*
+ * Check the base64 encoded `signature` of a file against the given trusted
+ * keys. Calls back with the path of the key which signed it, or null.
+ */
+function checkSignature(filePath, signature, trustedKeys, cb) {
+    var sig = Buffer.from(signature.trim(), 'base64');
+    var verifiers = trustedKeys.map(function () {
+        return crypto.createVerify('sha256');
+    });
+    var stream = fs.createReadStream(filePath);
+    stream.on('data', function onData(chunk) {
+        verifiers.forEach(function (verifier) {
+            verifier.update(chunk);
+        });
+    });
+    stream.once('error', cb);
+    stream.once('end', function onEnd() {
+        for (var i = 0; i < trustedKeys.length; i++) {
+            var ok = false;
+            try {
+                ok = verifiers[i].verify(trustedKeys[i].pem, sig);
+            } catch (_verifyErr) {
+                // E.g. an ECDSA signature checked against an RSA key.
+                ok = false;
+            }
+            if (ok) {
+                cb(null, trustedKeys[i].path);
+                return;
+            }
+        }
+        cb(null, null);
+    });
+}
+
+
+// --- exported functions
+
+/**
+ * Compute the SHA-1 and SHA-256 digests and the size of a file.
+ *
+ * @param filePath {String}
+ * @param cb {Function} `function (err, {sha1, sha256, size})`
+ */
+function hashFile(filePath, cb) {
+    var sha1 = crypto.createHash('sha1');
+    var sha256 = crypto.createHash('sha256');
+    var size = 0;
+    var stream = fs.createReadStream(filePath);
+    stream.on('data', function onData(chunk) {
+        sha1.update(chunk);
+        sha256.update(chunk);
+        size += chunk.length;
+    });
+    stream.once('error', cb);
+    stream.once('end', function onEnd() {
+        cb(null, {
+            sha1: sha1.digest('hex'),
+            sha256: sha256.digest('hex'),
+            size: size
+        });
+    });
+}
+
+
+/**
+ * Get the (validated and normalized) update sources from the sdcadm config.
+ *
+ * @param config {Object} The sdcadm config.
+ * @returns {Object} `{err: <ValidationError>, sources: <Array>}`
+ */
+function sourcesFromConfig(config) {
+    assert.object(config, 'config');
+
+    if (config.updateSources === undefined ||
+            config.updateSources === null) {
+        return {sources: [ {url: config.updatesServerUrl, type: 'imgapi'} ]};
+    }
+    if (!Array.isArray(config.updateSources) ||
+            config.updateSources.length === 0) {
+        return {err: new errors.ValidationError(
+            '"updateSources" config is not a non-empty array')};
+    }
+
+    var errs = [];
+    var sources = config.updateSources.map(function (src, i) {
+        var repr = util.format('"updateSources[%d]"', i);
+        if (typeof (src) !== 'object' || src === null) {
+            errs.push(new errors.ValidationError(repr + ' is not an object'));
+            return null;
+        }
+        var protocol = (typeof (src.url) === 'string' ?
+            url.parse(src.url).protocol : null);
+        if (['http:', 'https:', 'file:'].indexOf(protocol) === -1) {
+            errs.push(new errors.ValidationError(util.format(
+                '%s "url" is not an http, https or file URL: %j',
+                repr, src.url)));
+            return null;
+        }
+        var type = src.type || (protocol === 'file:' ? 'dir' : 'imgapi');
+        if (SOURCE_TYPES.indexOf(type) === -1) {
+            errs.push(new errors.ValidationError(util.format(
+                '%s "type" is not one of "%s": %j', repr,
+                SOURCE_TYPES.join('", "'), src.type)));
+        } else if (type === 'imgapi' && protocol === 'file:') {
+            errs.push(new errors.ValidationError(
+                repr + ' "file:" URL must be of type "dir"'));
+        }
+        var channels = src.channels;
+        if (channels !== undefined && channels !== false &&
+            (typeof (channels) !== 'object' || channels === null ||
+            Array.isArray(channels) ||
+            Object.keys(channels).some(function (k) {
+                return (typeof (channels[k]) !== 'string');
+            }))) {
+            errs.push(new errors.ValidationError(util.format(
+                '%s "channels" is not false or a mapping of channel ' +
+                'names: %j', repr, channels)));
+        }
+        return {
+            url: src.url.replace(/\/+$/, ''),
+            type: type,
+            channels: channels
+        };
+    });
+
+    if (errs.length === 1) {
+        return {err: errs[0]};
+    } else if (errs.length > 1) {
+        return {err: new errors.MultiError(errs)};
+    }
+    return {sources: sources};
+}
+
+
+/**
+ * Load the trusted image signing keys given by the "trustedImageKeys" sdcadm
+ * config var.
+ *
+ * @param config {Object} The sdcadm config.
+ * @param cb {Function} `function (err, trustedKeys)` where `trustedKeys` is
+ *      an array of `{path: <key file>, pem: <PEM public key>}`.
+ */
+function loadTrustedKeys(config, cb) {
+    assert.object(config, 'config');
+    assert.func(cb, 'cb');
+
+    var paths = config.trustedImageKeys;
+    if (paths === undefined || paths === null) {
+        cb(null, []);
+        return;
+    }
+    if (!Array.isArray(paths) || paths.some(function (p) {
+        return (typeof (p) !== 'string');
+    })) {
+        cb(new errors.ValidationError(
+            '"trustedImageKeys" config is not an array of key file paths'));
+        return;
+    }
+
+    vasync.forEachPipeline({
+        inputs: paths,
+        func: function loadKey(keyPath, next) {
+            fs.readFile(keyPath, 'utf8', function (err, pem) {
+                if (err) {
+                    next(new errors.ValidationError(err, util.format(
+                        'could not read trusted image key "%s"', keyPath)));
+                } else if (pem.indexOf('PUBLIC KEY-----') === -1) {
+                    next(new errors.ValidationError(util.format(
+                        'trusted image key "%s" is not a PEM public key',
+                        keyPath)));
+                } else {
+                    next(null, {path: keyPath, pem: pem});
+                }
+            });
+        }
+    }, function (err, results) {
+        cb(err, results && results.successes);
+    });
+}
+
+
+/**
+ * Map an sdcadm channel name to an update source's.
+ *
+ * @param source {Object} An update source, as from `sourcesFromConfig`.
+ * @param channel {String} Optional. The sdcadm channel.
+ * @returns {Object} `{skip: <Boolean>, channel: <String or undefined>}`
+ *      where `skip` is true if the source does not serve the channel.
+ */
+function mapChannel(source, channel) {
+    assert.object(source, 'source');
+    assert.optionalString(channel, 'channel');
+
+    if (!channel || source.channels === false) {
+        return {skip: false, channel: undefined};
+    } else if (source.channels === undefined) {
+        return {skip: false, channel: channel};
+    } else if (source.channels.hasOwnProperty(channel)) {
+        return {skip: false, channel: source.channels[channel]};
+    }
+    return {skip: true, channel: undefined};
+}
+
+
+/**
+ * Filter a list of image manifests as an IMGAPI ListImages would, supporting
+ * the "name", "version", "os", "type" and "state" filters (a "~" prefix
+ * meaning substring match) and "marker" (a `published_at` or image UUID).
+ *
+ * @param imgs {Array} Image manifests.
+ * @param filter {Object}
+ * @returns {Array} The matching images, sorted by `published_at`.
+ */
+function filterImages(imgs, filter) {
+    assert.arrayOfObject(imgs, 'imgs');
+    assert.object(filter, 'filter');
+
+    var marker = filter.marker;
+    if (marker && common.UUID_RE.test(marker)) {
+        var markerImg = imgs.filter(function (img) {
+            return (img.uuid === marker);
+        })[0];
+        marker = (markerImg ? markerImg.published_at : undefined);
+    }
+
+    var matches = imgs.filter(function (img) {
+        var match = ['name', 'version', 'os', 'type', 'state'].every(
+            function (field) {
+                var want = filter[field];
+                if (want === undefined) {
+                    return true;
+                }
+                var have = String(img[field]);
+                if (want[0] === '~') {
+                    return (have.indexOf(want.slice(1)) !== -1);
+                }
+                return (have === want);
+            });
+        return (match && (!marker || img.published_at >= marker));
+    });
+    common.sortArrayOfObjects(matches, ['published_at']);
+    return matches;
+}
+
+
+// --- IMGAPI sources
+
+function ImgapiSource(opts) {
+    this.url = opts.source.url;
+    this.type = 'imgapi';
+    this.channels = opts.source.channels;
+    this.client = new sdcClients.IMGAPI({
+        url: this.url,
+        proxy: opts.proxy,
+        userAgent: opts.userAgent,
+        log: opts.log,
+        headers: opts.headers
+    });
+}
+
+ImgapiSource.prototype.getImage = function getImage(uuid, channel, cb) {
+    this.client.getImage(uuid, {channel: channel}, cb);
+};
+
+ImgapiSource.prototype.listImages = function listImages(filter, channel, cb) {
+    this.client.listImages(filter, {channel: channel}, cb);
+};
+
+ImgapiSource.prototype.getImageFile = function getImageFile(uuid, channel,
+        filePath, cb) {
+    this.client.getImageFile(uuid, filePath, undefined, {channel: channel},
+        function (err) {
+            cb(err);
+        });
+};
+
+ImgapiSource.prototype.listChannels = function listChannels(cb) {
+    this.client.listChannels({}, cb);
+};
+
+/*
+ * The URL from which the DC IMGAPI can import images of this source.
+ */
+ImgapiSource.prototype.importUrl = function importUrl(channel) {
+    return (this.url + (channel ? '?channel=' + channel : ''));
+};
+
+ImgapiSource.prototype.close = function close() {
+    this.client.close();
+};
+
+
+// --- "dir" sources
+
+function DirSource(opts) {
+    this.url = opts.source.url;
+    this.type = 'dir';
+    this.channels = opts.source.channels;
+    this._imgsFromChannel = {};
+}
+
+DirSource.prototype._base = function _base(channel) {
+    return (this.url + (channel ? '/' + channel : ''));
+};
+
+DirSource.prototype._listAll = function _listAll(channel, cb) {
+    var self = this;
+    var key = channel || '';
+    if (self._imgsFromChannel[key]) {
+        cb(null, self._imgsFromChannel[key]);
+        return;
+    }
+    var indexUrl = self._base(channel) + '/images.json';
+    fetchUrl({url: indexUrl}, function (err, data) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        var imgs;
+        try {
+            imgs = JSON.parse(data);
+        } catch (parseErr) {
+            cb(new errors.UpdateError(parseErr, 'invalid JSON in ' +
+                indexUrl));
+            return;
+        }
+        if (!Array.isArray(imgs)) {
+            cb(new errors.UpdateError(indexUrl +
+                ' is not an array of images'));
+            return;
+        }
+        self._imgsFromChannel[key] = imgs;
+        cb(null, imgs);
+    });
+};
+
+DirSource.prototype.getImage = function getImage(uuid, channel, cb) {
+    var self = this;
+    self._listAll(channel, function (err, imgs) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        var img = imgs.filter(function (i) {
+            return (i.uuid === uuid);
+        })[0];
+        if (!img) {
+            cb(imageNotFoundError(uuid, self.url));
+            return;
+        }
+        cb(null, img);
+    });
+};
+
+DirSource.prototype.listImages = function listImages(filter, channel, cb) {
+    this._listAll(channel, function (err, imgs) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        cb(null, filterImages(imgs, filter));
+    });
+};
+
+DirSource.prototype.getImageFile = function getImageFile(uuid, channel,
+        filePath, cb) {
+    fetchUrl({
+        url: this._base(channel) + '/images/' + uuid + '.file',
+        filePath: filePath
+    }, cb);
+};
+
+/*
+ * Calls back with the changelog file of the image, or null if there is none.
+ */
+DirSource.prototype.getImageChangelog = function getImageChangelog(uuid,
+        channel, cb) {
+    fetchUrl({
+        url: this._base(channel) + '/images/' + uuid + '.changelog'
+    }, function (err, text) {
+        if (err && (err.code === 'ENOENT' || err.statusCode === 404)) {
+            cb(null, null);
+        } else {
+            cb(err, text);
+        }
+    });
+};
+
+/*
+ * Calls back with the detached signature of the image file, or null if there
+ * is none.
+ */
+DirSource.prototype.getImageSignature = function getImageSignature(uuid,
+        channel, cb) {
+    fetchUrl({
+        url: this._base(channel) + '/images/' + uuid + '.file.sig'
+    }, function (err, text) {
+        if (err && (err.code === 'ENOENT' || err.statusCode === 404)) {
+            cb(null, null);
+        } else {
+            cb(err, text);
+        }
+    });
+};
+
+DirSource.prototype.close = function close() {};
+
+
+// --- UpdateSources
+
+/**
+ * The update sources, with the interface of the IMGAPI client (`getImage`,
+ * `listImages`, `getImageFile`, `listChannels`, `close` and the `channel`
+ * property) used for the updates server.
+ *
+ * @param opts {Object}
+ *      - sources {Array} Required. As from `sourcesFromConfig`.
+ *      - log {Bunyan Logger} Required.
+ *      - channel {String} Optional. The default channel.
+ *      - trustedKeys {Array} Optional. Image signing keys, as from
+ *        `loadTrustedKeys`. If given, image files must be signed by one of
+ *        these unless the `allowUnsigned` property is set.
+ *      - proxy {String|Boolean} Optional. HTTP proxy for IMGAPI sources.
+ *      - userAgent {String} Optional.
+ *      - headers {Object} Optional. Headers for IMGAPI source requests.
+ */
+function UpdateSources(opts) {
+    assert.object(opts, 'opts');
+    assert.arrayOfObject(opts.sources, 'opts.sources');
+    assert.object(opts.log, 'opts.log');
+    assert.optionalString(opts.channel, 'opts.channel');
+    assert.optionalArrayOfObject(opts.trustedKeys, 'opts.trustedKeys');
+
+    this.log = opts.log;
+    this._defaultChannel = opts.channel;
+    this._givenChannel = undefined;
+    this.trustedKeys = opts.trustedKeys || [];
+    this.allowUnsigned = false;
+    this.sources = opts.sources.map(function (source) {
+        var srcOpts = {
+            source: source,
+            log: opts.log,
+            proxy: opts.proxy,
+            userAgent: opts.userAgent,
+            headers: opts.headers
+        };
+        return (source.type === 'imgapi' ?
+            new ImgapiSource(srcOpts) : new DirSource(srcOpts));
+    });
+}
+
+/*
+ * The channel to use: the one set (e.g. from a "--channel" option) if any,
+ * else the default one given at creation.
+ */
+Object.defineProperty(UpdateSources.prototype, 'channel', {
+    get: function () {
+        return (this._givenChannel !== undefined ?
+            this._givenChannel : this._defaultChannel);
+    },
+    set: function (channel) {
+        this._givenChannel = channel;
+    }
+});
+
+/**
+ * Whether the channel has been set, rather than being the default one, even
+ * if set to the default one.
+ */
+UpdateSources.prototype.channelGiven = function channelGiven() {
+    return (this._givenChannel !== undefined);
+};
+
+/*
+ * Call `func(source, sourceChannel, next)` on each source serving the
+ * channel in turn, until one calls `next` without error. Calls back with
+ * `cb(err, result, source, sourceChannel)`. If all sources failed, `err` is
+ * the first "not found" error (`restCode` "ResourceNotFound") if any, so
+ * callers can tell a missing image from unreachable sources, else the
+ * error of the only source tried or a `MultiError` of all of them.
+ */
+UpdateSources.prototype._tryEach = function _tryEach(channel, func, cb) {
+    var self = this;
+    var errs = [];
+    var i = 0;
+
+    function tryNext() {
+        if (i >= self.sources.length) {
+            var notFound = errs.filter(function (e) {
+                return (e.restCode === 'ResourceNotFound');
+            });
+            if (notFound.length) {
+                cb(notFound[0]);
+            } else if (errs.length) {
+                cb(errs.length === 1 ? errs[0] : new errors.MultiError(errs));
+            } else {
+                cb(new errors.UpdateError(util.format(
+                    'no update source for channel "%s"', channel)));
+            }
+            return;
+        }
+        var source = self.sources[i++];
+        var mapped = mapChannel(source, channel);
+        if (mapped.skip) {
+            tryNext();
+            return;
+        }
+        func(source, mapped.channel, function (err, result) {
+            if (err) {
+                self.log.debug({err: err, source: source.url},
+                    'update source failed, trying next one');
+                errs.push(err);
+                tryNext();
+                return;
+            }
+            cb(null, result, source, mapped.channel);
+        });
+    }
+    tryNext();
+};
+
+UpdateSources.prototype._channel = function _channel(opts) {
+    return ((opts && opts.channel) || this.channel);
+};
+
+/*
+ * Check the downloaded file of an image from the given source: against the
+ * image manifest and, if there are trusted keys, its signature.
+ */
+UpdateSources.prototype._verifyImageFile = function _verifyImageFile(opts,
+        cb) {
+    var self = this;
+    var img = opts.img;
+    var source = opts.source;
+
+    verifyImageFile(opts.filePath, img, function (err) {
+        if (err || self.trustedKeys.length === 0) {
+            cb(err);
+            return;
+        }
+
+        function onSignature(sigErr, signature) {
+            if (sigErr) {
+                cb(sigErr);
+                return;
+            }
+            if (!signature && img.tags && img.tags.signature) {
+                signature = String(img.tags.signature);
+            }
+            if (!signature) {
+                onChecked(null, null, 'is not signed');
+                return;
+            }
+            checkSignature(opts.filePath, signature, self.trustedKeys,
+                function (checkErr, keyPath) {
+                    onChecked(checkErr, keyPath,
+                        'is not signed by a trusted key');
+                });
+        }
+
+        function onChecked(checkErr, keyPath, problem) {
+            if (checkErr) {
+                cb(checkErr);
+            } else if (keyPath) {
+                self.log.info({image: img.uuid, key: keyPath},
+                    'image file signature verified');
+                cb();
+            } else if (self.allowUnsigned) {
+                self.log.warn({image: img.uuid, source: source.url},
+                    'image file %s, allowing it', problem);
+                cb();
+            } else {
+                cb(new errors.UpdateError(util.format(
+                    'image %s (%s@%s) from %s %s', img.uuid, img.name,
+                    img.version, source.url, problem)));
+            }
+        }
+
+        if (source.getImageSignature) {
+            source.getImageSignature(img.uuid, opts.channel, onSignature);
+        } else {
+            onSignature(null, null);
+        }
+    });
+};
+
+/**
+ * Get an image manifest from the first source having it.
+ *
+ * @param uuid {String}
+ * @param opts {Object} Optional.
+ *      - channel {String} Optional. Override the default channel.
+ * @param cb {Function} `function (err, img)`
+ */
+UpdateSources.prototype.getImage = function getImage(uuid, opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    this._tryEach(this._channel(opts), function (source, channel, next) {
+        source.getImage(uuid, channel, next);
+    }, function (err, img) {
+        cb(err, img);
+    });
+};
+
+/**
+ * Like `getImage`, also calling back with the source having the image (and
+ * the channel name for that source): `function (err, img, source, channel)`.
+ */
+UpdateSources.prototype.findImage = function findImage(uuid, opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    this._tryEach(this._channel(opts), function (source, channel, next) {
+        source.getImage(uuid, channel, next);
+    }, cb);
+};
+
+/**
+ * List images from the first source which answers.
+ *
+ * @param filter {Object} IMGAPI ListImages filters.
+ * @param opts {Object} Optional.
+ *      - channel {String} Optional. Override the default channel.
+ * @param cb {Function} `function (err, imgs)`
+ */
+UpdateSources.prototype.listImages = function listImages(filter, opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    this._tryEach(this._channel(opts), function (source, channel, next) {
+        source.listImages(filter, channel, next);
+    }, function (err, imgs) {
+        cb(err, imgs);
+    });
+};
+
+/**
+ * Download an image file from the first source having the image, checking it
+ * against that source's image manifest and, if there are trusted keys, its
+ * signature.
+ *
+ * @param uuid {String}
+ * @param filePath {String}
+ * @param opts {Object} Optional.
+ *      - channel {String} Optional. Override the default channel.
+ * @param cb {Function} `function (err, img)`
+ */
+UpdateSources.prototype.getImageFile = function getImageFile(uuid, filePath,
+        opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    var self = this;
+    this._tryEach(this._channel(opts), function (source, channel, next) {
+        source.getImage(uuid, channel, function (err, img) {
+            if (err) {
+                next(err);
+                return;
+            }
+            source.getImageFile(uuid, channel, filePath, function (fErr) {
+                if (fErr) {
+                    next(fErr);
+                    return;
+                }
+                self._verifyImageFile({
+                    filePath: filePath,
+                    img: img,
+                    source: source,
+                    channel: channel
+                }, function (vErr) {
+                    next(vErr, img);
+                });
+            });
+        });
+    }, function (err, img) {
+        cb(err, img);
+    });
+};
+
+/**
+ * Get the changelog file attached to an image by the first source having the
+ * image. IMGAPI sources have no such files.
+ *
+ * @param uuid {String}
+ * @param opts {Object} Optional.
+ *      - channel {String} Optional. Override the default channel.
+ * @param cb {Function} `function (err, text)`, `text` being null if the
+ *      image has no changelog file.
+ */
+UpdateSources.prototype.getImageChangelog = function getImageChangelog(uuid,
+        opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    this.findImage(uuid, opts, function (err, _img, source, channel) {
+        if (err) {
+            cb(err);
+        } else if (!source.getImageChangelog) {
+            cb(null, null);
+        } else {
+            source.getImageChangelog(uuid, channel, cb);
+        }
+    });
+};
+
+/**
+ * List the channels of the first IMGAPI source with channels which answers,
+ * named as in sdcadm (see "channels" mappings). Calls back with an empty
+ * list if no source has channels.
+ *
+ * @param _opts {Object} Unused, for compatibility with the IMGAPI client.
+ * @param cb {Function} `function (err, channels)`
+ */
+UpdateSources.prototype.listChannels = function listChannels(_opts, cb) {
+    var sources = this.sources.filter(function (source) {
+        return (source.type === 'imgapi' && source.channels !== false);
+    });
+    if (sources.length === 0) {
+        cb(null, []);
+        return;
+    }
+
+    var self = this;
+    var firstErr = null;
+    var i = 0;
+
+    function tryNext() {
+        if (i >= sources.length) {
+            cb(firstErr);
+            return;
+        }
+        var source = sources[i++];
+        source.listChannels(function (err, channels) {
+            if (err) {
+                self.log.debug({err: err, source: source.url},
+                    'update source failed, trying next one');
+                firstErr = firstErr || err;
+                tryNext();
+                return;
+            }
+            if (source.channels) {
+                var nameFromSrcName = {};
+                Object.keys(source.channels).forEach(function (name) {
+                    nameFromSrcName[source.channels[name]] = name;
+                });
+                channels = channels.filter(function (c) {
+                    return (nameFromSrcName.hasOwnProperty(c.name));
+                }).map(function (c) {
+                    var ch = common.objCopy(c);
+                    ch.name = nameFromSrcName[c.name];
+                    return ch;
+                });
+            }
+            cb(null, channels);
+        });
+    }
+    tryNext();
+};
+
+/**
+ * Import an image into the DC IMGAPI from the first source having it: an
+ * IMGAPI source is imported from directly, unless there are trusted keys to
+ * check the image signature with. Otherwise the image file is downloaded and
+ * checked first.
+ *
+ * @param opts {Object}
+ *      - imgapi {Object} Required. The DC IMGAPI client.
+ *      - uuid {String} Required.
+ *      - channel {String} Optional. Override the default channel.
+ *      - retries {Number} Optional. Import retries for IMGAPI sources.
+ * @param cb {Function} `function (err)`
+ */
+UpdateSources.prototype.importImage = function importImage(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.imgapi, 'opts.imgapi');
+    assert.uuid(opts.uuid, 'opts.uuid');
+    assert.optionalString(opts.channel, 'opts.channel');
+    assert.optionalNumber(opts.retries, 'opts.retries');
+    assert.func(cb, 'cb');
+
+    var self = this;
+    self.findImage(opts.uuid, {channel: opts.channel},
+            function (err, img, source, channel) {
+        if (err) {
+            cb(new errors.SDCClientError(err, 'updates'));
+            return;
+        }
+
+        if (source.type === 'imgapi' && self.trustedKeys.length === 0) {
+            opts.imgapi.adminImportRemoteImageAndWait(opts.uuid,
+                source.importUrl(channel), {
+                    // TODO: Once IMGAPI-408 is sufficient deployed,
+                    // then drop this `skipOwnerCheck`.
+                    skipOwnerCheck: true,
+                    retries: opts.retries
+                }, errors.sdcClientErrWrap(function (importErr) {
+                    cb(importErr);
+                }, 'imgapi'));
+            return;
+        }
+
+        var filePath = '/var/tmp/sdcadm-image-' + opts.uuid + '.file';
+        vasync.pipeline({funcs: [
+            function download(_, next) {
+                source.getImageFile(opts.uuid, channel, filePath, next);
+            },
+            function verify(_, next) {
+                self._verifyImageFile({
+                    filePath: filePath,
+                    img: img,
+                    source: source,
+                    channel: channel
+                }, next);
+            },
+            function importIt(_, next) {
+                importImageFile({
+                    imgapi: opts.imgapi,
+                    img: img,
+                    file: filePath
+                }, next);
+            }
+        ]}, function (pipeErr) {
+            fs.unlink(filePath, function (unlinkErr) {
+                if (unlinkErr && unlinkErr.code !== 'ENOENT') {
+                    self.log.warn({err: unlinkErr, file: filePath},
+                        'could not remove downloaded image file');
+                }
+                cb(pipeErr);
+            });
+        });
+    });
+};
+
+/**
+ * Whether any source can have image changelog files (see
+ * `getImageChangelog`), i.e. is a "dir" source.
+ */
+UpdateSources.prototype.hasChangelogs = function hasChangelogs() {
+    return this.sources.some(function (source) {
+        return (source.type === 'dir');
+    });
+};
+
+/**
+ * A description of the sources, for messages.
+ */
+UpdateSources.prototype.describe = function describe() {
+    return this.sources.map(function (source) {
+        return source.url;
+    }).join(', ');
+};
+
+UpdateSources.prototype.close = function close() {
+    this.sources.forEach(function (source) {
+        source.close();
+    });
+};
+
+
+/**
+ * Import an image manifest and file into an IMGAPI (which must not have the
+ * image yet) and activate it.
+ *
+ * @param opts {Object}
+ *      - imgapi {Object} Required. The IMGAPI client.
+ *      - img {Object} Required. The image manifest.
+ *      - file {String} Required. Path to the image file.
+ * @param cb {Function} `function (err)`
+ */
+function importImageFile(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.imgapi, 'opts.imgapi');
+    assert.object(opts.img, 'opts.img');
+    assert.string(opts.file, 'opts.file');
+    assert.func(cb, 'cb');
+
+    var img = opts.img;
+    var imgFile = img.files[0];
+
+    // `files` is added back by AddImageFile, local IMGAPIs don't have
+    // channels.
+    var data = common.objCopy(img);
+    delete data.files;
+    delete data.state;
+    delete data.channels;
+
+    vasync.pipeline({funcs: [
+        function importManifest(_, next) {
+            opts.imgapi.adminImportImage(data, {skipOwnerCheck: true},
+                errors.sdcClientErrWrap(next, 'imgapi'));
+        },
+        function addFile(_, next) {
+            opts.imgapi.addImageFile({
+                uuid: img.uuid,
+                file: opts.file,
+                compression: imgFile.compression,
+                sha1: imgFile.sha1,
+                size: imgFile.size
+            }, errors.sdcClientErrWrap(next, 'imgapi'));
+        },
+        function activate(_, next) {
+            opts.imgapi.activateImage(img.uuid,
+                errors.sdcClientErrWrap(next, 'imgapi'));
+        }
+    ]}, function (err) {
+        cb(err);
+    });
+}
+
+
+// --- exports
+
+module.exports = {
+    UpdateSources: UpdateSources,
+    sourcesFromConfig: sourcesFromConfig,
+    loadTrustedKeys: loadTrustedKeys,
+    mapChannel: mapChannel,
+    filterImages: filterImages,
+    fetchUrl: fetchUrl,
+    hashFile: hashFile,
+    importImageFile: importImageFile
+};
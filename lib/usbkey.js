@@ -0,0 +1,638 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * USB key health and capacity report, and the 'sdcadm usbkey ...' CLI
+ * commands.
+ *
+ * `sdcadm platform install` and `sdcadm update-gz-tools` write to the USB
+ * key (mounted on /mnt/usbkey), and `sdcadm update-agents` and
+ * `update-gz-tools` to its copy on the headnode (/usbkey). `sdcadm usbkey
+ * status` checks both have room for another run of each of those, and
+ * reports the stale agentsshar and cn_tools backups `sdcadm usbkey clean`
+ * (like those commands, see lib/steps/usbkey.js) removes.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+
+var assert = require('assert-plus');
+var cmdln = require('cmdln');
+var Cmdln = cmdln.Cmdln;
+var vasync = require('vasync');
+
+var common = require('./common');
+var errors = require('./errors');
+var pruneLib = require('./platform-prune');
+var stepsUsbKey = require('./steps/usbkey');
+
+
+// --- globals
+
+var format = util.format;
+
+var USBKEY_MNT = '/mnt/usbkey';
+var USBKEY_COPY = '/usbkey';
+
+
+// --- internal support functions
+
+function mib(kib) {
+    return (kib / 1024).toFixed(0) + ' MiB';
+}
+
+
+/*
+ * Size, total, used and available space, in KiB, of the filesystem of the
+ * given directory.
+ */
+function dfKiB(dir, log, cb) {
+    common.execFilePlus({
+        argv: ['/usr/bin/df', '-k', dir],
+        log: log
+    }, function (err, stdout) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        var fields = (stdout.trim().split('\n')[1] || '').split(/\s+/);
+        var df = {
+            size_kib: parseInt(fields[1], 10),
+            used_kib: parseInt(fields[2], 10),
+            avail_kib: parseInt(fields[3], 10)
+        };
+        if (isNaN(df.size_kib) || isNaN(df.avail_kib)) {
+            cb(new errors.InternalError({
+                message: format('unexpected df output for %s: %j', dir,
+                    stdout)
+            }));
+            return;
+        }
+        cb(null, df);
+    });
+}
+
+
+/*
+ * The files in `dir` for which `filter(name)` is true, as `{name, kib}`
+ * sorted by name. An absent `dir` has none.
+ */
+function listFiles(dir, filter) {
+    var names;
+    try {
+        names = fs.readdirSync(dir);
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return [];
+        }
+        throw err;
+    }
+    return names.filter(filter).sort().map(function (name) {
+        return {
+            name: name,
+            kib: Math.ceil(fs.statSync(path.join(dir, name)).size / 1024)
+        };
+    });
+}
+
+
+function fileKiB(file) {
+    try {
+        return Math.ceil(fs.statSync(file).size / 1024);
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return 0;
+        }
+        throw err;
+    }
+}
+
+
+/*
+ * The agentsshar and cn_tools files on the USB key copy, with the stale
+ * ones (i.e. those `sdcadm usbkey clean` would remove) flagged.
+ */
+function getBackups() {
+    var latestShar = null;
+    if (fs.existsSync(stepsUsbKey.AGENTS_LATEST_LINK)) {
+        latestShar = path.basename(
+            fs.readlinkSync(stepsUsbKey.AGENTS_LATEST_LINK));
+    }
+    var staleShars = (fs.existsSync(stepsUsbKey.AGENTS_DIR) ?
+        stepsUsbKey.staleAgentsShars() : []);
+    var staleCNTools = (fs.existsSync(stepsUsbKey.JOYSETUP_DIR) ?
+        stepsUsbKey.staleCNToolsTarballs() : []);
+
+    return {
+        agentsshars: listFiles(stepsUsbKey.AGENTS_DIR, function (name) {
+            return (name.endsWith('.sh') &&
+                (name.startsWith('agents-') || name.startsWith('agent-')));
+        }).map(function (f) {
+            f.latest = (f.name === latestShar);
+            f.stale = (staleShars.indexOf(f.name) !== -1);
+            return f;
+        }),
+        cn_tools: listFiles(stepsUsbKey.JOYSETUP_DIR, function (name) {
+            return (name.startsWith('cn_tools.') && name.endsWith('tar.gz'));
+        }).map(function (f) {
+            f.stale = (staleCNTools.indexOf(f.name) !== -1);
+            return f;
+        })
+    };
+}
+
+
+// --- exported functions
+
+/**
+ * Work out the space needed by the next run of each command writing to the
+ * USB key or its copy, and the problems with the USB key, from its raw
+ * status.
+ *
+ * The space needed is estimated from what the last run of each command
+ * wrote: the largest platform installed, the gz-tools tarball on the key and
+ * the latest agentsshar.
+ *
+ * @param raw {Object} As gathered by `getUsbKeyStatus`: `{usbkey: {writable,
+ *      size_kib, used_kib, avail_kib, platforms: [{version, kib}],
+ *      tools_kib}, copy: {avail_kib, ...}, agentsshars, cn_tools}`, where
+ *      `usbkey` is `{mount_error}` instead if the USB key could not be
+ *      mounted.
+ * @returns {Object} `{needs, problems}` where `needs` is an array of
+ *      `{command, where, kib, ok}` and `problems` an array of strings.
+ */
+function assessStatus(raw) {
+    assert.object(raw, 'raw');
+    assert.object(raw.usbkey, 'raw.usbkey');
+    assert.object(raw.copy, 'raw.copy');
+    assert.arrayOfObject(raw.agentsshars, 'raw.agentsshars');
+    assert.arrayOfObject(raw.cn_tools, 'raw.cn_tools');
+
+    var needs = [];
+    var problems = [];
+
+    var platformKiB = 0;
+    (raw.usbkey.platforms || []).forEach(function (pi) {
+        platformKiB = Math.max(platformKiB, pi.kib);
+    });
+    var latestShar = raw.agentsshars.filter(function (f) {
+        return f.latest;
+    })[0];
+
+    if (platformKiB) {
+        needs.push({command: 'platform install', where: 'usbkey',
+            kib: platformKiB});
+    }
+    if (raw.usbkey.tools_kib) {
+        needs.push({command: 'update-gz-tools', where: 'usbkey',
+            kib: raw.usbkey.tools_kib});
+    }
+    if (latestShar) {
+        needs.push({command: 'update-agents', where: 'copy',
+            kib: latestShar.kib});
+    }
+    needs.forEach(function (need) {
+        need.ok = (raw[need.where].avail_kib >= need.kib);
+        if (!need.ok) {
+            problems.push(format('%s has %s free, "sdcadm %s" needs about %s',
+                (need.where === 'usbkey' ? 'USB key' : 'USB key copy (' +
+                USBKEY_COPY + ')'), mib(raw[need.where].avail_kib),
+                need.command, mib(need.kib)));
+        }
+    });
+
+    if (raw.usbkey.mount_error) {
+        problems.unshift('USB key could not be mounted: ' +
+            raw.usbkey.mount_error);
+    } else if (!raw.usbkey.writable) {
+        problems.unshift('USB key is read-only');
+    }
+
+    var stale = raw.agentsshars.concat(raw.cn_tools).filter(function (f) {
+        return f.stale;
+    });
+    if (stale.length) {
+        var staleKiB = 0;
+        stale.forEach(function (f) {
+            staleKiB += f.kib;
+        });
+        problems.push(format('%d stale agentsshar and cn_tools backups ' +
+            '(%s): run "sdcadm usbkey clean" to remove them', stale.length,
+            mib(staleKiB)));
+    }
+
+    return {needs: needs, problems: problems};
+}
+
+
+/**
+ * Gather the USB key status: whether it is mounted and writable, its free
+ * space and that of its copy on the headnode, the platforms on it, the
+ * agentsshar and cn_tools backups, and an assessment (see `assessStatus`).
+ *
+ * The USB key is mounted for this if needed, and unmounted after. If it
+ * cannot be mounted, that is reported as `usbkey.mount_error` (and in the
+ * problems) and only its copy is checked.
+ *
+ * @param opts {Object}
+ *      - log {Bunyan Logger} Required.
+ * @param cb {Function} `function (err, status)`
+ */
+function getUsbKeyStatus(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.func(cb, 'cb');
+
+    var log = opts.log;
+    var status = {mounted: null, usbkey: {}, copy: {}};
+    var didMount = false;
+    var versions;
+
+    // The steps which need the USB key mounted.
+    function onUsbKey(step) {
+        return function (arg, next) {
+            if (status.usbkey.mount_error) {
+                next();
+                return;
+            }
+            step(arg, next);
+        };
+    }
+
+    vasync.pipeline({funcs: [
+        function isKeyMounted(_, next) {
+            common.isUsbKeyMounted(log, function (err, mounted) {
+                status.mounted = mounted;
+                next(err);
+            });
+        },
+        function mountUsbKey(_, next) {
+            if (status.mounted) {
+                next();
+                return;
+            }
+            common.mountUsbKey(log, function (err) {
+                if (err) {
+                    log.warn({err: err}, 'could not mount USB key');
+                    status.usbkey.mount_error = err.message;
+                } else {
+                    didMount = true;
+                }
+                next();
+            });
+        },
+        onUsbKey(function checkWritable(_, next) {
+            fs.access(USBKEY_MNT, fs.W_OK, function (err) {
+                status.usbkey.writable = !err;
+                next();
+            });
+        }),
+        onUsbKey(function dfUsbKey(_, next) {
+            dfKiB(USBKEY_MNT, log, function (err, df) {
+                Object.assign(status.usbkey, df);
+                next(err);
+            });
+        }),
+        onUsbKey(function listPlatforms(_, next) {
+            try {
+                versions = fs.readdirSync(path.join(USBKEY_MNT, 'os'))
+                    .filter(function (name) {
+                        return (name !== 'latest');
+                    }).map(function (name) {
+                        return name.toUpperCase();
+                    }).sort();
+            } catch (err) {
+                next(err);
+                return;
+            }
+            pruneLib.getPlatformSizes({
+                log: log,
+                platforms: versions
+            }, function (err, sizes) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+                status.usbkey.platforms = versions.map(function (v) {
+                    return {version: v, kib: sizes[v].usbkey};
+                });
+                next();
+            });
+        }),
+        onUsbKey(function getToolsSize(_, next) {
+            status.usbkey.tools_kib = fileKiB(
+                path.join(USBKEY_MNT, 'tools.tar.gz'));
+            next();
+        }),
+        function dfCopy(_, next) {
+            dfKiB(USBKEY_COPY, log, function (err, df) {
+                Object.assign(status.copy, df);
+                next(err);
+            });
+        },
+        function getBackupFiles(_, next) {
+            var backups;
+            try {
+                backups = getBackups();
+            } catch (err) {
+                next(err);
+                return;
+            }
+            status.agentsshars = backups.agentsshars;
+            status.cn_tools = backups.cn_tools;
+            next();
+        }
+    ]}, function (err) {
+        if (!err) {
+            var assessment = assessStatus(status);
+            status.needs = assessment.needs;
+            status.problems = assessment.problems;
+        }
+        if (didMount) {
+            common.unmountUsbKey(log, function (unmountErr) {
+                if (unmountErr) {
+                    log.warn({err: unmountErr}, 'could not unmount USB key');
+                }
+                cb(err, status);
+            });
+            return;
+        }
+        cb(err, status);
+    });
+}
+
+
+// --- UsbKey CLI class
+
+function UsbKeyCLI(top) {
+    this.top = top;
+    Cmdln.call(this, {
+        name: 'sdcadm usbkey',
+        desc: 'Report on and clean up the USB key.\n' +
+              '\n' +
+              '"sdcadm platform install" and "sdcadm update-gz-tools" write\n' +
+              'to the USB key, and "sdcadm update-agents" to its copy on\n' +
+              'the headnode (/usbkey).',
+        helpOpts: {
+            minHelpCol: 24 /* line up with option help */
+        }
+    });
+}
+util.inherits(UsbKeyCLI, Cmdln);
+
+UsbKeyCLI.prototype.init = function init(_opts, _args, _callback) {
+    this.sdcadm = this.top.sdcadm;
+    this.progress = this.top.progress;
+    this.log = this.top.log;
+
+    Cmdln.prototype.init.apply(this, arguments);
+};
+
+
+UsbKeyCLI.prototype.do_status = function do_status(subcmd, opts, args, cb) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (args.length !== 0) {
+        cb(new errors.UsageError('too many args: ' + args));
+        return;
+    }
+
+    getUsbKeyStatus({log: self.log}, function (err, status) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        if (opts.json) {
+            console.log(JSON.stringify(status, null, 4));
+            cb();
+            return;
+        }
+
+        if (status.usbkey.mount_error) {
+            console.log('USB key: not mounted, COULD NOT MOUNT IT');
+        } else {
+            console.log('USB key: %s, %s', (status.mounted ? 'mounted' :
+                'not mounted'), (status.usbkey.writable ? 'writable' :
+                'READ-ONLY'));
+            console.log('USB key space: %s free of %s',
+                mib(status.usbkey.avail_kib), mib(status.usbkey.size_kib));
+        }
+        console.log('USB key copy (%s) space: %s free of %s', USBKEY_COPY,
+            mib(status.copy.avail_kib), mib(status.copy.size_kib));
+
+        console.log('\nSpace needed:');
+        status.needs.forEach(function (need) {
+            console.log(common.indent(format('sdcadm %s: about %s on the ' +
+                '%s%s', need.command, mib(need.kib),
+                (need.where === 'usbkey' ? 'USB key' : 'USB key copy'),
+                (need.ok ? '' : ' (NOT ENOUGH SPACE)'))));
+        });
+
+        console.log('\nPlatforms:');
+        (status.usbkey.platforms || []).forEach(function (pi) {
+            console.log(common.indent(format('%s  %s', pi.version,
+                mib(pi.kib))));
+        });
+        console.log('\nAgentsshars (%s):', stepsUsbKey.AGENTS_DIR);
+        status.agentsshars.forEach(function (f) {
+            console.log(common.indent(format('%s  %s%s', f.name, mib(f.kib),
+                (f.latest ? '  (latest)' : (f.stale ? '  (stale)' : '')))));
+        });
+        console.log('\ncn_tools (%s):', stepsUsbKey.JOYSETUP_DIR);
+        status.cn_tools.forEach(function (f) {
+            console.log(common.indent(format('%s  %s%s', f.name, mib(f.kib),
+                (f.stale ? '  (stale)' : ''))));
+        });
+
+        if (status.problems.length) {
+            console.log('\nProblems:');
+            status.problems.forEach(function (prob) {
+                console.log(common.indent(prob));
+            });
+        }
+        cb();
+    });
+};
+
+UsbKeyCLI.prototype.do_status.help = (
+    'Report on the USB key health and capacity.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} status [<options>]\n' +
+    '\n' +
+    '{{options}}' +
+    '\n' +
+    'Reports whether the USB key is mounted and writable, its free space\n' +
+    'and that of its copy on the headnode (/usbkey) vs what the next\n' +
+    '"sdcadm platform install", "sdcadm update-gz-tools" and\n' +
+    '"sdcadm update-agents" would need (estimated from their last run),\n' +
+    'the platforms, agentsshars and cn_tools backups it holds, and which\n' +
+    'of those backups are stale.\n'
+);
+
+UsbKeyCLI.prototype.do_status.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['json', 'j'],
+        type: 'bool',
+        help: 'JSON output'
+    }
+];
+
+
+UsbKeyCLI.prototype.do_clean = function do_clean(subcmd, opts, args, cb) {
+    var self = this;
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (args.length !== 0) {
+        cb(new errors.UsageError('too many args: ' + args));
+        return;
+    }
+
+    var progress = self.progress;
+    var aborted = false;
+    var staleShars;
+    var staleCNTools;
+    var stale;
+    var unlock;
+
+    function isStale(f) {
+        return f.stale;
+    }
+
+    vasync.pipeline({funcs: [
+        // Not to remove an agentsshar or cn_tools backup an update is using.
+        function getLock(_, next) {
+            if (opts.dry_run) {
+                next();
+                return;
+            }
+            self.sdcadm.acquireLock({progress: progress},
+                    function (lockErr, unlock_) {
+                unlock = unlock_;
+                next(lockErr);
+            });
+        },
+        function getStale(_, next) {
+            var backups;
+            try {
+                backups = getBackups();
+            } catch (err) {
+                next(err);
+                return;
+            }
+            staleShars = backups.agentsshars.filter(isStale);
+            staleCNTools = backups.cn_tools.filter(isStale);
+            stale = staleShars.concat(staleCNTools);
+            next();
+        },
+        function confirm(_, next) {
+            if (stale.length === 0) {
+                progress('No stale agentsshar or cn_tools backups');
+                next();
+                return;
+            }
+            progress('%s stale agentsshar and cn_tools backups:',
+                (opts.dry_run ? 'Would remove' : 'Removing'));
+            stale.forEach(function (f) {
+                progress(common.indent(format('%s  %s', f.name,
+                    mib(f.kib))));
+            });
+            progress('');
+            if (opts.dry_run || opts.yes) {
+                next();
+                return;
+            }
+            var msg = 'Would you like to continue? [y/N] ';
+            common.promptYesNo({msg: msg, default: 'n'}, function (answer) {
+                if (answer !== 'y') {
+                    progress('Aborting');
+                    aborted = true;
+                } else {
+                    progress('');
+                }
+                next();
+            });
+        },
+        function removeOldCNToolsTarballs(_, next) {
+            if (aborted || opts.dry_run || staleCNTools.length === 0) {
+                next();
+                return;
+            }
+            stepsUsbKey.removeOldCNToolsTarballs({progress: progress}, next);
+        },
+        function removeOldAgentsShars(_, next) {
+            if (aborted || opts.dry_run || staleShars.length === 0) {
+                next();
+                return;
+            }
+            stepsUsbKey.removeOldAgentsShars({progress: progress}, next);
+        }
+    ]}, function (err) {
+        if (!unlock) {
+            cb(err);
+            return;
+        }
+        self.sdcadm.releaseLock({unlock: unlock}, function (unlockErr) {
+            cb(err || unlockErr);
+        });
+    });
+};
+
+UsbKeyCLI.prototype.do_clean.help = (
+    'Remove stale agentsshar and cn_tools backups.\n' +
+    '\n' +
+    'Usage:\n' +
+    '     {{name}} clean [<options>]\n' +
+    '\n' +
+    '{{options}}' +
+    '\n' +
+    'Keeps the 3 most recent agentsshars (besides the "latest" one) and\n' +
+    'the 4 most recent cn_tools backups, as "sdcadm update-agents" and\n' +
+    '"sdcadm update-gz-tools" do. Use "sdcadm platform prune" to remove\n' +
+    'old platforms.\n'
+);
+
+UsbKeyCLI.prototype.do_clean.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['dry-run', 'n'],
+        type: 'bool',
+        help: 'Only print what would be removed.'
+    },
+    {
+        names: ['yes', 'y'],
+        type: 'bool',
+        help: 'Answer yes to all confirmations.'
+    }
+];
+
+UsbKeyCLI.prototype.do_clean.logToFile = true;
+
+
+// --- exports
+
+module.exports = {
+    assessStatus: assessStatus,
+    getUsbKeyStatus: getUsbKeyStatus,
+    UsbKeyCLI: UsbKeyCLI
+};
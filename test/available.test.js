@@ -128,3 +128,20 @@ test('sdcadm avail --json', function (t) {
     });
 
 });
+
+
+test('sdcadm avail --changes --json', function (t) {
+    exec('sdcadm avail --changes --json', function (err, stdout, stderr) {
+        t.ifError(err, 'Execution error');
+        t.equal(stderr, '', 'Empty stderr');
+
+        var jsonDetails = common.parseJsonOut(stdout);
+        jsonDetails.forEach(function (svc) {
+            t.ok(svc.changes, 'Available image changes');
+            t.ok(svc.changes.entries === null ||
+                Array.isArray(svc.changes.entries), 'Changelog entries');
+        });
+        t.end();
+    });
+
+});
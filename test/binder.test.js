@@ -0,0 +1,132 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Tests for `sdcadm binder`
+ */
+
+var test = require('tape').test;
+var uuid = require('node-uuid');
+
+var exec = require('child_process').exec;
+var common = require('./common');
+var checkHelp = common.checkHelp;
+
+var servers = [];
+var members = [];
+
+
+function getStatus(t, cb) {
+    exec('sdcadm binder status -j', function (err, stdout, stderr) {
+        t.ifError(err, 'Execution error');
+        t.equal(stderr, '', 'Empty stderr');
+        var status = JSON.parse(stdout);
+        members = status.members;
+        cb(status);
+    });
+}
+
+
+test('setup', function (t) {
+    exec('sdc-cnapi /servers?setup=true|json -H -j',
+            function (err, stdout, stderr) {
+        t.ifError(err, 'cnapi error');
+        t.equal(stderr, '', 'empty stderr');
+        servers = JSON.parse(stdout);
+        t.end();
+    });
+});
+
+
+test('binder help add', function (t) {
+    checkHelp(t, 'binder add',
+        'Add a binder instance to the zookeeper (ZK) ensemble');
+});
+
+
+test('sdcadm binder status', function (t) {
+    getStatus(t, function (status) {
+        t.ok(status.hasQuorum, 'ensemble has quorum');
+        t.ok(status.members.length > 0, 'ensemble members');
+        t.ok(status.members.every(function (m) {
+            return (m.ip && m.mode);
+        }), 'members have ip and mode');
+        t.end();
+    });
+});
+
+
+test('sdcadm binder add bogus server', function (t) {
+    exec('sdcadm binder add -y ' + uuid(), function (err, stdout, stderr) {
+        t.ok(err, 'Execution error');
+        t.ok(/is not a setup server/.test(stderr), 'not a setup server');
+        t.end();
+    });
+});
+
+
+test('sdcadm binder remove bogus member', function (t) {
+    exec('sdcadm binder remove -y ' + uuid(), function (err, stdout, stderr) {
+        t.ok(err, 'Execution error');
+        t.ok(/no binder ensemble member/.test(stderr), 'no such member');
+        t.end();
+    });
+});
+
+
+test('sdcadm binder remove last member', function (t) {
+    if (members.length !== 1) {
+        t.end();
+        return;
+    }
+    exec('sdcadm binder remove -y ' + members[0].instance,
+            function (err, stdout, stderr) {
+        t.ok(err, 'Execution error');
+        t.ok(/cannot remove the last binder ensemble member/.test(stderr),
+            'last member');
+        t.end();
+    });
+});
+
+
+test('sdcadm binder add and remove', function (t) {
+    var server = servers.filter(function (s) {
+        return !members.some(function (m) {
+            return (m.server === s.uuid);
+        });
+    })[0];
+    if (!server) {
+        t.end();
+        return;
+    }
+    var before = members.length;
+    exec('sdcadm binder add -y ' + server.uuid,
+            function (err, stdout, stderr) {
+        t.ifError(err, 'Execution error');
+        t.equal(stderr, '', 'Empty stderr');
+        getStatus(t, function (status) {
+            t.equal(status.members.length, before + 1, 'member added');
+            t.ok(status.hasQuorum, 'ensemble has quorum');
+            var added = status.members.filter(function (m) {
+                return (m.server === server.uuid);
+            })[0];
+            exec('sdcadm binder remove -y ' + added.instance,
+                    function (err2, stdout2, stderr2) {
+                t.ifError(err2, 'Execution error');
+                t.equal(stderr2, '', 'Empty stderr');
+                getStatus(t, function (status2) {
+                    t.equal(status2.members.length, before, 'member removed');
+                    t.ok(status2.hasQuorum, 'ensemble has quorum');
+                    t.end();
+                });
+            });
+        });
+    });
+});
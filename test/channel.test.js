@@ -73,6 +73,39 @@ test('sdcadm channel set', function (t) {
 });
 
 
+test('sdcadm channel pin and unpin', function (t) {
+    exec('sdcadm channel pin cloudapi release', function (err, stdout, stderr) {
+        t.ifError(err);
+        t.equal(stdout.trim(),
+                'Pinned "cloudapi" to update channel \'release\'');
+        t.equal(stderr, '');
+        exec('sdcadm channel pin -j', function (err2, stdout2, stderr2) {
+            t.ifError(err2);
+            t.equal(JSON.parse(stdout2).cloudapi, 'release');
+            t.equal(stderr2, '');
+            exec('sdcadm channel unpin cloudapi',
+                    function (err3, stdout3, stderr3) {
+                t.ifError(err3);
+                t.equal(stdout3.trim(), 'Unpinned cloudapi');
+                t.equal(stderr3, '');
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('sdcadm channel diff', function (t) {
+    exec('sdcadm channel diff -j release release',
+            function (err, stdout, stderr) {
+        t.ifError(err);
+        t.deepEqual(JSON.parse(stdout), [], 'a channel is the same as itself');
+        t.equal(stderr, '');
+        t.end();
+    });
+});
+
+
 test('sdcadm channel reset',  function (t) {
     if (CURR_CHANNEL === null) {
         t.end();
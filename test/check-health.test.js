@@ -284,6 +284,36 @@ test('check-health when binder is down', function (t) {
     });
 });
 
+test('check-health with a broken health checks file', function (t) {
+    var dir = '/var/sdcadm/health-checks';
+    var file = dir + '/zz-sdcadm-test-broken.json';
+    var cmd = util.format('mkdir -p %s && echo "{" > %s && ' +
+        'sdcadm check-health --json; rc=$?; rm -f %s; exit $rc',
+        dir, file, file);
+    exec(cmd, function brokenCb(err, stdout, stderr) {
+        t.ok(err, 'unhealthy');
+
+        var details = common.parseJsonOut(stdout);
+        if (!details) {
+            t.ok(false, 'failed to parse JSON');
+            t.end();
+            return;
+        }
+        var broken = details.filter(function (r) {
+            return (r.type === 'health-check');
+        });
+        t.equal(broken.length, 1, 'one row for the broken file');
+        t.equal(broken[0].instance, file);
+        t.equal(broken[0].healthy, false);
+        t.ok(/is not valid JSON/.test(broken[0].health_errors[0].message),
+            'load error');
+        t.ok(details.some(function (r) {
+            return (r.type === 'vm');
+        }), 'instances are still checked');
+        t.end();
+    });
+});
+
 test('teardown', function (t) {
 
     function waitForPapi() {
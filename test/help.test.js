@@ -81,6 +81,48 @@ test('sdcadm help check-health', function (t) {
 });
 
 
+test('sdcadm help export-spec', function (t) {
+    checkHelp(t, 'export-spec', 'sdcadm export-spec [<options>]');
+});
+
+
+test('sdcadm help exporter', function (t) {
+    checkHelp(t, 'exporter', 'sdcadm exporter [<options>]');
+});
+
+
+test('sdcadm help export-bundle', function (t) {
+    checkHelp(t, 'export-bundle',
+        'sdcadm export-bundle [<options>] BUNDLE-FILE');
+});
+
+
+test('sdcadm help import-bundle', function (t) {
+    checkHelp(t, 'import-bundle',
+        'sdcadm import-bundle [<options>] BUNDLE-FILE');
+});
+
+
+test('sdcadm help lock', function (t) {
+    checkHelp(t, 'lock', 'sdcadm lock [OPTIONS] COMMAND');
+});
+
+
+test('sdcadm help usbkey', function (t) {
+    checkHelp(t, 'usbkey', 'sdcadm usbkey [OPTIONS] COMMAND');
+});
+
+
+test('sdcadm help manatee', function (t) {
+    checkHelp(t, 'manatee', 'sdcadm manatee [OPTIONS] COMMAND');
+});
+
+
+test('sdcadm help binder', function (t) {
+    checkHelp(t, 'binder', 'sdcadm binder [OPTIONS] COMMAND');
+});
+
+
 test('sdcadm help post-setup', function (t) {
     checkHelp(t, 'post-setup', 'sdcadm post-setup [OPTIONS] COMMAND');
 });
@@ -94,3 +136,8 @@ test('sdcadm help platform', function (t) {
 test('sdcadm help experimental', function (t) {
     checkHelp(t, 'experimental', 'sdcadm experimental [OPTIONS] COMMAND');
 });
+
+
+test('sdcadm help history', function (t) {
+    checkHelp(t, 'history', 'sdcadm history [OPTIONS] COMMAND');
+});
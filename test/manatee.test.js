@@ -249,6 +249,87 @@ test('update HA', function (t) {
     });
 });
 
+test('sdcadm manatee status', function (t) {
+    exec('sdcadm manatee status -j', function (err, stdout, stderr) {
+        t.ifError(err, 'Execution error');
+        t.equal(stderr, '', 'Empty stderr');
+
+        var status = JSON.parse(stdout);
+        t.ok(status.generation !== undefined, 'shard generation');
+        t.equal(status.peers[0].role, 'primary', 'primary peer first');
+        t.ok(status.peers.every(function (peer) {
+            return peer.instance && peer.pg_online;
+        }), 'peers have instance and postgres status');
+        t.end();
+    });
+});
+
+
+test('sdcadm manatee freeze and unfreeze', function (t) {
+    var cmd = 'sdcadm manatee freeze -r testing && ' +
+        'sdcadm manatee status -j && sdcadm manatee unfreeze';
+    exec(cmd, function (err, stdout, stderr) {
+        t.ifError(err, 'Execution error');
+        t.equal(stderr, '', 'Empty stderr');
+        t.ok(stdout.match('Froze manatee shard: testing'), 'froze');
+        t.ok(stdout.match('"reason": "testing"'), 'frozen status');
+        t.ok(stdout.match('Unfroze manatee shard'), 'unfroze');
+        t.end();
+    });
+});
+
+
+test('sdcadm manatee rebuild bogus peer', function (t) {
+    exec('sdcadm manatee rebuild -y ' + uuid(),
+            function (err, stdout, stderr) {
+        t.ok(err, 'Bogus peer err');
+        t.ok(stderr.match('no manatee peer'), 'Bogus peer stderr');
+        t.end();
+    });
+});
+
+
+test('sdcadm manatee history', function (t) {
+    exec('sdcadm manatee history -j -n 5', function (err, stdout, stderr) {
+        t.ifError(err, 'Execution error');
+        t.equal(stderr, '', 'Empty stderr');
+        var events = JSON.parse(stdout);
+        t.ok(events.length > 0 && events.length <= 5, 'history events');
+        t.end();
+    });
+});
+
+
+test('sdcadm manatee backup', function (t) {
+    exec('sdcadm manatee backup -j', function (err, stdout, stderr) {
+        t.ifError(err, 'Execution error');
+        t.equal(stderr, '', 'Empty stderr');
+        var backup = JSON.parse(stdout);
+        t.equal(backup.database, 'moray', 'backup database');
+        t.ok(backup.size > 0, 'backup size');
+        t.ok(backup.buckets && Object.keys(backup.buckets).length,
+            'moray bucket versions');
+        exec('sdcadm manatee backups -j', function (err2, stdout2, stderr2) {
+            t.ifError(err2, 'Execution error');
+            t.equal(stderr2, '', 'Empty stderr');
+            t.equal(JSON.parse(stdout2)[0].name, backup.name,
+                'latest backup listed first');
+            t.end();
+        });
+    });
+});
+
+
+test('sdcadm manatee restore bogus backup', function (t) {
+    exec('sdcadm manatee restore -y bogus-' + uuid(),
+            function (err, stdout, stderr) {
+        t.ok(err, 'Execution error');
+        t.ok(/no manatee backup in/.test(stderr), 'no such backup');
+        t.end();
+    });
+});
+
+
 test('teardown', function (t) {
     if (instances.length > 1) {
         t.end();
@@ -283,6 +283,8 @@ test('sdcadm platform usage VERSION -j', function (t) {
             }).forEach(function (prop) {
                 t.ok(d[prop], 'usage has property ' + prop);
             });
+            t.ok(Array.isArray(d.compat_problems),
+                'usage has compat_problems');
         });
         t.end();
     });
@@ -410,6 +412,67 @@ test('sdcadm platform assign', function (t) {
 
 });
 
+test('sdcadm platform assign, reboot and prune usage errors', function (t) {
+    vasync.forEachPipeline({
+        inputs: [
+            ['sdcadm platform assign --canaries 2 --latest --all',
+                '--canaries requires --rolling'],
+            ['sdcadm platform assign --resume --abort',
+                'cannot use both --resume and --abort'],
+            ['sdcadm platform assign --resume --latest',
+                'cannot specify a platform or servers with --resume'],
+            ['sdcadm platform reboot',
+                'must specify a SERVER or --all'],
+            ['sdcadm platform reboot --all --core-insts bogus',
+                'invalid --core-insts "bogus"'],
+            ['sdcadm platform prune',
+                'must specify which platforms to keep'],
+            ['sdcadm platform prune --keep 2 --json',
+                '--json requires --dry-run']
+        ],
+        func: function checkUsageErr(input, next) {
+            exec(input[0], function (err, stdout, stderr) {
+                t.ok(err, 'Execution error: ' + input[0]);
+                t.notEqual(stderr.indexOf(input[1]), -1, input[1]);
+                next();
+            });
+        }
+    }, function () {
+        t.end();
+    });
+});
+
+
+test('sdcadm platform reboot --dry-run', function (t) {
+    var cmd = 'sdcadm platform reboot --all --core-insts skip --dry-run';
+    exec(cmd, function (err, stdout, stderr) {
+        t.ifError(err, 'Execution error');
+        t.equal(stderr, '', 'Empty stderr');
+        t.ok(stdout.indexOf('No servers need to be rebooted') !== -1 ||
+            stdout.indexOf('will be rebooted onto their boot platform') !== -1,
+            'reboot plan');
+        t.end();
+    });
+});
+
+
+test('sdcadm platform prune --dry-run --json', function (t) {
+    var cmd = 'sdcadm platform prune --keep 2 --keep-default ' +
+        '--keep-assigned --min-age 30d --dry-run --json';
+    exec(cmd, function (err, stdout, stderr) {
+        t.ifError(err, 'Execution error');
+        t.equal(stderr, '', 'Empty stderr');
+        var plan = JSON.parse(stdout);
+        t.ok(Array.isArray(plan.remove), 'platforms to remove');
+        t.ok(plan.keep.length >= 1, 'platforms kept');
+        t.equal(plan.new_default, null, 'default boot platform kept');
+        t.equal(typeof (plan.reclaimed_kib.usbkey), 'number',
+            'space reclaimed on the USB key');
+        t.end();
+    });
+});
+
+
 // Run twice, set it back to whatever the value it has before
 test('sdcadm platform set-default', function (t) {
     if (!LATEST_AVAIL_PLATFORM) {
@@ -174,38 +174,74 @@ test('sdcadm rollback', function (t) {
 });
 
 
-test('sdcadm rollback -f', function (t) {
+test('sdcadm rollback --dry-run --yes -f', function (t) {
     if (!SUCCESSFULLY_UPDATED) {
         t.comment('Update did not happened. Skipping rollback');
         t.end();
         return;
     }
-    var cmd = 'sdcadm rollback -f ' + PLAN_PATH;
+    // No "--force" needed: the papi images do not declare incompatible
+    // migration revisions.
+    var cmd = 'sdcadm rollback --dry-run --yes -f ' + PLAN_PATH;
 
     exec(cmd, function (err, stdout, stderr) {
+        t.ifError(err);
+        t.equal(stderr, '');
+
+        t.ok(stdout.match('rollback "papi" service to image'));
+        t.ok(stdout.match('Rolledback successfully'));
+
+        t.end();
+    });
+});
+
+
+test('sdcadm rollback --list --json', function (t) {
+    exec('sdcadm rollback --list --json', function (err, stdout, stderr) {
+        t.ifError(err);
+        t.equal(stderr, '');
+
+        var updates = JSON.parse(stdout);
+        t.ok(Array.isArray(updates));
+        if (SUCCESSFULLY_UPDATED) {
+            t.equal(updates[0].wrkDir + '/plan.json', PLAN_PATH,
+                'the update is the latest rollback candidate');
+            t.ok(updates[0].changes.some(function (change) {
+                return (change.service === 'papi');
+            }));
+        }
+
+        t.end();
+    });
+});
+
+
+test('sdcadm rollback --latest -f', function (t) {
+    exec('sdcadm rollback --latest -f /var/tmp/plan.json',
+            function (err, stdout, stderr) {
         t.ok(err);
 
         t.equal(stdout, '');
-        t.ok(stderr.match('dependencies not implemented'));
+        t.ok(stderr.match('only one of'));
 
         t.end();
     });
 });
 
 
-test('sdcadm rollback --dry-run -f', function (t) {
+test('sdcadm rollback --dry-run --yes --latest', function (t) {
     if (!SUCCESSFULLY_UPDATED) {
         t.comment('Update did not happened. Skipping rollback');
         t.end();
         return;
     }
-    var cmd = 'sdcadm rollback --dry-run -f ' + PLAN_PATH;
+    var cmd = 'sdcadm rollback --dry-run --yes --latest';
 
     exec(cmd, function (err, stdout, stderr) {
-        t.ok(err);
+        t.ifError(err);
 
-        t.equal(stdout, '');
-        t.ok(stderr.match('dependencies not implemented.'));
+        t.ok(stdout.match('rollback "papi" service to image'));
+        t.ok(stdout.match('Rolledback successfully'));
 
         t.end();
     });
@@ -123,6 +123,14 @@ test('sdcadm self-update --allow-major-update', function (t) {
 });
 
 
+test('sdcadm self-update --allow-unsigned', function (t) {
+    exec('sdcadm self-update --allow-unsigned --dry-run --latest',
+        function (err, stdout, stderr) {
+        checkUpdateResults(t, err, stdout, stderr);
+    });
+});
+
+
 test('sdcadm self-update --latest --channel=staging', function (t) {
     var cmd = 'sdcadm self-update --latest --channel=staging';
     exec(cmd, function (err, stdout, stderr) {
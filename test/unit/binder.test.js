@@ -0,0 +1,150 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Test parts of lib/binder.js.
+ */
+
+'use strict';
+
+const tap = require('tap');
+
+const binder = require('../../lib/binder');
+
+const UUIDS = [
+    'b7b3c0a2-d9c1-11e9-8a34-2b7e1f0c6a10',
+    'bc1e4f7a-d9c1-11e9-9f1d-5f3c2a7e8b21',
+    'c0a9d2e4-d9c1-11e9-b6e2-7d4f1b9c3e32'
+];
+
+const INSTS = [0, 1, 2].map(function (n) {
+    return {
+        instance: UUIDS[n],
+        alias: 'binder' + n,
+        server: 'server' + n,
+        hostname: 'hn' + n,
+        ip: '10.99.99.' + (11 + n),
+        state: 'running'
+    };
+});
+
+const ZK_SERVERS = [0, 1, 2].map(function (n) {
+    return {host: '10.99.99.' + (11 + n), port: 2181, num: n + 1};
+});
+
+function membersWithModes() {
+    const modes = Array.prototype.slice.call(arguments);
+    return binder.ensembleMembers({
+        zkServers: ZK_SERVERS.slice(0, modes.length),
+        insts: INSTS
+    }).map(function (m, idx) {
+        m.mode = modes[idx];
+        return m;
+    });
+}
+
+
+tap.test('ensembleMembers', function (t) {
+    const members = binder.ensembleMembers({
+        zkServers: ZK_SERVERS.concat([ {host: '10.99.99.99', port: 2181} ]),
+        insts: INSTS
+    });
+    t.equal(members.length, 4);
+    t.deepEqual(members[1], {
+        zk_id: 2,
+        ip: '10.99.99.12',
+        instance: UUIDS[1],
+        alias: 'binder1',
+        server: 'server1',
+        hostname: 'hn1'
+    });
+    t.equal(members[3].instance, null, 'member without binder instance');
+    t.equal(members[3].zk_id, null, 'member without ZK id');
+    t.end();
+});
+
+
+tap.test('findMember', function (t) {
+    const members = membersWithModes('leader', 'follower', 'follower');
+    t.equal(binder.findMember(members, 'binder1').instance, UUIDS[1]);
+    t.equal(binder.findMember(members, UUIDS[2]).alias, 'binder2');
+    t.equal(binder.findMember(members, 'bc1e4f7a').alias, 'binder1');
+    t.equal(binder.findMember(members, '10.99.99.11').alias, 'binder0');
+    t.throws(function () {
+        binder.findMember(members, 'binder9');
+    }, /no binder ensemble member "binder9"/);
+    t.end();
+});
+
+
+tap.test('checkEnsembleChange', function (t) {
+    let members = membersWithModes('standalone');
+    let check = binder.checkEnsembleChange({members: members, add: true});
+    t.equal(check.size, 2);
+    t.equal(check.quorum, 2);
+    t.equal(check.warnings.length, 1, 'even ensemble warning');
+    t.throws(function () {
+        binder.checkEnsembleChange({members: members, remove: members[0]});
+    }, /cannot remove the last binder ensemble member/);
+
+    members = membersWithModes('leader', 'follower', 'down');
+    check = binder.checkEnsembleChange({
+        members: members,
+        add: true,
+        remove: members[2]
+    });
+    t.deepEqual(check, {size: 3, quorum: 2, warnings: []},
+        'replace a dead member');
+    check = binder.checkEnsembleChange({members: members, add: true});
+    t.equal(check.size, 4);
+    t.ok(check.warnings.some(w => /binder2 \(10.99.99.13\) is down/.test(w)),
+        'down member warning');
+    t.throws(function () {
+        binder.checkEnsembleChange({members: members, remove: members[1]});
+    }, /would lose the binder ZK ensemble quorum: 1 of the 2 members/);
+
+    members = membersWithModes('leader', 'down', 'down');
+    t.throws(function () {
+        binder.checkEnsembleChange({members: members, add: true});
+    }, /has no quorum/);
+
+    members = membersWithModes('leader', 'follower', 'down');
+    t.throws(function () {
+        binder.checkEnsembleChange({
+            members: members,
+            add: true,
+            remove: members[1]
+        });
+    }, new RegExp('1 of the 3 members of the current ensemble would be ' +
+        'up after removing binder1 \\(10.99.99.12\\)'),
+        'replace a healthy member while another is down');
+
+    members = membersWithModes('leader', 'follower');
+    t.throws(function () {
+        binder.checkEnsembleChange({members: members, remove: members[1]});
+    }, /1 of the 2 members of the current ensemble would be up/,
+        'remove a member of a 2 members ensemble');
+    t.end();
+});
+
+
+tap.test('nextZkId', function (t) {
+    const members = membersWithModes('leader', 'follower', 'follower');
+    t.equal(binder.nextZkId({members: members, sapiInsts: []}), 4);
+    t.equal(binder.nextZkId({
+        members: members,
+        sapiInsts: [ {metadata: {ZK_ID: '7'}}, {metadata: {}} ]
+    }), 8, 'ZK ids of SAPI instances');
+    t.equal(binder.nextZkId({
+        members: [ {zk_id: null} ],
+        sapiInsts: [ {metadata: {}} ]
+    }), 2, 'first binder instance has an implicit ZK id 1');
+    t.end();
+});
@@ -0,0 +1,233 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Test parts of lib/bundle.js.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tap = require('tap');
+
+const bundle = require('../../lib/bundle');
+
+const BUNDLE_UUID = '5c3a6f3e-9a5e-11e9-8b3c-5b1f6c0c3d2e';
+const BASE_UUID = '04a48d7d-6bb5-4e83-8c3b-e60a99e0f48f';
+const VMAPI_UUID = 'a7a0ea2c-8d37-11e9-8c83-5f1c52a3e4c7';
+const CNAPI_UUID = 'b2c1e8a4-8d37-11e9-9a4f-0b8f1e2d3c4b';
+const PI_OLD_UUID = 'c3d2f9b5-8d37-11e9-a7e3-2f4a5b6c7d8e';
+const PI_NEW_UUID = 'd4e3a0c6-8d37-11e9-b5d2-3a4b5c6d7e8f';
+const SHAR_UUID = 'e5f4b1d7-8d37-11e9-8e1a-4b5c6d7e8f90';
+
+const IMAGES = [
+    {uuid: BASE_UUID, name: 'sdc-minimal-multiarch-lts',
+        version: '15.4.1', published_at: '2016-01-01T00:00:00Z'},
+    {uuid: VMAPI_UUID, name: 'vmapi', version: 'master-20190601T000000Z',
+        origin: BASE_UUID, published_at: '2019-06-01T00:00:00Z'},
+    {uuid: CNAPI_UUID, name: 'cnapi', version: 'master-20190602T000000Z',
+        origin: BASE_UUID, published_at: '2019-06-02T00:00:00Z'},
+    {uuid: PI_OLD_UUID, name: 'platform', version: 'master-20190501T000000Z',
+        published_at: '2019-05-01T00:00:00Z'},
+    {uuid: PI_NEW_UUID, name: 'platform', version: 'master-20190601T000000Z',
+        published_at: '2019-06-01T00:00:00Z'},
+    {uuid: SHAR_UUID, name: 'agentsshar', version: 'master-20190601T000000Z',
+        published_at: '2019-06-01T00:00:00Z'}
+];
+
+
+/*
+ * A fake updates server IMGAPI client supporting the "name" and
+ * "version: ~<substring>" filters.
+ */
+function fakeUpdates() {
+    return {
+        getImage: function (uuid, cb) {
+            const img = IMAGES.find(i => i.uuid === uuid);
+            if (img) {
+                cb(null, img);
+            } else {
+                cb(new Error('not found: ' + uuid));
+            }
+        },
+        listImages: function (filter, cb) {
+            cb(null, IMAGES.filter(function (img) {
+                return ((!filter.name || img.name === filter.name) &&
+                    (!filter.version ||
+                        img.version.includes(filter.version.slice(1))));
+            }));
+        }
+    };
+}
+
+
+tap.test('entryFromImage', function (t) {
+    t.deepEqual(bundle.entryFromImage('image', IMAGES[1]), {
+        kind: 'image',
+        uuid: VMAPI_UUID,
+        name: 'vmapi',
+        version: 'master-20190601T000000Z',
+        manifest: 'images/' + VMAPI_UUID + '.imgmanifest',
+        file: 'images/' + VMAPI_UUID + '.file'
+    });
+    t.equal(bundle.entryFromImage('platform', IMAGES[4]).file,
+        'platform-master-20190601T000000Z.tgz');
+    t.equal(bundle.entryFromImage('agentsshar', IMAGES[5]).file,
+        'agentsshar-master-20190601T000000Z.sh');
+    t.end();
+});
+
+
+tap.test('validateManifest', function (t) {
+    const entry = bundle.entryFromImage('image', IMAGES[1]);
+    const manifest = {
+        v: 1,
+        uuid: BUNDLE_UUID,
+        images: [entry],
+        checksums: {
+            [entry.manifest]: 'abc',
+            [entry.file]: 'def'
+        }
+    };
+    t.equal(bundle.validateManifest(manifest), null);
+
+    t.ok(bundle.validateManifest({v: 2}).message.includes(
+        'unsupported bundle format version'));
+
+    const bad = Object.assign({}, manifest, {
+        images: [
+            Object.assign({}, entry, {file: '../../etc/passwd'}),
+            Object.assign({}, entry, {kind: 'bogus'})
+        ]
+    });
+    const err = bundle.validateManifest(bad);
+    t.ok(err, 'invalid manifest');
+    t.ok(err.message.includes(
+        'bundle image 0 "file" is not a relative path: "../../etc/passwd"'),
+        err.message);
+    t.ok(err.message.includes('bundle image 1 has an unknown kind: "bogus"'),
+        err.message);
+    t.end();
+});
+
+
+tap.test('computeChecksums and verifyChecksums', function (t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdcadm-bundle-test-'));
+    fs.mkdirSync(path.join(dir, 'images'));
+    fs.writeFileSync(path.join(dir, 'spec.json'), '{"v": 1}\n');
+    fs.writeFileSync(path.join(dir, 'images', 'a.file'), 'image data');
+
+    bundle.computeChecksums(dir, ['spec.json', 'images/a.file'],
+        function (err, checksums) {
+            t.ifError(err);
+            t.equal(checksums['images/a.file'], crypto.createHash('sha256')
+                .update('image data').digest('hex'), 'sha256 hex digest');
+
+            const manifest = {checksums: checksums};
+            bundle.verifyChecksums(dir, manifest, function (vErr) {
+                t.ifError(vErr, 'files match their checksums');
+
+                fs.writeFileSync(path.join(dir, 'images', 'a.file'), 'oops');
+                fs.unlinkSync(path.join(dir, 'spec.json'));
+                bundle.verifyChecksums(dir, manifest, function (badErr) {
+                    t.ok(badErr, 'corrupt and missing files');
+                    t.ok(badErr.message.includes(
+                        'checksum mismatch for bundle file images/a.file'),
+                        badErr.message);
+                    t.ok(badErr.message.includes('bundle file is missing ' +
+                        'or unreadable: spec.json'), badErr.message);
+                    fs.unlinkSync(path.join(dir, 'images', 'a.file'));
+                    fs.rmdirSync(path.join(dir, 'images'));
+                    fs.rmdirSync(dir);
+                    t.end();
+                });
+            });
+        });
+});
+
+
+tap.test('resolveImages', function (t) {
+    bundle.resolveImages({
+        updates: fakeUpdates(),
+        spec: {
+            v: 1,
+            services: {vmapi: VMAPI_UUID, cnapi: CNAPI_UUID},
+            platforms: {headnode: '20190501T000000Z'}
+        },
+        platform: 'latest',
+        agentsshar: 'latest'
+    }, function (err, entries) {
+        t.ifError(err);
+        t.deepEqual(entries.map(e => [e.kind, e.uuid]), [
+            ['image', BASE_UUID],
+            ['image', CNAPI_UUID],
+            ['image', VMAPI_UUID],
+            ['platform', PI_OLD_UUID],
+            ['platform', PI_NEW_UUID],
+            ['agentsshar', SHAR_UUID]
+        ], 'origins first and only once');
+        t.equal(entries[1].image, IMAGES[2], 'entries have the image');
+
+        bundle.resolveImages({
+            updates: fakeUpdates(),
+            spec: {v: 1},
+            gzTools: 'latest'
+        }, function (gzErr) {
+            t.ok(gzErr, 'no gz-tools image');
+            t.ok(gzErr.message.includes('no gz-tools image found'),
+                gzErr.message);
+            t.end();
+        });
+    });
+});
+
+
+tap.test('latestSpec', function (t) {
+    bundle.latestSpec({
+        updates: fakeUpdates(),
+        svcs: [
+            {name: 'vmapi', type: 'vm'},
+            {name: 'cn-agent', type: 'agent'},
+            {name: 'assets', type: 'vm'}
+        ],
+        imgNameFromSvcName: {vmapi: 'vmapi', 'cn-agent': 'cn-agent'}
+    }, function (err, spec) {
+        t.ifError(err);
+        t.deepEqual(spec, {
+            v: 1,
+            services: {vmapi: VMAPI_UUID},
+            agents: {}
+        });
+        t.end();
+    });
+});
+
+
+tap.test('nextSteps', function (t) {
+    const manifest = {
+        images: [
+            bundle.entryFromImage('image', IMAGES[1]),
+            bundle.entryFromImage('platform', IMAGES[4]),
+            bundle.entryFromImage('agentsshar', IMAGES[5])
+        ]
+    };
+    t.deepEqual(bundle.nextSteps('/usbkey/bundles/' + BUNDLE_UUID, manifest), [
+        'sdcadm platform install /usbkey/bundles/' + BUNDLE_UUID +
+            '/platform-master-20190601T000000Z.tgz',
+        'sdcadm experimental update-agents /usbkey/bundles/' + BUNDLE_UUID +
+            '/agentsshar-master-20190601T000000Z.sh',
+        'sdcadm update -f /usbkey/bundles/' + BUNDLE_UUID + '/spec.json'
+    ]);
+    t.end();
+});
@@ -0,0 +1,92 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Test lib/changelog.js.
+ */
+
+'use strict';
+
+const tap = require('tap');
+
+const changelog = require('../../lib/changelog');
+
+function img(uuid, publishedAt, tag) {
+    return {
+        uuid: uuid,
+        name: 'cnapi',
+        published_at: publishedAt,
+        tags: (tag === undefined ? {} : {changelog: tag})
+    };
+}
+
+
+tap.test('parseChangelog', function (t) {
+    t.deepEqual(changelog.parseChangelog([
+        '# cnapi changes',
+        '4f0c2a1 TRITON-1234 cnapi should not crash (see also OS-7000)',
+        '',
+        '  Update node to v6.17.1  '
+    ].join('\n')), [
+        {commit: '4f0c2a1', tickets: ['TRITON-1234', 'OS-7000'],
+            summary: 'TRITON-1234 cnapi should not crash (see also OS-7000)'},
+        {commit: null, tickets: [], summary: 'Update node to v6.17.1'}
+    ]);
+    t.end();
+});
+
+
+tap.test('changelogFromImage', function (t) {
+    t.equal(changelog.changelogFromImage(img('c1', '2019-01-01')), null,
+        'no changelog');
+    t.deepEqual(changelog.changelogFromImage(
+        img('c1', '2019-01-01', ['aaaaaaa TRITON-1 one', 'TRITON-2 two']),
+        'aaaaaaa TRITON-1 one\nbbbbbbb TRITON-3 three\n'
+    ).map(changelog.formatChange), [
+        'aaaaaaa TRITON-1 one',
+        'TRITON-2 two',
+        'bbbbbbb TRITON-3 three'
+    ], 'tag and file entries, without duplicates');
+    t.end();
+});
+
+
+tap.test('changesBetween', function (t) {
+    // Cumulative changelogs for c1 and c2, c3 only has its own changes and
+    // c4 has none.
+    const imgs = [
+        img('c1', '2019-01-01', 'aaaaaaa TRITON-1 one'),
+        img('c2', '2019-02-01', 'bbbbbbb TRITON-2 two\naaaaaaa TRITON-1 one'),
+        img('c3', '2019-03-01', 'ccccccc TRITON-3 three'),
+        img('c4', '2019-04-01')
+    ];
+    const changelogFromUuid = {};
+    imgs.forEach(function (i) {
+        changelogFromUuid[i.uuid] = changelog.changelogFromImage(i);
+    });
+
+    function changes(from, to) {
+        const entries = changelog.changesBetween({
+            from: from,
+            to: to,
+            images: imgs,
+            changelogFromUuid: changelogFromUuid
+        });
+        return (entries && entries.map(e => e.commit));
+    }
+
+    t.deepEqual(changes(imgs[0], imgs[3]), ['ccccccc', 'bbbbbbb'],
+        'from all images in between, most recent first');
+    t.deepEqual(changes(imgs[1], imgs[2]), ['ccccccc']);
+    t.deepEqual(changes(null, imgs[1]), ['bbbbbbb', 'aaaaaaa'],
+        'just the candidate image without a deployed one');
+    t.equal(changes(imgs[2], imgs[3]), null, 'no changelog');
+    t.end();
+});
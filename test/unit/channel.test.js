@@ -0,0 +1,70 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Test lib/channel.js.
+ */
+
+'use strict';
+
+const tap = require('tap');
+
+const channel = require('../../lib/channel');
+
+function img(name, version, uuid) {
+    return {
+        name: name,
+        version: version,
+        uuid: uuid,
+        published_at: version
+    };
+}
+
+
+tap.test('latestImageFromName', function (t) {
+    const latest = channel.latestImageFromName([
+        img('cloudapi', '2019-06-01', 'c2'),
+        img('cloudapi', '2019-07-01', 'c3'),
+        img('cloudapi', '2019-01-01', 'c1'),
+        img('agentsshar', '2019-02-01', 'a1')
+    ]);
+    t.deepEqual(Object.keys(latest).sort(), ['agentsshar', 'cloudapi']);
+    t.equal(latest.cloudapi.uuid, 'c3');
+    t.end();
+});
+
+
+tap.test('diffChannels', function (t) {
+    const rows = channel.diffChannels({
+        imgNames: ['sdc-postgres', 'cloudapi', 'agentsshar'],
+        svcNamesFromImgName: {
+            'sdc-postgres': ['manatee'],
+            cloudapi: ['cloudapi']
+        },
+        a: {
+            cloudapi: img('cloudapi', '2019-06-01', 'c2'),
+            'sdc-postgres': img('sdc-postgres', '2019-05-01', 'p1')
+        },
+        b: {
+            cloudapi: img('cloudapi', '2019-07-01', 'c3'),
+            'sdc-postgres': img('sdc-postgres', '2019-05-01', 'p1'),
+            agentsshar: img('agentsshar', '2019-02-01', 'a1')
+        }
+    });
+    t.deepEqual(rows, [
+        {image: 'agentsshar', services: '', a: null,
+            b: '2019-02-01 (a1)', differs: true},
+        {image: 'cloudapi', services: 'cloudapi', a: '2019-06-01 (c2)',
+            b: '2019-07-01 (c3)', differs: true},
+        {image: 'sdc-postgres', services: 'manatee', a: '2019-05-01 (p1)',
+            b: '2019-05-01 (p1)', differs: false}
+    ]);
+    t.end();
+});
@@ -0,0 +1,201 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Test parts of lib/checkpoint.js.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tap = require('tap');
+
+const UpdateCheckpoint = require('../../lib/checkpoint').UpdateCheckpoint;
+
+const RUN_UUID = '7d0ec7a4-8c6b-11e9-9a3b-8b0b2bd0a3b5';
+
+
+function DownloadImages(summary) {
+    this.summary = summary;
+}
+DownloadImages.prototype.summarize = function summarize() {
+    return this.summary;
+};
+
+function UpdateStatelessServices(summary) {
+    this.summary = summary;
+}
+UpdateStatelessServices.prototype.summarize = function summarize() {
+    return this.summary;
+};
+
+
+function newCheckpoint(wrkDir) {
+    return new UpdateCheckpoint({
+        wrkDir: wrkDir || '/var/tmp',
+        uuid: RUN_UUID,
+        curr: [
+            {instance: 'inst0', service: 'cnapi', image: 'img-old'},
+            {instance: 'inst1', service: 'vmapi', image: 'img-old'},
+            {instance: 'agent0', service: 'cn-agent'}
+        ],
+        procs: [
+            new DownloadImages('download 2 images'),
+            new UpdateStatelessServices('update "cnapi"'),
+            new UpdateStatelessServices('update "vmapi"')
+        ]
+    });
+}
+
+
+tap.test('UpdateCheckpoint.pendingProcs', function (suite) {
+    suite.test('nothing done', function (t) {
+        const cp = newCheckpoint();
+        const procs = [
+            new DownloadImages('download 2 images'),
+            new UpdateStatelessServices('update "cnapi"'),
+            new UpdateStatelessServices('update "vmapi"')
+        ];
+        const res = cp.pendingProcs(procs);
+        t.ifError(res.err);
+        t.equal(res.procs.length, 3);
+        t.deepEqual(res.procs.map(p => p._checkpointIdx), [0, 1, 2]);
+        t.end();
+    });
+
+    suite.test('skip done procs', function (t) {
+        const cp = newCheckpoint();
+        cp.procs[0].state = 'done';
+        cp.procs[1].state = 'done';
+        cp.procs[2].state = 'failed';
+        // Images are now all imported, so no DownloadImages.
+        const res = cp.pendingProcs([
+            new UpdateStatelessServices('update "cnapi"'),
+            new UpdateStatelessServices('update "vmapi"')
+        ]);
+        t.ifError(res.err);
+        t.equal(res.procs.length, 1);
+        t.equal(res.procs[0].summary, 'update "vmapi"');
+        t.equal(res.procs[0]._checkpointIdx, 2);
+        t.end();
+    });
+
+    suite.test('partially done proc', function (t) {
+        const cp = newCheckpoint();
+        cp.procs[0].state = 'failed';
+        const res = cp.pendingProcs([
+            new DownloadImages('download 1 image'),
+            new UpdateStatelessServices('update "cnapi"'),
+            new UpdateStatelessServices('update "vmapi"')
+        ]);
+        t.ifError(res.err);
+        t.equal(res.procs.length, 3);
+        t.equal(res.procs[0]._checkpointIdx, 0);
+        t.end();
+    });
+
+    suite.test('unmatched proc', function (t) {
+        const cp = newCheckpoint();
+        cp.procs[1].state = 'done';
+        const res = cp.pendingProcs([
+            new UpdateStatelessServices('update "napi"')
+        ]);
+        t.ok(res.err, 'expected error');
+        t.ok(res.err.message.includes('update "napi"'), res.err.message);
+        t.end();
+    });
+
+    suite.end();
+});
+
+
+tap.test('UpdateCheckpoint.divergedInsts', function (suite) {
+    const targ = [
+        {instance: 'inst0', service: 'cnapi', image: 'img-new'},
+        {instance: 'inst1', service: 'vmapi', image: 'img-new'}
+    ];
+
+    suite.test('not diverged', function (t) {
+        const cp = newCheckpoint();
+        const diverged = cp.divergedInsts([
+            {instance: 'inst0', service: 'cnapi', image: 'img-new'},
+            {instance: 'inst1', service: 'vmapi', image: 'img-old'},
+            {instance: 'agent0', service: 'cn-agent'}
+        ], targ);
+        t.deepEqual(diverged, []);
+        t.end();
+    });
+
+    suite.test('diverged', function (t) {
+        const cp = newCheckpoint();
+        const diverged = cp.divergedInsts([
+            {instance: 'inst0', service: 'cnapi', image: 'img-other'}
+        ], targ);
+        t.equal(diverged.length, 2);
+        t.equal(diverged[0].instance, 'inst0');
+        t.equal(diverged[0].image, 'img-other');
+        t.deepEqual(diverged[0].expected, ['img-old', 'img-new']);
+        t.equal(diverged[1].instance, 'inst1');
+        t.equal(diverged[1].image, null, 'inst1 is gone');
+        t.end();
+    });
+
+    suite.end();
+});
+
+
+tap.test('UpdateCheckpoint save, load and find', function (t) {
+    const updatesDir = fs.mkdtempSync(
+        path.join(os.tmpdir(), 'sdcadm-updates-'));
+    const wrkDir = path.join(updatesDir, '20190611T183001Z');
+    fs.mkdirSync(wrkDir);
+    fs.mkdirSync(path.join(updatesDir, '20190610T100000Z'));
+
+    const cp = newCheckpoint(wrkDir);
+    cp.finishProc(0, null, function (err) {
+        t.ifError(err);
+        cp.finishProc(1, new Error('boom'), function (err2) {
+            t.ifError(err2);
+            cp.finish(new Error('boom'), function (err3) {
+                t.ifError(err3);
+                UpdateCheckpoint.find({
+                    dir: updatesDir,
+                    uuid: RUN_UUID
+                }, function (findErr, found) {
+                    t.ifError(findErr);
+                    t.equal(found.wrkDir, wrkDir);
+                    t.equal(found.state, 'failed');
+                    t.ok(found.started <= found.finished,
+                        'started and finished times');
+                    t.deepEqual(found.procs.map(p => p.state),
+                        ['done', 'failed', 'pending']);
+                    t.equal(found.procs[1].error, 'boom');
+                    t.equal(typeof (found.pendingProcs), 'function');
+
+                    UpdateCheckpoint.find({
+                        dir: updatesDir,
+                        uuid: '5d6b6e5e-8c6d-11e9-b1a7-5b9f3e0f0d11'
+                    }, function (notFoundErr) {
+                        t.ok(notFoundErr, 'expected not found error');
+                        fs.unlinkSync(path.join(wrkDir, 'checkpoint.json'));
+                        fs.rmdirSync(wrkDir);
+                        fs.rmdirSync(path.join(updatesDir,
+                            '20190610T100000Z'));
+                        fs.rmdirSync(updatesDir);
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,243 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Test DC maintenance handling of `sdcadm update --maint`.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tap = require('tap');
+
+const SdcAdm = require('../../../lib/sdcadm');
+const UpdateSources = require('../../../lib/update-sources').UpdateSources;
+const Update = require('../../../lib/cli/do_update')._Update;
+const MockUI = require('../../../lib/cli/ui').MockUI;
+const testutil = require('../testutil');
+
+const RUN_UUID = '5a2f4c1e-9e2b-11e9-8a3d-2f6b1c7d9e40';
+
+
+/*
+ * Just enough of an SdcAdm for `Update.execute` to get to running a plan
+ * with a single procedure, recording the calls made in `calls`. The
+ * dc-maint info file is `infoPath`, as for the real `dcMaintRecordFailure`.
+ */
+function fakeSdcAdm(opts) {
+    const calls = [];
+    const sdcadm = Object.create(SdcAdm.prototype);
+    Object.assign(sdcadm, {
+        log: opts.log,
+        config: {},
+        updates: {},
+        calls: calls,
+        _dcMaintInfoPath: opts.infoPath,
+        ensureSdcApp: function (_opts, cb) {
+            cb();
+        },
+        acquireLock: function (_opts, cb) {
+            calls.push('acquireLock');
+            cb(null, function unlock() {});
+        },
+        releaseLock: function (_opts, cb) {
+            calls.push('releaseLock');
+            cb();
+        },
+        genUpdatePlan: function (_opts, cb) {
+            cb(null, {procs: [ {summarize: function () {
+                return 'update things';
+            }} ]});
+        },
+        summarizePlan: function () {},
+        dcMaintStatus: function (cb) {
+            calls.push('dcMaintStatus');
+            cb(null, {maint: Boolean(opts.inMaint)});
+        },
+        dcMaintStart: function (startOpts, cb) {
+            calls.push('dcMaintStart');
+            fs.writeFileSync(opts.infoPath, JSON.stringify({
+                startTime: new Date(),
+                runUuid: startOpts.runUuid
+            }));
+            cb(opts.startErr);
+        },
+        dcMaintStop: function (_opts, cb) {
+            calls.push('dcMaintStop');
+            fs.unlinkSync(opts.infoPath);
+            cb();
+        },
+        execUpdatePlan: function (_opts, cb) {
+            calls.push('execUpdatePlan');
+            cb(opts.execErr);
+        }
+    });
+    return sdcadm;
+}
+
+
+function runUpdate(t, opts, cb) {
+    const log = testutil.createBunyanLogger(t);
+    const sdcadm = fakeSdcAdm(Object.assign({log: log}, opts));
+    const update = new Update({
+        cli: {
+            _specFromArgs: function (_opts, _args, specCb) {
+                specCb(null, []);
+            }
+        },
+        log: log,
+        sdcadm: sdcadm,
+        ui: new MockUI({write: t.comment}),
+        progress: t.comment,
+        uuid: RUN_UUID
+    });
+    update.execute({
+        all: true,
+        maint: true,
+        yes: true,
+        skip_preflight: true
+    }, [], function (err) {
+        cb(err, sdcadm.calls);
+    });
+}
+
+
+tap.test('update --maint', function (suite) {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdcadm-update-'));
+    const infoPath = path.join(tmpDir, 'dc-maint.json');
+
+    suite.afterEach(function (done) {
+        if (fs.existsSync(infoPath)) {
+            fs.unlinkSync(infoPath);
+        }
+        done();
+    });
+    suite.tearDown(function () {
+        fs.rmdirSync(tmpDir);
+    });
+
+    suite.test('maintenance is entered before the plan runs', function (t) {
+        runUpdate(t, {infoPath: infoPath}, function (err, calls) {
+            t.ifError(err);
+            t.ok(calls.indexOf('dcMaintStart') !== -1, 'maintenance started');
+            t.ok(calls.indexOf('dcMaintStart') <
+                calls.indexOf('execUpdatePlan'), 'before the plan runs');
+            t.ok(calls.indexOf('acquireLock') <
+                calls.indexOf('dcMaintStart'), 'with the lock held');
+            t.end();
+        });
+    });
+
+    suite.test('maintenance is ended on success', function (t) {
+        runUpdate(t, {infoPath: infoPath}, function (err, calls) {
+            t.ifError(err);
+            t.deepEqual(calls.slice(calls.indexOf('execUpdatePlan')),
+                ['execUpdatePlan', 'dcMaintStop', 'releaseLock'],
+                'maintenance stopped after the plan, before unlocking');
+            t.notOk(fs.existsSync(infoPath), 'dc-maint info removed');
+            t.end();
+        });
+    });
+
+    suite.test('maintenance stays on and the failure is recorded on error',
+            function (t) {
+        runUpdate(t, {
+            infoPath: infoPath,
+            execErr: new Error('boom')
+        }, function (err, calls) {
+            t.ok(err, 'update failed');
+            t.equal(err.message, 'boom');
+            t.equal(calls.indexOf('dcMaintStop'), -1,
+                'maintenance not stopped');
+            t.ok(calls.indexOf('releaseLock') !== -1, 'lock released');
+
+            const info = JSON.parse(fs.readFileSync(infoPath, 'utf8'));
+            t.equal(info.runUuid, RUN_UUID, 'start info kept');
+            t.equal(info.failure.runUuid, RUN_UUID);
+            t.equal(info.failure.message, 'boom');
+            t.ok(info.failure.time, 'failure time');
+            t.end();
+        });
+    });
+
+    suite.test('maintenance is stopped if starting it fails', function (t) {
+        runUpdate(t, {
+            infoPath: infoPath,
+            startErr: new Error('cloudapi would not go down')
+        }, function (err, calls) {
+            t.ok(err, 'update failed');
+            t.equal(err.message, 'cloudapi would not go down');
+            t.equal(calls.indexOf('execUpdatePlan'), -1, 'plan not run');
+            t.ok(calls.indexOf('dcMaintStop') !== -1,
+                'partially started maintenance stopped');
+            t.ok(calls.indexOf('dcMaintStop') <
+                calls.indexOf('releaseLock'), 'before unlocking');
+            t.notOk(fs.existsSync(infoPath), 'no failure recorded');
+            t.end();
+        });
+    });
+
+    suite.test('nothing is done if the DC is already in maintenance',
+            function (t) {
+        runUpdate(t, {infoPath: infoPath, inMaint: true},
+                function (err, calls) {
+            t.ifError(err);
+            t.ok(calls.indexOf('execUpdatePlan') !== -1, 'plan ran');
+            t.equal(calls.indexOf('dcMaintStart'), -1, 'not started');
+            t.equal(calls.indexOf('dcMaintStop'), -1, 'not stopped');
+            t.notOk(fs.existsSync(infoPath), 'no dc-maint info written');
+
+            runUpdate(t, {
+                infoPath: infoPath,
+                inMaint: true,
+                execErr: new Error('boom')
+            }, function (err2, calls2) {
+                t.ok(err2, 'update failed');
+                t.equal(calls2.indexOf('dcMaintStop'), -1, 'not stopped');
+                t.notOk(fs.existsSync(infoPath),
+                    'no failure recorded for maintenance of another');
+                t.end();
+            });
+        });
+    });
+
+    suite.end();
+});
+
+
+tap.test('channelForService', function (t) {
+    const sdcadm = Object.create(SdcAdm.prototype);
+    sdcadm.sdcApp = {
+        metadata: {
+            update_channel: 'release',
+            update_channel_pins: {imgapi: 'dev'}
+        }
+    };
+    sdcadm._updates = new UpdateSources({
+        sources: [ {url: 'file:///var/tmp/updates', type: 'dir'} ],
+        log: testutil.createBunyanLogger(t),
+        channel: 'release'
+    });
+    Object.defineProperty(sdcadm, 'updates', {
+        get: function () {
+            return this._updates;
+        }
+    });
+
+    t.equal(sdcadm.channelForService('imgapi'), 'dev', 'pinned');
+    t.equal(sdcadm.channelForService('vmapi'), 'release', 'default');
+    sdcadm.updates.channel = 'release';
+    t.equal(sdcadm.channelForService('imgapi'), 'release',
+        'a given channel overrides pins, even if the default one');
+    t.end();
+});
@@ -0,0 +1,342 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Test parts of lib/health-checks.js.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const bunyan = require('bunyan');
+const tap = require('tap');
+
+const healthChecks = require('../../lib/health-checks');
+
+const log = bunyan.createLogger({name: 'health-checks-test', level: 'fatal'});
+
+const INST_UUID = 'c1a0f6e2-8e10-11e9-a5b1-3f0c2f6d8e41';
+const SERVER_UUID = '00000000-0000-0000-0000-002590c0933c';
+
+
+function tmpDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'sdcadm-health-'));
+}
+
+function rmDir(dir) {
+    fs.readdirSync(dir).forEach(function (name) {
+        fs.unlinkSync(path.join(dir, name));
+    });
+    fs.rmdirSync(dir);
+}
+
+
+tap.test('validateCheck', function (t) {
+    t.equal(healthChecks.validateCheck(
+        {type: 'http', port: 8080, path: '/ping', status: 204}), null);
+    t.equal(healthChecks.validateCheck({type: 'tcp', port: 5432}), null);
+    t.equal(healthChecks.validateCheck(
+        {name: 'status', type: 'cmd', cmd: 'true', timeout: 500}), null);
+    t.equal(healthChecks.validateCheck({type: 'zookeeper'}), null);
+    t.equal(healthChecks.validateCheck({type: 'manatee'}), null);
+
+    [
+        [null, 'not an object'],
+        [{type: 'ftp'}, 'unknown health check type'],
+        [{type: 'tcp'}, 'missing "port"'],
+        [{type: 'tcp', port: 70000}, 'port'],
+        [{type: 'http', path: 'ping'}, 'path'],
+        [{type: 'http', path: '/ping', status: 'ok'}, 'status'],
+        [{type: 'cmd', cmd: ''}, 'cmd'],
+        [{type: 'manatee', port: 5432}, 'fields: port'],
+        [{type: 'manatee', timeout: -1}, 'timeout']
+    ].forEach(function (c) {
+        const msg = healthChecks.validateCheck(c[0]);
+        t.ok(msg && msg.includes(c[1]), JSON.stringify(c[0]) + ': ' + msg);
+    });
+    t.end();
+});
+
+
+tap.test('mergeChecks', function (t) {
+    const builtin = healthChecks.BUILTIN_CHECKS.cnapi;
+    const checks = healthChecks.mergeChecks(builtin, [
+        {name: 'ping', type: 'http', port: 8080, path: '/ping'},
+        {type: 'tcp', port: 80},
+        {type: 'bogus'}
+    ], 'test');
+    t.equal(builtin[0].port, undefined, 'built-in checks untouched');
+    t.deepEqual(checks.map(c => c.name), ['ping', 'tcp', 'test[2]']);
+    t.equal(checks[0].port, 8080, 'built-in check replaced');
+    t.ok(checks[2].invalid.includes('unknown health check type'),
+        checks[2].invalid);
+    t.end();
+});
+
+
+tap.test('loadChecks', function (t) {
+    const dir = tmpDir();
+    fs.writeFileSync(path.join(dir, 'mysvc.json'), JSON.stringify({
+        mysvc: [ {type: 'tcp', port: 1234} ],
+        vmapi: [ {name: 'ping', type: 'http', path: '/ping', timeout: 500} ]
+    }));
+    fs.writeFileSync(path.join(dir, 'README'), 'not a checks file');
+
+    const sdcadm = {
+        config: {healthChecksDir: dir},
+        log: log,
+        getServices: function (_opts, cb) {
+            cb(null, [
+                {name: 'vmapi', metadata: {}},
+                {name: 'mysvc', metadata: {
+                    sdcadm_health_checks: '[{"type": "cmd", "cmd": "true"}]'
+                }}
+            ]);
+        }
+    };
+    healthChecks.loadChecks({sdcadm: sdcadm},
+            function (err, checksFromSvc, loadErrors) {
+        t.ifError(err);
+        t.deepEqual(checksFromSvc.mysvc.map(c => c.name), ['cmd', 'tcp']);
+        t.equal(checksFromSvc.vmapi.length, 1);
+        t.equal(checksFromSvc.vmapi[0].timeout, 500);
+        t.ok(checksFromSvc.cnapi, 'built-in checks');
+        t.deepEqual(loadErrors, []);
+
+        fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+        fs.writeFileSync(path.join(dir, 'list.json'), '[]');
+        healthChecks.loadChecks({sdcadm: sdcadm},
+                function (err2, checksFromSvc2, loadErrors2) {
+            t.ifError(err2, 'broken files do not fail loading');
+            t.deepEqual(checksFromSvc2.mysvc.map(c => c.name),
+                ['cmd', 'tcp'], 'good files are still loaded');
+            t.ok(checksFromSvc2.cnapi, 'built-in checks');
+            t.deepEqual(loadErrors2.map(e => path.basename(e.file)),
+                ['broken.json', 'list.json']);
+            t.ok(/broken\.json is not valid JSON: /.test(
+                loadErrors2[0].message), loadErrors2[0].message);
+            t.ok(loadErrors2[1].message.includes('is not an object'),
+                loadErrors2[1].message);
+            rmDir(dir);
+            t.end();
+        });
+    });
+});
+
+
+tap.test('runChecks', function (suite) {
+    let httpServer;
+    let tcpServer;
+    let zkServer;
+    let inst;
+
+    function run(checks, runScript, cb) {
+        inst = {
+            type: 'vm',
+            instance: INST_UUID,
+            service: 'mysvc',
+            server: SERVER_UUID,
+            ip: '127.0.0.1'
+        };
+        healthChecks.runChecks({
+            inst: inst,
+            checks: checks,
+            runScript: runScript || function () {
+                throw new Error('unexpected runScript');
+            },
+            log: log
+        }, cb);
+    }
+
+    suite.test('setup', function (t) {
+        httpServer = http.createServer(function (req, res) {
+            res.statusCode = (req.url === '/ping' ? 200 : 503);
+            res.end();
+        });
+        tcpServer = net.createServer(function (sock) {
+            sock.end();
+        });
+        zkServer = net.createServer(function (sock) {
+            sock.on('data', function (data) {
+                sock.end(String(data) === 'ruok' ? 'imok' : '');
+            });
+        });
+        httpServer.listen(0, '127.0.0.1', function () {
+            tcpServer.listen(0, '127.0.0.1', function () {
+                zkServer.listen(0, '127.0.0.1', t.end);
+            });
+        });
+    });
+
+    suite.test('no checks', function (t) {
+        run([], null, function (err) {
+            t.ifError(err);
+            t.equal(inst.healthy, true);
+            t.deepEqual(inst.checks, []);
+            t.end();
+        });
+    });
+
+    suite.test('healthy', function (t) {
+        run([
+            {name: 'ping', type: 'http', port: httpServer.address().port,
+                path: '/ping'},
+            {name: 'tcp', type: 'tcp', port: tcpServer.address().port},
+            {name: 'zookeeper', type: 'zookeeper',
+                port: zkServer.address().port},
+            {name: 'status', type: 'cmd', cmd: 'svc-status \'a b\''}
+        ], function (_inst, script, _timeout, cb) {
+            t.equal(script,
+                '/usr/sbin/zlogin ' + INST_UUID + ' \'svc-status \'\\\'\'a b' +
+                '\'\\\'\'\'');
+            cb(null, {exit_status: 0, stdout: '', stderr: ''});
+        }, function (err) {
+            t.ifError(err);
+            t.equal(inst.healthy, true);
+            t.notOk(inst.health_errors);
+            t.deepEqual(inst.checks.map(c => [c.name, c.healthy]), [
+                ['ping', true], ['tcp', true], ['zookeeper', true],
+                ['status', true]
+            ]);
+            t.end();
+        });
+    });
+
+    suite.test('unhealthy', function (t) {
+        run([
+            {name: 'ping', type: 'http', port: httpServer.address().port,
+                path: '/status'},
+            {name: 'status', type: 'cmd', cmd: 'false'},
+            {name: 'bad', type: 'tcp', invalid: 'invalid health check'}
+        ], function (_inst, _script, _timeout, cb) {
+            cb(null, {exit_status: 1, stdout: '', stderr: 'oops\n'});
+        }, function (err) {
+            t.ifError(err);
+            t.equal(inst.healthy, false);
+            t.equal(inst.health_errors.length, 3);
+            t.ok(inst.checks[0].message.includes('HTTP code 503'),
+                inst.checks[0].message);
+            t.equal(inst.checks[1].message, '"false" exited 1: oops');
+            t.equal(inst.checks[2].message, 'invalid health check');
+            t.end();
+        });
+    });
+
+    suite.test('teardown', function (t) {
+        httpServer.close();
+        tcpServer.close();
+        zkServer.close();
+        t.end();
+    });
+
+    suite.end();
+});
+
+
+tap.test('watchHealth', function (suite) {
+    function result(instance, healthy) {
+        const r = {type: 'vm', instance: instance, service: 'mysvc'};
+        if (!healthy) {
+            r.health_errors = [ {message: instance + ' is down'} ];
+        }
+        return r;
+    }
+
+    /*
+     * A fake SdcAdm whose checkHealth gives each of the given results in
+     * turn.
+     */
+    function fakeSdcAdm(runs) {
+        let i = 0;
+        return {
+            checkHealth: function (_opts, cb) {
+                setImmediate(cb, null, runs[Math.min(i++, runs.length - 1)]);
+            }
+        };
+    }
+
+    suite.test('until healthy', function (t) {
+        const transitions = [];
+        const runs = [];
+        healthChecks.watchHealth({
+            sdcadm: fakeSdcAdm([
+                [result('a', true), result('b', false)],
+                [result('a', false), result('b', false)],
+                [result('a', true), result('b', true), result('c', true)]
+            ]),
+            healthOpts: {},
+            interval: 1,
+            untilHealthy: true,
+            onTransition: function (tr) {
+                transitions.push([tr.result.instance, tr.prevHealthy,
+                    tr.healthy, tr.initial]);
+            },
+            onRun: function (results, n) {
+                runs.push([n, results.length]);
+            }
+        }, function (err, results) {
+            t.ifError(err);
+            t.equal(results.length, 3);
+            t.deepEqual(transitions, [
+                ['a', null, true, true],
+                ['b', null, false, true],
+                ['a', true, false, false],
+                ['a', false, true, false],
+                ['b', false, true, false],
+                ['c', null, true, false]
+            ]);
+            t.deepEqual(runs, [[1, 2], [2, 2], [3, 3]]);
+            t.end();
+        });
+    });
+
+    suite.test('gone instance', function (t) {
+        const transitions = [];
+        const watcher = healthChecks.watchHealth({
+            sdcadm: fakeSdcAdm([
+                [result('a', true), result('b', true)],
+                [result('a', true)]
+            ]),
+            healthOpts: {},
+            interval: 1,
+            onTransition: function (tr) {
+                transitions.push([tr.result.instance, tr.healthy]);
+                if (tr.healthy === null) {
+                    watcher.stop();
+                }
+            }
+        }, function (err) {
+            t.ifError(err);
+            t.deepEqual(transitions, [['a', true], ['b', true], ['b', null]]);
+            t.end();
+        });
+    });
+
+    suite.test('waitUntilHealthy timeout', function (t) {
+        healthChecks.waitUntilHealthy({
+            sdcadm: fakeSdcAdm([ [result('a', false)] ]),
+            healthOpts: {},
+            interval: 5,
+            timeout: 20
+        }, function (err) {
+            t.ok(err, 'expected error');
+            t.equal(err.code, 'InstanceIsDown');
+            t.ok(err.message.includes('a (a is down)'), err.message);
+            t.end();
+        });
+    });
+
+    suite.end();
+});
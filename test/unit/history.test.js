@@ -0,0 +1,205 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Test parts of lib/history.js.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tap = require('tap');
+
+const History = require('../../lib/history').History;
+const testutil = require('./testutil');
+
+const RUN_UUID = 'a1b9b3ac-8c4f-11e9-8f0a-5b64fd1e3fd0';
+
+
+function FakeProc(summary) {
+    this.summary = summary;
+}
+FakeProc.prototype.summarize = function summarize() {
+    return this.summary;
+};
+
+function FakePlan() {}
+FakePlan.prototype.serialize = function serialize() {
+    return JSON.stringify({v: 1, changes: [{service: 'cnapi'}]});
+};
+
+
+function rmTree(dir) {
+    fs.readdirSync(dir).forEach(function (f) {
+        const p = path.join(dir, f);
+        if (fs.statSync(p).isDirectory()) {
+            rmTree(p);
+        } else {
+            fs.unlinkSync(p);
+        }
+    });
+    fs.rmdirSync(dir);
+}
+
+
+tap.test('History', function (suite) {
+    let tmpDir;
+
+    suite.beforeEach(function (done) {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdcadm-history-'));
+        done();
+    });
+
+    suite.afterEach(function (done) {
+        rmTree(tmpDir);
+        done();
+    });
+
+    suite.test('start, procs, finish', function (t) {
+        const history = new History({
+            log: testutil.createBunyanLogger(t),
+            dir: path.join(tmpDir, 'history'),
+            uuid: RUN_UUID,
+            username: 'root',
+            argv: ['update', '-y', 'cnapi']
+        });
+
+        history.start({plan: new FakePlan()}, function (startErr) {
+            t.ifError(startErr);
+            history.getHistory(RUN_UUID, function (getErr, rec) {
+                t.ifError(getErr);
+                t.equal(rec.uuid, RUN_UUID);
+                t.equal(rec.user, 'root');
+                t.equal(rec.cmd, 'update -y cnapi');
+                t.ok(rec.started, 'started');
+                t.notOk(rec.finished, 'not yet finished');
+                t.deepEqual(rec.plan.changes, [{service: 'cnapi'}]);
+
+                const ok = history.startProc(new FakeProc('update cnapi'));
+                history.finishProc(ok);
+                const bad = history.startProc(new FakeProc('update vmapi'));
+                history.finishProc(bad, new Error('boom'));
+
+                history.finish({err: new Error('boom')}, function (finErr) {
+                    t.ifError(finErr);
+                    history.getHistory(RUN_UUID, function (err2, rec2) {
+                        t.ifError(err2);
+                        t.ok(rec2.finished, 'finished');
+                        t.equal(rec2.outcome, 'failure');
+                        t.equal(rec2.error, 'boom');
+                        t.equal(rec2.procs.length, 2);
+                        t.equal(rec2.procs[0].outcome, 'success');
+                        t.equal(rec2.procs[1].outcome, 'failure');
+                        t.equal(rec2.procs[1].error, 'boom');
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+
+    suite.test('nested start/finish', function (t) {
+        const history = new History({
+            log: testutil.createBunyanLogger(t),
+            dir: path.join(tmpDir, 'history'),
+            uuid: RUN_UUID,
+            argv: ['create', 'cloudapi']
+        });
+
+        history.start({}, function () {
+            history.start({plan: new FakePlan()}, function () {
+                history.finish({}, function () {
+                    history.getHistory(RUN_UUID, function (_, rec) {
+                        t.notOk(rec.finished, 'inner finish is a no-op');
+                        t.ok(rec.plan, 'inner start adds the plan');
+                        history.finish({}, function () {
+                            history.getHistory(RUN_UUID, function (__, rec2) {
+                                t.ok(rec2.finished, 'outer finish');
+                                t.equal(rec2.outcome, 'success');
+                                t.end();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    suite.test('listHistory', function (t) {
+        const files = {
+            '0ad9c5d4-8c50-11e9-9d1b-e3fbd4e0a1a4.json': JSON.stringify({
+                uuid: '0ad9c5d4-8c50-11e9-9d1b-e3fbd4e0a1a4',
+                started: '2019-06-12T00:00:00.000Z'
+            }),
+            '1c4f1f0e-8c50-11e9-a8f3-3f6b2b5e4f35.json': JSON.stringify({
+                uuid: '1c4f1f0e-8c50-11e9-a8f3-3f6b2b5e4f35',
+                started: '2019-06-10T00:00:00.000Z'
+            }),
+            '2b9d8c36-8c50-11e9-8a35-0b0f0b6a3c8e.json': 'not json',
+            'README': 'not a record'
+        };
+        Object.keys(files).forEach(function (f) {
+            fs.writeFileSync(path.join(tmpDir, f), files[f]);
+        });
+        const history = new History({
+            log: testutil.createBunyanLogger(t),
+            dir: tmpDir,
+            uuid: RUN_UUID
+        });
+
+        history.listHistory({}, function (err, recs) {
+            t.ifError(err);
+            t.deepEqual(recs.map(r => r.started), [
+                '2019-06-10T00:00:00.000Z',
+                '2019-06-12T00:00:00.000Z'
+            ], 'valid records, sorted by start time');
+
+            history.listHistory({
+                since: new Date('2019-06-11T00:00:00.000Z')
+            }, function (err2, recs2) {
+                t.ifError(err2);
+                t.equal(recs2.length, 1);
+                t.equal(recs2[0].uuid, '0ad9c5d4-8c50-11e9-9d1b-e3fbd4e0a1a4');
+                t.end();
+            });
+        });
+    });
+
+    suite.test('listHistory without history dir', function (t) {
+        const history = new History({
+            log: testutil.createBunyanLogger(t),
+            dir: path.join(tmpDir, 'history'),
+            uuid: RUN_UUID
+        });
+        history.listHistory({}, function (err, recs) {
+            t.ifError(err);
+            t.deepEqual(recs, []);
+            t.end();
+        });
+    });
+
+    suite.test('getHistory unknown', function (t) {
+        const history = new History({
+            log: testutil.createBunyanLogger(t),
+            dir: path.join(tmpDir, 'history'),
+            uuid: RUN_UUID
+        });
+        history.getHistory(RUN_UUID, function (err) {
+            t.ok(err, 'expected error');
+            t.equal(err.code, 'Usage');
+            t.end();
+        });
+    });
+
+    suite.end();
+});
@@ -0,0 +1,265 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Test parts of lib/lock.js.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tap = require('tap');
+
+const sdcadmLock = require('../../lib/lock');
+
+const RUN_UUID = 'd6c0b1d2-8d4f-11e9-a3c5-3b2b7c0e5f1a';
+const OTHER_UUID = 'e2a9f6b4-8d4f-11e9-8f0e-67a1d3b5c9e2';
+
+// A PID very unlikely to be in use.
+const DEAD_PID = 999999;
+
+
+/*
+ * Just enough of an SdcAdm for the SAPI lock functions.
+ */
+function fakeSdcAdm() {
+    const app = {uuid: 'f3b1a4c6-8d4f-11e9-b9d4-0f8e2c6a7d31', metadata: {}};
+    return {
+        sdcApp: app,
+        sapi: {
+            getApplication: function (_uuid, cb) {
+                cb(null, JSON.parse(JSON.stringify(app)));
+            },
+            updateApplication: function (_uuid, opts, cb) {
+                Object.keys(opts.metadata).forEach(function (k) {
+                    if (opts.action === 'delete') {
+                        delete app.metadata[k];
+                    } else {
+                        app.metadata[k] = opts.metadata[k];
+                    }
+                });
+                cb();
+            }
+        }
+    };
+}
+
+
+tap.test('lockHolder', function (t) {
+    const holder = sdcadmLock.lockHolder({
+        uuid: RUN_UUID,
+        username: 'root',
+        argv: ['update', '-y', 'cnapi']
+    });
+    t.equal(holder.uuid, RUN_UUID);
+    t.equal(holder.pid, process.pid);
+    t.equal(holder.user, 'root');
+    t.equal(holder.cmd, 'update -y cnapi');
+    t.equal(holder.hostname, os.hostname());
+    t.ok(holder.acquired, 'acquired');
+    t.notOk(sdcadmLock.isStaleHolder(holder), 'we are not stale');
+    t.ok(sdcadmLock.describeHolder(holder).includes(
+        '"sdcadm update -y cnapi"'));
+
+    t.ok(sdcadmLock.isStaleHolder(Object.assign({}, holder, {pid: DEAD_PID})),
+        'dead local pid is stale');
+    t.notOk(sdcadmLock.isStaleHolder(Object.assign({}, holder, {
+        pid: DEAD_PID,
+        hostname: 'some-other-headnode'
+    })), 'cannot tell for a remote holder');
+    t.end();
+});
+
+
+tap.test('read, write and remove lock holder', function (t) {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdcadm-lock-'));
+    const holderPath = path.join(tmpDir, 'sdcadm.lock.json');
+    const holder = sdcadmLock.lockHolder({uuid: RUN_UUID});
+
+    sdcadmLock.readLockHolder(holderPath, function (err, none) {
+        t.ifError(err);
+        t.equal(none, null, 'no holder file');
+        sdcadmLock.writeLockHolder(holderPath, holder, function (err2) {
+            t.ifError(err2);
+            sdcadmLock.readLockHolder(holderPath, function (err3, read) {
+                t.ifError(err3);
+                t.deepEqual(read, holder);
+                sdcadmLock.removeLockHolder(holderPath, function (err4) {
+                    t.ifError(err4);
+                    t.notOk(fs.existsSync(holderPath), 'removed');
+                    sdcadmLock.removeLockHolder(holderPath, function (err5) {
+                        t.ifError(err5, 'removing again is fine');
+                        fs.rmdirSync(tmpDir);
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+});
+
+
+tap.test('SAPI lock', function (suite) {
+    const progress = function () {};
+
+    suite.test('acquire and release', function (t) {
+        const sdcadm = fakeSdcAdm();
+        const holder = sdcadmLock.lockHolder({uuid: RUN_UUID});
+        sdcadmLock.acquireSapiLock({
+            sdcadm: sdcadm,
+            holder: holder,
+            progress: progress
+        }, function (err) {
+            t.ifError(err);
+            t.deepEqual(sdcadm.sdcApp.metadata[sdcadmLock.SAPI_LOCK_KEY],
+                holder);
+            sdcadmLock.releaseSapiLock({
+                sdcadm: sdcadm,
+                holder: holder
+            }, function (err2) {
+                t.ifError(err2);
+                t.notOk(sdcadm.sdcApp.metadata[sdcadmLock.SAPI_LOCK_KEY]);
+                t.end();
+            });
+        });
+    });
+
+    suite.test('held by another', function (t) {
+        const sdcadm = fakeSdcAdm();
+        const other = Object.assign(sdcadmLock.lockHolder({uuid: OTHER_UUID}),
+            {hostname: 'some-other-headnode'});
+        sdcadm.sdcApp.metadata[sdcadmLock.SAPI_LOCK_KEY] = other;
+        sdcadmLock.acquireSapiLock({
+            sdcadm: sdcadm,
+            holder: sdcadmLock.lockHolder({uuid: RUN_UUID}),
+            progress: progress
+        }, function (err) {
+            t.ok(err, 'expected error');
+            t.equal(err.code, 'Lock');
+            t.ok(err.message.includes(OTHER_UUID), err.message);
+            t.deepEqual(sdcadm.sdcApp.metadata[sdcadmLock.SAPI_LOCK_KEY],
+                other, 'lock untouched');
+
+            sdcadmLock.releaseSapiLock({
+                sdcadm: sdcadm,
+                holder: sdcadmLock.lockHolder({uuid: RUN_UUID})
+            }, function (err2) {
+                t.ifError(err2);
+                t.ok(sdcadm.sdcApp.metadata[sdcadmLock.SAPI_LOCK_KEY],
+                    'release does not drop the lock of another');
+                t.end();
+            });
+        });
+    });
+
+    suite.test('stale lock is broken', function (t) {
+        const sdcadm = fakeSdcAdm();
+        sdcadm.sdcApp.metadata[sdcadmLock.SAPI_LOCK_KEY] = Object.assign(
+            sdcadmLock.lockHolder({uuid: OTHER_UUID}), {pid: DEAD_PID});
+        const msgs = [];
+        sdcadmLock.acquireSapiLock({
+            sdcadm: sdcadm,
+            holder: sdcadmLock.lockHolder({uuid: RUN_UUID}),
+            progress: function (msg) {
+                msgs.push(msg);
+            }
+        }, function (err) {
+            t.ifError(err);
+            t.equal(sdcadm.sdcApp.metadata[sdcadmLock.SAPI_LOCK_KEY].uuid,
+                RUN_UUID);
+            t.ok(msgs[0].includes('stale'), msgs[0]);
+            t.end();
+        });
+    });
+
+    suite.end();
+});
+
+
+tap.test('lock status', function (suite) {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdcadm-lock-'));
+    const holderPath = path.join(tmpDir, 'sdcadm.lock.json');
+    const holder = sdcadmLock.lockHolder({uuid: RUN_UUID});
+
+    suite.tearDown(function () {
+        if (fs.existsSync(holderPath)) {
+            fs.unlinkSync(holderPath);
+        }
+        fs.rmdirSync(tmpDir);
+    });
+
+    function lockCli(sdcadm) {
+        const cli = Object.create(sdcadmLock.LockCLI.prototype);
+        cli.sdcadm = Object.assign(sdcadm, {_lockHolderPath: holderPath});
+        return cli;
+    }
+
+    suite.test('SAPI lock not enabled', function (t) {
+        const sdcadm = fakeSdcAdm();
+        sdcadm.config = {};
+        sdcadm.ensureSdcApp = function () {
+            t.fail('SAPI should not be used');
+        };
+        sdcadmLock.writeLockHolder(holderPath, holder, function (err) {
+            t.ifError(err);
+            lockCli(sdcadm)._lockStatus(function (err2, status) {
+                t.ifError(err2);
+                t.equal(status.local.state, 'held');
+                t.equal(status.local.holder.uuid, RUN_UUID);
+                t.equal(status.sapi.enabled, false);
+                t.equal(status.sapi.state, 'free');
+                t.end();
+            });
+        });
+    });
+
+    suite.test('SAPI is down', function (t) {
+        const sdcadm = fakeSdcAdm();
+        sdcadm.config = {sapiLock: true};
+        sdcadm.ensureSdcApp = function (_opts, cb) {
+            cb();
+        };
+        sdcadm.sapi.getApplication = function (_uuid, cb) {
+            cb(new Error('connect ECONNREFUSED'));
+        };
+        lockCli(sdcadm)._lockStatus(function (err, status, sapiErr) {
+            t.ifError(err, 'no error for the local status');
+            t.equal(status.local.state, 'held');
+            t.equal(status.sapi.state, 'unknown');
+            t.ok(status.sapi.error.includes('ECONNREFUSED'),
+                status.sapi.error);
+            t.ok(sapiErr, 'SAPI error is passed on');
+            t.end();
+        });
+    });
+
+    suite.test('SAPI lock held', function (t) {
+        const sdcadm = fakeSdcAdm();
+        sdcadm.config = {sapiLock: true};
+        sdcadm.ensureSdcApp = function (_opts, cb) {
+            cb();
+        };
+        sdcadm.sdcApp.metadata[sdcadmLock.SAPI_LOCK_KEY] = Object.assign(
+            sdcadmLock.lockHolder({uuid: OTHER_UUID}),
+            {hostname: 'some-other-headnode'});
+        lockCli(sdcadm)._lockStatus(function (err, status, sapiErr) {
+            t.ifError(err);
+            t.notOk(sapiErr);
+            t.equal(status.sapi.state, 'held');
+            t.equal(status.sapi.holder.uuid, OTHER_UUID);
+            t.end();
+        });
+    });
+
+    suite.end();
+});
@@ -0,0 +1,202 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Test parts of lib/manatee-backup.js.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const bunyan = require('bunyan');
+const tap = require('tap');
+
+const manateeBackup = require('../../lib/manatee-backup');
+
+const log = bunyan.createLogger({name: 'manatee-backup-test', level: 'fatal'});
+
+const IMG_UUIDS = [
+    '4b0a1f6e-d8a4-11e9-9c55-3f0e6b1c2d10',
+    '50c2a7d4-d8a4-11e9-a1b7-7b6d3f3f2e21'
+];
+
+function rmDir(dir) {
+    fs.readdirSync(dir).forEach(function (name) {
+        const p = path.join(dir, name);
+        if (fs.statSync(p).isDirectory()) {
+            rmDir(p);
+        } else {
+            fs.unlinkSync(p);
+        }
+    });
+    fs.rmdirSync(dir);
+}
+
+function writeBackup(dir, name, created, dump) {
+    const bkDir = path.join(dir, name);
+    fs.mkdirSync(bkDir);
+    fs.writeFileSync(path.join(bkDir, 'moray.dump'), dump);
+    fs.writeFileSync(path.join(bkDir, 'backup.json'), JSON.stringify({
+        v: 1,
+        name: name,
+        created: created,
+        database: 'moray',
+        file: 'moray.dump',
+        size: dump.length,
+        sha256: crypto.createHash('sha256').update(dump).digest('hex'),
+        manatee: {image: IMG_UUIDS[0], version: 'manatee-1'},
+        moray: [ {alias: 'moray0', image: IMG_UUIDS[1], version: 'moray-1'} ],
+        buckets: {vmapi_vms: 3}
+    }));
+    return bkDir;
+}
+
+
+tap.test('parseBucketVersions', function (t) {
+    t.deepEqual(manateeBackup.parseBucketVersions([
+        'vmapi_vms|{"index":{"uuid":{"type":"string"}},"options":{},' +
+            '"version":3}',
+        'ufds_o_smartdc|{"version":12}',
+        'cnapi_servers|{}',
+        'bogus|not json',
+        ''
+    ].join('\n')), {
+        vmapi_vms: 3,
+        ufds_o_smartdc: 12,
+        cnapi_servers: 0,
+        bogus: 0
+    });
+    t.deepEqual(manateeBackup.parseBucketVersions(''), {});
+    t.end();
+});
+
+
+tap.test('changesNeedBackup', function (t) {
+    function changes(type, name) {
+        return [ {type: type, service: {name: name}} ];
+    }
+    t.ok(manateeBackup.changesNeedBackup(changes('update-service', 'moray')));
+    t.ok(manateeBackup.changesNeedBackup(
+        changes('rollback-service', 'manatee')));
+    t.notOk(manateeBackup.changesNeedBackup(
+        changes('update-service', 'vmapi')), 'other services');
+    t.notOk(manateeBackup.changesNeedBackup(
+        changes('create-instances', 'moray')), 'new instances');
+    t.notOk(manateeBackup.changesNeedBackup([]));
+    t.end();
+});
+
+
+tap.test('backupDir', function (t) {
+    t.equal(manateeBackup.backupDir({}), '/var/sdcadm/manatee-backups');
+    t.equal(manateeBackup.backupDir({manateeBackupDir: '/tmp/bk'}),
+        '/tmp/bk');
+    t.end();
+});
+
+
+tap.test('list, find and verify backups', function (t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manatee-backup-'));
+    writeBackup(dir, '20190910T100000Z', '2019-09-10T10:00:00.000Z', 'one');
+    const latestDir = writeBackup(dir, '20190911T100000Z',
+        '2019-09-11T10:00:00.000Z', 'two');
+    fs.mkdirSync(path.join(dir, 'not-a-backup'));
+
+    t.tearDown(function () {
+        rmDir(dir);
+    });
+
+    t.test('listBackups', function (t2) {
+        manateeBackup.listBackups({dir: dir, log: log},
+                function (err, backups) {
+            t2.ifError(err);
+            t2.deepEqual(backups.map(b => b.name),
+                ['20190911T100000Z', '20190910T100000Z'],
+                'most recent first, invalid backups skipped');
+            t2.end();
+        });
+    });
+
+    t.test('listBackups: no backup dir', function (t2) {
+        manateeBackup.listBackups({dir: path.join(dir, 'nope'), log: log},
+                function (err, backups) {
+            t2.ifError(err);
+            t2.deepEqual(backups, []);
+            t2.end();
+        });
+    });
+
+    t.test('findBackup', function (t2) {
+        manateeBackup.findBackup({dir: dir, latest: true, log: log},
+                function (err, backup) {
+            t2.ifError(err);
+            t2.equal(backup.dir, latestDir, 'latest');
+            manateeBackup.findBackup({
+                dir: '/nowhere',
+                backup: latestDir,
+                log: log
+            }, function (pathErr, backup2) {
+                t2.ifError(pathErr);
+                t2.equal(backup2.name, '20190911T100000Z', 'by path');
+                manateeBackup.findBackup({
+                    dir: dir,
+                    backup: 'bogus',
+                    log: log
+                }, function (notFoundErr) {
+                    t2.ok(notFoundErr, 'no such backup');
+                    t2.end();
+                });
+            });
+        });
+    });
+
+    t.test('verifyBackup', function (t2) {
+        manateeBackup.findBackup({dir: dir, backup: '20190910T100000Z',
+                log: log}, function (err, backup) {
+            t2.ifError(err);
+            manateeBackup.verifyBackup(backup, function (verifyErr) {
+                t2.ifError(verifyErr, 'valid backup');
+                fs.writeFileSync(path.join(backup.dir, 'moray.dump'), 'eno');
+                manateeBackup.verifyBackup(backup, function (badErr) {
+                    t2.ok(badErr, 'corrupt dump');
+                    t2.ok(/sha256/.test(badErr.message), badErr.message);
+                    t2.end();
+                });
+            });
+        });
+    });
+
+    t.end();
+});
+
+
+tap.test('imageDiffs', function (t) {
+    const backup = {
+        manatee: {image: IMG_UUIDS[0], version: 'manatee-1'},
+        moray: [ {image: IMG_UUIDS[1], version: 'moray-1'} ]
+    };
+    t.deepEqual(manateeBackup.imageDiffs(backup, {
+        primary: {image: IMG_UUIDS[0], version: 'manatee-1'},
+        morays: [ {alias: 'moray0', image: IMG_UUIDS[1], version: 'moray-1'} ]
+    }), [], 'same images');
+
+    const diffs = manateeBackup.imageDiffs(backup, {
+        primary: {image: IMG_UUIDS[1], version: 'manatee-2'},
+        morays: [ {alias: 'moray0', image: IMG_UUIDS[0], version: 'moray-2'} ]
+    });
+    t.equal(diffs.length, 2);
+    t.ok(/manatee image was/.test(diffs[0]), diffs[0]);
+    t.ok(/moray instance moray0/.test(diffs[1]), diffs[1]);
+    t.end();
+});
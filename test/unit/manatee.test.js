@@ -0,0 +1,156 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Test parts of lib/manatee.js.
+ */
+
+'use strict';
+
+const tap = require('tap');
+
+const manatee = require('../../lib/manatee');
+
+const UUIDS = [
+    '8e8bd3a6-d7b1-11e9-a1d5-2b5e9d2a6f10',
+    '93f3d2c8-d7b1-11e9-8f5e-0b1d1d7c1a21',
+    '98a0bd6c-d7b1-11e9-9d33-6f5a17c1e4c2',
+    '9e1f6f2e-d7b1-11e9-b7d7-f3a6cb0d2a93'
+];
+
+function peer(n) {
+    return {
+        id: '10.99.99.' + n + ':5432:12345',
+        ip: '10.99.99.' + n,
+        zoneId: UUIDS[n]
+    };
+}
+
+const ZK_STATE = {
+    generation: 7,
+    primary: peer(0),
+    sync: peer(1),
+    async: [peer(2)],
+    deposed: [],
+    freeze: {date: '2019-09-12T10:00:00.000Z', reason: 'testing'}
+};
+
+const INSTS = [0, 1, 2, 3].map(function (n) {
+    return {
+        instance: UUIDS[n],
+        alias: 'manatee' + n,
+        server: 'server' + n,
+        hostname: 'hn' + n,
+        ip: '10.99.99.' + n,
+        state: 'running'
+    };
+});
+
+const PG_STATUS = [
+    'primary  ' + UUIDS[0] + '  10.99.99.0  ok  sync  -',
+    'sync     ' + UUIDS[1] + '  10.99.99.1  ok  async  0m00s',
+    'async    ' + UUIDS[2] + '  10.99.99.2  ok  -  0m03s'
+].join('\n');
+
+
+tap.test('parsePgStatus', function (t) {
+    const pgStatus = manatee.parsePgStatus(PG_STATUS);
+    t.deepEqual(pgStatus[UUIDS[1]], {
+        role: 'sync',
+        ip: '10.99.99.1',
+        pg_online: 'ok',
+        pg_repl: 'async',
+        pg_lag: '0m00s'
+    });
+    t.equal(Object.keys(pgStatus).length, 3);
+    t.deepEqual(manatee.parsePgStatus(''), {});
+    t.end();
+});
+
+
+tap.test('shardPeers', function (t) {
+    const peers = manatee.shardPeers({
+        zkState: ZK_STATE,
+        pgStatusFromZonename: manatee.parsePgStatus(PG_STATUS),
+        insts: INSTS
+    });
+    t.deepEqual(peers.map(p => p.role),
+        ['primary', 'sync', 'async', 'none'], 'shard order');
+    t.equal(peers[2].alias, 'manatee2');
+    t.equal(peers[2].hostname, 'hn2');
+    t.equal(peers[2].pg_lag, '0m03s');
+    t.equal(peers[2].asyncIndex, 0);
+    t.equal(peers[3].pg_online, '-', 'instance not in the shard');
+    t.end();
+});
+
+
+tap.test('findPeer', function (t) {
+    const peers = manatee.shardPeers({
+        zkState: ZK_STATE,
+        pgStatusFromZonename: {},
+        insts: INSTS
+    });
+    t.equal(manatee.findPeer(peers, UUIDS[1]).alias, 'manatee1', 'by UUID');
+    t.equal(manatee.findPeer(peers, 'manatee2').instance, UUIDS[2],
+        'by alias');
+    t.equal(manatee.findPeer(peers, '98a0bd6c').instance, UUIDS[2],
+        'by short UUID');
+    t.throws(function () {
+        manatee.findPeer(peers, 'manatee9');
+    }, /no manatee peer "manatee9"/);
+    t.end();
+});
+
+
+tap.test('promoteCmd', function (t) {
+    const peers = manatee.shardPeers({
+        zkState: ZK_STATE,
+        pgStatusFromZonename: {},
+        insts: INSTS
+    });
+    t.equal(manatee.promoteCmd(ZK_STATE, peers[1]),
+        'promote -n ' + UUIDS[1] + ' -r sync -g 7');
+    t.equal(manatee.promoteCmd(ZK_STATE, peers[2]),
+        'promote -n ' + UUIDS[2] + ' -r async -g 7 -i 0');
+    t.throws(function () {
+        manatee.promoteCmd(ZK_STATE, peers[0]);
+    }, /cannot promote primary peer manatee0/);
+    t.end();
+});
+
+
+tap.test('parseHistory', function (t) {
+    const events = manatee.parseHistory([
+        JSON.stringify({
+            time: '2019-09-10T10:00:00.000Z',
+            state: {generation: 6, primary: peer(1), sync: peer(0),
+                async: [], deposed: []}
+        }),
+        'not json',
+        JSON.stringify({
+            time: '2019-09-11T10:00:00.000Z',
+            state: {generation: 7, primary: peer(0), sync: peer(1),
+                async: [peer(2)], deposed: [],
+                freeze: {reason: 'testing'}}
+        })
+    ].join('\n'));
+    t.equal(events.length, 2);
+    t.deepEqual(events[1], {
+        time: '2019-09-11T10:00:00.000Z',
+        generation: 7,
+        primary: '8e8bd3a6',
+        sync: '93f3d2c8',
+        async: '98a0bd6c',
+        deposed: '-',
+        freeze: 'testing'
+    });
+    t.end();
+});
@@ -0,0 +1,181 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Test parts of lib/metrics.js.
+ */
+
+'use strict';
+
+const tap = require('tap');
+
+const metrics = require('../../lib/metrics');
+
+const INST_UUID = 'c1a0f6e2-8e10-11e9-a5b1-3f0c2f6d8e41';
+const IMG_UUID = 'a7a0ea2c-8d37-11e9-8c83-5f1c52a3e4c7';
+const HN_UUID = '00000000-0000-0000-0000-002590c0933c';
+const CN_UUID = '11111111-1111-1111-1111-0cc47adebf5c';
+
+
+tap.test('formatMetrics', function (t) {
+    const text = metrics.formatMetrics([
+        {
+            name: 'foo_up',
+            type: 'gauge',
+            help: 'Whether foo is up.',
+            samples: [
+                {labels: {name: 'a "b"\\c\nd', alias: null}, value: true},
+                {labels: {}, value: false}
+            ]
+        },
+        {
+            name: 'foo_empty',
+            type: 'gauge',
+            samples: []
+        },
+        {
+            name: 'foo_build',
+            type: 'info',
+            samples: [ {labels: {version: '1.2.3'}, value: 1} ]
+        },
+        {
+            name: 'foo_age_seconds',
+            type: 'gauge',
+            unit: 'seconds',
+            samples: [ {labels: {}, value: 1.5} ]
+        }
+    ]);
+    t.equal(text, [
+        '# TYPE foo_up gauge',
+        '# HELP foo_up Whether foo is up.',
+        'foo_up{name="a \\"b\\"\\\\c\\nd"} 1',
+        'foo_up 0',
+        '# TYPE foo_build info',
+        'foo_build_info{version="1.2.3"} 1',
+        '# TYPE foo_age_seconds gauge',
+        '# UNIT foo_age_seconds seconds',
+        'foo_age_seconds 1.5',
+        '# EOF',
+        ''
+    ].join('\n'));
+    t.end();
+});
+
+
+tap.test('healthFamilies', function (t) {
+    const fams = metrics.healthFamilies([
+        {
+            type: 'vm',
+            service: 'vmapi',
+            instance: INST_UUID,
+            alias: 'vmapi0',
+            server: HN_UUID,
+            hostname: 'headnode',
+            healthy: false,
+            smf_online: true,
+            checks: [ {name: 'ping', type: 'http', healthy: false} ],
+            health_errors: [ {message: 'ping failed'} ]
+        },
+        {
+            type: 'triton',
+            hostname: 'headnode',
+            healthy: false,
+            health_errors: [ {message: 'oops'} ]
+        }
+    ]);
+    t.deepEqual(fams.map(f => [f.name, f.samples.length]), [
+        ['sdcadm_instance_healthy', 2],
+        ['sdcadm_instance_smf_online', 1],
+        ['sdcadm_health_check_healthy', 1]
+    ]);
+    t.equal(fams[0].samples[0].value, false);
+    t.equal(fams[2].samples[0].labels.check, 'ping');
+    t.equal(fams[2].samples[0].labels.check_type, 'http');
+    t.equal(fams[2].samples[0].labels.alias, 'vmapi0');
+    t.end();
+});
+
+
+tap.test('versionFamilies', function (t) {
+    const fams = metrics.versionFamilies({
+        insts: [
+            {
+                type: 'vm',
+                service: 'vmapi',
+                instance: INST_UUID,
+                alias: 'vmapi0',
+                image: IMG_UUID,
+                version: 'master-20190601T000000Z-g1234567',
+                state: 'running'
+            },
+            {
+                type: 'agent',
+                service: 'cn-agent',
+                instance: 'b4b3dbc8-8e28-11e9-9d1d-7f8e5b8e6d3a',
+                image: null,
+                version: '2.9.0'
+            },
+            {type: 'global', service: 'global'}
+        ],
+        imgFromUuid: {
+            [IMG_UUID]: {uuid: IMG_UUID, published_at: '2019-06-01T00:00:00Z'}
+        },
+        now: new Date('2019-06-02T00:00:00Z')
+    });
+    t.equal(fams[0].samples.length, 2);
+    t.equal(fams[0].samples[1].labels.version, '2.9.0');
+    t.deepEqual(fams[1].samples, [ {
+        labels: {
+            type: 'vm',
+            service: 'vmapi',
+            instance: INST_UUID,
+            alias: 'vmapi0',
+            server: undefined,
+            hostname: undefined,
+            image: IMG_UUID
+        },
+        value: 86400
+    } ]);
+    t.end();
+});
+
+
+tap.test('platformFamilies', function (t) {
+    const fams = metrics.platformFamilies({
+        platforms: {
+            '20190601T000000Z': {
+                current_platform: [ {uuid: HN_UUID, hostname: 'headnode'} ],
+                boot_platform: [ {uuid: CN_UUID, hostname: 'cn0'} ]
+            },
+            '20190501T000000Z': {
+                current_platform: [ {uuid: CN_UUID, hostname: 'cn0'} ],
+                boot_platform: [ {uuid: HN_UUID, hostname: 'headnode'} ]
+            }
+        },
+        defaultPlatform: '20190601T000000Z'
+    });
+    t.deepEqual(fams[0].samples.map(s => s.labels), [
+        {
+            server: CN_UUID,
+            hostname: 'cn0',
+            current_platform: '20190501T000000Z',
+            boot_platform: '20190601T000000Z'
+        },
+        {
+            server: HN_UUID,
+            hostname: 'headnode',
+            current_platform: '20190601T000000Z',
+            boot_platform: '20190501T000000Z'
+        }
+    ]);
+    t.deepEqual(fams[1].samples.map(s => s.value), [true, true]);
+    t.deepEqual(fams[2].samples[0].labels, {platform: '20190601T000000Z'});
+    t.end();
+});
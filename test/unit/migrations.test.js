@@ -0,0 +1,166 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Test lib/migrations.js.
+ */
+
+'use strict';
+
+const bunyan = require('bunyan');
+const tap = require('tap');
+
+const migrations = require('../../lib/migrations');
+
+const log = bunyan.createLogger({name: 'migrations-test', level: 'fatal'});
+
+const IMG_UUIDS = [
+    '2a3bd10c-d6e9-11e9-9f4b-0fb8bc2c0a5e',
+    '2f9f7ed4-d6e9-11e9-9e1d-9b4ef1b7dd21',
+    '34c1bd8e-d6e9-11e9-a6a8-cbd3d7d48c5d'
+];
+
+
+function img(n, rev, minRev) {
+    const tags = {};
+    if (rev !== undefined) {
+        tags.sdcMigrationRev = rev;
+    }
+    if (minRev !== undefined) {
+        tags.sdcMigrationMinRev = minRev;
+    }
+    return {
+        uuid: IMG_UUIDS[n],
+        name: 'imgapi',
+        version: 'master-2019090' + n + 'T000000Z-g1234567',
+        tags: tags
+    };
+}
+
+function svc(metadata) {
+    return {
+        uuid: '5b9d0ba4-d6e9-11e9-8a0f-8f95e0e2c9c3',
+        name: 'imgapi',
+        type: 'vm',
+        metadata: metadata || {}
+    };
+}
+
+
+tap.test('imageMigrationRevs', function (t) {
+    t.equal(migrations.imageMigrationRevs(img(0)), null, 'no revision');
+    t.equal(migrations.imageMigrationRevs(img(0, 'bogus')), null,
+        'invalid revision');
+    t.deepEqual(migrations.imageMigrationRevs(img(0, 3)),
+        {rev: 3, minRev: 3}, 'not backward compatible by default');
+    t.deepEqual(migrations.imageMigrationRevs(img(0, '3', '2')),
+        {rev: 3, minRev: 2}, 'string tags');
+    t.deepEqual(migrations.imageMigrationRevs(img(0, 3, 5)),
+        {rev: 3, minRev: 3}, 'min revision capped to the revision');
+    t.end();
+});
+
+
+tap.test('recordedMigrationRevs', function (t) {
+    t.equal(migrations.recordedMigrationRevs(svc()), null);
+    t.deepEqual(migrations.recordedMigrationRevs(svc({
+        sdcMigratedRev: 4,
+        sdcMigratedMinRev: 2
+    })), {rev: 4, minRev: 2});
+    t.end();
+});
+
+
+tap.test('downgradeErrors', function (t) {
+    function errs(image, migrated) {
+        return migrations.downgradeErrors({
+            changes: [
+                {type: 'rollback-service', service: svc(), image: image}
+            ],
+            migratedRevsFromSvcName: {imgapi: migrated}
+        });
+    }
+
+    t.equal(errs(img(0), null).length, 0, 'no migrated revision');
+    t.equal(errs(img(1, 5), {rev: 4, minRev: 4}).length, 0, 'upgrade');
+    t.equal(errs(img(1, 3), {rev: 4, minRev: 3}).length, 0,
+        'compatible downgrade');
+
+    let e = errs(img(1, 2), {rev: 4, minRev: 3});
+    t.equal(e.length, 1, 'incompatible downgrade');
+    t.ok(e[0].message.includes('migrated to revision 4'), e[0].message);
+
+    e = errs(img(0), {rev: 1, minRev: 1});
+    t.equal(e.length, 1, 'images without a revision are at revision 0');
+
+    t.equal(migrations.downgradeErrors({
+        changes: [ {type: 'create-instances', service: svc(), image: img(0)} ],
+        migratedRevsFromSvcName: {imgapi: {rev: 1, minRev: 1}}
+    }).length, 0, 'only changes moving instances to another image');
+    t.end();
+});
+
+
+tap.test('getMigratedRevs', function (t) {
+    const images = {
+        [IMG_UUIDS[0]]: img(0, 2),
+        [IMG_UUIDS[1]]: img(1, 4, 3)
+    };
+    const sdcadm = {
+        log: log,
+        getServices: function (_opts, cb) {
+            cb(null, [svc({sdcMigratedRev: 3, sdcMigratedMinRev: 1})]);
+        },
+        getImage: function (opts, cb) {
+            if (images[opts.uuid]) {
+                cb(null, images[opts.uuid]);
+            } else {
+                cb(new Error('no such image'));
+            }
+        }
+    };
+
+    migrations.getMigratedRevs({
+        sdcadm: sdcadm,
+        changes: [ {type: 'update-service', service: svc(), image: img(2)} ],
+        insts: [
+            {service: 'imgapi', image: IMG_UUIDS[0]},
+            {service: 'imgapi', image: IMG_UUIDS[1]},
+            {service: 'imgapi', image: IMG_UUIDS[2]}
+        ]
+    }, function (err, migratedRevsFromSvcName) {
+        t.ifError(err);
+        t.deepEqual(migratedRevsFromSvcName, {imgapi: {rev: 4, minRev: 3}},
+            'highest of recorded and current instance image revisions');
+        t.end();
+    });
+});
+
+
+tap.test('metadataUpdates', function (t) {
+    const change = {type: 'update-service', service: svc(), image: img(1, 4)};
+
+    t.deepEqual(migrations.metadataUpdates({
+        changes: [change],
+        svcFromName: {imgapi: svc()}
+    }).map(u => u.metadata), [ {sdcMigratedRev: 4, sdcMigratedMinRev: 4} ]);
+
+    t.deepEqual(migrations.metadataUpdates({
+        changes: [change],
+        svcFromName: {imgapi: svc({sdcMigratedRev: 4, sdcMigratedMinRev: 4})}
+    }), [], 'already recorded');
+
+    t.deepEqual(migrations.metadataUpdates({
+        changes: [ {type: 'rollback-service', service: svc(),
+            image: img(0, 3, 1)} ],
+        svcFromName: {imgapi: svc({sdcMigratedRev: 4, sdcMigratedMinRev: 2})}
+    }), [], 'recorded revisions are never lowered');
+    t.end();
+});
@@ -0,0 +1,105 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Test lib/platform-compat.js.
+ */
+
+'use strict';
+
+const tap = require('tap');
+
+const compat = require('../../lib/platform-compat');
+
+const CN0 = {uuid: '00000000-0000-0000-0000-000000000000', hostname: 'cn0'};
+const CN1 = {uuid: '00000000-0000-0000-0000-000000000001', hostname: 'cn1'};
+
+const IMGS = {
+    'img-vm-agent': {
+        uuid: 'img-vm-agent',
+        requirements: {min_platform: {'7.0': '20190301T000000Z'}}
+    },
+    'img-cn-agent': {
+        uuid: 'img-cn-agent',
+        requirements: {
+            min_platform: {'6.5': '20150101T000000Z', '7.0': '20180101T000000Z'}
+        }
+    },
+    'img-imgapi': {uuid: 'img-imgapi'}
+};
+
+const INSTS = [
+    {instance: 'a0', service: 'vm-agent', server: CN0.uuid,
+        image: 'img-vm-agent'},
+    {instance: 'a1', service: 'cn-agent', server: CN0.uuid,
+        image: 'img-cn-agent'},
+    {instance: 'v0', alias: 'imgapi0', service: 'imgapi', server: CN0.uuid,
+        image: 'img-imgapi'},
+    {instance: 'a2', service: 'vm-agent', server: CN1.uuid,
+        image: 'img-vm-agent'},
+    // An instance with an unknown image.
+    {instance: 'a3', service: 'amon-agent', server: CN1.uuid,
+        image: 'img-unknown'}
+];
+
+
+tap.test('minPlatformFromImage', function (t) {
+    t.equal(compat.minPlatformFromImage(IMGS['img-vm-agent']),
+        '20190301T000000Z');
+    t.equal(compat.minPlatformFromImage(IMGS['img-cn-agent']),
+        '20180101T000000Z', 'the highest of several SDC versions');
+    t.equal(compat.minPlatformFromImage(IMGS['img-imgapi']), null);
+    t.equal(compat.minPlatformFromImage(
+        {requirements: {min_platform: '20170101T000000Z'}}),
+        '20170101T000000Z');
+    t.end();
+});
+
+
+tap.test('checkServers', function (t) {
+    let report = compat.checkServers({
+        servers: [CN0, CN1],
+        platform: '20181201T000000Z',
+        insts: INSTS,
+        imgFromUuid: IMGS
+    });
+    t.deepEqual(report, [
+        {uuid: CN0.uuid, hostname: 'cn0', problems: [
+            {instance: 'a0', alias: undefined, service: 'vm-agent',
+                image: 'img-vm-agent', min_platform: '20190301T000000Z'}
+        ]},
+        {uuid: CN1.uuid, hostname: 'cn1', problems: [
+            {instance: 'a2', alias: undefined, service: 'vm-agent',
+                image: 'img-vm-agent', min_platform: '20190301T000000Z'}
+        ]}
+    ]);
+    t.deepEqual(compat.formatReport(report.slice(0, 1), '20181201T000000Z'), [
+        'server ' + CN0.uuid + ' (cn0):',
+        '    vm-agent a0 (image img-vm-agent) requires platform ' +
+            '20190301T000000Z or later, not 20181201T000000Z'
+    ]);
+
+    report = compat.checkServers({
+        servers: [CN0],
+        platform: '20170601T000000Z',
+        insts: INSTS,
+        imgFromUuid: IMGS
+    });
+    t.deepEqual(report[0].problems.map(p => p.service),
+        ['vm-agent', 'cn-agent'], 'only the given servers');
+
+    t.deepEqual(compat.checkServers({
+        servers: [CN0, CN1],
+        platform: '20190301T000000Z',
+        insts: INSTS,
+        imgFromUuid: IMGS
+    }), [], 'the min platform itself is fine');
+    t.end();
+});
@@ -0,0 +1,98 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Test lib/platform-prune.js.
+ */
+
+'use strict';
+
+const tap = require('tap');
+
+const pruneLib = require('../../lib/platform-prune');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2019-06-30T00:00:00Z');
+const CN0 = {uuid: '00000000-0000-0000-0000-000000000000', hostname: 'cn0'};
+const CN1 = {uuid: '00000000-0000-0000-0000-000000000001', hostname: 'cn1'};
+
+function pi(version, boot, current) {
+    return {
+        version: version,
+        boot_platform: boot || [],
+        current_platform: current || []
+    };
+}
+
+// Oldest first, to check planPrune does its own sorting.
+const PLATFORMS = [
+    pi('20190101T000000Z'),
+    pi('20190201T000000Z', [], [CN1]),
+    pi('20190301T000000Z'),
+    pi('20190401T000000Z', [CN0, CN1], [CN0]),
+    pi('20190501T000000Z'),
+    pi('20190620T000000Z')
+];
+
+
+tap.test('platformDate', function (t) {
+    t.equal(pruneLib.platformDate('20190601T123456Z').toISOString(),
+        '2019-06-01T12:34:56.000Z');
+    t.equal(pruneLib.platformDate('latest'), null);
+    t.end();
+});
+
+
+tap.test('planPrune', function (t) {
+    let plan = pruneLib.planPrune({
+        platforms: PLATFORMS,
+        defaultPlatform: '20190301T000000Z',
+        keep: 1,
+        keepDefault: true,
+        keepAssigned: true,
+        minAge: 30 * DAY,
+        now: NOW
+    });
+    t.deepEqual(plan, {
+        remove: ['20190501T000000Z', '20190101T000000Z'],
+        keep: [
+            {version: '20190620T000000Z', reason: 'one of the 1 most recent'},
+            {version: '20190401T000000Z', reason: '2 servers set to boot it'},
+            {version: '20190301T000000Z', reason: 'the default boot platform'},
+            {version: '20190201T000000Z', reason: '1 server running it'}
+        ],
+        newDefault: null
+    });
+
+    plan = pruneLib.planPrune({
+        platforms: PLATFORMS,
+        defaultPlatform: '20190301T000000Z',
+        minAge: 30 * DAY,
+        now: NOW
+    });
+    t.deepEqual(plan.remove, ['20190501T000000Z', '20190301T000000Z',
+        '20190201T000000Z', '20190101T000000Z'],
+        'platforms servers are set to boot are always kept');
+    t.deepEqual(plan.keep.map(k => k.reason),
+        ['newer than the minimum age', '2 servers set to boot it']);
+    t.equal(plan.newDefault, '20190620T000000Z',
+        'the most recent kept platform becomes the default');
+
+    plan = pruneLib.planPrune({
+        platforms: [pi('20190101T000000Z'), pi('20190201T000000Z')],
+        defaultPlatform: '20190201T000000Z',
+        now: NOW
+    });
+    t.deepEqual(plan.remove, ['20190101T000000Z']);
+    t.deepEqual(plan.keep, [{version: '20190201T000000Z',
+        reason: 'the default boot platform, and the only one left'}]);
+    t.equal(plan.newDefault, null);
+    t.end();
+});
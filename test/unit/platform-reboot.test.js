@@ -0,0 +1,187 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Test lib/platform-reboot.js.
+ */
+
+'use strict';
+
+const tap = require('tap');
+
+const rebootLib = require('../../lib/platform-reboot');
+
+const OLD_PI = '20190101T000000Z';
+const NEW_PI = '20190601T000000Z';
+
+function server(hostname, i, props) {
+    return Object.assign({
+        uuid: '00000000-0000-0000-0000-00000000000' + i,
+        hostname: hostname,
+        headnode: false,
+        reserved: false,
+        status: 'running',
+        boot_platform: NEW_PI,
+        current_platform: OLD_PI
+    }, props);
+}
+
+const SERVERS = [
+    server('headnode', 0, {headnode: true}),
+    server('cn0', 1),
+    server('cn1', 2),
+    server('cn2', 3, {current_platform: NEW_PI}),
+    server('cn3', 4),
+    server('cn4', 5)
+];
+
+const INSTS = [
+    {instance: 'i0', alias: 'manatee1', server: SERVERS[2].uuid},
+    {instance: 'i1', alias: 'binder1', server: SERVERS[2].uuid},
+    {instance: 'i2', alias: 'imgapi0', server: SERVERS[0].uuid}
+];
+
+
+/*
+ * A fake CNAPI client whose servers come back on their boot platform after
+ * `rebootPolls` listServers calls, and that never come back if in `broken`.
+ */
+function fakeCnapi(servers, rebootPolls, broken) {
+    const calls = [];
+    const state = {};
+    servers.forEach(function (s) {
+        state[s.uuid] = Object.assign({}, s);
+    });
+    return {
+        calls: calls,
+        state: state,
+        rebootServer: function (uuid, cb) {
+            calls.push(['reboot', uuid]);
+            state[uuid].status = 'unknown';
+            state[uuid].polls = 0;
+            cb(null, {job_uuid: 'job-' + uuid});
+        },
+        updateServer: function (uuid, params, cb) {
+            calls.push(['update', uuid, params]);
+            Object.assign(state[uuid], params);
+            cb();
+        },
+        listServers: function (params, cb) {
+            const uuids = params.uuids.split(',');
+            cb(null, uuids.map(function (uuid) {
+                const s = state[uuid];
+                s.polls++;
+                if (s.polls >= rebootPolls && broken.indexOf(uuid) === -1) {
+                    s.status = 'running';
+                    s.current_platform = s.boot_platform;
+                }
+                return Object.assign({}, s);
+            }));
+        }
+    };
+}
+
+
+tap.test('planReboots', function (t) {
+    const hostnames = (batch) => batch.map(s => s.hostname);
+
+    let plan = rebootLib.planReboots({
+        servers: SERVERS,
+        insts: INSTS,
+        coreInsts: 'refuse',
+        batchSize: 2
+    });
+    t.deepEqual(plan.batches.map(hostnames), [ ['cn0', 'cn3'], ['cn4'] ]);
+    t.deepEqual(plan.skipped.map(s => [s.server.hostname, s.reason]), [
+        ['cn2', 'already running its boot platform ' + NEW_PI],
+        ['headnode', 'headnode: it must be rebooted by hand']
+    ]);
+    t.deepEqual(plan.refused.map(s => [s.server.hostname, s.reason]), [
+        ['cn1', 'hosts core instances: binder1, manatee1']
+    ]);
+
+    plan = rebootLib.planReboots({
+        servers: SERVERS,
+        insts: INSTS,
+        coreInsts: 'skip',
+        batchSize: 10
+    });
+    t.deepEqual(plan.batches.map(hostnames), [ ['cn0', 'cn3', 'cn4'] ]);
+    t.equal(plan.skipped.length, 3);
+    t.equal(plan.refused.length, 0);
+
+    plan = rebootLib.planReboots({
+        servers: SERVERS,
+        insts: INSTS,
+        coreInsts: 'allow',
+        batchSize: 1
+    });
+    t.deepEqual(plan.batches.map(hostnames),
+        [ ['cn0'], ['cn1'], ['cn3'], ['cn4'] ]);
+    t.end();
+});
+
+
+tap.test('rebootServers', function (t) {
+    const batches = [ [SERVERS[1], SERVERS[4]], [SERVERS[5]] ];
+
+    t.test('all batches come back', function (t2) {
+        const cnapi = fakeCnapi(SERVERS, 2, []);
+        rebootLib.rebootServers({
+            cnapi: cnapi,
+            batches: batches,
+            timeout: 1000,
+            interval: 10,
+            drain: true,
+            progress: function () {}
+        }, function (err) {
+            t2.ifError(err);
+            t2.deepEqual(cnapi.calls.map(c => c.slice(0, 2).join(' ')), [
+                'update ' + SERVERS[1].uuid,
+                'update ' + SERVERS[4].uuid,
+                'reboot ' + SERVERS[1].uuid,
+                'reboot ' + SERVERS[4].uuid,
+                'update ' + SERVERS[1].uuid,
+                'update ' + SERVERS[4].uuid,
+                'update ' + SERVERS[5].uuid,
+                'reboot ' + SERVERS[5].uuid,
+                'update ' + SERVERS[5].uuid
+            ], 'batches are reserved, rebooted and released in turn');
+            t2.equal(cnapi.state[SERVERS[1].uuid].reserved, false);
+            t2.equal(cnapi.state[SERVERS[5].uuid].current_platform, NEW_PI);
+            t2.end();
+        });
+    });
+
+    t.test('stops on a batch which does not come back', function (t2) {
+        const cnapi = fakeCnapi(SERVERS, 2, [SERVERS[4].uuid]);
+        rebootLib.rebootServers({
+            cnapi: cnapi,
+            batches: batches,
+            timeout: 100,
+            interval: 10,
+            drain: true,
+            progress: function () {}
+        }, function (err) {
+            t2.ok(err, 'error');
+            t2.ok(err.message.includes('batch 0 servers did not come back'),
+                err.message);
+            t2.ok(err.message.includes('cn3 (' + SERVERS[4].uuid +
+                ') (status unknown, platform ' + OLD_PI + ')'), err.message);
+            t2.equal(cnapi.calls.filter(c => c[0] === 'reboot').length, 2,
+                'the next batch is not rebooted');
+            t2.equal(cnapi.state[SERVERS[4].uuid].reserved, true,
+                'servers which did not come back are left reserved');
+            t2.end();
+        });
+    });
+
+    t.end();
+});
@@ -0,0 +1,210 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Test lib/platform-rollout.js.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tap = require('tap');
+
+const rolloutLib = require('../../lib/platform-rollout');
+
+const RUN_UUID = '7d0ec7a4-8c6b-11e9-9a3b-8b0b2bd0a3b5';
+const OLD_PI = '20190101T000000Z';
+const NEW_PI = '20190601T000000Z';
+
+const SERVERS = ['cn3', 'headnode', 'cn0', 'cn2', 'cn1'].map(
+    function (hostname, i) {
+        return {
+            uuid: '00000000-0000-0000-0000-00000000000' + i,
+            hostname: hostname,
+            headnode: (hostname === 'headnode'),
+            boot_platform: OLD_PI,
+            current_platform: OLD_PI,
+            status: 'running'
+        };
+    });
+
+function serverByName(hostname) {
+    return SERVERS.find(s => s.hostname === hostname);
+}
+
+function hostnames(batch) {
+    return batch.servers.map(s => s.hostname);
+}
+
+function newRollout(file) {
+    return new rolloutLib.PlatformRollout({
+        uuid: RUN_UUID,
+        platform: NEW_PI,
+        all: true,
+        batches: rolloutLib.planBatches(SERVERS, {canaries: 1, batchSize: 2}),
+        canaries: 1,
+        batchSize: 2,
+        maxUnhealthy: 1,
+        file: file
+    });
+}
+
+
+tap.test('planBatches', function (t) {
+    let batches = rolloutLib.planBatches(SERVERS, {canaries: 1, batchSize: 2});
+    t.deepEqual(batches.map(hostnames),
+        [ ['cn0'], ['cn1', 'cn2'], ['cn3'], ['headnode'] ],
+        'canary, compute nodes, then the headnode');
+    t.equal(batches[0].canary, true);
+    t.equal(batches[1].canary, false);
+    t.equal(batches[0].state, 'pending');
+    t.deepEqual(batches[0].servers[0], {
+        uuid: serverByName('cn0').uuid,
+        hostname: 'cn0',
+        prevPlatform: OLD_PI
+    });
+
+    batches = rolloutLib.planBatches(SERVERS, {canaries: 0, batchSize: 10});
+    t.deepEqual(batches.map(hostnames),
+        [ ['cn0', 'cn1', 'cn2', 'cn3'], ['headnode'] ], 'no canaries');
+
+    batches = rolloutLib.planBatches([serverByName('headnode')],
+        {canaries: 1, batchSize: 10});
+    t.deepEqual(batches.map(hostnames), [ ['headnode'] ],
+        'the headnode is never a canary');
+    t.end();
+});
+
+
+tap.test('evalBatch', function (t) {
+    const batch = rolloutLib.planBatches(SERVERS,
+        {canaries: 0, batchSize: 10})[0];
+    const servers = [
+        Object.assign({}, serverByName('cn0'), {current_platform: NEW_PI}),
+        Object.assign({}, serverByName('cn1'), {current_platform: NEW_PI}),
+        Object.assign({}, serverByName('cn2'), {status: 'unknown'}),
+        serverByName('cn3')
+    ];
+    const health = [
+        {type: 'agent', server: serverByName('cn0').uuid,
+            service: 'cn-agent', healthy: true},
+        {type: 'agent', server: serverByName('cn1').uuid,
+            service: 'vm-agent', healthy: false,
+            health_errors: [ {message: 'svc:/smartdc/agent/vm-agent is ' +
+                'in maintenance\n'} ]}
+    ];
+
+    t.deepEqual(rolloutLib.evalBatch({
+        batch: batch,
+        platform: NEW_PI,
+        servers: servers,
+        health: health
+    }), [
+        {uuid: serverByName('cn0').uuid, hostname: 'cn0', status: 'ok'},
+        {uuid: serverByName('cn1').uuid, hostname: 'cn1', status: 'unhealthy',
+            reason: 'vm-agent: svc:/smartdc/agent/vm-agent is in maintenance'},
+        {uuid: serverByName('cn2').uuid, hostname: 'cn2', status: 'pending',
+            reason: 'server status is "unknown"'},
+        {uuid: serverByName('cn3').uuid, hostname: 'cn3', status: 'pending',
+            reason: 'server is running platform ' + OLD_PI}
+    ]);
+
+    t.equal(rolloutLib.evalBatch({
+        batch: batch,
+        platform: NEW_PI,
+        servers: [],
+        health: []
+    })[0].reason, 'server not found in CNAPI');
+    t.end();
+});
+
+
+tap.test('PlatformRollout.recordResults', function (t) {
+    const rollout = newRollout();
+    function result(hostname, status) {
+        return {
+            uuid: serverByName(hostname).uuid,
+            hostname: hostname,
+            status: status,
+            reason: (status === 'ok' ? undefined : 'oops')
+        };
+    }
+
+    t.equal(rollout.currBatchIdx(), 0);
+    let res = rollout.recordResults(0, [result('cn0', 'pending')], false);
+    t.equal(res.pending.length, 1);
+    t.notOk(res.halted);
+    t.equal(rollout.state, 'waiting', 'waiting for the canary to reboot');
+    t.equal(rollout.currBatchIdx(), 0);
+
+    res = rollout.recordResults(0, [result('cn0', 'ok')], false);
+    t.equal(rollout.batches[0].state, 'done');
+    t.equal(rollout.state, 'running');
+    t.equal(rollout.currBatchIdx(), 1);
+
+    res = rollout.recordResults(1,
+        [result('cn1', 'unhealthy'), result('cn2', 'ok')], false);
+    t.notOk(res.halted, 'one unhealthy server is tolerated');
+    t.equal(rollout.batches[1].state, 'done');
+
+    res = rollout.recordResults(2, [result('cn3', 'pending')], true);
+    t.ok(res.halted, 'a server still pending at the end is unhealthy');
+    t.equal(rollout.state, 'halted');
+    t.notEqual(rollout.batches[2].state, 'done',
+        'a batch which halted the rollout is not done');
+    t.ok(rollout.error.includes('2 unhealthy servers (max 1)'),
+        rollout.error);
+
+    res = rollout.recordResults(2, [result('cn3', 'ok')], false);
+    t.notOk(res.halted, 'resumed once the server is fixed');
+    t.equal(rollout.state, 'running');
+    t.equal(rollout.error, undefined);
+
+    rollout.recordResults(3, [result('headnode', 'ok')], false);
+    t.equal(rollout.state, 'done');
+    t.equal(rollout.currBatchIdx(), -1);
+    t.ok(rollout.isFinished());
+    t.end();
+});
+
+
+tap.test('PlatformRollout save and load', function (t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(),
+        'sdcadm-platform-rollout-test-'));
+    const file = path.join(dir, 'platform-rollout.json');
+
+    rolloutLib.PlatformRollout.load({file: file}, function (noErr, none) {
+        t.ifError(noErr);
+        t.equal(none, null, 'no rollout state');
+
+        const rollout = newRollout(file);
+        rollout.save(function (saveErr) {
+            t.ifError(saveErr);
+            rolloutLib.PlatformRollout.load({file: file},
+                function (err, loaded) {
+                    t.ifError(err);
+                    t.equal(loaded.file, file);
+                    t.equal(loaded.platform, NEW_PI);
+                    t.deepEqual(loaded.batches, rollout.batches);
+                    t.equal(loaded.wait, null);
+                    t.deepEqual(loaded.describe().slice(1, 3), [
+                        '    batch 0 [canary] (pending): cn0',
+                        '    batch 1 (pending): cn1, cn2'
+                    ]);
+                    fs.unlinkSync(file);
+                    fs.rmdirSync(dir);
+                    t.end();
+                });
+        });
+    });
+});
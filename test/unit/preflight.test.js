@@ -0,0 +1,159 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Test parts of lib/preflight.js.
+ */
+
+'use strict';
+
+const bunyan = require('bunyan');
+const tap = require('tap');
+
+const preflight = require('../../lib/preflight');
+
+const log = bunyan.createLogger({name: 'preflight-test', level: 'fatal'});
+
+const HN_UUID = '00000000-0000-0000-0000-002590c0933c';
+const CN_UUID = '11111111-1111-1111-1111-0cc47adebf5c';
+const IMG_UUID = 'a7a0ea2c-8d37-11e9-8c83-5f1c52a3e4c7';
+
+
+function vmapiInst(n, server, version) {
+    return {
+        type: 'vm',
+        service: 'vmapi',
+        instance: 'vmapi-inst-' + n,
+        server: server,
+        image: IMG_UUID,
+        version: version
+    };
+}
+
+const SERVERS = {
+    [HN_UUID]: {uuid: HN_UUID, current_platform: '20190601T000000Z'},
+    [CN_UUID]: {uuid: CN_UUID, current_platform: '20120101T000000Z'}
+};
+
+
+tap.test('minPlatformErrors', function (t) {
+    const vmapi = {name: 'vmapi', type: 'vm'};
+    const insts = [
+        vmapiInst(0, HN_UUID, 'master-20190601T000000Z-g1234567'),
+        vmapiInst(1, CN_UUID, 'master-20190601T000000Z-g1234567')
+    ];
+
+    let errs = preflight.minPlatformErrors({
+        changes: [ {type: 'update-service', service: vmapi} ],
+        insts: insts,
+        serverFromUuidOrHostname: SERVERS,
+        vmMinPlatform: '20130606T000000Z'
+    });
+    t.equal(errs.length, 1);
+    t.ok(errs[0].message.includes('instance "vmapi-inst-1"'),
+        errs[0].message);
+
+    errs = preflight.minPlatformErrors({
+        changes: [ {type: 'create-instances', service: vmapi,
+            servers: [HN_UUID, CN_UUID]} ],
+        insts: insts,
+        serverFromUuidOrHostname: SERVERS,
+        vmMinPlatform: '20130606T000000Z'
+    });
+    t.equal(errs.length, 1);
+    t.ok(errs[0].message.includes('new service "vmapi" instance on server "' +
+        CN_UUID + '"'), errs[0].message);
+
+    errs = preflight.minPlatformErrors({
+        changes: [ {type: 'update-service',
+            service: {name: 'cn-agent', type: 'agent'}} ],
+        insts: insts,
+        serverFromUuidOrHostname: SERVERS,
+        vmMinPlatform: '20130606T000000Z'
+    });
+    t.deepEqual(errs, [], 'agents are not checked');
+    t.end();
+});
+
+
+tap.test('minImageErrors', function (t) {
+    const vmapi = {name: 'vmapi', type: 'vm'};
+    const svcMinImages = {vmapi: '20140710T171616Z'};
+
+    let errs = preflight.minImageErrors({
+        changes: [ {type: 'update-service', service: vmapi} ],
+        insts: [
+            vmapiInst(0, HN_UUID, 'master-20190601T000000Z-g1234567'),
+            vmapiInst(1, HN_UUID, 'master-20140101T000000Z-g1234567'),
+            vmapiInst(2, HN_UUID, null)
+        ],
+        svcMinImages: svcMinImages
+    });
+    t.equal(errs.length, 2);
+    t.ok(errs[0].message.includes('too old'), errs[0].message);
+    t.ok(errs[1].message.includes('Unknown image version'), errs[1].message);
+
+    errs = preflight.minImageErrors({
+        changes: [ {type: 'update-service', service: vmapi} ],
+        insts: [ vmapiInst(0, HN_UUID, 'master-20190601T000000Z-g1234567') ],
+        svcMinImages: svcMinImages
+    });
+    t.deepEqual(errs, []);
+    t.end();
+});
+
+
+tap.test('runPreflight', function (t) {
+    const sdcadm = {
+        log: log,
+        config: {},
+        _reprovFailLockPath: '/var/sdcadm/reprovFailLock.json',
+        reprovFailLock_IsLocked: function (cb) {
+            cb(null, 'vmapi0 failed to boot');
+        },
+        dcMaintStatus: function (cb) {
+            cb(null, {maint: true});
+        },
+        sapi: {
+            getMode: function (cb) {
+                cb(null, 'full');
+            }
+        },
+        listInsts: function (_opts, cb) {
+            cb(null, []);
+        },
+        getUrConnection: function (cb) {
+            cb(new Error('no amqp'));
+        },
+        wfapi: {
+            listJobs: function (_opts, cb) {
+                cb(new Error('wfapi is down'));
+            }
+        }
+    };
+
+    preflight.runPreflight({sdcadm: sdcadm}, function (err, results) {
+        t.ifError(err);
+        t.deepEqual(results.map(r => [r.name, r.status]), [
+            ['reprovision-lock', 'fail'],
+            ['dc-maint', 'warn'],
+            ['sapi-mode', 'pass'],
+            ['manatee', 'fail'],
+            ['zookeeper', 'fail'],
+            ['rabbitmq', 'warn'],
+            ['workflow-jobs', 'warn']
+        ], 'plan checks are skipped without a plan');
+        t.ok(results[0].message.includes('vmapi0 failed to boot'),
+            results[0].message);
+        t.equal(preflight.resultsWithStatus(results, preflight.FAIL).length,
+            3);
+        t.end();
+    });
+});
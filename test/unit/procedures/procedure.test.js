@@ -0,0 +1,221 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Test the structured description of procedures, as used for
+ * `sdcadm update --dry-run --json`.
+ */
+
+'use strict';
+
+const util = require('util');
+
+const tap = require('tap');
+
+const procedure = require('../../../lib/procedures/procedure');
+const describeProcs = require('../../../lib/procedures').describeProcs;
+const DownloadImages = require('../../../lib/procedures/download-images')
+    .DownloadImages;
+
+const Procedure = procedure.Procedure;
+
+const IMG_A = 'a7a0ea2c-8d37-11e9-8c83-5f1c52a3e4c7';
+const IMG_B = 'b1c8e2b0-8d37-11e9-9e31-5b8f7c3a1d2e';
+const CN0 = '00000000-0000-0000-0000-002590c0933c';
+const CN1 = '11111111-1111-1111-1111-0cc47adebf5c';
+
+
+function UpdateThings(changes) {
+    this.changes = changes;
+}
+util.inherits(UpdateThings, Procedure);
+UpdateThings.prototype.summarize = function summarize() {
+    return 'update things';
+};
+UpdateThings.prototype.causesDowntime = procedure.reprovisionCausesDowntime;
+
+
+function inst(svc, n, server, image) {
+    return {
+        service: svc,
+        instance: svc + '-inst-' + n,
+        zonename: svc + '-inst-' + n,
+        alias: svc + n,
+        server: server,
+        image: image
+    };
+}
+
+function svcChange(svc, insts) {
+    return {
+        type: 'update-service',
+        service: {name: svc},
+        image: {uuid: IMG_B, name: svc, version: '2.0.0'},
+        insts: insts
+    };
+}
+
+
+tap.test('Procedure.targets', function (suite) {
+    suite.test('update-service change', function (t) {
+        const proc = new UpdateThings([
+            svcChange('vmapi', [inst('vmapi', 0, CN0, IMG_A)])
+        ]);
+        t.deepEqual(proc.targets(), [ {
+            service: 'vmapi',
+            instance: 'vmapi-inst-0',
+            alias: 'vmapi0',
+            server: CN0,
+            currImage: IMG_A,
+            targImage: IMG_B
+        } ]);
+        t.end();
+    });
+
+    suite.test('update-instance change', function (t) {
+        const proc = new UpdateThings([ {
+            type: 'update-instance',
+            service: {name: 'cloudapi'},
+            image: {uuid: IMG_B},
+            inst: inst('cloudapi', 1, CN1, IMG_A)
+        } ]);
+        const targets = proc.targets();
+        t.equal(targets.length, 1);
+        t.equal(targets[0].instance, 'cloudapi-inst-1');
+        t.equal(targets[0].server, CN1);
+        t.end();
+    });
+
+    suite.test('create-instances change', function (t) {
+        const proc = new UpdateThings([ {
+            type: 'create-instances',
+            service: {name: 'cloudapi'},
+            image: {uuid: IMG_B},
+            servers: [CN0, CN1]
+        } ]);
+        t.deepEqual(proc.targets().map(tg => [tg.instance, tg.server]),
+            [[null, CN0], [null, CN1]]);
+        t.end();
+    });
+
+    suite.test('no changes', function (t) {
+        const proc = new UpdateThings(undefined);
+        t.deepEqual(proc.targets(), []);
+        t.end();
+    });
+
+    suite.end();
+});
+
+
+tap.test('reprovisionCausesDowntime', function (t) {
+    const single = new UpdateThings([
+        svcChange('vmapi', [inst('vmapi', 0, CN0, IMG_A)])
+    ]);
+    t.ok(single.describe().downtime, 'single instance service');
+
+    const ha = new UpdateThings([
+        svcChange('cloudapi', [
+            inst('cloudapi', 0, CN0, IMG_A),
+            inst('cloudapi', 1, CN1, IMG_A)
+        ])
+    ]);
+    t.notOk(ha.describe().downtime, 'all instances of an HA service');
+
+    const same = new UpdateThings([
+        svcChange('vmapi', [inst('vmapi', 0, CN0, IMG_B)])
+    ]);
+    t.notOk(same.describe().downtime, 'already on the target image');
+    t.end();
+});
+
+
+tap.test('Procedure.describe', function (t) {
+    const proc = new UpdateThings([
+        svcChange('cloudapi', [
+            inst('cloudapi', 0, CN0, IMG_A),
+            inst('cloudapi', 1, CN1, IMG_A),
+            inst('cloudapi', 2, CN0, IMG_A)
+        ])
+    ]);
+    const desc = proc.describe();
+    t.equal(desc.type, 'UpdateThings');
+    t.equal(desc.summary, 'update things');
+    t.equal(desc.targets.length, 3);
+    t.deepEqual(desc.servers, [CN0, CN1]);
+    t.equal(desc.downtime, false);
+    t.end();
+});
+
+
+tap.test('DownloadImages.describe', function (t) {
+    const proc = new DownloadImages({
+        images: [ {
+            uuid: IMG_B,
+            name: 'vmapi',
+            version: '2.0.0',
+            files: [ {size: 1048576} ]
+        } ]
+    });
+    const desc = proc.describe();
+    t.equal(desc.type, 'DownloadImages');
+    t.deepEqual(desc.targets, []);
+    t.deepEqual(desc.images, [ {
+        uuid: IMG_B,
+        name: 'vmapi',
+        version: '2.0.0',
+        size: 1048576
+    } ]);
+    t.equal(desc.downtime, false);
+    t.end();
+});
+
+
+tap.test('describeProcs', function (t) {
+    const desc = describeProcs([
+        new UpdateThings([
+            svcChange('cloudapi', [
+                inst('cloudapi', 0, CN0, IMG_A),
+                inst('cloudapi', 1, CN1, IMG_A)
+            ])
+        ]),
+        new UpdateThings([
+            svcChange('vmapi', [inst('vmapi', 0, CN0, IMG_A)])
+        ])
+    ]);
+    t.equal(desc.procs.length, 2);
+    t.equal(desc.procs[0].downtime, false);
+    t.equal(desc.procs[1].downtime, true);
+    t.equal(desc.downtime, true, 'any proc causing downtime');
+    t.deepEqual(JSON.parse(JSON.stringify(desc)), desc, 'JSON-able');
+    t.end();
+});
+
+
+tap.test('causesDowntime of sapi v1 and agent procedures', function (t) {
+    const UpdateSingleHNSapiV1 = require(
+        '../../../lib/procedures/update-single-hn-sapi-v1')
+        .UpdateSingleHNSapiV1;
+    const UpdateAgentV1 = require('../../../lib/procedures/update-agent-v1')
+        .UpdateAgentV1;
+    const UpdateDockerlogger = require(
+        '../../../lib/procedures/update-dockerlogger').UpdateDockerlogger;
+
+    t.equal(new UpdateSingleHNSapiV1({
+        changes: [svcChange('sapi', [inst('sapi', 0, CN0, IMG_A)])]
+    }).causesDowntime([]), true, 'sapi on the headnode');
+    t.equal(new UpdateAgentV1({
+        changes: [svcChange('vm-agent', [inst('vm-agent', 0, CN0, IMG_A)])]
+    }).causesDowntime([]), false, 'agents');
+    t.equal(new UpdateDockerlogger({
+        changes: [svcChange('dockerlogger', [])]
+    }).causesDowntime([]), false, 'dockerlogger');
+    t.end();
+});
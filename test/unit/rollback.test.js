@@ -0,0 +1,193 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Test lib/rollback.js.
+ */
+
+'use strict';
+
+const child_process = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tap = require('tap');
+
+const rollbackLib = require('../../lib/rollback');
+
+const RUN_UUID = '7d0ec7a4-8c6b-11e9-9a3b-8b0b2bd0a3b5';
+const OTHER_RUN_UUID = '5d6b6e5e-8c6d-11e9-b1a7-5b9f3e0f0d11';
+const FAILED_RUN_UUID = '0f3c5a8e-8e0a-11e9-8b1e-3f6a2c4d5e7b';
+
+function svcChange(name, oldImg, newImg) {
+    return {
+        type: 'update-service',
+        service: {name: name, type: 'vm', params: {image_uuid: oldImg}},
+        image: {uuid: newImg}
+    };
+}
+
+const PLAN = {
+    v: 1,
+    justImages: false,
+    changes: [
+        svcChange('papi', 'papi-old', 'papi-new'),
+        svcChange('cnapi', 'cnapi-old', 'cnapi-new'),
+        {
+            type: 'update-service',
+            service: {name: 'cn-agent', type: 'agent'},
+            image: {uuid: 'agent-new'}
+        }
+    ]
+};
+
+
+tap.test('rollbackImgUuid', function (t) {
+    t.equal(rollbackLib.rollbackImgUuid(PLAN.changes[0]), 'papi-old');
+    t.equal(rollbackLib.rollbackImgUuid(PLAN.changes[2]), null,
+        'agents cannot be rolled back');
+    t.equal(rollbackLib.rollbackImgUuid({
+        type: 'update-service',
+        service: {name: 'assets', type: 'vm', params: {}},
+        inst: {image: 'assets-old'}
+    }), 'assets-old');
+    t.end();
+});
+
+
+tap.test('divergedFromUpdate', function (t) {
+    t.deepEqual(rollbackLib.divergedFromUpdate(PLAN, [
+        {instance: 'i0', alias: 'papi0', service: 'papi', image: 'papi-new'},
+        {instance: 'i1', alias: 'cnapi0', service: 'cnapi',
+            image: 'cnapi-new'},
+        {instance: 'i2', alias: 'vmapi0', service: 'vmapi', image: 'other'}
+    ]), [], 'instances of other services are not checked');
+
+    t.deepEqual(rollbackLib.divergedFromUpdate(PLAN, [
+        {instance: 'i0', alias: 'papi0', service: 'papi', image: 'papi-new'},
+        {instance: 'i1', alias: 'cnapi0', service: 'cnapi',
+            image: 'cnapi-old'}
+    ]), [ {
+        instance: 'i1',
+        alias: 'cnapi0',
+        service: 'cnapi',
+        image: 'cnapi-old',
+        expected: ['cnapi-new']
+    } ], 'instances already on the rollback image have diverged');
+
+    t.deepEqual(rollbackLib.divergedFromUpdate(PLAN, [
+        {instance: 'i0', alias: 'papi0', service: 'papi', image: 'papi-newer'}
+    ]), [ {
+        instance: 'i0',
+        alias: 'papi0',
+        service: 'papi',
+        image: 'papi-newer',
+        expected: ['papi-new']
+    } ]);
+    t.end();
+});
+
+
+tap.test('listUpdates and findUpdate', function (t) {
+    const updatesDir = fs.mkdtempSync(
+        path.join(os.tmpdir(), 'sdcadm-updates-'));
+    const rollbacksDir = fs.mkdtempSync(
+        path.join(os.tmpdir(), 'sdcadm-rollbacks-'));
+
+    function writeUpdate(stamp, plan, checkpoint) {
+        const wrkDir = path.join(updatesDir, stamp);
+        fs.mkdirSync(wrkDir);
+        fs.writeFileSync(path.join(wrkDir, 'plan.json'),
+            JSON.stringify(plan));
+        if (checkpoint) {
+            fs.writeFileSync(path.join(wrkDir, 'checkpoint.json'),
+                JSON.stringify(checkpoint));
+        }
+    }
+
+    writeUpdate('20190601T100000Z', PLAN);
+    writeUpdate('20190611T183001Z', PLAN, {
+        v: 1,
+        uuid: RUN_UUID,
+        state: 'succeeded',
+        username: 'root',
+        started: '2019-06-11T18:30:01.000Z',
+        finished: '2019-06-11T18:42:13.000Z'
+    });
+    writeUpdate('20190612T090000Z', {v: 1, justImages: true,
+        changes: PLAN.changes}, {v: 1, uuid: OTHER_RUN_UUID});
+    fs.mkdirSync(path.join(updatesDir, '20190613T090000Z'));
+    writeUpdate('20190614T090000Z', PLAN, {
+        v: 1,
+        uuid: FAILED_RUN_UUID,
+        state: 'failed'
+    });
+
+    const dirs = {dir: updatesDir, rollbacksDir: rollbacksDir};
+    rollbackLib.listUpdates(dirs, function (err, updates) {
+        t.ifError(err);
+        t.deepEqual(updates.map(u => [path.basename(u.wrkDir), u.uuid,
+            u.state, u.rolledBack]), [
+            ['20190614T090000Z', FAILED_RUN_UUID, 'failed', false],
+            ['20190611T183001Z', RUN_UUID, 'succeeded', false],
+            ['20190601T100000Z', null, 'unknown', false]
+        ], 'most recent first, without just images updates');
+        t.deepEqual(updates[1].changes, [
+            {service: 'papi', image: 'papi-new', rbImage: 'papi-old'},
+            {service: 'cnapi', image: 'cnapi-new', rbImage: 'cnapi-old'}
+        ]);
+
+        rollbackLib.findUpdate(Object.assign({latest: true}, dirs),
+                function (latestErr, latest) {
+            t.ifError(latestErr);
+            t.equal(latest.uuid, RUN_UUID, 'failed update skipped');
+
+            rollbackLib.findUpdate(Object.assign({uuid: OTHER_RUN_UUID}, dirs),
+                    function (notFoundErr) {
+                t.ok(notFoundErr && /no update to rollback found for run/
+                    .test(notFoundErr.message), 'just images update');
+                checkRolledBack();
+            });
+        });
+    });
+
+    function checkRolledBack() {
+        // A failed rollback does not count.
+        [
+            ['20190615T090000Z', 'failed'],
+            ['20190616T090000Z', 'succeeded']
+        ].forEach(function (rb) {
+            const rbDir = path.join(rollbacksDir, rb[0]);
+            fs.mkdirSync(rbDir);
+            fs.writeFileSync(path.join(rbDir, 'checkpoint.json'),
+                JSON.stringify({
+                    v: 1,
+                    uuid: OTHER_RUN_UUID,
+                    state: rb[1],
+                    rollbackOf: path.join(updatesDir, '20190611T183001Z')
+                }));
+        });
+
+        rollbackLib.listUpdates(dirs, function (err, updates) {
+            t.ifError(err);
+            t.deepEqual(updates.map(u => u.rolledBack), [false, true, false]);
+
+            rollbackLib.findUpdate(Object.assign({latest: true}, dirs),
+                    function (latestErr) {
+                t.ok(latestErr && /no successful update to rollback/
+                    .test(latestErr.message), 'no update left to rollback');
+                child_process.execFileSync('rm',
+                    ['-rf', updatesDir, rollbacksDir]);
+                t.end();
+            });
+        });
+    }
+});
@@ -0,0 +1,214 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Test parts of lib/spec.js.
+ */
+
+'use strict';
+
+const tap = require('tap');
+
+const dcSpec = require('../../lib/spec');
+
+const IMG_A = 'a7a0ea2c-8d37-11e9-8c83-5f1c52a3e4c7';
+const IMG_B = 'b1c8e2b0-8d37-11e9-9e31-5b8f7c3a1d2e';
+const CN0 = '00000000-0000-0000-0000-002590c0933c';
+const CN1 = '11111111-1111-1111-1111-0cc47adebf5c';
+
+const INSTS = [
+    {type: 'vm', service: 'cnapi', instance: 'i0', image: IMG_A},
+    {type: 'vm', service: 'vmapi', instance: 'i1', image: IMG_A},
+    {type: 'vm', service: 'vmapi', instance: 'i2', image: IMG_B},
+    {type: 'agent', service: 'cn-agent', instance: 'a0', image: IMG_B},
+    {type: 'agent', service: 'cn-agent', instance: 'a1', image: IMG_B},
+    {type: 'agent', service: 'amon-agent', instance: 'a2', image: null}
+];
+const SERVERS = [
+    {uuid: CN1, hostname: 'cn1', boot_platform: '20190613T183001Z'},
+    {uuid: CN0, hostname: 'headnode', boot_platform: '20190101T000000Z'},
+    {uuid: '22222222-2222-2222-2222-0cc47adebf5d', hostname: 'cn2'}
+];
+const SVCS = [
+    {name: 'cnapi', type: 'vm'},
+    {name: 'vmapi', type: 'vm'},
+    {name: 'cn-agent', type: 'agent'}
+];
+
+
+tap.test('specFromDc', function (t) {
+    const spec = dcSpec.specFromDc({insts: INSTS, servers: SERVERS});
+    t.deepEqual(spec, {
+        v: 1,
+        services: {
+            cnapi: IMG_A,
+            vmapi: [IMG_A, IMG_B]
+        },
+        agents: {
+            'cn-agent': IMG_B
+        },
+        platforms: {
+            [CN0]: '20190101T000000Z',
+            [CN1]: '20190613T183001Z'
+        }
+    });
+    t.end();
+});
+
+
+tap.test('validateSpec', function (suite) {
+    suite.test('valid', function (t) {
+        t.equal(dcSpec.validateSpec({
+            v: 1,
+            services: {cnapi: IMG_A},
+            platforms: {cn1: '20190613T183001Z'}
+        }), null);
+        t.end();
+    });
+
+    suite.test('bad version', function (t) {
+        const err = dcSpec.validateSpec({v: 2});
+        t.ok(err, 'expected error');
+        t.ok(err.message.includes('version'), err.message);
+        t.end();
+    });
+
+    suite.test('invalid values', function (t) {
+        const err = dcSpec.validateSpec({
+            v: 1,
+            services: {cnapi: 'latest', vmapi: [IMG_A, IMG_B]},
+            bogus: true
+        });
+        t.ok(err, 'expected error');
+        t.ok(err.message.includes('multiple (3) errors'), err.message);
+        t.ok(err.message.includes('"services.cnapi"'), err.message);
+        t.ok(err.message.includes('pick one'), err.message);
+        t.ok(err.message.includes('bogus'), err.message);
+        t.end();
+    });
+
+    suite.end();
+});
+
+
+tap.test('changesFromSpec', function (suite) {
+    const spec = {
+        v: 1,
+        services: {cnapi: IMG_B},
+        agents: {'cn-agent': IMG_A}
+    };
+
+    suite.test('without agents', function (t) {
+        const res = dcSpec.changesFromSpec(spec, {svcs: SVCS});
+        t.ifError(res.err);
+        t.deepEqual(res.changes, [{service: 'cnapi', image: IMG_B}]);
+        t.deepEqual(res.skipped, ['cn-agent']);
+        t.end();
+    });
+
+    suite.test('with agents', function (t) {
+        const res = dcSpec.changesFromSpec(spec, {svcs: SVCS, agents: true});
+        t.ifError(res.err);
+        t.deepEqual(res.changes, [
+            {service: 'cnapi', image: IMG_B},
+            {service: 'cn-agent', image: IMG_A}
+        ]);
+        t.deepEqual(res.skipped, []);
+        t.end();
+    });
+
+    suite.test('unknown service', function (t) {
+        const res = dcSpec.changesFromSpec({
+            v: 1,
+            services: {nope: IMG_A, 'cn-agent': IMG_A}
+        }, {svcs: SVCS});
+        t.ok(res.err, 'expected error');
+        t.ok(res.err.message.includes('nope, cn-agent'), res.err.message);
+        t.end();
+    });
+
+    suite.end();
+});
+
+
+tap.test('platformAssignmentsFromSpec', function (suite) {
+    suite.test('assignments', function (t) {
+        const res = dcSpec.platformAssignmentsFromSpec({
+            v: 1,
+            platforms: {
+                [CN0]: '20190613T183001Z',
+                cn1: '20190613T183001Z',
+                cn2: '20190613T183001Z'
+            }
+        }, SERVERS);
+        t.ifError(res.err);
+        t.equal(res.assignments.length, 1);
+        t.equal(res.assignments[0].platform, '20190613T183001Z');
+        t.deepEqual(res.assignments[0].servers.map(s => s.hostname),
+            ['headnode', 'cn2'], 'cn1 is already on the platform');
+        t.end();
+    });
+
+    suite.test('unknown server', function (t) {
+        const res = dcSpec.platformAssignmentsFromSpec({
+            v: 1,
+            platforms: {cn9: '20190613T183001Z'}
+        }, SERVERS);
+        t.ok(res.err, 'expected error');
+        t.ok(res.err.message.includes('cn9'), res.err.message);
+        t.end();
+    });
+
+    suite.end();
+});
+
+tap.test('YAML specs', function (suite) {
+    const SPEC = {
+        v: 1,
+        services: {imgapi: IMG_A},
+        platforms: {cn1: '20190613T183001Z'}
+    };
+
+    suite.test('isYamlFile', function (t) {
+        t.ok(dcSpec.isYamlFile('dc.yaml'));
+        t.ok(dcSpec.isYamlFile('/tmp/DC.YML'));
+        t.notOk(dcSpec.isYamlFile('dc.json'));
+        t.notOk(dcSpec.isYamlFile('yaml'));
+        t.end();
+    });
+
+    suite.test('round trip', function (t) {
+        const text = dcSpec.formatSpec(SPEC, {yaml: true});
+        t.notOk(text.trim().startsWith('{'), 'not JSON: ' + text);
+        const res = dcSpec.parseSpecText(text, 'dc.yml');
+        t.ifError(res.err);
+        t.deepEqual(res.parsed, SPEC);
+        t.ifError(dcSpec.validateSpec(res.parsed));
+        t.end();
+    });
+
+    suite.test('JSON by default', function (t) {
+        const text = dcSpec.formatSpec(SPEC);
+        t.deepEqual(JSON.parse(text), SPEC);
+        t.deepEqual(dcSpec.parseSpecText(text, 'dc.json').parsed, SPEC);
+        t.end();
+    });
+
+    suite.test('invalid', function (t) {
+        let res = dcSpec.parseSpecText('v: [1', 'dc.yaml');
+        t.ok(res.err, 'expected error');
+        t.equal(res.err.message, 'dc.yaml is not valid YAML');
+        res = dcSpec.parseSpecText('v: 1', 'dc.json');
+        t.equal(res.err.message, 'dc.json is not valid JSON');
+        t.end();
+    });
+
+    suite.end();
+});
@@ -110,6 +110,24 @@ tap.test('removeOldCNToolsTarballs', function (suite) {
 });
 
 
+tap.test('staleCNToolsTarballs', function (t) {
+    const joysetupDir = '/usbkey/extra/joysetup/';
+    mockfs({[joysetupDir]: {
+        'cn_tools.tar.gz': '',
+        'cn_tools.20180101T000000.tar.gz': '',
+        'cn_tools.20180201T000000.tar.gz': '',
+        'cn_tools.20180301T000000.tar.gz': '',
+        'cn_tools.20180401T000000.tar.gz': '',
+        'cn_tools.20180501T000000.tar.gz': ''
+    }});
+    t.deepEqual(usbkey.staleCNToolsTarballs(),
+        ['cn_tools.20180101T000000.tar.gz']);
+    t.equal(fs.readdirSync(joysetupDir).length, 6, 'nothing is removed');
+    mockfs.restore();
+    t.end();
+});
+
+
 tap.test('removeOldAgentsShars', function (suite) {
     const agentsDir = '/usbkey/extra/agents/';
     const progress = suite.comment;
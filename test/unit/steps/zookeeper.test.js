@@ -0,0 +1,79 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Test parts of lib/steps/zookeeper.js.
+ */
+
+'use strict';
+
+const test = require('tap').test;
+
+const stepsZookeeper = require('../../../lib/steps/zookeeper');
+
+const SRVR = [
+    'Zookeeper version: 3.4.6-1569965, built on 02/20/2014 09:09 GMT',
+    'Latency min/avg/max: 0/1/245',
+    'Received: 1234',
+    'Sent: 1240',
+    'Connections: 12',
+    'Outstanding: 0',
+    'Zxid: 0x1000001f5',
+    'Mode: Follower',
+    'Node count: 321',
+    ''
+].join('\n');
+
+
+test('steps.zookeeper.parseZkSrvr', function (t) {
+    t.deepEqual(stepsZookeeper.parseZkSrvr(SRVR), {
+        mode: 'follower',
+        zxid: 0x1000001f5,
+        latency: '0/1/245',
+        outstanding: 0,
+        nodeCount: 321
+    });
+    t.deepEqual(stepsZookeeper.parseZkSrvr(''), {
+        mode: 'unknown',
+        zxid: null,
+        latency: null,
+        outstanding: null,
+        nodeCount: null
+    }, 'no output');
+    t.end();
+});
+
+
+test('steps.zookeeper.zkQuorumSize', function (t) {
+    t.deepEqual([1, 2, 3, 4, 5].map(stepsZookeeper.zkQuorumSize),
+        [1, 2, 2, 3, 3]);
+    t.end();
+});
+
+
+test('steps.zookeeper.zkHasQuorum', function (t) {
+    function statuses() {
+        return Array.prototype.slice.call(arguments).map(function (mode) {
+            return {mode: mode};
+        });
+    }
+    const zkHasQuorum = stepsZookeeper.zkHasQuorum;
+
+    t.ok(zkHasQuorum(statuses('standalone')), 'standalone');
+    t.notOk(zkHasQuorum(statuses('down')), 'standalone down');
+    t.ok(zkHasQuorum(statuses('leader', 'follower', 'follower')), 'all up');
+    t.ok(zkHasQuorum(statuses('leader', 'down', 'follower')), 'one down');
+    t.notOk(zkHasQuorum(statuses('leader', 'down', 'down')), 'two down');
+    t.notOk(zkHasQuorum(statuses('follower', 'follower', 'down')),
+        'no leader');
+    t.notOk(zkHasQuorum(statuses('leader', 'follower', 'down', 'down')),
+        'even ensemble, half down');
+    t.end();
+});
@@ -0,0 +1,546 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Test lib/update-sources.js, with "dir" sources served by a local HTTP
+ * server and from the local filesystem.
+ */
+
+'use strict';
+
+const child_process = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const bunyan = require('bunyan');
+const tap = require('tap');
+
+const updateSources = require('../../lib/update-sources');
+
+const log = bunyan.createLogger({name: 'update-sources-test', level: 'fatal'});
+
+const VMAPI_OLD_UUID = 'a7a0ea2c-8d37-11e9-8c83-5f1c52a3e4c7';
+const VMAPI_UUID = 'b2c1e8a4-8d37-11e9-9a4f-0b8f1e2d3c4b';
+const PI_UUID = 'c3d2f9b5-8d37-11e9-a7e3-2f4a5b6c7d8e';
+
+const FILE_DATA = {
+    [VMAPI_OLD_UUID]: 'old vmapi image',
+    [VMAPI_UUID]: 'vmapi image',
+    [PI_UUID]: 'platform image'
+};
+
+
+function imageManifest(uuid, name, version, publishedAt) {
+    const data = FILE_DATA[uuid];
+    return {
+        uuid: uuid,
+        name: name,
+        version: version,
+        published_at: publishedAt,
+        files: [ {
+            sha1: crypto.createHash('sha1').update(data).digest('hex'),
+            size: data.length,
+            compression: 'gzip'
+        } ]
+    };
+}
+
+const IMAGES = [
+    imageManifest(VMAPI_UUID, 'vmapi', 'master-20190601T000000Z',
+        '2019-06-01T00:00:00Z'),
+    imageManifest(VMAPI_OLD_UUID, 'vmapi', 'master-20190501T000000Z',
+        '2019-05-01T00:00:00Z'),
+    imageManifest(PI_UUID, 'platform', 'master-20190601T000000Z',
+        '2019-06-01T00:00:00Z')
+];
+
+
+/*
+ * Write a "dir" update source with the given images into `dir`, corrupting
+ * the files of the `corrupt` image UUIDs.
+ */
+function writeDirSource(dir, imgs, corrupt) {
+    child_process.execFileSync('mkdir', ['-p', path.join(dir, 'images')]);
+    fs.writeFileSync(path.join(dir, 'images.json'), JSON.stringify(imgs));
+    imgs.forEach(function (img) {
+        fs.writeFileSync(path.join(dir, 'images', img.uuid + '.file'),
+            (corrupt.includes(img.uuid) ? 'garbage' : FILE_DATA[img.uuid]));
+    });
+}
+
+
+tap.test('sourcesFromConfig', function (t) {
+    t.deepEqual(updateSources.sourcesFromConfig({
+        updatesServerUrl: 'https://updates.joyent.com'
+    }), {sources: [ {url: 'https://updates.joyent.com', type: 'imgapi'} ]});
+
+    t.deepEqual(updateSources.sourcesFromConfig({
+        updateSources: [
+            {url: 'https://imgapi.example.com/', channels: {dev: 'mirror'}},
+            {url: 'file:///var/tmp/updates'},
+            {url: 'http://example.com/updates', type: 'dir', channels: false}
+        ]
+    }).sources, [
+        {url: 'https://imgapi.example.com', type: 'imgapi',
+            channels: {dev: 'mirror'}},
+        {url: 'file:///var/tmp/updates', type: 'dir', channels: undefined},
+        {url: 'http://example.com/updates', type: 'dir', channels: false}
+    ]);
+
+    const res = updateSources.sourcesFromConfig({
+        updateSources: [
+            {url: 'ftp://example.com'},
+            {url: 'file:///var/tmp', type: 'imgapi'},
+            {url: 'http://example.com', channels: ['dev']}
+        ]
+    });
+    t.ok(res.err, 'invalid sources');
+    t.ok(res.err.message.includes('"updateSources[0]" "url" is not'),
+        res.err.message);
+    t.ok(res.err.message.includes('"file:" URL must be of type "dir"'),
+        res.err.message);
+    t.ok(res.err.message.includes('"updateSources[2]" "channels" is not'),
+        res.err.message);
+
+    t.ok(updateSources.sourcesFromConfig({updateSources: []}).err);
+    t.end();
+});
+
+
+tap.test('mapChannel', function (t) {
+    const url = 'http://example.com';
+    t.deepEqual(updateSources.mapChannel({url: url}, 'dev'),
+        {skip: false, channel: 'dev'});
+    t.deepEqual(updateSources.mapChannel({url: url}, undefined),
+        {skip: false, channel: undefined});
+    t.deepEqual(updateSources.mapChannel({url: url, channels: false}, 'dev'),
+        {skip: false, channel: undefined});
+    t.deepEqual(updateSources.mapChannel(
+        {url: url, channels: {dev: 'experimental'}}, 'dev'),
+        {skip: false, channel: 'experimental'});
+    t.deepEqual(updateSources.mapChannel(
+        {url: url, channels: {dev: 'experimental'}}, 'release'),
+        {skip: true, channel: undefined});
+    t.end();
+});
+
+
+tap.test('filterImages', function (t) {
+    const uuids = (imgs) => imgs.map(img => img.uuid);
+    t.deepEqual(uuids(updateSources.filterImages(IMAGES, {name: 'vmapi'})),
+        [VMAPI_OLD_UUID, VMAPI_UUID], 'sorted by published_at');
+    t.deepEqual(uuids(updateSources.filterImages(IMAGES,
+        {name: 'platform', version: '~-20190601'})), [PI_UUID]);
+    t.deepEqual(uuids(updateSources.filterImages(IMAGES,
+        {name: 'vmapi', marker: '2019-05-15T00:00:00Z'})), [VMAPI_UUID]);
+    t.deepEqual(uuids(updateSources.filterImages(IMAGES,
+        {name: 'vmapi', marker: VMAPI_OLD_UUID})),
+        [VMAPI_OLD_UUID, VMAPI_UUID]);
+    t.deepEqual(updateSources.filterImages(IMAGES,
+        {name: '~api', os: 'smartos'}), []);
+    t.end();
+});
+
+
+tap.test('fetchUrl', function (t) {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(),
+        'sdcadm-fetch-url-test-'));
+    const sockets = [];
+    const server = http.createServer(function (req, res) {
+        switch (req.url) {
+        case '/data':
+            res.writeHead(200);
+            res.end('some data');
+            break;
+        case '/redirect':
+            res.writeHead(302, {location: '/data'});
+            res.end();
+            break;
+        case '/redirect-loop':
+            res.writeHead(301, {location: '/redirect-loop'});
+            res.end();
+            break;
+        case '/redirect-file':
+            res.writeHead(302, {location: 'file:///etc/passwd'});
+            res.end();
+            break;
+        case '/stall':
+            res.writeHead(200, {'content-length': 100});
+            res.write('some');
+            break;
+        case '/drop':
+            res.writeHead(200, {'content-length': 100});
+            res.write('some', function () {
+                req.socket.destroy();
+            });
+            break;
+        default:
+            res.writeHead(404);
+            res.end();
+            break;
+        }
+    });
+    server.on('connection', function (sock) {
+        sockets.push(sock);
+    });
+
+    server.listen(0, '127.0.0.1', function () {
+        const baseUrl = 'http://127.0.0.1:' + server.address().port;
+
+        t.test('redirects are followed', function (t2) {
+            updateSources.fetchUrl({url: baseUrl + '/redirect'},
+                    function (err, data) {
+                t2.ifError(err);
+                t2.equal(data, 'some data');
+                const filePath = path.join(tmpDir, 'data');
+                updateSources.fetchUrl({
+                    url: baseUrl + '/redirect',
+                    filePath: filePath
+                }, function (fileErr) {
+                    t2.ifError(fileErr);
+                    t2.equal(fs.readFileSync(filePath, 'utf8'), 'some data');
+                    t2.end();
+                });
+            });
+        });
+
+        t.test('redirect errors', function (t2) {
+            updateSources.fetchUrl({url: baseUrl + '/redirect-loop'},
+                    function (err) {
+                t2.ok(err, 'redirect loop');
+                t2.ok(/too many redirects/.test(err.message), err.message);
+                updateSources.fetchUrl({url: baseUrl + '/redirect-file'},
+                        function (fileErr) {
+                    t2.ok(fileErr, 'redirect to a file: URL');
+                    t2.ok(/invalid location/.test(fileErr.message),
+                        fileErr.message);
+                    t2.end();
+                });
+            });
+        });
+
+        t.test('stalled response', function (t2) {
+            updateSources.fetchUrl({url: baseUrl + '/stall', timeout: 200},
+                    function (err) {
+                t2.ok(err, 'stalled response');
+                t2.ok(/timeout/.test(err.message), err.message);
+                updateSources.fetchUrl({
+                    url: baseUrl + '/stall',
+                    filePath: path.join(tmpDir, 'stall'),
+                    timeout: 200
+                }, function (fileErr) {
+                    t2.ok(fileErr, 'stalled download');
+                    t2.ok(/timeout/.test(fileErr.message), fileErr.message);
+                    t2.end();
+                });
+            });
+        });
+
+        t.test('dropped connection', function (t2) {
+            updateSources.fetchUrl({url: baseUrl + '/drop'}, function (err) {
+                t2.ok(err, 'dropped response');
+                updateSources.fetchUrl({
+                    url: baseUrl + '/drop',
+                    filePath: path.join(tmpDir, 'drop')
+                }, function (fileErr) {
+                    t2.ok(fileErr, 'dropped download');
+                    t2.end();
+                });
+            });
+        });
+
+        t.test('teardown', function (t2) {
+            sockets.forEach(function (sock) {
+                sock.destroy();
+            });
+            server.close();
+            child_process.execFileSync('rm', ['-rf', tmpDir]);
+            t2.end();
+        });
+
+        t.end();
+    });
+});
+
+
+tap.test('UpdateSources with "dir" sources', function (t) {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(),
+        'sdcadm-update-sources-test-'));
+
+    // The HTTP mirror only has the latest vmapi, with a corrupt file, in its
+    // "stable" channel. The local dir has everything.
+    writeDirSource(path.join(tmpDir, 'mirror', 'stable'), IMAGES.slice(0, 1),
+        [VMAPI_UUID]);
+    writeDirSource(path.join(tmpDir, 'local'), IMAGES, []);
+
+    const server = http.createServer(function (req, res) {
+        const filePath = path.join(tmpDir, 'mirror', req.url);
+        fs.readFile(filePath, function (err, data) {
+            if (err) {
+                res.writeHead(404);
+                res.end();
+                return;
+            }
+            res.writeHead(200);
+            res.end(data);
+        });
+    });
+
+    server.listen(0, '127.0.0.1', function () {
+        const mirrorUrl = 'http://127.0.0.1:' + server.address().port;
+        const res = updateSources.sourcesFromConfig({
+            updateSources: [
+                // Nothing listens there.
+                {url: 'http://127.0.0.1:1', type: 'dir'},
+                {url: mirrorUrl + '/', type: 'dir',
+                    channels: {release: 'stable'}},
+                {url: 'file://' + path.join(tmpDir, 'local'),
+                    channels: false}
+            ]
+        });
+        t.ifError(res.err);
+        const sources = new updateSources.UpdateSources({
+            sources: res.sources,
+            log: log,
+            channel: 'release'
+        });
+
+        t.test('listImages', function (t2) {
+            sources.listImages({name: 'vmapi'}, function (err, imgs) {
+                t2.ifError(err);
+                t2.deepEqual(imgs.map(img => img.uuid), [VMAPI_UUID],
+                    'from the first source which answers');
+
+                sources.listImages({name: 'vmapi'}, {channel: 'dev'},
+                    function (devErr, devImgs) {
+                        t2.ifError(devErr);
+                        t2.equal(devImgs.length, 2,
+                            'sources without the channel are skipped');
+                        t2.end();
+                    });
+            });
+        });
+
+        t.test('getImage', function (t2) {
+            sources.getImage(PI_UUID, function (err, img) {
+                t2.ifError(err);
+                t2.equal(img.uuid, PI_UUID, 'falls back to the local dir');
+                sources.findImage(VMAPI_UUID,
+                    function (findErr, _img, source, channel) {
+                        t2.ifError(findErr);
+                        t2.equal(source.url, mirrorUrl);
+                        t2.equal(channel, 'stable');
+                        t2.end();
+                    });
+            });
+        });
+
+        t.test('getImageFile', function (t2) {
+            const filePath = path.join(tmpDir, 'vmapi.file');
+            sources.getImageFile(VMAPI_UUID, filePath, function (err, img) {
+                t2.ifError(err, 'corrupt mirror file is skipped');
+                t2.equal(img.uuid, VMAPI_UUID);
+                t2.equal(fs.readFileSync(filePath, 'utf8'),
+                    FILE_DATA[VMAPI_UUID]);
+                t2.end();
+            });
+        });
+
+        t.test('getImageChangelog', function (t2) {
+            t2.ok(sources.hasChangelogs(), '"dir" sources have changelogs');
+            fs.writeFileSync(path.join(tmpDir, 'mirror', 'stable', 'images',
+                VMAPI_UUID + '.changelog'), 'TRITON-1 a change\n');
+            sources.getImageChangelog(VMAPI_UUID, function (err, text) {
+                t2.ifError(err);
+                t2.equal(text, 'TRITON-1 a change\n');
+                sources.getImageChangelog(PI_UUID, function (piErr, piText) {
+                    t2.ifError(piErr);
+                    t2.equal(piText, null, 'no changelog file');
+                    t2.end();
+                });
+            });
+        });
+
+        t.test('errors', function (t2) {
+            sources.getImage('d4e3a0c6-8d37-11e9-b5d2-3a4b5c6d7e8f',
+                function (err) {
+                    t2.ok(err, 'unknown image');
+                    t2.equal(err.restCode, 'ResourceNotFound',
+                        'not found rather than the first source error: ' +
+                        err.message);
+                    t2.ok(err.message.includes('not found in update ' +
+                        'source ' + mirrorUrl), err.message);
+                    sources.listChannels({}, function (chErr, channels) {
+                        t2.ifError(chErr);
+                        t2.deepEqual(channels, [],
+                            'no channels without IMGAPI sources');
+                        t2.end();
+                    });
+                });
+        });
+
+        t.test('errors from all sources', function (t2) {
+            const badSources = new updateSources.UpdateSources({
+                sources: updateSources.sourcesFromConfig({
+                    updateSources: [
+                        {url: 'http://127.0.0.1:1', type: 'dir'},
+                        {url: 'file://' + path.join(tmpDir, 'nowhere')}
+                    ]
+                }).sources,
+                log: log
+            });
+            badSources.getImage(VMAPI_UUID, function (err) {
+                t2.ok(err, 'no source answers');
+                t2.equal(err.code, 'MultiError');
+                t2.ok(err.message.includes('GET http://127.0.0.1:1/') &&
+                    err.message.includes('ENOENT'), err.message);
+                badSources.close();
+                t2.end();
+            });
+        });
+
+        t.test('teardown', function (t2) {
+            sources.close();
+            server.close();
+            child_process.execFileSync('rm', ['-rf', tmpDir]);
+            t2.end();
+        });
+
+        t.end();
+    });
+});
+
+
+tap.test('UpdateSources without "dir" sources', function (t) {
+    const sources = new updateSources.UpdateSources({
+        sources: updateSources.sourcesFromConfig({
+            updatesServerUrl: 'https://updates.joyent.com'
+        }).sources,
+        log: log
+    });
+    t.notOk(sources.hasChangelogs(), 'IMGAPI sources have no changelogs');
+    sources.close();
+    t.end();
+});
+
+tap.test('UpdateSources channel', function (t) {
+    const sources = new updateSources.UpdateSources({
+        sources: [ {url: 'file:///var/tmp/updates', type: 'dir'} ],
+        log: log,
+        channel: 'release'
+    });
+    t.equal(sources.channel, 'release', 'default channel');
+    t.notOk(sources.channelGiven());
+    sources.channel = 'release';
+    t.equal(sources.channel, 'release');
+    t.ok(sources.channelGiven(), 'given, even if the default one');
+    sources.channel = 'dev';
+    t.equal(sources.channel, 'dev');
+    t.end();
+});
+
+tap.test('UpdateSources with trusted image keys', function (t) {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(),
+        'sdcadm-update-sources-test-'));
+    const privPath = path.join(tmpDir, 'key.pem');
+    const pubPath = path.join(tmpDir, 'key.pub.pem');
+    child_process.execFileSync('openssl', ['genrsa', '-out', privPath, '2048'],
+        {stdio: 'ignore'});
+    child_process.execFileSync('openssl',
+        ['rsa', '-in', privPath, '-pubout', '-out', pubPath],
+        {stdio: 'ignore'});
+    const privPem = fs.readFileSync(privPath, 'utf8');
+
+    function sign(data) {
+        return crypto.createSign('sha256').update(data).sign(privPem,
+            'base64');
+    }
+
+    // vmapi has a signature file, old vmapi a signature tag for other data,
+    // the platform is not signed.
+    const imgs = JSON.parse(JSON.stringify(IMAGES));
+    imgs[0].files[0].sha256 = crypto.createHash('sha256')
+        .update(FILE_DATA[VMAPI_UUID]).digest('hex');
+    imgs[1].tags = {signature: sign('something else')};
+    writeDirSource(tmpDir, imgs, []);
+    fs.writeFileSync(path.join(tmpDir, 'images', VMAPI_UUID + '.file.sig'),
+        sign(FILE_DATA[VMAPI_UUID]) + '\n');
+
+    t.test('loadTrustedKeys', function (t2) {
+        updateSources.loadTrustedKeys({trustedImageKeys: [privPath]},
+            function (err) {
+                t2.ok(err && /is not a PEM public key/.test(err.message),
+                    'private key: ' + (err && err.message));
+                updateSources.loadTrustedKeys({}, function (noErr, keys) {
+                    t2.ifError(noErr);
+                    t2.deepEqual(keys, [], 'no trusted keys by default');
+                    t2.end();
+                });
+            });
+    });
+
+    updateSources.loadTrustedKeys({trustedImageKeys: [pubPath]},
+            function (keysErr, keys) {
+        t.ifError(keysErr);
+        t.equal(keys[0].path, pubPath);
+
+        const sources = new updateSources.UpdateSources({
+            sources: [ {url: 'file://' + tmpDir, type: 'dir'} ],
+            log: log,
+            trustedKeys: keys
+        });
+        const filePath = path.join(tmpDir, 'download.file');
+
+        t.test('signed image', function (t2) {
+            sources.getImageFile(VMAPI_UUID, filePath, function (err) {
+                t2.ifError(err, 'signature and SHA-256 verified');
+                t2.end();
+            });
+        });
+
+        t.test('unsigned images', function (t2) {
+            sources.getImageFile(VMAPI_OLD_UUID, filePath, function (err) {
+                t2.ok(err && /is not signed by a trusted key$/.test(
+                    err.message), 'bad signature: ' + (err && err.message));
+                sources.getImageFile(PI_UUID, filePath, function (piErr) {
+                    t2.ok(piErr && /is not signed$/.test(piErr.message),
+                        'no signature: ' + (piErr && piErr.message));
+
+                    sources.allowUnsigned = true;
+                    sources.getImageFile(PI_UUID, filePath,
+                            function (allowErr, img) {
+                        t2.ifError(allowErr, 'allowed with allowUnsigned');
+
+                        // The same manifest, now with a wrong SHA-256.
+                        img.files[0].sha256 = '0'.repeat(64);
+                        sources.getImageFile(PI_UUID, filePath,
+                                function (shaErr) {
+                            t2.ok(shaErr && /has SHA-256/.test(
+                                shaErr.message), 'checksums are always ' +
+                                'checked: ' + (shaErr && shaErr.message));
+                            t2.end();
+                        });
+                    });
+                });
+            });
+        });
+
+        t.test('teardown', function (t2) {
+            sources.close();
+            child_process.execFileSync('rm', ['-rf', tmpDir]);
+            t2.end();
+        });
+
+        t.end();
+    });
+});
@@ -0,0 +1,91 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Test lib/usbkey.js.
+ */
+
+'use strict';
+
+const tap = require('tap');
+
+const usbkey = require('../../lib/usbkey');
+
+const MiB = 1024;
+
+function rawStatus(props) {
+    return Object.assign({
+        usbkey: {
+            writable: true,
+            avail_kib: 2000 * MiB,
+            platforms: [
+                {version: '20190101T000000Z', kib: 300 * MiB},
+                {version: '20190601T000000Z', kib: 320 * MiB}
+            ],
+            tools_kib: 20 * MiB
+        },
+        copy: {avail_kib: 10000 * MiB},
+        agentsshars: [
+            {name: 'agents-1.sh', kib: 150 * MiB, latest: false, stale: true},
+            {name: 'agents-2.sh', kib: 160 * MiB, latest: true, stale: false}
+        ],
+        cn_tools: [
+            {name: 'cn_tools.20190101T000000.tar.gz', kib: 10 * MiB,
+                stale: false}
+        ]
+    }, props);
+}
+
+
+tap.test('assessStatus', function (t) {
+    let assessment = usbkey.assessStatus(rawStatus());
+    t.deepEqual(assessment.needs, [
+        {command: 'platform install', where: 'usbkey', kib: 320 * MiB,
+            ok: true},
+        {command: 'update-gz-tools', where: 'usbkey', kib: 20 * MiB, ok: true},
+        {command: 'update-agents', where: 'copy', kib: 160 * MiB, ok: true}
+    ], 'space needed is estimated from the largest platform and latest ' +
+        'agentsshar');
+    t.deepEqual(assessment.problems, [
+        '1 stale agentsshar and cn_tools backups (150 MiB): run ' +
+            '"sdcadm usbkey clean" to remove them'
+    ]);
+
+    assessment = usbkey.assessStatus(rawStatus({
+        usbkey: {
+            writable: false,
+            avail_kib: 100 * MiB,
+            platforms: [{version: '20190601T000000Z', kib: 320 * MiB}],
+            tools_kib: 0
+        },
+        agentsshars: [],
+        cn_tools: []
+    }));
+    t.deepEqual(assessment.needs.map(n => [n.command, n.ok]),
+        [ ['platform install', false] ]);
+    t.deepEqual(assessment.problems, [
+        'USB key is read-only',
+        'USB key has 100 MiB free, "sdcadm platform install" needs about ' +
+            '320 MiB'
+    ]);
+
+    assessment = usbkey.assessStatus(rawStatus({
+        usbkey: {mount_error: 'no USB key found'},
+        cn_tools: []
+    }));
+    t.deepEqual(assessment.needs.map(n => [n.command, n.where]),
+        [ ['update-agents', 'copy'] ], 'only the copy is checked');
+    t.deepEqual(assessment.problems, [
+        'USB key could not be mounted: no USB key found',
+        '1 stale agentsshar and cn_tools backups (150 MiB): run ' +
+            '"sdcadm usbkey clean" to remove them'
+    ]);
+    t.end();
+});